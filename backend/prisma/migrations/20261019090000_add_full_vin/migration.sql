@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "full_vin" TEXT;
+
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "full_vin" TEXT;
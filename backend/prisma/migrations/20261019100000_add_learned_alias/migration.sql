@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "LearnedAlias" (
+    "id" TEXT NOT NULL,
+    "alias" TEXT NOT NULL,
+    "type_code" TEXT NOT NULL DEFAULT '',
+    "part_number" TEXT NOT NULL,
+    "main_group" TEXT,
+    "description" TEXT,
+    "confirmed_count" INTEGER NOT NULL DEFAULT 0,
+    "rejected_count" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'learned',
+    "last_confirmed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LearnedAlias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LearnedAlias_alias_type_code_part_number_key" ON "LearnedAlias"("alias", "type_code", "part_number");
+
+-- CreateIndex
+CREATE INDEX "LearnedAlias_alias_status_idx" ON "LearnedAlias"("alias", "status");
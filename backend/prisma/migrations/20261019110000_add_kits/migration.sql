@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "Kit" (
+    "id" TEXT NOT NULL,
+    "kit_code" TEXT NOT NULL,
+    "kit_name_ar" TEXT NOT NULL DEFAULT '',
+    "kit_name_en" TEXT NOT NULL DEFAULT '',
+    "aliases" TEXT[],
+    "category" TEXT,
+    "notes" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Kit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "KitPart" (
+    "id" TEXT NOT NULL,
+    "kit_id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "part_name" TEXT NOT NULL,
+    "series" TEXT[],
+    "engines" TEXT[],
+
+    CONSTRAINT "KitPart_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Kit_kit_code_key" ON "Kit"("kit_code");
+
+-- CreateIndex
+CREATE INDEX "KitPart_kit_id_idx" ON "KitPart"("kit_id");
+
+-- AddForeignKey
+ALTER TABLE "KitPart" ADD CONSTRAINT "KitPart_kit_id_fkey" FOREIGN KEY ("kit_id") REFERENCES "Kit"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "BasketItem" ADD COLUMN     "discount_pct" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "line_total" DOUBLE PRECISION,
+ADD COLUMN     "qty" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "unit_price" DOUBLE PRECISION;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "price_breakdown" JSONB;
+
+-- AlterTable
+ALTER TABLE "Tenant" ADD COLUMN     "pricing_config" JSONB;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "total" DOUBLE PRECISION,
+ADD COLUMN     "wa_message_id" TEXT,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "parent_quote_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "QuoteStatusHistory" ADD COLUMN     "related_quote_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Quote_parent_quote_id_idx" ON "Quote"("parent_quote_id");
+
+-- AddForeignKey
+ALTER TABLE "Quote" ADD CONSTRAINT "Quote_parent_quote_id_fkey" FOREIGN KEY ("parent_quote_id") REFERENCES "Quote"("id") ON DELETE SET NULL ON UPDATE CASCADE;
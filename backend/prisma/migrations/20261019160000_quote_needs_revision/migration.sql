@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "QuoteStatus" ADD VALUE 'NEEDS_REVISION' BEFORE 'CLOSED';
+
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "revision_wa_id" TEXT,
+ADD COLUMN     "revision_reason" TEXT;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "MessageDirection" AS ENUM ('INBOUND', 'OUTBOUND');
+
+-- CreateTable
+CREATE TABLE "CustomerMessage" (
+    "id" TEXT NOT NULL,
+    "quote_id" TEXT,
+    "wa_id" TEXT NOT NULL,
+    "direction" "MessageDirection" NOT NULL,
+    "type" TEXT NOT NULL,
+    "body" TEXT,
+    "media_id" TEXT,
+    "mime_type" TEXT,
+    "wa_message_id" TEXT,
+    "sent_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomerMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerMessage_wa_message_id_key" ON "CustomerMessage"("wa_message_id");
+
+-- CreateIndex
+CREATE INDEX "CustomerMessage_quote_id_created_at_idx" ON "CustomerMessage"("quote_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "CustomerMessage_wa_id_created_at_idx" ON "CustomerMessage"("wa_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "CustomerMessage" ADD CONSTRAINT "CustomerMessage_quote_id_fkey" FOREIGN KEY ("quote_id") REFERENCES "Quote"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "kind" TEXT,
+ADD COLUMN     "status" TEXT,
+ADD COLUMN     "sent_at" TIMESTAMP(3),
+ADD COLUMN     "delivered_at" TIMESTAMP(3),
+ADD COLUMN     "read_at" TIMESTAMP(3),
+ADD COLUMN     "failed_at" TIMESTAMP(3),
+ADD COLUMN     "error_code" INTEGER,
+ADD COLUMN     "error_title" TEXT,
+ADD COLUMN     "error_detail" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Message_quote_id_idx" ON "Message"("quote_id");
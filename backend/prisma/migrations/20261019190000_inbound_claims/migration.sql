@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "InboundClaim" (
+    "channel" "Channel" NOT NULL,
+    "external_id" TEXT NOT NULL,
+    "claimed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InboundClaim_pkey" PRIMARY KEY ("channel","external_id")
+);
@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "JobStatus" AS ENUM ('PENDING', 'RUNNING', 'SUCCEEDED', 'DEAD', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "Job" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "JobStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL DEFAULT 5,
+    "run_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "locked_at" TIMESTAMP(3),
+    "locked_by" TEXT,
+    "last_error" TEXT,
+    "result" JSONB,
+    "dedupe_key" TEXT,
+    "tenant_id" TEXT,
+    "quote_id" TEXT,
+    "correlation_id" TEXT,
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Job_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Job_dedupe_key_key" ON "Job"("dedupe_key");
+
+-- CreateIndex
+CREATE INDEX "Job_status_run_at_idx" ON "Job"("status", "run_at");
+
+-- CreateIndex
+CREATE INDEX "Job_type_status_idx" ON "Job"("type", "status");
+
+-- CreateIndex
+CREATE INDEX "Job_quote_id_idx" ON "Job"("quote_id");
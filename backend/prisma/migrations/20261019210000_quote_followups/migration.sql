@@ -0,0 +1,16 @@
+-- AlterEnum
+ALTER TYPE "QuoteStatus" ADD VALUE 'EXPIRED' BEFORE 'CLOSED';
+
+-- AlterEnum
+ALTER TYPE "Channel" ADD VALUE 'SYSTEM';
+
+-- AlterTable
+ALTER TABLE "Tenant" ADD COLUMN     "followup_config" JSONB;
+
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "sent_at" TIMESTAMP(3),
+ADD COLUMN     "reminders_sent" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "last_reminder_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Quote_status_sent_at_idx" ON "Quote"("status", "sent_at");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Tenant" ADD COLUMN     "wa_phone_number_id" TEXT,
+ADD COLUMN     "wa_access_token" TEXT,
+ADD COLUMN     "wa_app_secret" TEXT,
+ADD COLUMN     "wa_templates" JSONB;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Tenant_wa_phone_number_id_key" ON "Tenant"("wa_phone_number_id");
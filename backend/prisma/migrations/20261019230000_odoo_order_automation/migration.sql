@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "odoo_order_state" TEXT,
+ADD COLUMN     "odoo_invoice_id" INTEGER,
+ADD COLUMN     "odoo_invoice_number" TEXT,
+ADD COLUMN     "odoo_invoice_state" TEXT,
+ADD COLUMN     "odoo_synced_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Tenant" ADD COLUMN     "odoo_automation" JSONB;
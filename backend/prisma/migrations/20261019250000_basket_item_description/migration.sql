@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "BasketItem" ADD COLUMN     "description" TEXT;
@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "Tenant" ADD COLUMN     "supplier_config" JSONB;
+
+-- AlterTable
+ALTER TABLE "BasketItem" ADD COLUMN     "supplier" TEXT,
+ADD COLUMN     "supplier_landed_cost" DOUBLE PRECISION,
+ADD COLUMN     "supplier_price_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "SupplierPriceList" (
+    "id" TEXT NOT NULL,
+    "supplier" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "filename" TEXT,
+    "row_count" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "diff" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SupplierPriceList_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SupplierPrice" (
+    "id" TEXT NOT NULL,
+    "price_list_id" TEXT NOT NULL,
+    "supplier" TEXT NOT NULL,
+    "part_number" TEXT NOT NULL,
+    "brand" TEXT NOT NULL DEFAULT '',
+    "is_oe" BOOLEAN NOT NULL DEFAULT false,
+    "price" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "lead_time_days" INTEGER,
+
+    CONSTRAINT "SupplierPrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SupplierPriceList_supplier_active_idx" ON "SupplierPriceList"("supplier", "active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SupplierPriceList_supplier_version_key" ON "SupplierPriceList"("supplier", "version");
+
+-- CreateIndex
+CREATE INDEX "SupplierPrice_part_number_idx" ON "SupplierPrice"("part_number");
+
+-- CreateIndex
+CREATE INDEX "SupplierPrice_price_list_id_idx" ON "SupplierPrice"("price_list_id");
+
+-- AddForeignKey
+ALTER TABLE "SupplierPrice" ADD CONSTRAINT "SupplierPrice_price_list_id_fkey" FOREIGN KEY ("price_list_id") REFERENCES "SupplierPriceList"("id") ON DELETE CASCADE ON UPDATE CASCADE;
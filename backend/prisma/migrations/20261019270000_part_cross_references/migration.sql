@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PartCrossReference" (
+    "id" TEXT NOT NULL,
+    "oe_number" TEXT NOT NULL,
+    "brand" TEXT NOT NULL,
+    "part_number" TEXT NOT NULL,
+    "part_number_key" TEXT NOT NULL,
+    "source" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PartCrossReference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PartCrossReference_part_number_key_idx" ON "PartCrossReference"("part_number_key");
+
+-- CreateIndex
+CREATE INDEX "PartCrossReference_source_idx" ON "PartCrossReference"("source");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PartCrossReference_oe_number_brand_part_number_key_key" ON "PartCrossReference"("oe_number", "brand", "part_number_key");
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Tenant" ADD COLUMN     "catalog_config" JSONB;
+
+-- AlterTable
+ALTER TABLE "CatalogResult" ADD COLUMN     "scraped_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing entries: scraped when they were cached
+UPDATE "CatalogResult" SET "scraped_at" = "created_at";
+
+-- CreateTable
+CREATE TABLE "CatalogCacheStat" (
+    "day" DATE NOT NULL,
+    "tenant_id" TEXT NOT NULL DEFAULT '',
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "stale_hits" INTEGER NOT NULL DEFAULT 0,
+    "misses" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogCacheStat_pkey" PRIMARY KEY ("day","tenant_id")
+);
+
+-- CreateIndex
+CREATE INDEX "CatalogResult_scraped_at_idx" ON "CatalogResult"("scraped_at");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "customer_phone_key" TEXT;
+
+-- Existing quotes: last 10 digits of the phone (utils/phone phoneKey), when at least 7
+UPDATE "Quote"
+SET "customer_phone_key" = RIGHT(REGEXP_REPLACE("customer_phone", '\D', '', 'g'), 10)
+WHERE LENGTH(REGEXP_REPLACE(COALESCE("customer_phone", ''), '\D', '', 'g')) >= 7;
+
+-- CreateIndex
+CREATE INDEX "Quote_customer_phone_key_idx" ON "Quote"("customer_phone_key");
@@ -0,0 +1,11 @@
+-- Brands are stored upper-case with single spaces (crossRef.brandName), so the unique key
+-- ignores case: keep one row per (oe_number, brand, part_number_key) ...
+DELETE FROM "PartCrossReference" a
+USING "PartCrossReference" b
+WHERE a."oe_number" = b."oe_number"
+  AND a."part_number_key" = b."part_number_key"
+  AND UPPER(REGEXP_REPLACE(TRIM(a."brand"), '\s+', ' ', 'g')) = UPPER(REGEXP_REPLACE(TRIM(b."brand"), '\s+', ' ', 'g'))
+  AND a."id" > b."id";
+
+-- ... then normalize the rest
+UPDATE "PartCrossReference" SET "brand" = UPPER(REGEXP_REPLACE(TRIM("brand"), '\s+', ' ', 'g'));
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "BasketItem" ADD COLUMN     "unit_price_manual" BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing lines: manual when the stored price breakdown says so
+UPDATE "BasketItem" b
+SET "unit_price_manual" = true
+FROM "Quote" q
+WHERE q."id" = b."quote_id"
+  AND jsonb_typeof(q."price_breakdown"->'lines') = 'array'
+  AND EXISTS (
+    SELECT 1 FROM jsonb_array_elements(q."price_breakdown"->'lines') l
+    WHERE l->>'part_number' = b."part_number" AND l->>'markup_rule' = 'manual'
+  );
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "button_wa_message_id" TEXT;
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * One-shot import of the Kits Google Sheet into the Kit / KitPart tables.
+ * Upserts by kit_code, so it is safe to re-run; parts_list replaces a kit's lines.
+ * Per-series / per-engine applicability is not in the sheet — edit it afterwards
+ * through /api/admin/kits.
+ *
+ * Run from backend: node scripts/import-kits-from-sheet.js
+ * Needs SHEETS_KITS_SPREADSHEET_ID (and SHEETS_KITS_SHEET_NAME if not "Sheet1").
+ */
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+if (process.env.DATABASE_URL_PUBLIC) process.env.DATABASE_URL = process.env.DATABASE_URL_PUBLIC;
+
+const sheets = require('../src/integrations/sheets.client');
+const kitsRepo = require('../src/db/kits.repo');
+const { getPrisma } = require('../src/services/prisma.service');
+
+async function main() {
+  const rows = await sheets.getAllKits('import-kits');
+  console.log(`Read ${rows.length} kit rows from sheet`);
+  const result = await kitsRepo.importSheetKits(rows, 'import-kits');
+  console.log(`Created: ${result.created}, updated: ${result.updated}, skipped (no kit_code): ${result.skipped}`);
+}
+
+main()
+  .then(() => getPrisma().$disconnect())
+  .catch((err) => {
+    console.error('Import failed:', err.message);
+    process.exit(1);
+  });
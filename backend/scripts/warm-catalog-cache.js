@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Catalog cache warm-up: scrape every RealOEM main group (ai/prompts MAIN_GROUPS)
+ * for popular vehicle type codes, so part searches for them answer from the cache.
+ * Entries still fresh under the env TTL are skipped unless --force.
+ *
+ * The catalog is scraped by VIN: each type code uses the VIN of its latest quote.
+ *
+ * Run from backend:
+ *   node scripts/warm-catalog-cache.js [TYPE_CODE ...] [--top=20] [--days=90] [--groups=ENGINE,BRAKES] [--force]
+ * Without type codes: the --top type codes quoted most in the last --days days.
+ */
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+if (process.env.DATABASE_URL_PUBLIC) process.env.DATABASE_URL = process.env.DATABASE_URL_PUBLIC;
+
+const catalogRepo = require('../src/db/catalog.repo');
+const quotesRepo = require('../src/db/quotes.repo');
+const catalogCache = require('../src/services/catalogCache.service');
+const { MAIN_GROUPS } = require('../src/ai/prompts');
+const { getPrisma } = require('../src/services/prisma.service');
+
+const CORRELATION_ID = 'warm-catalog-cache';
+
+function parseArgs(argv) {
+  const opts = { typeCodes: [], top: 20, days: 90, groups: MAIN_GROUPS, force: false };
+  for (const arg of argv) {
+    const [flag, value] = arg.split('=');
+    if (flag === '--force') opts.force = true;
+    else if (flag === '--top') opts.top = parseInt(value, 10) || opts.top;
+    else if (flag === '--days') opts.days = parseInt(value, 10) || opts.days;
+    else if (flag === '--groups') opts.groups = String(value || '').split(',').map((g) => g.trim()).filter(Boolean);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else opts.typeCodes.push(arg.trim());
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const since = new Date(Date.now() - opts.days * 24 * 60 * 60 * 1000);
+  const vehicles = await quotesRepo.listQuotedTypeCodes(
+    { typeCodes: opts.typeCodes, limit: opts.top, since },
+    CORRELATION_ID
+  );
+  const missing = opts.typeCodes.filter((tc) => !vehicles.some((v) => v.type_code === tc));
+  if (missing.length) console.log(`No quoted VIN for type code(s): ${missing.join(', ')} — skipped`);
+  console.log(`Warming ${opts.groups.length} group(s) for ${vehicles.length} type code(s)`);
+
+  const config = catalogCache.getCatalogConfig(null);
+  const totals = { scraped: 0, fresh: 0, failed: 0 };
+  for (const v of vehicles) {
+    const vehicle = v.vehicle_details || {};
+    for (const group of opts.groups) {
+      const [entry] = await catalogRepo.queryCatalogResults(group, v.type_code, CORRELATION_ID);
+      if (entry && !opts.force && catalogCache.entryFreshness(entry, config) === 'fresh') {
+        totals.fresh += 1;
+        continue;
+      }
+      try {
+        const { subgroups } = await catalogCache.refreshGroup({
+          vin: v.vin,
+          group,
+          type_code: v.type_code,
+          vehicle: { series: vehicle.series || null, model: vehicle.model || null, engine: vehicle.engine || null },
+        }, CORRELATION_ID);
+        totals.scraped += 1;
+        console.log(`${v.type_code} ${group}: ${subgroups.length} subgroup(s)`);
+      } catch (err) {
+        totals.failed += 1;
+        console.log(`${v.type_code} ${group}: failed — ${err.message}`);
+      }
+    }
+  }
+  console.log(`Scraped: ${totals.scraped}, already fresh: ${totals.fresh}, failed: ${totals.failed}`);
+}
+
+main()
+  .then(() => getPrisma().$disconnect())
+  .catch((err) => {
+    console.error('Warm-up failed:', err.message);
+    process.exit(1);
+  });
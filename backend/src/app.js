@@ -6,6 +6,15 @@ const wabaRoutes = require('./routes/waba');
 const healthRoutes = require('./routes/healthRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const debugRoutes = require('./routes/debugRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const adminAliasRoutes = require('./routes/adminAliasRoutes');
+const adminKitRoutes = require('./routes/adminKitRoutes');
+const adminTenantRoutes = require('./routes/adminTenantRoutes');
+const adminJobRoutes = require('./routes/adminJobRoutes');
+const adminTemplateRoutes = require('./routes/adminTemplateRoutes');
+const adminPriceListRoutes = require('./routes/adminPriceListRoutes');
+const adminCrossRefRoutes = require('./routes/adminCrossRefRoutes');
+const adminCatalogRoutes = require('./routes/adminCatalogRoutes');
 
 const app = express();
 
@@ -32,11 +41,11 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin);
   }
   res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   // Cache-Control and Last-Event-ID are required for SSE streams
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'Content-Type, Cache-Control, Last-Event-ID, x-debug-api-key'
+    'Content-Type, Cache-Control, Last-Event-ID, x-debug-api-key, x-admin-api-key'
   );
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
@@ -83,6 +92,27 @@ app.get('/', (_req, res) => {
       notifications: 'GET /api/chat/notifications',
       submitForm: 'POST /api/chat/submit-form',
       debug: 'GET /api/chat/debug/session/:chatId',
+      quotePdf: 'GET /api/quotes/:id/pdf?expires=&sig= (signed link or admin key)',
+      quoteRevise: 'POST /api/quotes/:id/revise',
+      quoteVersions: 'GET /api/quotes/:id/versions',
+      quoteDelivery: 'GET /api/quotes/:id/delivery',
+      quoteMessages: 'GET /api/quotes/:id/messages',
+      quoteReply: 'POST /api/quotes/:id/messages',
+      quoteMessageMedia: 'GET /api/quotes/:id/messages/:messageId/media',
+      adminAliases: 'GET /api/admin/aliases',
+      adminKits: 'GET /api/admin/kits',
+      adminPricing: 'GET /api/admin/tenants/:id/pricing',
+      adminFollowup: 'GET /api/admin/tenants/:id/followup',
+      adminOdooAutomation: 'GET /api/admin/tenants/:id/odoo-automation',
+      adminStock: 'GET /api/admin/tenants/:id/stock',
+      adminWhatsapp: 'GET /api/admin/tenants/:id/whatsapp',
+      adminSuppliers: 'GET /api/admin/tenants/:id/suppliers',
+      adminCatalogConfig: 'GET /api/admin/tenants/:id/catalog',
+      adminJobs: 'GET /api/admin/jobs',
+      adminTemplates: 'GET /api/admin/templates/:name/preview',
+      adminPriceLists: 'POST /api/admin/price-lists/import',
+      adminCrossReferences: 'POST /api/admin/cross-references/import',
+      adminCatalogStats: 'GET /api/admin/catalog/stats',
       whatsapp: 'POST /webhooks/waba',
     },
   });
@@ -92,6 +122,17 @@ app.get('/', (_req, res) => {
 app.use('/api/health', healthRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/debug', debugRoutes);
+app.use('/api/quotes', quoteRoutes);
+
+// Admin API (x-admin-api-key)
+app.use('/api/admin/aliases', adminAliasRoutes);
+app.use('/api/admin/kits', adminKitRoutes);
+app.use('/api/admin/tenants', adminTenantRoutes);
+app.use('/api/admin/jobs', adminJobRoutes);
+app.use('/api/admin/templates', adminTemplateRoutes);
+app.use('/api/admin/price-lists', adminPriceListRoutes);
+app.use('/api/admin/cross-references', adminCrossRefRoutes);
+app.use('/api/admin/catalog', adminCatalogRoutes);
 
 // WhatsApp Business API webhook (customer channel only)
 app.use('/webhooks/waba', wabaRoutes);
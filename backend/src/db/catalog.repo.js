@@ -4,8 +4,9 @@ const { getPrisma } = require('../services/prisma.service');
 const logger = require('../utils/logger');
 
 /**
- * Query catalog cache by group_name and type_code. Returns array of { _id, ...data }.
- * If multiple exist, use newest by created_at (take first after ordering desc).
+ * Query catalog cache by group_name and type_code. Returns array of { _id, ...data }
+ * (scraped_at = when the groups were scraped). If multiple exist, use newest by
+ * created_at (take first after ordering desc).
  */
 async function queryCatalogResults(groupName, typeCode, correlationId) {
   const log = correlationId ? logger.child(correlationId) : logger;
@@ -22,22 +23,153 @@ async function queryCatalogResults(groupName, typeCode, correlationId) {
 }
 
 /**
- * Save catalog result (one document per call).
+ * Save catalog result (one document per call). Replaces the entries cached for
+ * the same group_name and type_code; returns the new entry.
  */
 async function saveCatalogResult(data, correlationId) {
   const log = correlationId ? logger.child(correlationId) : logger;
   log.debug('catalog.saveCatalogResult');
   const prisma = getPrisma();
-  await prisma.catalogResult.create({
-    data: {
-      type_code: data.type_code ?? null,
-      series: data.series ?? null,
-      model: data.model ?? null,
-      engine: data.engine ?? null,
-      group_name: data.group_name ?? '',
-      subgroups: data.subgroups ?? [],
+  const groupName = data.group_name ?? '';
+  const typeCode = data.type_code ?? null;
+  const [, row] = await prisma.$transaction([
+    prisma.catalogResult.deleteMany({ where: { group_name: groupName, type_code: typeCode } }),
+    prisma.catalogResult.create({
+      data: {
+        type_code: typeCode,
+        series: data.series ?? null,
+        model: data.model ?? null,
+        engine: data.engine ?? null,
+        group_name: groupName,
+        subgroups: data.subgroups ?? [],
+        scraped_at: new Date(),
+      },
+    }),
+  ]);
+  return { _id: row.id, ...row };
+}
+
+/**
+ * Drop cached entries (invalidation). At least one of typeCode / groupName.
+ * Returns the number of entries removed.
+ */
+async function deleteCatalogResults({ typeCode, groupName } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const where = {
+    ...(typeCode ? { type_code: typeCode } : {}),
+    ...(groupName ? { group_name: groupName } : {}),
+  };
+  if (!Object.keys(where).length) return 0;
+  const { count } = await prisma.catalogResult.deleteMany({ where });
+  log.info('catalog.deleteCatalogResults', { typeCode, groupName, count });
+  return count;
+}
+
+/**
+ * Find catalog lines by part number across cached subgroups for one type_code.
+ * partNumbers must be normalized (digits only); catalog values are compared the
+ * same way. Returns [{ part_number, description, item_no, subgroup, diagram_url,
+ * group_name, original_part }] in the order of partNumbers.
+ */
+async function findPartNumbers(partNumbers, typeCode, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('catalog.findPartNumbers', { partNumbers, typeCode });
+  if (!partNumbers || !partNumbers.length || !typeCode) return [];
+  const prisma = getPrisma();
+  const rows = await prisma.catalogResult.findMany({
+    where: { type_code: typeCode },
+    orderBy: { created_at: 'desc' },
+    select: { group_name: true, subgroups: true },
+  });
+  const found = new Map();
+  for (const row of rows) {
+    for (const sg of Array.isArray(row.subgroups) ? row.subgroups : []) {
+      for (const part of Array.isArray(sg.parts) ? sg.parts : []) {
+        const pn = String(part.part_number || '').replace(/[\s.-]/g, '');
+        if (!partNumbers.includes(pn) || found.has(pn)) continue;
+        found.set(pn, {
+          part_number: pn,
+          description: part.description || null,
+          item_no: part.item_no || null,
+          subgroup: sg.subgroup ?? null,
+          diagram_url: sg.diagram_image ?? null,
+          group_name: row.group_name,
+          original_part: part,
+        });
+      }
+    }
+  }
+  return partNumbers.filter((pn) => found.has(pn)).map((pn) => found.get(pn));
+}
+
+const STAT_FIELDS = { hit: 'hits', stale: 'stale_hits', miss: 'misses' };
+
+/** Count one cache lookup (outcome: hit | stale | miss) in today's stats. */
+async function recordCacheLookup(outcome, tenantId) {
+  const field = STAT_FIELDS[outcome];
+  if (!field) return;
+  const prisma = getPrisma();
+  const day = new Date();
+  day.setUTCHours(0, 0, 0, 0);
+  const tenant = tenantId || '';
+  await prisma.catalogCacheStat.upsert({
+    where: { day_tenant_id: { day, tenant_id: tenant } },
+    create: { day, tenant_id: tenant, [field]: 1 },
+    update: { [field]: { increment: 1 } },
+  });
+}
+
+/**
+ * Daily lookup counts since a date, oldest first, summed over tenants unless
+ * tenantId is given. Returns [{ day: 'YYYY-MM-DD', hits, stale_hits, misses }].
+ */
+async function getCacheStats({ since, tenantId } = {}) {
+  const prisma = getPrisma();
+  const rows = await prisma.catalogCacheStat.groupBy({
+    by: ['day'],
+    where: {
+      ...(since ? { day: { gte: since } } : {}),
+      ...(tenantId != null ? { tenant_id: tenantId } : {}),
     },
+    _sum: { hits: true, stale_hits: true, misses: true },
+    orderBy: { day: 'asc' },
   });
+  return rows.map((r) => ({
+    day: r.day.toISOString().slice(0, 10),
+    hits: r._sum.hits || 0,
+    stale_hits: r._sum.stale_hits || 0,
+    misses: r._sum.misses || 0,
+  }));
+}
+
+/**
+ * What the cache holds: entries, how many were scraped before staleBefore,
+ * type_codes covered and the oldest / newest scrape.
+ */
+async function getCacheCoverage(staleBefore) {
+  const prisma = getPrisma();
+  const [entries, stale, typeCodes, range] = await Promise.all([
+    prisma.catalogResult.count(),
+    prisma.catalogResult.count({ where: { scraped_at: { lt: staleBefore } } }),
+    prisma.catalogResult.groupBy({ by: ['type_code'], _count: { _all: true } }),
+    prisma.catalogResult.aggregate({ _min: { scraped_at: true }, _max: { scraped_at: true } }),
+  ]);
+  return {
+    entries,
+    stale_entries: stale,
+    type_codes: typeCodes.filter((t) => t.type_code).length,
+    oldest_scraped_at: range._min.scraped_at ?? null,
+    newest_scraped_at: range._max.scraped_at ?? null,
+  };
 }
 
-module.exports = { queryCatalogResults, saveCatalogResult };
+module.exports = {
+  queryCatalogResults,
+  saveCatalogResult,
+  deleteCatalogResults,
+  findPartNumbers,
+  recordCacheLookup,
+  getCacheStats,
+  getCacheCoverage,
+};
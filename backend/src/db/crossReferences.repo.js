@@ -0,0 +1,139 @@
+'use strict';
+
+const { getPrisma } = require('../services/prisma.service');
+const { partNumberKey } = require('../utils/partNumber');
+const logger = require('../utils/logger');
+
+/**
+ * Aftermarket cross-references: OEM number ↔ equivalent brand numbers
+ * (file format: services/crossRef.service.js).
+ */
+
+function crossRefToShape(row) {
+  return {
+    _id: row.id,
+    oe_number: row.oe_number,
+    brand: row.brand,
+    part_number: row.part_number,
+    source: row.source ?? null,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Store parsed cross-reference lines (crossRef.parseCrossRefRows items).
+ * Lines already known are kept as they are; with replace, the lines previously
+ * imported from the same source and missing from this file are removed.
+ *
+ * @returns {Promise<{ created: number, existing: number, removed: number }>}
+ */
+async function importCrossReferences(items, { source = null, replace = false } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+
+  const result = await prisma.$transaction(async (tx) => {
+    let removed = 0;
+    if (replace && source) {
+      const keep = new Set(items.map((i) => `${i.oe_number}|${i.brand}|${i.part_number_key}`));
+      const current = await tx.partCrossReference.findMany({
+        where: { source },
+        select: { id: true, oe_number: true, brand: true, part_number_key: true },
+      });
+      const stale = current.filter((r) => !keep.has(`${r.oe_number}|${r.brand}|${r.part_number_key}`)).map((r) => r.id);
+      if (stale.length) {
+        removed = (await tx.partCrossReference.deleteMany({ where: { id: { in: stale } } })).count;
+      }
+    }
+    const { count: created } = await tx.partCrossReference.createMany({
+      data: items.map((i) => ({ ...i, source })),
+      skipDuplicates: true,
+    });
+    return { created, existing: items.length - created, removed };
+  }, { timeout: 60000 });
+
+  log.info('crossReferences.importCrossReferences', { source, lines: items.length, ...result });
+  return result;
+}
+
+/** Cross-references; q = OEM or aftermarket number prefix. */
+async function listCrossReferences({ q, brand, source, limit = 50, offset = 0 } = {}) {
+  const prisma = getPrisma();
+  const key = q ? partNumberKey(q) : '';
+  const where = {
+    ...(key ? { OR: [{ oe_number: { startsWith: key } }, { part_number_key: { startsWith: key } }] } : {}),
+    ...(brand ? { brand: { equals: String(brand), mode: 'insensitive' } } : {}),
+    ...(source ? { source: String(source) } : {}),
+  };
+  const [rows, total] = await Promise.all([
+    prisma.partCrossReference.findMany({
+      where,
+      orderBy: [{ oe_number: 'asc' }, { brand: 'asc' }],
+      take: limit,
+      skip: offset,
+    }),
+    prisma.partCrossReference.count({ where }),
+  ]);
+  return { cross_references: rows.map(crossRefToShape), total };
+}
+
+/** Delete one line. Returns false if not found. */
+async function deleteCrossReference(id) {
+  const prisma = getPrisma();
+  const { count } = await prisma.partCrossReference.deleteMany({ where: { id } });
+  return count > 0;
+}
+
+/**
+ * Equivalent numbers of some part numbers, in both directions: an OEM number
+ * gives its aftermarket equivalents; an aftermarket number gives its OEM
+ * number(s) and their other equivalents.
+ *
+ * @param {string[]} partNumbers
+ * @returns {Promise<Map<string, { oe_numbers: string[], aftermarket: { brand, part_number }[] }>>}
+ *   input part number → equivalents (oe_numbers excludes the part number itself)
+ */
+async function findEquivalents(partNumbers, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const keys = new Map((partNumbers || []).map((pn) => [pn, partNumberKey(pn)]));
+  const wanted = [...new Set(keys.values())].filter(Boolean);
+  const result = new Map([...keys.keys()].map((pn) => [pn, { oe_numbers: [], aftermarket: [] }]));
+  if (!wanted.length) return result;
+
+  const direct = await prisma.partCrossReference.findMany({
+    where: { OR: [{ oe_number: { in: wanted } }, { part_number_key: { in: wanted } }] },
+    select: { oe_number: true, part_number_key: true },
+  });
+  // OEM numbers per key: the key itself if it is one, else the OEM numbers it is an equivalent of
+  const oeByKey = new Map(wanted.map((key) => [key, new Set()]));
+  for (const row of direct) {
+    if (oeByKey.has(row.oe_number)) oeByKey.get(row.oe_number).add(row.oe_number);
+    if (oeByKey.has(row.part_number_key)) oeByKey.get(row.part_number_key).add(row.oe_number);
+  }
+  const allOe = [...new Set([...oeByKey.values()].flatMap((set) => [...set]))];
+  if (!allOe.length) return result;
+
+  const rows = await prisma.partCrossReference.findMany({
+    where: { oe_number: { in: allOe } },
+    orderBy: [{ brand: 'asc' }, { part_number: 'asc' }],
+  });
+  for (const [pn, key] of keys) {
+    const oeNumbers = oeByKey.get(key) || new Set();
+    result.set(pn, {
+      oe_numbers: [...oeNumbers].filter((n) => n !== key),
+      aftermarket: rows
+        .filter((r) => oeNumbers.has(r.oe_number) && r.part_number_key !== key)
+        .filter((r, i, all) => all.findIndex((o) => o.part_number_key === r.part_number_key && o.brand === r.brand) === i)
+        .map((r) => ({ brand: r.brand, part_number: r.part_number })),
+    });
+  }
+  log.debug('crossReferences.findEquivalents', { parts: wanted.length, oeNumbers: allOe.length, rows: rows.length });
+  return result;
+}
+
+module.exports = {
+  importCrossReferences,
+  listCrossReferences,
+  deleteCrossReference,
+  findEquivalents,
+};
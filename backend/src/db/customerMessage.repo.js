@@ -0,0 +1,86 @@
+'use strict';
+
+const { getPrisma } = require('../services/prisma.service');
+const logger = require('../utils/logger');
+
+function toShape(row) {
+  if (!row) return null;
+  return {
+    _id: row.id,
+    quote_id: row.quote_id ?? null,
+    wa_id: row.wa_id,
+    direction: row.direction.toLowerCase(),
+    type: row.type,
+    body: row.body ?? null,
+    media_id: row.media_id ?? null,
+    mime_type: row.mime_type ?? null,
+    wa_message_id: row.wa_message_id ?? null,
+    sent_by: row.sent_by ?? null,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Store one customer conversation message.
+ * A redelivered webhook (same wa_message_id) returns the stored row with duplicate: true.
+ */
+async function createCustomerMessage(data, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  if (data.wa_message_id) {
+    const existing = await prisma.customerMessage.findUnique({ where: { wa_message_id: data.wa_message_id } });
+    if (existing) {
+      log.debug('customerMessage.create: duplicate', { wa_message_id: data.wa_message_id });
+      return { ...toShape(existing), duplicate: true };
+    }
+  }
+  const row = await prisma.customerMessage.create({
+    data: {
+      quote_id: data.quote_id ?? null,
+      wa_id: String(data.wa_id),
+      direction: data.direction === 'outbound' ? 'OUTBOUND' : 'INBOUND',
+      type: data.type || 'text',
+      body: data.body ?? null,
+      media_id: data.media_id ?? null,
+      mime_type: data.mime_type ?? null,
+      wa_message_id: data.wa_message_id ?? null,
+      sent_by: data.sent_by ?? null,
+    },
+  });
+  log.debug('customerMessage.create', { id: row.id, direction: row.direction, type: row.type });
+  return toShape(row);
+}
+
+async function getCustomerMessage(id, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('customerMessage.get', { id });
+  const prisma = getPrisma();
+  return toShape(await prisma.customerMessage.findUnique({ where: { id } }));
+}
+
+/** Conversation of one quote, oldest first. */
+async function listQuoteMessages(quoteId, { limit = 200 } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const rows = await prisma.customerMessage.findMany({
+    where: { quote_id: quoteId },
+    orderBy: { created_at: 'asc' },
+    take: limit,
+  });
+  log.debug('customerMessage.listQuoteMessages', { quoteId, count: rows.length });
+  return rows.map(toShape);
+}
+
+/** Latest message the customer sent (any quote) — opens the 24h service window. */
+async function getLastInbound(waId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const row = await prisma.customerMessage.findFirst({
+    where: { wa_id: String(waId), direction: 'INBOUND' },
+    orderBy: { created_at: 'desc' },
+  });
+  log.debug('customerMessage.getLastInbound', { found: Boolean(row) });
+  return toShape(row);
+}
+
+module.exports = { createCustomerMessage, getCustomerMessage, listQuoteMessages, getLastInbound };
@@ -37,4 +37,36 @@ async function logInboundEvent(options, correlationId) {
   }
 }
 
-module.exports = { logInboundEvent };
+/**
+ * Atomically claim an inbound message id (e.g. WhatsApp wamid) before processing it.
+ * Returns false when the id was already claimed — a webhook redelivery to skip.
+ * Release it (releaseInboundMessage) when processing fails so a redelivery is processed.
+ */
+async function claimInboundMessage(channel, externalId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  try {
+    await prisma.inboundClaim.create({ data: { channel, external_id: String(externalId) } });
+    return true;
+  } catch (err) {
+    if (err.code === 'P2002') {
+      log.info('inboundEvent.claim: already processed', { channel, externalId });
+      return false;
+    }
+    throw err;
+  }
+}
+
+/** Drop a claim whose processing failed. Never throws; logs on failure. */
+async function releaseInboundMessage(channel, externalId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  try {
+    const prisma = getPrisma();
+    await prisma.inboundClaim.deleteMany({ where: { channel, external_id: String(externalId) } });
+    log.info('inboundEvent.release: claim released', { channel, externalId });
+  } catch (err) {
+    log.warn('inboundEvent.release: failed', { channel, externalId, error: err.message });
+  }
+}
+
+module.exports = { logInboundEvent, claimInboundMessage, releaseInboundMessage };
@@ -0,0 +1,245 @@
+'use strict';
+
+const { getPrisma } = require('../services/prisma.service');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const JOB_STATUSES = ['pending', 'running', 'succeeded', 'dead', 'cancelled'];
+
+function jobToShape(row) {
+  if (!row) return null;
+  return {
+    _id: row.id,
+    type: row.type,
+    payload: row.payload,
+    status: row.status.toLowerCase(),
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    run_at: row.run_at,
+    locked_at: row.locked_at ?? null,
+    locked_by: row.locked_by ?? null,
+    last_error: row.last_error ?? null,
+    result: row.result ?? null,
+    dedupe_key: row.dedupe_key ?? null,
+    tenant_id: row.tenant_id ?? null,
+    quote_id: row.quote_id ?? null,
+    correlation_id: row.correlation_id ?? null,
+    completed_at: row.completed_at ?? null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Insert a PENDING job. With a dedupe_key, enqueueing the same key again
+ * returns the existing job (duplicate: true) instead of a second side effect.
+ */
+async function enqueueJob(type, payload, options = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const data = {
+    type,
+    payload: payload ?? {},
+    max_attempts: options.maxAttempts ?? undefined,
+    run_at: options.runAt ?? undefined,
+    dedupe_key: options.dedupeKey ?? null,
+    tenant_id: options.tenantId ?? null,
+    quote_id: options.quoteId ?? null,
+    correlation_id: correlationId ?? null,
+  };
+  try {
+    const row = await prisma.job.create({ data });
+    log.debug('job.enqueue', { id: row.id, type });
+    return jobToShape(row);
+  } catch (err) {
+    if (err.code === 'P2002' && data.dedupe_key) {
+      const existing = await prisma.job.findUnique({ where: { dedupe_key: data.dedupe_key } });
+      log.info('job.enqueue: duplicate dedupe_key', { type, dedupeKey: data.dedupe_key });
+      return { ...jobToShape(existing), duplicate: true };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Atomically lock the next due PENDING job (FOR UPDATE SKIP LOCKED, so several
+ * server processes can share the queue) and count the attempt.
+ */
+async function claimNextJob(workerId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const rows = await prisma.$queryRaw`
+    UPDATE "Job"
+    SET status = 'RUNNING', locked_at = NOW(), locked_by = ${workerId},
+        attempts = attempts + 1, updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM "Job"
+      WHERE status = 'PENDING' AND run_at <= NOW()
+      ORDER BY run_at ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`;
+  if (!rows.length) return null;
+  log.debug('job.claim', { id: rows[0].id, type: rows[0].type });
+  return jobToShape(rows[0]);
+}
+
+async function completeJob(jobId, result, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const row = await prisma.job.update({
+    where: { id: jobId },
+    data: {
+      status: 'SUCCEEDED',
+      result: result === undefined ? undefined : result,
+      last_error: null,
+      locked_at: null,
+      locked_by: null,
+      completed_at: new Date(),
+    },
+  });
+  log.debug('job.complete', { id: jobId });
+  return jobToShape(row);
+}
+
+/** Store a RUNNING job's partial result (e.g. a message already sent), kept for its retries. */
+async function saveJobResult(jobId, result, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  await prisma.job.update({ where: { id: jobId }, data: { result } });
+  log.debug('job.saveResult', { id: jobId });
+}
+
+/**
+ * Record a failed attempt: back to PENDING at retryAt, or DEAD when the job
+ * is out of attempts (retryAt null).
+ */
+async function failJob(jobId, errorMessage, retryAt, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const row = await prisma.job.update({
+    where: { id: jobId },
+    data: {
+      status: retryAt ? 'PENDING' : 'DEAD',
+      run_at: retryAt ?? undefined,
+      last_error: String(errorMessage || 'unknown error').slice(0, 2000),
+      locked_at: null,
+      locked_by: null,
+      completed_at: retryAt ? null : new Date(),
+    },
+  });
+  log.debug('job.fail', { id: jobId, status: row.status });
+  return jobToShape(row);
+}
+
+/** RUNNING jobs locked before `lockedBefore` (crashed / restarted worker) go back to PENDING. */
+async function releaseStaleJobs(lockedBefore, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const { count } = await prisma.job.updateMany({
+    where: { status: 'RUNNING', locked_at: { lt: lockedBefore } },
+    data: { status: 'PENDING', locked_at: null, locked_by: null, run_at: new Date() },
+  });
+  if (count) log.warn('job.releaseStale: requeued stale jobs', { count });
+  return count;
+}
+
+/** Job enqueued with this dedupe_key, or null. */
+async function getJobByDedupeKey(dedupeKey, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('job.getByDedupeKey', { dedupeKey });
+  const prisma = getPrisma();
+  return jobToShape(await prisma.job.findUnique({ where: { dedupe_key: dedupeKey } }));
+}
+
+async function getJob(jobId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('job.get', { jobId });
+  const prisma = getPrisma();
+  return jobToShape(await prisma.job.findUnique({ where: { id: jobId } }));
+}
+
+/** Newest first. status: pending | running | succeeded | dead | cancelled. */
+async function listJobs({ status, type, quoteId, limit = 50 } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const where = {};
+  if (status) {
+    if (!JOB_STATUSES.includes(status)) throw new AppError(`status must be one of: ${JOB_STATUSES.join(', ')}`, 400);
+    where.status = status.toUpperCase();
+  }
+  if (type) where.type = type;
+  if (quoteId) where.quote_id = quoteId;
+  const rows = await prisma.job.findMany({
+    where,
+    orderBy: { created_at: 'desc' },
+    take: Math.min(Math.max(Number(limit) || 50, 1), 500),
+  });
+  log.debug('job.list', { count: rows.length });
+  return rows.map(jobToShape);
+}
+
+/** Job counts per status. */
+async function countJobsByStatus(correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const groups = await prisma.job.groupBy({ by: ['status'], _count: { _all: true } });
+  log.debug('job.countByStatus', { groups: groups.length });
+  const counts = Object.fromEntries(JOB_STATUSES.map((s) => [s, 0]));
+  for (const g of groups) counts[g.status.toLowerCase()] = g._count._all;
+  return counts;
+}
+
+/**
+ * Run a DEAD / CANCELLED job again (or a PENDING one now), with a fresh set of attempts.
+ * Throws AppError 404 / 409 (running or already succeeded).
+ */
+async function retryJob(jobId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const existing = await prisma.job.findUnique({ where: { id: jobId } });
+  if (!existing) throw new AppError('Job not found', 404);
+  if (!['DEAD', 'CANCELLED', 'PENDING'].includes(existing.status)) {
+    throw new AppError(`Job is ${existing.status.toLowerCase()} and cannot be retried`, 409);
+  }
+  const row = await prisma.job.update({
+    where: { id: jobId },
+    data: { status: 'PENDING', attempts: 0, run_at: new Date(), completed_at: null },
+  });
+  log.info('job.retry', { id: jobId, type: row.type });
+  return jobToShape(row);
+}
+
+/** Cancel a PENDING or DEAD job. Throws AppError 404 / 409. */
+async function cancelJob(jobId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const { count } = await prisma.job.updateMany({
+    where: { id: jobId, status: { in: ['PENDING', 'DEAD'] } },
+    data: { status: 'CANCELLED', completed_at: new Date() },
+  });
+  if (!count) {
+    const existing = await prisma.job.findUnique({ where: { id: jobId } });
+    if (!existing) throw new AppError('Job not found', 404);
+    throw new AppError(`Job is ${existing.status.toLowerCase()} and cannot be cancelled`, 409);
+  }
+  log.info('job.cancel', { id: jobId });
+  return getJob(jobId, correlationId);
+}
+
+module.exports = {
+  JOB_STATUSES,
+  enqueueJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  saveJobResult,
+  releaseStaleJobs,
+  getJob,
+  getJobByDedupeKey,
+  listJobs,
+  countJobsByStatus,
+  retryJob,
+  cancelJob,
+};
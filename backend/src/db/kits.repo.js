@@ -0,0 +1,233 @@
+'use strict';
+
+const { getPrisma } = require('../services/prisma.service');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Kits (replacing the Kits Google Sheet). A kit is a named set of part lines;
+ * each line can be limited to some series ("G30") and/or engines ("B48" —
+ * prefix of the vehicle's engine code). Lines with neither apply to every car.
+ */
+
+const PARTS_INCLUDE = { parts: { orderBy: { position: 'asc' } } };
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  if (value == null) return [];
+  return String(value).split(/[,،]/).map((v) => v.trim()).filter(Boolean);
+}
+
+function kitToShape(kit) {
+  if (!kit) return null;
+  return {
+    _id: kit.id,
+    kit_code: kit.kit_code,
+    kit_name_ar: kit.kit_name_ar,
+    kit_name_en: kit.kit_name_en,
+    aliases: kit.aliases,
+    category: kit.category,
+    notes: kit.notes,
+    active: kit.active,
+    parts: (kit.parts || []).map((p) => ({
+      _id: p.id,
+      part_name: p.part_name,
+      series: p.series,
+      engines: p.engines,
+    })),
+    created_at: kit.created_at,
+    updated_at: kit.updated_at,
+  };
+}
+
+/**
+ * Accepts part lines as strings or { part_name, series?, engines? } (lists may be
+ * arrays or comma-separated). Throws AppError 400 on a line without a name.
+ */
+function normalizeParts(parts) {
+  return (Array.isArray(parts) ? parts : splitList(parts)).map((p, i) => {
+    const line = typeof p === 'string' ? { part_name: p } : (p || {});
+    const partName = String(line.part_name || '').trim();
+    if (!partName) throw new AppError(`parts[${i}].part_name is required`, 400);
+    return {
+      position: i,
+      part_name: partName,
+      series: splitList(line.series).map((s) => s.toUpperCase()),
+      engines: splitList(line.engines).map((e) => e.toUpperCase()),
+    };
+  });
+}
+
+function kitData(data) {
+  const out = {};
+  for (const key of ['kit_name_ar', 'kit_name_en']) {
+    if (data[key] !== undefined) out[key] = String(data[key] || '').trim();
+  }
+  for (const key of ['category', 'notes']) {
+    if (data[key] !== undefined) out[key] = data[key] ? String(data[key]).trim() : null;
+  }
+  if (data.aliases !== undefined) out.aliases = splitList(data.aliases);
+  if (data.active !== undefined) out.active = Boolean(data.active);
+  return out;
+}
+
+/** Active kits with their part lines, for kit matching. */
+async function getActiveKits(correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const rows = await prisma.kit.findMany({
+    where: { active: true },
+    include: PARTS_INCLUDE,
+    orderBy: { kit_code: 'asc' },
+  });
+  log.debug('kits.getActiveKits', { count: rows.length });
+  return rows.map(kitToShape);
+}
+
+async function getKitByCode(kitCode, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('kits.getKitByCode', { kitCode });
+  const prisma = getPrisma();
+  return kitToShape(await prisma.kit.findUnique({ where: { kit_code: kitCode }, include: PARTS_INCLUDE }));
+}
+
+/**
+ * Part names of a kit that apply to a vehicle (quote.vehicle_details).
+ * Without vehicle details only the unrestricted lines are returned.
+ */
+function partsForVehicle(kit, vehicle) {
+  const series = String(vehicle?.series || '').toUpperCase();
+  const engine = String(vehicle?.engine || '').toUpperCase();
+  return (kit?.parts || [])
+    .filter((p) =>
+      (!p.series.length || (series && p.series.includes(series))) &&
+      (!p.engines.length || (engine && p.engines.some((e) => engine.startsWith(e))))
+    )
+    .map((p) => p.part_name);
+}
+
+/**
+ * Kit in the Kits-sheet row shape expected by ai.matchKit
+ * (comma-separated aliases / parts_list).
+ */
+function toSheetRow(kit) {
+  return {
+    kit_code: kit.kit_code,
+    kit_name_ar: kit.kit_name_ar,
+    kit_name_en: kit.kit_name_en,
+    aliases: kit.aliases.join(', '),
+    category: kit.category || '',
+    parts_list: [...new Set(kit.parts.map((p) => p.part_name))].join(', '),
+    notes: kit.notes || '',
+  };
+}
+
+/* ─── Admin ──────────────────────────────────────────────────────────────── */
+
+async function listKits({ q, category, active, limit = 50, offset = 0 } = {}) {
+  const prisma = getPrisma();
+  const where = {};
+  if (category) where.category = category;
+  if (active != null) where.active = active;
+  if (q) {
+    where.OR = [
+      { kit_code: { contains: q, mode: 'insensitive' } },
+      { kit_name_ar: { contains: q } },
+      { kit_name_en: { contains: q, mode: 'insensitive' } },
+      { aliases: { has: q } },
+    ];
+  }
+  const [rows, total] = await Promise.all([
+    prisma.kit.findMany({ where, include: PARTS_INCLUDE, orderBy: { kit_code: 'asc' }, take: limit, skip: offset }),
+    prisma.kit.count({ where }),
+  ]);
+  return { kits: rows.map(kitToShape), total };
+}
+
+async function getKit(id) {
+  const prisma = getPrisma();
+  return kitToShape(await prisma.kit.findUnique({ where: { id }, include: PARTS_INCLUDE }));
+}
+
+async function createKit(data, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const kitCode = String(data.kit_code || '').trim();
+  if (!kitCode) throw new AppError('kit_code is required', 400);
+  const parts = normalizeParts(data.parts);
+  const prisma = getPrisma();
+  const kit = await prisma.kit.create({
+    data: { kit_code: kitCode, ...kitData(data), parts: { create: parts } },
+    include: PARTS_INCLUDE,
+  });
+  log.info('kits.createKit', { kit_code: kit.kit_code, parts: parts.length });
+  return kitToShape(kit);
+}
+
+/** Partial update; `parts`, when given, replaces all part lines. */
+async function updateKit(id, data, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const update = kitData(data);
+  if (data.kit_code !== undefined) {
+    update.kit_code = String(data.kit_code || '').trim();
+    if (!update.kit_code) throw new AppError('kit_code cannot be empty', 400);
+  }
+  const parts = data.parts !== undefined ? normalizeParts(data.parts) : null;
+  const prisma = getPrisma();
+  const kit = await prisma.$transaction(async (tx) => {
+    if (parts) {
+      await tx.kitPart.deleteMany({ where: { kit_id: id } });
+      update.parts = { create: parts };
+    }
+    return tx.kit.update({ where: { id }, data: update, include: PARTS_INCLUDE });
+  });
+  log.info('kits.updateKit', { kit_code: kit.kit_code, partsReplaced: Boolean(parts) });
+  return kitToShape(kit);
+}
+
+async function deleteKit(id) {
+  const prisma = getPrisma();
+  await prisma.kit.delete({ where: { id } });
+}
+
+/**
+ * One-shot import of Kits-sheet rows (sheets.getAllKits shape). Upserts by
+ * kit_code; an existing kit's part lines are replaced by the sheet's parts_list.
+ * Returns { created, updated, skipped }.
+ */
+async function importSheetKits(rows, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const result = { created: 0, updated: 0, skipped: 0 };
+  for (const row of rows || []) {
+    const kitCode = String(row.kit_code || '').trim();
+    if (!kitCode) { result.skipped++; continue; }
+    const data = kitData({
+      kit_name_ar: row.kit_name_ar, kit_name_en: row.kit_name_en,
+      aliases: row.aliases, category: row.category, notes: row.notes,
+    });
+    const parts = splitList(row.parts_list);
+    const existing = await prisma.kit.findUnique({ where: { kit_code: kitCode } });
+    if (existing) {
+      await updateKit(existing.id, { ...data, parts }, correlationId);
+      result.updated++;
+    } else {
+      await createKit({ kit_code: kitCode, ...data, parts }, correlationId);
+      result.created++;
+    }
+  }
+  log.info('kits.importSheetKits', result);
+  return result;
+}
+
+module.exports = {
+  getActiveKits,
+  getKitByCode,
+  partsForVehicle,
+  toSheetRow,
+  listKits,
+  getKit,
+  createKit,
+  updateKit,
+  deleteKit,
+  importSheetKits,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const { getPrisma } = require('../services/prisma.service');
+const { partNameKey } = require('../utils/partName');
+const logger = require('../utils/logger');
+
+/**
+ * Learned aliases: free-text part names the agents confirmed (or rejected) as a
+ * given part number. Used by part.flow as a first-tier lookup before the Sheets
+ * alias map and ai.categorizePart.
+ *
+ * weight = confirmed_count - rejected_count; only aliases with weight > 0 are
+ * returned by lookup. Rows are scoped per type_code; promoted rows apply to
+ * every vehicle.
+ */
+
+/** Aliases are stored by partNameKey, so Arabic / Arabizi spellings of one name share a row. */
+function normalizeAlias(text) {
+  return partNameKey(text);
+}
+
+function aliasToShape(row) {
+  if (!row) return null;
+  return {
+    _id: row.id,
+    alias: row.alias,
+    type_code: row.type_code,
+    part_number: row.part_number,
+    main_group: row.main_group,
+    description: row.description,
+    confirmed_count: row.confirmed_count,
+    rejected_count: row.rejected_count,
+    weight: row.confirmed_count - row.rejected_count,
+    status: row.status,
+    last_confirmed_at: row.last_confirmed_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Learned matches for a part name on one vehicle type, strongest first.
+ * Rows for the exact type_code win ties over promoted / vehicle-independent rows.
+ */
+async function lookup(partName, typeCode, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const alias = normalizeAlias(partName);
+  if (!alias) return [];
+  const prisma = getPrisma();
+  const rows = await prisma.learnedAlias.findMany({
+    where: {
+      alias,
+      OR: [{ type_code: typeCode || '' }, { type_code: '' }, { status: 'promoted' }],
+    },
+  });
+  const hits = rows
+    .map(aliasToShape)
+    .filter((a) => a.weight > 0)
+    .sort((a, b) =>
+      b.weight - a.weight ||
+      Number(b.type_code === (typeCode || '')) - Number(a.type_code === (typeCode || ''))
+    );
+  log.debug('learnedAlias.lookup', { alias, typeCode, hits: hits.length });
+  return hits;
+}
+
+async function record(data, field, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const alias = normalizeAlias(data.alias);
+  if (!alias || !data.part_number) return null;
+  const prisma = getPrisma();
+  const key = { alias, type_code: data.type_code || '', part_number: String(data.part_number) };
+  const confirmed = field === 'confirmed_count';
+  const row = await prisma.learnedAlias.upsert({
+    where: { alias_type_code_part_number: key },
+    create: {
+      ...key,
+      main_group: data.main_group ?? null,
+      description: data.description ?? null,
+      confirmed_count: confirmed ? 1 : 0,
+      rejected_count: confirmed ? 0 : 1,
+      last_confirmed_at: confirmed ? new Date() : null,
+    },
+    update: {
+      [field]: { increment: 1 },
+      ...(confirmed ? { last_confirmed_at: new Date() } : {}),
+      ...(data.main_group ? { main_group: data.main_group } : {}),
+      ...(data.description ? { description: data.description } : {}),
+    },
+  });
+  log.info(`learnedAlias.${confirmed ? 'confirm' : 'reject'}`, { alias, part_number: key.part_number, type_code: key.type_code });
+  return aliasToShape(row);
+}
+
+/** Agent confirmed that `alias` means `part_number` on this vehicle type. */
+function recordConfirmation(data, correlationId) {
+  return record(data, 'confirmed_count', correlationId);
+}
+
+/** Agent rejected `part_number` as a match for `alias`. */
+function recordRejection(data, correlationId) {
+  return record(data, 'rejected_count', correlationId);
+}
+
+/* ─── Admin ──────────────────────────────────────────────────────────────── */
+
+async function listAliases({ type_code, status, q, limit = 50, offset = 0 } = {}) {
+  const prisma = getPrisma();
+  const where = {};
+  if (type_code != null) where.type_code = type_code;
+  if (status) where.status = status;
+  if (q) where.alias = { contains: normalizeAlias(q) };
+  const [rows, total] = await Promise.all([
+    prisma.learnedAlias.findMany({
+      where,
+      orderBy: [{ confirmed_count: 'desc' }, { updated_at: 'desc' }],
+      take: limit,
+      skip: offset,
+    }),
+    prisma.learnedAlias.count({ where }),
+  ]);
+  return { aliases: rows.map(aliasToShape), total };
+}
+
+async function getAlias(id) {
+  const prisma = getPrisma();
+  return aliasToShape(await prisma.learnedAlias.findUnique({ where: { id } }));
+}
+
+async function promoteAlias(id) {
+  const prisma = getPrisma();
+  return aliasToShape(await prisma.learnedAlias.update({ where: { id }, data: { status: 'promoted' } }));
+}
+
+async function deleteAlias(id) {
+  const prisma = getPrisma();
+  await prisma.learnedAlias.delete({ where: { id } });
+}
+
+module.exports = {
+  normalizeAlias,
+  lookup,
+  recordConfirmation,
+  recordRejection,
+  listAliases,
+  getAlias,
+  promoteAlias,
+  deleteAlias,
+};
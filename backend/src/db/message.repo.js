@@ -3,6 +3,27 @@
 const { getPrisma } = require('../services/prisma.service');
 const logger = require('../utils/logger');
 
+// Meta may deliver status callbacks out of order — a status never moves back
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+function messageToShape(row) {
+  if (!row) return null;
+  return {
+    _id: row.id,
+    quote_id: row.quote_id,
+    kind: row.kind ?? null,
+    status: row.status ?? null,
+    sent_at: row.sent_at ?? null,
+    delivered_at: row.delivered_at ?? null,
+    read_at: row.read_at ?? null,
+    failed_at: row.failed_at ?? null,
+    error: row.error_code != null || row.error_title
+      ? { code: row.error_code ?? null, title: row.error_title ?? null, detail: row.error_detail ?? null }
+      : null,
+    created_at: row.created_at,
+  };
+}
+
 /**
  * Get message by id (WhatsApp message id). Returns { _id, quoteId } for backward compat.
  */
@@ -32,11 +53,70 @@ async function createMessage(messageId, data, correlationId) {
     create: {
       id: messageId,
       quote_id: data.quoteId ?? data.quote_id ?? '',
+      kind: data.kind ?? null,
     },
     update: {
       quote_id: data.quoteId ?? data.quote_id ?? undefined,
+      kind: data.kind ?? undefined,
     },
   });
 }
 
-module.exports = { getMessageDocument, createMessage };
+/**
+ * Apply one WhatsApp status callback (sent | delivered | read | failed).
+ * Each status keeps the time it first arrived; `status` only moves forward,
+ * except failed which always wins (with Meta's error code / title / details).
+ *
+ * @param {object} update - { status, timestamp: Date, error?: { code, title, detail } }
+ * @returns {Promise<{ message, changed: boolean }|null>} null for messages we didn't send for a quote
+ */
+async function applyStatus(messageId, update, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const row = await prisma.message.findUnique({ where: { id: messageId } });
+  if (!row) {
+    log.debug('message.applyStatus: not found', { messageId });
+    return null;
+  }
+
+  const { status } = update;
+  const at = update.timestamp || new Date();
+  const data = {};
+  if (status === 'failed') {
+    if (!row.failed_at) data.failed_at = at;
+    data.status = 'failed';
+    data.error_code = update.error?.code ?? null;
+    data.error_title = update.error?.title ?? null;
+    data.error_detail = update.error?.detail ?? null;
+  } else if (STATUS_RANK[status]) {
+    const stampField = `${status}_at`;
+    if (!row[stampField]) data[stampField] = at;
+    if (row.status !== 'failed' && STATUS_RANK[status] > (STATUS_RANK[row.status] || 0)) {
+      data.status = status;
+    }
+  } else {
+    log.debug('message.applyStatus: unknown status', { messageId, status });
+    return { message: messageToShape(row), changed: false };
+  }
+
+  const changed = data.status !== undefined && data.status !== row.status;
+  if (!Object.keys(data).length) return { message: messageToShape(row), changed: false };
+
+  const updated = await prisma.message.update({ where: { id: messageId }, data });
+  log.debug('message.applyStatus', { messageId, status, changed });
+  return { message: messageToShape(updated), changed };
+}
+
+/** Messages sent for a quote (template, PDF) with their delivery status, oldest first. */
+async function getQuoteMessages(quoteId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const rows = await prisma.message.findMany({
+    where: { quote_id: quoteId },
+    orderBy: { created_at: 'asc' },
+  });
+  log.debug('message.getQuoteMessages', { quoteId, count: rows.length });
+  return rows.map(messageToShape);
+}
+
+module.exports = { getMessageDocument, createMessage, applyStatus, getQuoteMessages };
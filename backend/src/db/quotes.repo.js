@@ -1,15 +1,37 @@
 'use strict';
 
+const { Prisma } = require('@prisma/client');
 const { getPrisma } = require('../services/prisma.service');
+const { AppError } = require('../utils/errors');
+const { phoneKey } = require('../utils/phone');
 const logger = require('../utils/logger');
 
 const QuoteStatus = {
   open: 'OPEN',
   confirmed: 'CONFIRMED',
   cancelled: 'CANCELLED',
+  needs_revision: 'NEEDS_REVISION',
+  expired: 'EXPIRED',
   closed: 'CLOSED',
 };
 
+// QuoteStatusHistory reason for customer button replies (recordButtonResponse)
+const STATUS_REASONS = {
+  confirmed: 'user_confirmed',
+  cancelled: 'user_cancelled',
+  needs_revision: 'user_requested_changes',
+};
+
+// QuoteStatusHistory reason when the follow-up scheduler expires an unanswered quote
+const EXPIRED_REASON = 'no_customer_reply';
+
+// Statuses a new version can be opened from (CANCELLED: quotes cancelled before "modify" existed)
+const REVISABLE_STATUSES = ['NEEDS_REVISION', 'CANCELLED', 'EXPIRED'];
+
+// A confirmed order, a quote already answered and closed, or an expired quote
+// (prices no longer valid) can't be answered again
+const FINAL_STATUSES = ['CONFIRMED', 'CLOSED', 'EXPIRED'];
+
 function normalizeChatId(chatId) {
   return chatId == null ? '' : String(chatId);
 }
@@ -19,6 +41,8 @@ function statusToEnum(status) {
   const s = String(status).toLowerCase();
   if (s === 'confirmed') return 'CONFIRMED';
   if (s === 'cancelled') return 'CANCELLED';
+  if (s === 'needs_revision') return 'NEEDS_REVISION';
+  if (s === 'expired') return 'EXPIRED';
   if (s === 'closed') return 'CLOSED';
   return 'OPEN';
 }
@@ -31,10 +55,24 @@ function quoteToShape(row) {
     customer_name: row.customer_name,
     customer_phone: row.customer_phone,
     vin: row.vin,
+    full_vin: row.full_vin ?? null,
     vehicle_details: row.vehicle_details,
+    price_breakdown: row.price_breakdown ?? null,
+    total: row.total ?? null,
+    wa_message_id: row.wa_message_id ?? null,
+    sent_at: row.sent_at ?? null,
+    reminders_sent: row.reminders_sent ?? 0,
     x_car_id: row.x_car_id,
     chat_id: normalizeChatId(row.chat_id),
     status: row.status?.toLowerCase() ?? 'open',
+    version: row.version ?? 1,
+    parent_quote_id: row.parent_quote_id ?? null,
+    revision_reason: row.revision_reason ?? null,
+    odoo_order_state: row.odoo_order_state ?? null,
+    odoo_invoice_id: row.odoo_invoice_id ?? null,
+    odoo_invoice_number: row.odoo_invoice_number ?? null,
+    odoo_invoice_state: row.odoo_invoice_state ?? null,
+    odoo_synced_at: row.odoo_synced_at ?? null,
     created_at: row.created_at,
     updated_at: row.updated_at,
   };
@@ -45,12 +83,58 @@ function basketItemToShape(row) {
   return {
     _id: row.id,
     part_number: row.part_number,
+    description: row.description ?? null,
     products: row.products ?? [],
     chosen_product_id: row.chosen_product_id ?? undefined,
     total_cost: row.total_cost ?? undefined,
+    qty: row.qty ?? 1,
+    unit_price: row.unit_price ?? undefined,
+    unit_price_manual: row.unit_price_manual ?? false,
+    discount_pct: row.discount_pct ?? 0,
+    line_total: row.line_total ?? undefined,
+    supplier_price_id: row.supplier_price_id ?? null,
+    supplier: row.supplier ?? null,
+    supplier_landed_cost: row.supplier_landed_cost ?? null,
+  };
+}
+
+/** qty × unit price less a percentage discount, rounded to 2 decimals. */
+function computeLineTotal(qty, unitPrice, discountPct = 0) {
+  const gross = (Number(qty) || 0) * (Number(unitPrice) || 0);
+  const discount = Math.min(Math.max(Number(discountPct) || 0, 0), 100);
+  return Math.round(gross * (1 - discount / 100) * 100) / 100;
+}
+
+/**
+ * Line fields for a basket write. qty / unit_price / unit_price_manual / discount_pct
+ * fall back to `current` (the existing row) when not given; line_total is recomputed when
+ * there is a unit price. Legacy callers passing only total_cost keep it.
+ */
+function basketLineData(data, current = {}) {
+  const qty = data.qty != null ? Math.max(1, parseInt(data.qty, 10) || 1) : (current.qty ?? 1);
+  const unitPrice = data.unit_price != null ? Number(data.unit_price) : (current.unit_price ?? null);
+  const unitPriceManual = data.unit_price_manual != null ? Boolean(data.unit_price_manual) : (current.unit_price_manual ?? false);
+  const discountPct = data.discount_pct != null ? Number(data.discount_pct) || 0 : (current.discount_pct ?? 0);
+  const lineTotal = unitPrice != null ? computeLineTotal(qty, unitPrice, discountPct) : null;
+  return {
+    qty,
+    unit_price: unitPrice,
+    unit_price_manual: unitPriceManual,
+    discount_pct: discountPct,
+    line_total: lineTotal,
+    total_cost: lineTotal ?? data.total_cost ?? null,
   };
 }
 
+/** Supplier offer fields of a basket write (only those given; null clears). */
+function basketSupplierData(data) {
+  const out = {};
+  for (const key of ['supplier_price_id', 'supplier', 'supplier_landed_cost']) {
+    if (data[key] !== undefined) out[key] = data[key];
+  }
+  return out;
+}
+
 async function insertQuoteStatusHistory(prisma, quoteId, fromStatus, toStatus, channel, reason, correlationId) {
   const log = correlationId ? logger.child(correlationId) : logger;
   try {
@@ -83,6 +167,47 @@ async function getLatestOpenQuote(chatId, correlationId) {
   return quoteToShape(row);
 }
 
+/** The chat ids (of those given) whose session belongs to the tenant. */
+async function tenantChatIds(prisma, chatIds, tenantId) {
+  const sessions = await prisma.session.findMany({
+    where: { chat_id: { in: [...new Set(chatIds)] }, tenant_id: tenantId },
+    select: { chat_id: true },
+  });
+  return new Set(sessions.map((s) => s.chat_id));
+}
+
+/** customer_phone_key column: phoneKey, or null when too short to identify a WhatsApp id. */
+function customerPhoneKey(phone) {
+  const key = phoneKey(phone);
+  return key.length >= 7 ? key : null;
+}
+
+/**
+ * Quote a WhatsApp customer is talking about: their latest open quote
+ * (OPEN / NEEDS_REVISION), else their most recent quote of any status.
+ * Phone numbers are compared on the last 10 digits (utils/phone), stored as customer_phone_key.
+ * With tenantId, only quotes of that tenant's sessions (the WhatsApp number written to).
+ */
+async function findQuoteForCustomerPhone(phone, correlationId, { tenantId } = {}) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const key = customerPhoneKey(phone);
+  if (!key) return null;
+  const prisma = getPrisma();
+  const rows = await prisma.quote.findMany({
+    where: { customer_phone_key: key },
+    orderBy: { updated_at: 'desc' },
+    take: 50,
+  });
+  let matches = rows;
+  if (tenantId && matches.length) {
+    const own = await tenantChatIds(prisma, matches.map((r) => r.chat_id), tenantId);
+    matches = matches.filter((r) => own.has(r.chat_id));
+  }
+  const row = matches.find((r) => r.status === 'OPEN' || r.status === 'NEEDS_REVISION') || matches[0] || null;
+  log.debug('quotes.findQuoteForCustomerPhone', { candidates: rows.length, matched: Boolean(row) });
+  return quoteToShape(row);
+}
+
 async function quoteExistsForVin(chatId, vin, correlationId) {
   const prisma = getPrisma();
   const chatIdStr = normalizeChatId(chatId);
@@ -101,7 +226,9 @@ async function createQuote(data, correlationId) {
       quotation_id: data.quotation_id ?? null,
       customer_name: data.customer_name ?? null,
       customer_phone: data.customer_phone ?? null,
+      customer_phone_key: customerPhoneKey(data.customer_phone),
       vin: data.vin ?? '',
+      full_vin: data.full_vin ?? null,
       vehicle_details: data.vehicle_details ?? null,
       x_car_id: data.x_car_id ?? null,
       chat_id: normalizeChatId(data.chat_id),
@@ -125,27 +252,6 @@ async function getQuote(quoteId, correlationId) {
   return quoteToShape(row);
 }
 
-async function updateQuoteStatus(quoteId, status, correlationId) {
-  const log = correlationId ? logger.child(correlationId) : logger;
-  log.debug('quotes.updateQuoteStatus', { quoteId, status });
-  const prisma = getPrisma();
-  const existing = await prisma.quote.findUnique({ where: { id: quoteId } });
-  const toStatus = statusToEnum(status);
-  await prisma.quote.update({
-    where: { id: quoteId },
-    data: { status: toStatus },
-  });
-  await insertQuoteStatusHistory(
-    prisma,
-    quoteId,
-    existing?.status ?? null,
-    toStatus,
-    'WHATSAPP',
-    status === 'confirmed' ? 'user_confirmed' : status === 'cancelled' ? 'user_cancelled' : null,
-    correlationId
-  );
-}
-
 async function closeQuote(quoteId, correlationId) {
   const log = correlationId ? logger.child(correlationId) : logger;
   log.debug('quotes.closeQuote', { quoteId });
@@ -181,21 +287,350 @@ async function addToBasket(quoteId, data, correlationId) {
     log.info('quotes.addToBasket: already in basket, updating products', { part_number: partNumber });
     const updated = await prisma.basketItem.update({
       where: { id: existing.id },
-      data: { products, chosen_product_id: data.chosen_product_id ?? null, total_cost: data.total_cost ?? null },
+      data: {
+        products,
+        chosen_product_id: data.chosen_product_id ?? null,
+        ...(data.description !== undefined ? { description: data.description } : {}),
+        ...basketSupplierData(data),
+        ...basketLineData(data, existing),
+      },
     });
-    return { _id: updated.id, ...data, alreadyExists: true };
+    return { ...basketItemToShape(updated), alreadyExists: true };
   }
 
   const created = await prisma.basketItem.create({
     data: {
       quote_id: quoteId,
       part_number: partNumber,
+      description: data.description ?? null,
       products,
       chosen_product_id: data.chosen_product_id ?? null,
-      total_cost: data.total_cost ?? null,
+      ...basketSupplierData(data),
+      ...basketLineData(data),
+    },
+  });
+  return basketItemToShape(created);
+}
+
+/** Store the pricing.service breakdown sent to the customer (and its total). */
+async function setPriceBreakdown(quoteId, breakdown, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('quotes.setPriceBreakdown', { quoteId, total: breakdown?.total });
+  const prisma = getPrisma();
+  await prisma.quote.update({
+    where: { id: quoteId },
+    data: { price_breakdown: breakdown, total: breakdown?.total ?? null },
+  });
+}
+
+/** Remember the WhatsApp quote template id sent for this version. */
+async function setQuoteMessageId(quoteId, waMessageId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('quotes.setQuoteMessageId', { quoteId, waMessageId });
+  const prisma = getPrisma();
+  // (Re)sent: follow-up reminders start over from now
+  await prisma.quote.update({
+    where: { id: quoteId },
+    data: { wa_message_id: waMessageId, sent_at: new Date(), reminders_sent: 0, last_reminder_at: null },
+  });
+}
+
+/**
+ * Record the quote's Odoo order / invoice state (jobs of the Odoo automation pipeline).
+ * @param {object} data - { order_state, invoice_id, invoice_number, invoice_state } (only the keys given)
+ */
+async function setOdooOrderState(quoteId, data, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('quotes.setOdooOrderState', { quoteId, ...data });
+  const prisma = getPrisma();
+  const update = { odoo_synced_at: new Date() };
+  if (data.order_state !== undefined) update.odoo_order_state = data.order_state;
+  if (data.invoice_id !== undefined) update.odoo_invoice_id = data.invoice_id;
+  if (data.invoice_number !== undefined) update.odoo_invoice_number = data.invoice_number;
+  if (data.invoice_state !== undefined) update.odoo_invoice_state = data.invoice_state;
+  const row = await prisma.quote.update({ where: { id: quoteId }, data: update });
+  return quoteToShape(row);
+}
+
+/**
+ * OPEN quotes whose template went out, oldest first (follow-up scheduler), a page
+ * at a time: pass the last quote of the previous page as `after` for the next one.
+ */
+async function listQuotesAwaitingReply({ limit = 500, after = null } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const rows = await prisma.quote.findMany({
+    where: {
+      status: 'OPEN',
+      sent_at: { not: null },
+      ...(after ? {
+        OR: [
+          { sent_at: { gt: after.sent_at } },
+          { sent_at: after.sent_at, id: { gt: after._id } },
+        ],
+      } : {}),
     },
+    orderBy: [{ sent_at: 'asc' }, { id: 'asc' }],
+    take: limit,
+  });
+  log.debug('quotes.listQuotesAwaitingReply', { count: rows.length });
+  return rows.map(quoteToShape);
+}
+
+/**
+ * Count reminder number `remindersSent` as sent. Compare-and-set, so each
+ * reminder goes out once even with several schedulers; false when the quote
+ * was answered or reminded meanwhile.
+ */
+async function markReminderSent(quoteId, expectedCount, remindersSent, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const { count } = await prisma.quote.updateMany({
+    where: { id: quoteId, status: 'OPEN', reminders_sent: expectedCount },
+    data: { reminders_sent: remindersSent, last_reminder_at: new Date() },
+  });
+  log.debug('quotes.markReminderSent', { quoteId, remindersSent, applied: count > 0 });
+  return count > 0;
+}
+
+/** OPEN → EXPIRED (follow-up scheduler). Returns false if the quote was answered meanwhile. */
+async function expireQuote(quoteId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const { count } = await prisma.quote.updateMany({
+    where: { id: quoteId, status: 'OPEN' },
+    data: { status: 'EXPIRED' },
+  });
+  if (!count) return false;
+  await insertQuoteStatusHistory(prisma, quoteId, 'OPEN', 'EXPIRED', 'SYSTEM', EXPIRED_REASON, correlationId);
+  log.info('quotes.expireQuote', { quoteId });
+  return true;
+}
+
+/**
+ * Customer button reply: set confirmed | cancelled | needs_revision.
+ * Compare-and-set on the current status, so two concurrent replies can't both
+ * apply; refused when the quote is already CONFIRMED, CLOSED or EXPIRED.
+ * needs_revision also remembers the WhatsApp user we're waiting on for a reason.
+ *
+ * The WhatsApp message id that applied the change is stored with it: when Meta
+ * redelivers that message (its flow failed half-way), the reply is reported as
+ * applied again with resumed: true, so the caller can finish the flow.
+ *
+ * @returns {Promise<{ applied: boolean, status: string|null, resumed?: boolean }>}
+ *   status = the quote's status before (the current one when resumed)
+ */
+async function recordButtonResponse(quoteId, status, { waId, waMessageId } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('quotes.recordButtonResponse', { quoteId, status });
+  const prisma = getPrisma();
+  const existing = await prisma.quote.findUnique({ where: { id: quoteId } });
+  if (!existing) return { applied: false, status: null };
+  const from = existing.status.toLowerCase();
+  if (waMessageId && existing.button_wa_message_id === String(waMessageId)) {
+    log.info('quotes.recordButtonResponse: redelivered reply, resuming', { quoteId, status: existing.status });
+    return { applied: true, status: from, resumed: true };
+  }
+  if (FINAL_STATUSES.includes(existing.status)) {
+    log.info('quotes.recordButtonResponse: quote already final', { quoteId, status: existing.status });
+    return { applied: false, status: from };
+  }
+
+  const toStatus = statusToEnum(status);
+  const buttonMessageId = waMessageId ? String(waMessageId) : null;
+  const { count } = await prisma.quote.updateMany({
+    where: { id: quoteId, status: existing.status },
+    data: toStatus === 'NEEDS_REVISION'
+      ? {
+        status: toStatus,
+        button_wa_message_id: buttonMessageId,
+        revision_wa_id: waId ? String(waId) : null,
+        revision_reason: null,
+      }
+      : { status: toStatus, button_wa_message_id: buttonMessageId },
+  });
+  if (!count) {
+    log.info('quotes.recordButtonResponse: status changed concurrently', { quoteId });
+    return { applied: false, status: from };
+  }
+
+  await insertQuoteStatusHistory(
+    prisma,
+    quoteId,
+    existing.status,
+    toStatus,
+    'WHATSAPP',
+    STATUS_REASONS[status] ?? null,
+    correlationId
+  );
+  return { applied: true, status: from };
+}
+
+/** Latest NEEDS_REVISION quote still waiting for this WhatsApp user's reason. */
+async function getQuoteAwaitingRevisionReason(waId, correlationId, { tenantId } = {}) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const rows = await prisma.quote.findMany({
+    where: { status: 'NEEDS_REVISION', revision_wa_id: String(waId), revision_reason: null },
+    orderBy: { updated_at: 'desc' },
+    take: 10,
   });
-  return { _id: created.id, part_number: partNumber, products, chosen_product_id: created.chosen_product_id, total_cost: created.total_cost };
+  let row = rows[0] || null;
+  if (tenantId && rows.length) {
+    const own = await tenantChatIds(prisma, rows.map((r) => r.chat_id), tenantId);
+    row = rows.find((r) => own.has(r.chat_id)) || null;
+  }
+  log.debug('quotes.getQuoteAwaitingRevisionReason', { found: Boolean(row) });
+  return row ? quoteToShape(row) : null;
+}
+
+/** Store the customer's free-text reason for a modify request. */
+async function setRevisionReason(quoteId, reason, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.debug('quotes.setRevisionReason', { quoteId });
+  const prisma = getPrisma();
+  const row = await prisma.quote.update({ where: { id: quoteId }, data: { revision_reason: reason } });
+  return quoteToShape(row);
+}
+
+/**
+ * Reopen a quote the customer asked to modify as a new version.
+ *
+ * The new quote copies VIN, customer, vehicle and Odoo quotation, plus a copy of
+ * the basket for the agent to edit. The old version keeps its own basket, breakdown,
+ * total and WA message id, and is closed. Both get a QuoteStatusHistory entry
+ * pointing at the other (related_quote_id), so v1 → v2 → confirmed can be followed.
+ *
+ * Throws AppError 404 (unknown quote) / 409 (not NEEDS_REVISION / CANCELLED, or already revised).
+ */
+async function reviseQuote(quoteId, { channel = 'FRONTEND', reason = null } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.info('quotes.reviseQuote', { quoteId });
+  const prisma = getPrisma();
+
+  const created = await prisma.$transaction(async (tx) => {
+    const source = await tx.quote.findUnique({
+      where: { id: quoteId },
+      include: { basketItems: { orderBy: { created_at: 'asc' } }, revisions: { select: { id: true } } },
+    });
+    if (!source) throw new AppError('Quote not found', 404);
+    if (source.revisions.length) {
+      throw new AppError(`Quote already revised (v${source.version + 1} exists)`, 409);
+    }
+    if (!REVISABLE_STATUSES.includes(source.status)) {
+      throw new AppError(`Only quotes the customer asked to modify can be revised (status: ${source.status})`, 409);
+    }
+    const revisionReason = reason || source.revision_reason || null;
+
+    const revision = await tx.quote.create({
+      data: {
+        quotation_id: source.quotation_id,
+        customer_name: source.customer_name,
+        customer_phone: source.customer_phone,
+        customer_phone_key: source.customer_phone_key,
+        vin: source.vin,
+        full_vin: source.full_vin,
+        vehicle_details: source.vehicle_details ?? undefined,
+        x_car_id: source.x_car_id,
+        chat_id: source.chat_id,
+        status: 'OPEN',
+        version: source.version + 1,
+        parent_quote_id: source.id,
+        basketItems: {
+          create: source.basketItems.map((bi) => ({
+            part_number: bi.part_number,
+            description: bi.description,
+            products: bi.products ?? [],
+            chosen_product_id: bi.chosen_product_id,
+            qty: bi.qty,
+            unit_price: bi.unit_price,
+            unit_price_manual: bi.unit_price_manual,
+            discount_pct: bi.discount_pct,
+            line_total: bi.line_total,
+            total_cost: bi.total_cost,
+            supplier_price_id: bi.supplier_price_id,
+            supplier: bi.supplier,
+            supplier_landed_cost: bi.supplier_landed_cost,
+          })),
+        },
+      },
+    });
+
+    await tx.quote.update({ where: { id: source.id }, data: { status: 'CLOSED' } });
+    await tx.quoteStatusHistory.createMany({
+      data: [
+        {
+          quote_id: source.id,
+          from_status: source.status,
+          to_status: 'CLOSED',
+          channel,
+          reason: 'revised',
+          related_quote_id: revision.id,
+          meta: revisionReason ? { revision_reason: revisionReason } : undefined,
+        },
+        {
+          quote_id: revision.id,
+          from_status: null,
+          to_status: 'OPEN',
+          channel,
+          reason: 'revision_of',
+          related_quote_id: source.id,
+          meta: { version: revision.version },
+        },
+      ],
+    });
+    return revision;
+  });
+
+  log.info('quotes.reviseQuote: created', { quoteId, revisionId: created.id, version: created.version });
+  return quoteToShape(created);
+}
+
+/**
+ * All versions of a quote (oldest first), each with its basket and status history.
+ * Accepts the id of any version in the chain.
+ */
+async function getQuoteVersions(quoteId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+
+  // Walk up to v1, then down through the revisions
+  let root = await prisma.quote.findUnique({ where: { id: quoteId } });
+  if (!root) return null;
+  while (root.parent_quote_id) {
+    const parent = await prisma.quote.findUnique({ where: { id: root.parent_quote_id } });
+    if (!parent) break;
+    root = parent;
+  }
+
+  const versions = [];
+  let current = root;
+  while (current) {
+    const [basketItems, history, template] = await Promise.all([
+      prisma.basketItem.findMany({ where: { quote_id: current.id }, orderBy: { created_at: 'asc' } }),
+      prisma.quoteStatusHistory.findMany({ where: { quote_id: current.id }, orderBy: { created_at: 'asc' } }),
+      current.wa_message_id ? prisma.message.findUnique({ where: { id: current.wa_message_id } }) : null,
+    ]);
+    versions.push({
+      ...quoteToShape(current),
+      basket: basketItems.map(basketItemToShape),
+      status_history: history.map((h) => ({
+        from_status: h.from_status?.toLowerCase() ?? null,
+        to_status: h.to_status.toLowerCase(),
+        channel: h.channel,
+        reason: h.reason,
+        related_quote_id: h.related_quote_id ?? null,
+        created_at: h.created_at,
+      })),
+      // WhatsApp delivery of the quote template: sent | delivered | read | failed
+      delivery_status: template?.status ?? null,
+      read_at: template?.read_at ?? null,
+      delivery_error: template?.error_title ?? null,
+    });
+    current = await prisma.quote.findFirst({ where: { parent_quote_id: current.id } });
+  }
+  log.debug('quotes.getQuoteVersions', { quoteId, count: versions.length });
+  return versions;
 }
 
 async function getBasketItems(quoteId, correlationId) {
@@ -209,13 +644,52 @@ async function getBasketItems(quoteId, correlationId) {
   return items.map(basketItemToShape);
 }
 
+/**
+ * Vehicle type codes quoted most (catalog cache warm-up), with the VIN and
+ * vehicle_details of the latest quote of each (the catalog is scraped by VIN).
+ * With typeCodes, only those (any date); else the top `limit` since `since`.
+ * @returns {Promise<{ type_code: string, quotes: number, vin: string, vehicle_details: object }[]>}
+ */
+async function listQuotedTypeCodes({ typeCodes = [], limit = 20, since = null } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const filter = typeCodes.length
+    ? Prisma.sql`AND vehicle_details->>'type_code' IN (${Prisma.join(typeCodes)})`
+    : since ? Prisma.sql`AND created_at >= ${since}` : Prisma.empty;
+  const rows = await prisma.$queryRaw`
+    SELECT vehicle_details->>'type_code' AS type_code,
+           COUNT(*)::int AS quotes,
+           (ARRAY_AGG(vin ORDER BY created_at DESC))[1] AS vin,
+           (ARRAY_AGG(vehicle_details ORDER BY created_at DESC))[1] AS vehicle_details
+    FROM "Quote"
+    WHERE COALESCE(vehicle_details->>'type_code', '') <> '' AND vin <> '' ${filter}
+    GROUP BY 1
+    ORDER BY quotes DESC
+    LIMIT ${typeCodes.length || limit}`;
+  log.debug('quotes.listQuotedTypeCodes', { requested: typeCodes.length, found: rows.length });
+  return rows;
+}
+
 module.exports = {
   getLatestOpenQuote,
+  findQuoteForCustomerPhone,
   quoteExistsForVin,
   createQuote,
   getQuote,
-  updateQuoteStatus,
   closeQuote,
   addToBasket,
   getBasketItems,
+  computeLineTotal,
+  setPriceBreakdown,
+  setQuoteMessageId,
+  setOdooOrderState,
+  recordButtonResponse,
+  listQuotesAwaitingReply,
+  markReminderSent,
+  expireQuote,
+  getQuoteAwaitingRevisionReason,
+  setRevisionReason,
+  reviseQuote,
+  getQuoteVersions,
+  listQuotedTypeCodes,
 };
@@ -1,6 +1,9 @@
 'use strict';
 
+const { Prisma } = require('@prisma/client');
 const { getPrisma } = require('../services/prisma.service');
+const { AppError } = require('../utils/errors');
+const { TENANT_CONFIG_COLUMNS } = require('../utils/tenantConfig');
 const logger = require('../utils/logger');
 
 function normalizeChatId(chatId) {
@@ -39,6 +42,7 @@ async function upsertSession(chatId, data, correlationId) {
     if (data.tenant_id != null) updateData.tenant_id = data.tenant_id;
     if (data.user_id != null) updateData.user_id = data.user_id;
     if (data.vin !== undefined) updateData.vin = data.vin;
+    if (data.full_vin !== undefined) updateData.full_vin = data.full_vin;
     if (data.vehicle_info !== undefined) updateData.vehicle_info = data.vehicle_info;
     if (data.quotation_id !== undefined) updateData.quotation_id = data.quotation_id;
     if (data.basket !== undefined) updateData.basket = data.basket;
@@ -59,6 +63,7 @@ async function upsertSession(chatId, data, correlationId) {
         tenant_id: tenantId,
         user_id: userId,
         vin: data.vin ?? null,
+        full_vin: data.full_vin ?? null,
         vehicle_info: data.vehicle_info ?? null,
         quotation_id: data.quotation_id ?? null,
         basket: data.basket ?? null,
@@ -100,6 +105,79 @@ async function getTenant(tenantId, correlationId) {
   return { _id: tenant.id, ...tenant };
 }
 
+/**
+ * Tenant owning a WhatsApp Business phone number id (webhook metadata.phone_number_id).
+ * Returns null when no tenant has it configured (single-tenant env setup).
+ */
+async function getTenantByPhoneNumberId(phoneNumberId, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  if (!phoneNumberId) return null;
+  const prisma = getPrisma();
+  const tenant = await prisma.tenant.findUnique({
+    where: { wa_phone_number_id: String(phoneNumberId) },
+  });
+  log.debug('state.getTenantByPhoneNumberId', { phoneNumberId, found: Boolean(tenant) });
+  return tenant ? { _id: tenant.id, ...tenant } : null;
+}
+
+/**
+ * Replace one of a tenant's JSON configs (column from utils/tenantConfig
+ * TENANT_CONFIG_COLUMNS; null = back to env defaults).
+ * Returns the updated tenant or null if not found.
+ */
+async function updateTenantConfig(tenantId, column, value, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  if (!TENANT_CONFIG_COLUMNS.includes(column)) throw new Error(`Unknown tenant config column: ${column}`);
+  log.info('state.updateTenantConfig', { tenantId, column });
+  const prisma = getPrisma();
+  const existing = await prisma.tenant.findUnique({ where: { id: tenantId } });
+  if (!existing) return null;
+  const tenant = await prisma.tenant.update({
+    where: { id: tenantId },
+    data: { [column]: value ?? Prisma.DbNull },
+  });
+  return { _id: tenant.id, ...tenant };
+}
+
+/**
+ * Update a tenant's WhatsApp Business settings (fields from whatsapp.service
+ * validateWhatsappConfig; null clears one). Throws AppError 409 when the phone
+ * number id belongs to another tenant. Returns the updated tenant or null if not found.
+ */
+async function updateTenantWhatsapp(tenantId, data, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.info('state.updateTenantWhatsapp', { tenantId, fields: Object.keys(data) });
+  const prisma = getPrisma();
+  const existing = await prisma.tenant.findUnique({ where: { id: tenantId } });
+  if (!existing) return null;
+  const update = { ...data };
+  if ('wa_templates' in update) update.wa_templates = update.wa_templates ?? Prisma.DbNull;
+  try {
+    const tenant = await prisma.tenant.update({ where: { id: tenantId }, data: update });
+    return { _id: tenant.id, ...tenant };
+  } catch (err) {
+    if (err.code === 'P2002') throw new AppError('phone_number_id is already used by another tenant', 409);
+    throw err;
+  }
+}
+
+/**
+ * Set a tenant's quotation logo URL (null clears it).
+ * Returns the updated tenant or null if not found.
+ */
+async function updateTenantLogo(tenantId, logoUrl, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  log.info('state.updateTenantLogo', { tenantId });
+  const prisma = getPrisma();
+  const existing = await prisma.tenant.findUnique({ where: { id: tenantId } });
+  if (!existing) return null;
+  const tenant = await prisma.tenant.update({
+    where: { id: tenantId },
+    data: { logo_url: logoUrl || null },
+  });
+  return { _id: tenant.id, ...tenant };
+}
+
 /**
  * Get or initialize session state for a chat_id.
  */
@@ -143,6 +221,7 @@ async function getState(chatId, correlationId) {
     tenant_id: tenant._id,
     user_id: user._id,
     vin: null,
+    full_vin: null,
     vehicle_info: null,
     quotation_id: null,
     basket: [],
@@ -162,6 +241,7 @@ function safeParse(session) {
   s._blocked = false;
   s.chat_id = s.chat_id ?? s['Chat ID'] ?? null;
   s.vin = s.vin ?? null;
+  s.full_vin = s.full_vin ?? null;
   s.vehicle_info = s.vehicle_info ?? null;
   s.quotation_id = s.quotation_id ?? null;
   s.basket = s.basket ?? [];
@@ -178,4 +258,8 @@ module.exports = {
   upsertSession,
   queryUserByChatId,
   getTenant,
+  getTenantByPhoneNumberId,
+  updateTenantConfig,
+  updateTenantLogo,
+  updateTenantWhatsapp,
 };
@@ -0,0 +1,222 @@
+'use strict';
+
+const { getPrisma } = require('../services/prisma.service');
+const { AppError } = require('../utils/errors');
+const { diffPriceLists } = require('../services/priceList.service');
+const { partNumberKey } = require('../utils/partNumber');
+const logger = require('../utils/logger');
+
+/**
+ * Supplier price lists (CSV / XLSX imports, see services/priceList.service.js).
+ *
+ * Each import creates a new version per supplier in the file and makes it the
+ * active list of that supplier; older versions are kept (with their diff) and
+ * can be re-activated.
+ */
+
+function priceListToShape(list, { withDetails = true } = {}) {
+  if (!list) return null;
+  let diff = list.diff ?? null;
+  if (diff && !withDetails) {
+    diff = { ...diff };
+    delete diff.details;
+  }
+  return {
+    _id: list.id,
+    supplier: list.supplier,
+    version: list.version,
+    filename: list.filename ?? null,
+    row_count: list.row_count,
+    active: list.active,
+    diff,
+    created_at: list.created_at,
+  };
+}
+
+function priceToShape(row) {
+  return {
+    _id: row.id,
+    price_list_id: row.price_list_id,
+    supplier: row.supplier,
+    part_number: row.part_number,
+    brand: row.brand,
+    is_oe: row.is_oe,
+    price: row.price,
+    currency: row.currency,
+    lead_time_days: row.lead_time_days ?? null,
+  };
+}
+
+/**
+ * Import parsed price-list lines (priceList.parsePriceRows items) as a new
+ * version per supplier, diffed against the supplier's active list.
+ * The whole file is one transaction: a failure on any supplier imports none of them.
+ * With dryRun nothing is written (the diff is still computed).
+ * Throws AppError 409 when another import of one of the suppliers ran concurrently.
+ *
+ * @returns {Promise<object[]>} [{ _id, supplier, version, row_count, active, diff, ... }]
+ */
+async function importPriceLists(items, { filename = null, dryRun = false } = {}, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+
+  const bySupplier = new Map();
+  for (const item of items) {
+    if (!bySupplier.has(item.supplier)) bySupplier.set(item.supplier, []);
+    bySupplier.get(item.supplier).push(item);
+  }
+
+  const importSupplier = async (tx, supplier, lines) => {
+    const [active, latest] = await Promise.all([
+      tx.supplierPriceList.findFirst({
+        where: { supplier, active: true },
+        orderBy: { version: 'desc' },
+        include: { prices: true },
+      }),
+      tx.supplierPriceList.findFirst({ where: { supplier }, orderBy: { version: 'desc' }, select: { version: true } }),
+    ]);
+    const version = (latest?.version ?? 0) + 1;
+    const diff = { previous_version: active?.version ?? null, ...diffPriceLists(active?.prices || [], lines) };
+
+    if (dryRun) {
+      return { _id: null, supplier, version, filename, row_count: lines.length, active: false, diff, created_at: null };
+    }
+
+    await tx.supplierPriceList.updateMany({ where: { supplier, active: true }, data: { active: false } });
+    const created = await tx.supplierPriceList.create({
+      data: { supplier, version, filename, row_count: lines.length, active: true, diff },
+    });
+    await tx.supplierPrice.createMany({
+      data: lines.map((line) => ({
+        price_list_id: created.id,
+        supplier,
+        part_number: line.part_number,
+        brand: line.brand || '',
+        is_oe: line.is_oe,
+        price: line.price,
+        currency: line.currency,
+        lead_time_days: line.lead_time_days ?? null,
+      })),
+    });
+    return priceListToShape(created);
+  };
+
+  let supplier = null;
+  try {
+    const results = await prisma.$transaction(async (tx) => {
+      const imported = [];
+      for (const [name, lines] of bySupplier) {
+        supplier = name;
+        imported.push(await importSupplier(tx, name, lines));
+      }
+      return imported;
+    }, { timeout: 60000 });
+    if (!dryRun) {
+      for (const r of results) {
+        log.info('supplierPrices.importPriceLists', {
+          supplier: r.supplier, version: r.version, rows: r.row_count,
+          added: r.diff.added, removed: r.diff.removed, changed: r.diff.changed,
+        });
+      }
+    }
+    return results;
+  } catch (err) {
+    if (err.code === 'P2002') {
+      throw new AppError(`another import of "${supplier}" is in progress — nothing was imported`, 409);
+    }
+    throw err;
+  }
+}
+
+/** Price-list versions, newest first (diff summary without details). */
+async function listPriceLists({ supplier, active, limit = 50, offset = 0 } = {}) {
+  const prisma = getPrisma();
+  const where = {
+    ...(supplier ? { supplier } : {}),
+    ...(active != null ? { active } : {}),
+  };
+  const [lists, total] = await Promise.all([
+    prisma.supplierPriceList.findMany({
+      where,
+      orderBy: [{ supplier: 'asc' }, { version: 'desc' }],
+      take: limit,
+      skip: offset,
+    }),
+    prisma.supplierPriceList.count({ where }),
+  ]);
+  return { price_lists: lists.map((l) => priceListToShape(l, { withDetails: false })), total };
+}
+
+async function getPriceList(id) {
+  const prisma = getPrisma();
+  return priceListToShape(await prisma.supplierPriceList.findUnique({ where: { id } }));
+}
+
+/** Lines of one price-list version; q = part number or brand prefix. */
+async function listPrices(priceListId, { q, limit = 100, offset = 0 } = {}) {
+  const prisma = getPrisma();
+  const term = String(q || '').trim();
+  const where = {
+    price_list_id: priceListId,
+    ...(term ? {
+      OR: [
+        { part_number: { startsWith: partNumberKey(term) } },
+        { brand: { startsWith: term, mode: 'insensitive' } },
+      ],
+    } : {}),
+  };
+  const [rows, total] = await Promise.all([
+    prisma.supplierPrice.findMany({ where, orderBy: { part_number: 'asc' }, take: limit, skip: offset }),
+    prisma.supplierPrice.count({ where }),
+  ]);
+  return { prices: rows.map(priceToShape), total };
+}
+
+/**
+ * Make a version the active list of its supplier (roll back / forward).
+ * Returns the list or null if not found.
+ */
+async function activatePriceList(id, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const list = await prisma.supplierPriceList.findUnique({ where: { id } });
+  if (!list) return null;
+  const [, activated] = await prisma.$transaction([
+    prisma.supplierPriceList.updateMany({ where: { supplier: list.supplier, active: true }, data: { active: false } }),
+    prisma.supplierPriceList.update({ where: { id }, data: { active: true } }),
+  ]);
+  log.info('supplierPrices.activatePriceList', { supplier: list.supplier, version: list.version });
+  return priceListToShape(activated);
+}
+
+/**
+ * Lines of the active price lists for some part numbers.
+ * @param {string[]} partNumbers - basket part numbers
+ * @returns {Promise<Map<string, object[]>>} input part number → offers (priceToShape)
+ */
+async function findActiveOffers(partNumbers, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const prisma = getPrisma();
+  const keys = new Map((partNumbers || []).map((pn) => [pn, partNumberKey(pn)]));
+  const wanted = [...new Set(keys.values())].filter(Boolean);
+  const offers = new Map([...keys.keys()].map((pn) => [pn, []]));
+  if (!wanted.length) return offers;
+
+  const rows = await prisma.supplierPrice.findMany({
+    where: { part_number: { in: wanted }, priceList: { active: true } },
+  });
+  for (const [pn, key] of keys) {
+    offers.set(pn, rows.filter((row) => row.part_number === key).map(priceToShape));
+  }
+  log.debug('supplierPrices.findActiveOffers', { parts: wanted.length, offers: rows.length });
+  return offers;
+}
+
+module.exports = {
+  importPriceLists,
+  listPriceLists,
+  getPriceList,
+  listPrices,
+  activatePriceList,
+  findActiveOffers,
+};
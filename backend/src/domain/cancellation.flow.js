@@ -12,7 +12,8 @@ const logger = require('../utils/logger');
  *  2. SSE-notify the Frontend agent (replaces Telegram notification)
  *
  * Note: Quote status was already updated to "cancelled" then "closed"
- * in the shared pre-switch pipeline (waba.js handleWebhook).
+ * in the shared pre-switch pipeline (waba.js handleWebhook). Customers who
+ * want changes press "modify" instead (revision.flow).
  *
  * @param {object} ctx - {
  *   recipientPhone, quote, tenantName, chatId, correlationId, tenantId, tenant
@@ -26,7 +27,7 @@ async function run(ctx) {
 
   // Step 1: Send WhatsApp cancellation template to customer
   try {
-    await whatsapp.sendCancellationTemplate(recipientPhone, quote, tenantName, correlationId);
+    await whatsapp.sendCancellationTemplate(recipientPhone, quote, tenantName, correlationId, tenant);
   } catch (err) {
     log.error('cancellation.flow: WhatsApp send failed', { error: err.message });
     // Continue — still notify agent
@@ -44,6 +45,7 @@ async function run(ctx) {
         status: 'cancelled',
         customer_name: quote.customer_name,
         vin: quote.vin,
+        version: quote.version,
       },
       correlationId
     );
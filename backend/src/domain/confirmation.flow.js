@@ -1,17 +1,87 @@
 'use strict';
 
+const quotesRepo = require('../db/quotes.repo');
+const { enqueue } = require('../services/jobQueue');
 const odoo = require('../services/odoo.service');
-const whatsapp = require('../services/whatsapp.service');
-const { pushToTenant } = require('../services/sseNotifications');
+const odooAutomation = require('../services/odooAutomation.service');
+const { JOB_TYPES } = require('./jobs');
 const logger = require('../utils/logger');
 
+function chosenProductOf(item) {
+  const products = Array.isArray(item.products) ? item.products : [];
+  const chosenProductId = item.chosen_product_id || null;
+  let chosenProduct = null;
+  if (chosenProductId && products.length) {
+    chosenProduct = products.find((p) => String(p.id) === String(chosenProductId));
+  }
+  if (!chosenProduct && products.length) {
+    chosenProduct = products[0];
+  }
+  return chosenProduct;
+}
+
+/**
+ * Odoo lines from a pricing.service breakdown: one per part, then labor and VAT
+ * as their own lines on service products (odoo.SERVICE_PRODUCTS, resolved by the job).
+ * Odoo's own taxes are cleared (tax_id) so VAT isn't added twice.
+ */
+function breakdownOrderLines(breakdown) {
+  const lines = breakdown.lines.map((l) => ({
+    productId: Number(l.product_id) || undefined,
+    name: l.name || l.part_number || 'Part',
+    priceUnit: Number(l.unit_price) || 0,
+    qty: l.qty || 1,
+    discount: l.discount_pct || 0,
+    taxIds: [],
+  }));
+  if (breakdown.labor_cost > 0) {
+    lines.push({
+      service: 'labor',
+      name: odoo.SERVICE_PRODUCTS.labor.name,
+      priceUnit: breakdown.labor_cost,
+      qty: 1,
+      taxIds: [],
+    });
+  }
+  if (breakdown.vat_amount > 0) {
+    lines.push({
+      service: 'vat',
+      name: `${odoo.SERVICE_PRODUCTS.vat.name} ${breakdown.vat_pct}%`,
+      priceUnit: breakdown.vat_amount,
+      qty: 1,
+      taxIds: [],
+    });
+  }
+  return lines;
+}
+
+/** Odoo lines for quotes sent before the pricing engine (no stored breakdown). */
+function basketOrderLines(basketItems) {
+  return basketItems.map((item) => {
+    const chosenProduct = chosenProductOf(item);
+    return {
+      productId: Number(chosenProduct?.id || item.chosen_product_id) || undefined,
+      name: chosenProduct?.name || item.part_number || 'Part',
+      priceUnit: Number(item.unit_price ?? chosenProduct?.standard_price ?? 0),
+      qty: item.qty || 1,
+      discount: item.discount_pct || 0,
+    };
+  });
+}
+
 /**
  * Confirmation flow — "تأكيد العمل" button (WhatsApp interactive reply).
  *
  * Matches n8n Switch case 1:
- *  1. Create sale.order.line in Odoo for each basket item
- *  2. Send WhatsApp confirmation template to customer
- *  3. SSE-notify the Frontend agent (replaces Telegram notification)
+ *  1. Queue a sale.order.line in Odoo for each line of the quote's price breakdown
+ *     (parts, labor, VAT) — then, if the tenant enabled it, confirm the sale order
+ *     and create / post its invoice (services/odooAutomation.service.js)
+ *  2. Queue the WhatsApp confirmation template to the customer
+ *  3. Queue the SSE notification to the Frontend agent (replaces Telegram notification)
+ *
+ * Side effects run as jobs (domain/jobs.js) and are retried with backoff. Every
+ * job is keyed per quote (Odoo lines per quote and line), so a confirmation resumed
+ * after a failure (waba.js, redelivered reply) can't queue anything twice.
  *
  * @param {object} ctx - {
  *   recipientPhone, quote, basketItems, tenant, tenantName,
@@ -36,94 +106,89 @@ async function run(ctx) {
     basketCount: basketItems.length,
   });
 
-  // Step 1: Create Odoo sale.order.line for each basket item
+  const breakdown = quote.price_breakdown || null;
+
+  const tid = tenantId || tenant?.id || null;
+  const jobOptions = { tenantId: tid, quoteId: quote._id };
+
+  // Step 1: Queue an Odoo sale.order.line for each line of the price breakdown
   const orderId = quote.quotation_id;
+  const orderLines = orderId ? (breakdown ? breakdownOrderLines(breakdown) : basketOrderLines(basketItems)) : [];
+  // Odoo refuses lines without a product: checked here rather than left to dead jobs
+  const unlinked = orderLines.filter((l) => !l.productId && !l.service).map((l) => l.name);
+  let odooError = null;
   if (!orderId) {
     log.warn('confirmation.flow: quote has no quotation_id — skipping Odoo lines');
+  } else if (unlinked.length) {
+    odooError = `No Odoo product for: ${unlinked.join(', ')}`;
+    log.error('confirmation.flow: lines without an Odoo product — skipping Odoo lines', { unlinked });
   } else {
-    for (const item of basketItems) {
-      try {
-        const chosenProductId = item.chosen_product_id || null;
-        const products = Array.isArray(item.products) ? item.products : [];
-
-        let chosenProduct = null;
-        if (chosenProductId && products.length) {
-          chosenProduct = products.find((p) => String(p.id) === String(chosenProductId));
-        }
-        if (!chosenProduct && products.length) {
-          chosenProduct = products[0];
-        }
-
-        const name = chosenProduct?.name || item.part_number || 'Part';
-        const priceUnit = chosenProduct?.standard_price || 0;
-        const productId = chosenProduct?.id || chosenProductId || 12;
+    for (const [index, line] of orderLines.entries()) {
+      await enqueue(JOB_TYPES.ODOO_ORDER_LINE, {
+        order_id: Number(orderId),
+        line,
+        tenant_id: tid,
+      }, { ...jobOptions, dedupeKey: `odoo.order_line:${quote._id}:${index}` }, correlationId);
+    }
+    log.info('confirmation.flow: Odoo order lines queued', { count: orderLines.length });
 
-        await odoo.createOrderLine(
-          {
-            orderId: Number(orderId),
-            productId: Number(productId),
-            name,
-            priceUnit: Number(priceUnit),
-            qty: 1,
-          },
-          correlationId,
-          tenant
-        );
-      } catch (err) {
-        log.error('confirmation.flow: Odoo createOrderLine failed', {
-          partNumber: item.part_number,
-          error: err.message,
-        });
-        // Continue with next item
-      }
+    // Optional: confirm the sale order / invoice it once the lines are in
+    const automation = odooAutomation.getOdooAutomationConfig(tenant);
+    if (automation.confirm_order) {
+      await enqueue(JOB_TYPES.ODOO_CONFIRM_ORDER, {
+        quote_id: quote._id,
+        order_id: Number(orderId),
+        tenant_id: tid,
+        create_invoice: automation.create_invoice,
+        post_invoice: automation.post_invoice,
+      }, {
+        ...jobOptions,
+        dedupeKey: `odoo.confirm_order:${quote._id}`,
+        maxAttempts: 8,
+        runAt: new Date(Date.now() + 2000),
+      }, correlationId);
+      log.info('confirmation.flow: Odoo order confirmation queued', { invoice: automation.create_invoice });
     }
   }
 
-  // Step 2: Calculate total cost from basket
+  // Step 2: Total — the breakdown the customer was quoted, else basket line totals
   let totalCost = 0;
-  for (const item of basketItems) {
-    totalCost = item.total_cost || totalCost;
-  }
-  if (!totalCost) {
+  if (breakdown) {
+    totalCost = breakdown.total;
+  } else {
     for (const item of basketItems) {
-      const products = Array.isArray(item.products) ? item.products : [];
-      const chosen = products.find((p) => String(p.id) === String(item.chosen_product_id));
-      totalCost += chosen?.standard_price || 0;
+      if (item.line_total != null) {
+        totalCost += item.line_total;
+        continue;
+      }
+      const chosen = chosenProductOf(item);
+      totalCost += quotesRepo.computeLineTotal(item.qty || 1, chosen?.standard_price || 0, item.discount_pct);
     }
+    totalCost = Math.round(totalCost * 100) / 100;
   }
 
-  // Step 3: Send WhatsApp confirmation template to customer
-  try {
-    await whatsapp.sendConfirmationTemplate(
-      recipientPhone,
-      quote,
-      totalCost,
-      tenantName,
-      correlationId
-    );
-  } catch (err) {
-    log.error('confirmation.flow: WhatsApp send failed', { error: err.message });
-  }
+  // Step 3: Queue the WhatsApp confirmation template to the customer
+  await enqueue(JOB_TYPES.WA_CONFIRMATION, {
+    quote_id: quote._id,
+    phone: recipientPhone,
+    total_cost: totalCost,
+    tenant_name: tenantName,
+  }, { ...jobOptions, dedupeKey: `wa.confirmation:${quote._id}` }, correlationId);
 
-  // Step 4: SSE-notify the Frontend agent (replaces Telegram)
-  const tid = tenantId || tenant?.id || null;
-  try {
-    await pushToTenant(
-      tid,
-      'order_confirmed',
-      {
-        quote_id: quote._id,
-        customer_chat_id: chatId,
-        status: 'confirmed',
-        total_cost: totalCost,
-        customer_name: quote.customer_name,
-        vin: quote.vin,
-      },
-      correlationId
-    );
-  } catch (err) {
-    log.error('confirmation.flow: SSE push failed', { error: err.message });
-  }
+  // Step 4: Queue the SSE notification to the Frontend agent (replaces Telegram)
+  await enqueue(JOB_TYPES.SSE_PUSH, {
+    tenant_id: tid,
+    event: 'order_confirmed',
+    data: {
+      quote_id: quote._id,
+      customer_chat_id: chatId,
+      status: 'confirmed',
+      total_cost: totalCost,
+      customer_name: quote.customer_name,
+      vin: quote.vin,
+      ...(odooError ? { odoo_error: odooError } : {}),
+    },
+  }, { ...jobOptions, dedupeKey: `sse.order_confirmed:${quote._id}` }, correlationId);
 
   log.info('confirmation.flow: complete', { quoteId: quote._id, totalCost });
 }
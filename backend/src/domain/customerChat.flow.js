@@ -0,0 +1,185 @@
+'use strict';
+
+const quotesRepo = require('../db/quotes.repo');
+const stateRepo = require('../db/state.repo');
+const customerMessageRepo = require('../db/customerMessage.repo');
+const whatsapp = require('../services/whatsapp.service');
+const revisionFlow = require('./revision.flow');
+const { pushToTenant } = require('../services/sseNotifications');
+const { AppError } = require('../utils/errors');
+const { signedLink } = require('../utils/signedLink');
+const { phoneDigits } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+// WhatsApp only delivers non-template messages within 24h of the customer's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pull the stored fields out of a WhatsApp inbound message.
+ * Returns null for types we don't thread (stickers, locations, reactions...).
+ */
+function inboundContent(message) {
+  switch (message.type) {
+    case 'text':
+      return { type: 'text', body: message.text?.body || '' };
+    case 'image':
+      return {
+        type: 'image',
+        body: message.image?.caption || null,
+        media_id: message.image?.id || null,
+        mime_type: message.image?.mime_type || null,
+      };
+    case 'audio': // voice notes arrive as audio with voice: true
+      return {
+        type: 'audio',
+        body: null,
+        media_id: message.audio?.id || null,
+        mime_type: message.audio?.mime_type || null,
+      };
+    default:
+      return null;
+  }
+}
+
+/** Signed link to a quote's conversation (GET /api/quotes/:id/messages). */
+function threadLink(quoteId) {
+  return signedLink(`/api/quotes/${encodeURIComponent(quoteId)}/messages`);
+}
+
+/** SSE / API shape: adds the signed media proxy URL. */
+function messageEvent(stored, quote, chatId) {
+  return {
+    ...stored,
+    media_url: stored.media_id && stored.quote_id
+      ? signedLink(`/api/quotes/${encodeURIComponent(stored.quote_id)}/messages/${encodeURIComponent(stored._id)}/media`)
+      : null,
+    customer_chat_id: chatId,
+    customer_name: quote?.customer_name ?? null,
+    vin: quote?.vin ?? null,
+  };
+}
+
+/**
+ * Inbound customer message (text / image / voice) that is not a template button reply.
+ *
+ *  1. Match the sender to their quote by phone number
+ *  2. Store it in the quote's conversation (CustomerMessage)
+ *  3. A text answering a "modify" prompt is the revision reason (revision.flow)
+ *  4. Otherwise SSE-notify the agent (customer_message)
+ *
+ * @param {object} input - { waId, message, tenant } (message = WhatsApp webhook messages[0];
+ *   tenant = owner of the number written to, null for the env number)
+ * @returns {Promise<boolean>} true when the message was stored
+ */
+async function handleInbound({ waId, message, tenant = null }, correlationId) {
+  const log = logger.child(correlationId);
+  const content = inboundContent(message);
+  if (!waId || !content) {
+    log.debug('customerChat.flow: unsupported inbound message', { type: message?.type });
+    return false;
+  }
+
+  const quote = await quotesRepo.findQuoteForCustomerPhone(waId, correlationId, { tenantId: tenant?.id });
+  const stored = await customerMessageRepo.createCustomerMessage({
+    ...content,
+    quote_id: quote?._id ?? null,
+    wa_id: waId,
+    direction: 'inbound',
+    wa_message_id: message.id || null,
+  }, correlationId);
+  if (stored.duplicate) {
+    log.info('customerChat.flow: duplicate delivery ignored', { wa_message_id: message.id });
+    return true;
+  }
+
+  if (content.type === 'text' && await revisionFlow.recordReason(waId, content.body, correlationId, tenant)) {
+    log.info('customerChat.flow: text recorded as revision reason');
+    return true;
+  }
+
+  if (!quote) {
+    log.warn('customerChat.flow: no quote for customer — stored without agent notification', { type: content.type });
+    return true;
+  }
+
+  const session = await stateRepo.getSession(quote.chat_id, correlationId).catch(() => null);
+  if (!session) {
+    log.warn('customerChat.flow: session not found', { chatId: quote.chat_id });
+    return true;
+  }
+
+  await pushToTenant(
+    session.tenant_id,
+    'customer_message',
+    { ...messageEvent(stored, quote, session._id), thread_url: threadLink(quote._id) },
+    correlationId
+  ).catch((err) => log.error('customerChat.flow: SSE push failed', { error: err.message }));
+
+  log.info('customerChat.flow: inbound message routed', { quoteId: quote._id, type: content.type });
+  return true;
+}
+
+/**
+ * Agent reply from the web chat, sent as a WhatsApp session (free-form) message.
+ * agentChatId must be a session of the tenant that owns the quote.
+ * Throws AppError 400 (text / session missing), 403 (session of another tenant),
+ * 404 (quote), 409 (no customer message within the last 24h).
+ */
+async function reply(quoteId, text, agentChatId, correlationId) {
+  const log = logger.child(correlationId);
+  const body = String(text || '').trim();
+  if (!body) throw new AppError('text is required', 400);
+  if (!agentChatId) throw new AppError('session_id is required', 400);
+
+  const quote = await quotesRepo.getQuote(quoteId, correlationId);
+  if (!quote) throw new AppError('Quote not found', 404);
+
+  // The business number only speaks for agents of the tenant that owns the quote
+  const [session, agentSession] = await Promise.all([
+    stateRepo.getSession(quote.chat_id, correlationId),
+    stateRepo.getSession(agentChatId, correlationId),
+  ]);
+  if (!session || !agentSession || agentSession.tenant_id !== session.tenant_id) {
+    throw new AppError('session_id does not belong to the tenant of this quote', 403);
+  }
+
+  // Reply to the WhatsApp id the customer wrote from; fall back to the quote's phone
+  const thread = await customerMessageRepo.listQuoteMessages(quoteId, {}, correlationId);
+  const lastThreadInbound = [...thread].reverse().find((m) => m.direction === 'inbound');
+  const waId = lastThreadInbound?.wa_id || phoneDigits(quote.customer_phone);
+  if (!waId) throw new AppError('Quote has no customer phone', 409);
+
+  const lastInbound = await customerMessageRepo.getLastInbound(waId, correlationId);
+  if (!lastInbound || Date.now() - new Date(lastInbound.created_at).getTime() > SESSION_WINDOW_MS) {
+    throw new AppError('Customer has not written in the last 24 hours — WhatsApp only allows template messages', 409);
+  }
+
+  // Send from the WhatsApp number of the quote's tenant
+  const tenant = session.tenant_id
+    ? await stateRepo.getTenant(session.tenant_id, correlationId)
+    : null;
+
+  const resp = await whatsapp.sendText(`+${waId}`, body, correlationId, tenant);
+  const stored = await customerMessageRepo.createCustomerMessage({
+    quote_id: quoteId,
+    wa_id: waId,
+    direction: 'outbound',
+    type: 'text',
+    body,
+    wa_message_id: resp?.messages?.[0]?.id || null,
+    sent_by: agentChatId,
+  }, correlationId);
+
+  log.info('customerChat.flow: agent reply sent', { quoteId, skipped: Boolean(resp?.skipped) });
+  return messageEvent(stored, quote, agentChatId);
+}
+
+/** Conversation of a quote, in API shape. */
+async function listThread(quoteId, correlationId) {
+  const quote = await quotesRepo.getQuote(quoteId, correlationId);
+  if (!quote) return null;
+  const messages = await customerMessageRepo.listQuoteMessages(quoteId, {}, correlationId);
+  return messages.map((m) => messageEvent(m, quote, quote.chat_id));
+}
+
+module.exports = { handleInbound, reply, listThread };
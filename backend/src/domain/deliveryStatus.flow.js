@@ -0,0 +1,76 @@
+'use strict';
+
+const messageRepo = require('../db/message.repo');
+const quotesRepo = require('../db/quotes.repo');
+const stateRepo = require('../db/state.repo');
+const { pushToTenant } = require('../services/sseNotifications');
+const logger = require('../utils/logger');
+
+/** Meta status object → { code, title, detail } of its first error. */
+function statusError(status) {
+  const err = status.errors?.[0];
+  if (!err) return null;
+  return {
+    code: err.code ?? null,
+    title: err.title || err.message || null,
+    detail: err.error_data?.details || err.message || null,
+  };
+}
+
+/**
+ * Delivery status flow — WhatsApp `statuses` callbacks for the quote template
+ * and PDF sent in finalize.flow (Message rows).
+ *
+ *  1. Store the status on the Message (sent → delivered → read, or failed + Meta error)
+ *  2. SSE-notify the agent (message_status) when the status moved
+ *
+ * Statuses of other messages (agent replies, revision prompts) are ignored.
+ *
+ * @param {Array<object>} statuses - value.statuses of the webhook payload
+ */
+async function handleStatuses(statuses, correlationId) {
+  const log = logger.child(correlationId);
+
+  for (const status of statuses) {
+    if (!status?.id || !status.status) continue;
+
+    const error = status.status === 'failed' ? statusError(status) : null;
+    const result = await messageRepo.applyStatus(status.id, {
+      status: status.status,
+      timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date(),
+      error,
+    }, correlationId);
+    if (!result?.changed) continue;
+
+    const { message } = result;
+    if (message.status === 'failed') {
+      log.warn('deliveryStatus.flow: delivery failed', { quoteId: message.quote_id, kind: message.kind, error });
+    } else {
+      log.info('deliveryStatus.flow: status updated', { quoteId: message.quote_id, kind: message.kind, status: message.status });
+    }
+
+    const quote = await quotesRepo.getQuote(message.quote_id, correlationId).catch(() => null);
+    const session = quote
+      ? await stateRepo.getSession(quote.chat_id, correlationId).catch(() => null)
+      : null;
+    if (!session) {
+      log.warn('deliveryStatus.flow: session not found', { quoteId: message.quote_id });
+      continue;
+    }
+
+    await pushToTenant(session.tenant_id, 'message_status', {
+      quote_id: message.quote_id,
+      customer_chat_id: session._id,
+      message_id: message._id,
+      kind: message.kind,
+      status: message.status,
+      timestamp: message[`${message.status}_at`],
+      error: message.error,
+      customer_name: quote.customer_name,
+      vin: quote.vin,
+      version: quote.version,
+    }, correlationId).catch((err) => log.error('deliveryStatus.flow: SSE push failed', { error: err.message }));
+  }
+}
+
+module.exports = { handleStatuses };
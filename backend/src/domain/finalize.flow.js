@@ -1,31 +1,50 @@
 'use strict';
 
 const quotesRepo = require('../db/quotes.repo');
-const messageRepo = require('../db/message.repo');
 const stateRepo = require('../db/state.repo');
+const supplierPricesRepo = require('../db/supplierPrices.repo');
+const crossRefRepo = require('../db/crossReferences.repo');
 const odoo = require('../services/odoo.service');
-const whatsapp = require('../services/whatsapp.service');
+const pricing = require('../services/pricing.service');
+const stock = require('../services/stock.service');
+const supplierOffers = require('../services/supplierOffers.service');
+const crossRef = require('../services/crossRef.service');
+const waTemplates = require('../services/waTemplates');
+const quotePdf = require('../services/quotePdf.service');
 const { setPendingAction, clearPendingAction, PENDING_ACTIONS } = require('../services/stateMachine');
-const { pushToTenant } = require('../services/sseNotifications');
+const { enqueue } = require('../services/jobQueue');
+const { JOB_TYPES } = require('./jobs');
+const { AppError } = require('../utils/errors');
 const logger = require('../utils/logger');
 const trace = require('../services/trace.service');
 
+// CHOOSE_PRODUCT option value: create the part as a new Odoo product
+const NEW_PRODUCT = 'new';
+
 /**
  * Finalize flow — triggered when user says NO to "add more items".
  *
  * n8n parity:
  *  1. Load basket, de-duplicate by part_number
- *  2. Search Odoo products for each part (searchProduct)
- *  3. Build CHOOSE_PRODUCT structured form (select per part + labor_cost)
+ *  2. Search Odoo products for each part (searchProduct, with stock) and under its
+ *     equivalent numbers (aftermarket cross-references), grouped OEM vs aftermarket
+ *  3. Build CHOOSE_PRODUCT structured form (per part: product — in stock first,
+ *     with stock status, or "create product" with name / cost / sale price —
+ *     supplier offers ranked by landed price, qty, unit price, discount %; plus labor_cost)
  *  4. Set CHOOSE_PRODUCT pending action
  *  5. Send form JSON to agent (Frontend only, NOT WhatsApp)
  *
  * After form submission (POST /api/chat/submit-form → handleChooseProductSubmit):
- *  6. Update basket items with chosen product IDs + prices
- *  7. Send WA quote request template (car_quot_request|ar_EG) to customer
- *  8. Create Message doc (WA message id → quoteId)
- *  9. SSE notify agent (quote_sent event)
- * 10. Send summary to agent
+ *  6. With the tenant's block_unavailable rule (stock.service), refuse unavailable
+ *     lines unless the agent ticked the override
+ *     Create the products chosen as "create product" in Odoo (odoo.findOrCreateProduct)
+ *     Price the lines (pricing.service: markup, rounding, VAT), update basket items
+ *     and store the breakdown on the quote
+ *  7. Queue the WA quote request template (car_quot_request|ar_EG) to the customer
+ *  8. Queue the quotation PDF as a WA document (quotePdf.service)
+ *  9. The jobs create Message docs (WA message ids → quoteId) once sent
+ * 10. Queue the SSE notification to the agent (quote_sent event)
+ * 11. Send summary to agent
  */
 async function handleFinalize(chatId, item, state, correlationId, sender) {
   const log = logger.child(correlationId);
@@ -67,6 +86,34 @@ async function handleFinalize(chatId, item, state, correlationId, sender) {
   const tenant = state.tenant_id
     ? await stateRepo.getTenant(state.tenant_id, correlationId).catch(() => null)
     : null;
+  const pricingConfig = pricing.getPricingConfig(tenant);
+  const stockConfig = stock.getStockConfig(tenant);
+  const supplierConfig = supplierOffers.getSupplierConfig(tenant);
+
+  const partNumbers = uniqueItems.map((bi) => bi.part_number);
+
+  // Equivalent numbers of every part (other OEM numbers, aftermarket brands)
+  let equivalentsByPart = new Map();
+  try {
+    equivalentsByPart = await crossRefRepo.findEquivalents(partNumbers, correlationId);
+  } catch (err) {
+    log.warn('finalize.flow: cross-reference lookup failed', { error: err.message });
+  }
+  const alternateNumbers = (pn) => {
+    const eq = equivalentsByPart.get(pn);
+    return [...(eq?.oe_numbers || []), ...(eq?.aftermarket || []).map((a) => a.part_number)];
+  };
+
+  // Active supplier price-list lines for every part and its equivalents (one query)
+  let offersByNumber = new Map();
+  try {
+    offersByNumber = await supplierPricesRepo.findActiveOffers(
+      partNumbers.flatMap((pn) => [pn, ...alternateNumbers(pn)]),
+      correlationId
+    );
+  } catch (err) {
+    log.warn('finalize.flow: supplier offers lookup failed', { error: err.message });
+  }
 
   // Search Odoo products for each part and build form fields
   const formFields = [];
@@ -81,14 +128,52 @@ async function handleFinalize(chatId, item, state, correlationId, sender) {
       log.warn('finalize.flow: searchProduct failed', { part_number: bi.part_number, error: err.message });
     }
 
+    const alternates = alternateNumbers(bi.part_number);
+    if (alternates.length) {
+      let alternateProducts = [];
+      try {
+        alternateProducts = await odoo.searchAlternateProducts(alternates, correlationId, tenant) || [];
+      } catch (err) {
+        log.warn('finalize.flow: searchAlternateProducts failed', { part_number: bi.part_number, error: err.message });
+      }
+      // OEM group first, then aftermarket; in-stock first (and pre-selected) within each
+      const grouped = crossRef.groupProducts(products, alternateProducts, equivalentsByPart.get(bi.part_number));
+      products = ['oem', 'aftermarket'].flatMap((group) =>
+        stock.sortByAvailability(grouped.filter((p) => p.xref.group === group))
+      );
+    } else {
+      // In-stock products first (and pre-selected)
+      products = stock.sortByAvailability(products);
+    }
+
+    // Labels show the customer price (cost + markup, rounded), not Odoo's cost, and the stock
     const options = products.map((p) => ({
       value: p.id,
-      label: `${p.name || bi.part_number} | ${p.standard_price ?? 'N/A'} EGP`,
+      label: [
+        p.xref?.part_number
+          ? `${[p.xref.brand, p.xref.part_number].filter(Boolean).join(' ')} — ${p.name || bi.part_number}`
+          : p.name || bi.part_number,
+        `${p.standard_price != null ? pricing.sellingPrice(p.standard_price, p.categ_id, pricingConfig).unit_price : 'N/A'} ${pricingConfig.currency}`,
+        stock.stockLabel(p, bi.qty),
+      ].filter(Boolean).join(' | '),
+      stock_status: stock.stockStatus(p),
+      ...(p.xref ? { group: crossRef.GROUP_LABELS[p.xref.group] } : {}),
     }));
 
-    if (!options.length) {
-      options.push({ value: 0, label: `${bi.part_number} (غير متوفر في النظام)` });
-    }
+    // Not in Odoo (or none of the matches fits): create it from the catalog data
+    options.push({
+      value: NEW_PRODUCT,
+      label: options.length
+        ? '➕ إنشاء منتج جديد في Odoo'
+        : `➕ إنشاء منتج جديد في Odoo (${bi.description || bi.part_number})`,
+    });
+    const ifNewProduct = { field: `item_${i}_product`, equals: NEW_PRODUCT };
+
+    // Supplier offers for the part and its equivalents, cheapest landed price first (none chosen = Odoo cost)
+    const partOffers = [bi.part_number, ...alternates]
+      .flatMap((pn) => offersByNumber.get(pn) || [])
+      .filter((o, idx, all) => all.findIndex((x) => x._id === o._id) === idx);
+    const offers = supplierOffers.rankOffers(partOffers, supplierConfig, pricingConfig.currency);
 
     formFields.push({
       name: `item_${i}_product`,
@@ -96,13 +181,83 @@ async function handleFinalize(chatId, item, state, correlationId, sender) {
       type: 'select',
       options,
       required: true,
+    }, {
+      name: `item_${i}_new_name`,
+      label: 'اسم المنتج الجديد',
+      type: 'text',
+      default: bi.description || bi.part_number,
+      required: true,
+      show_if: ifNewProduct,
+    }, {
+      name: `item_${i}_new_cost`,
+      label: `التكلفة (${pricingConfig.currency})`,
+      type: 'number',
+      min: 0,
+      step: 0.01,
+      required: true,
+      show_if: ifNewProduct,
+    }, {
+      name: `item_${i}_new_price`,
+      label: `سعر البيع (${pricingConfig.currency})`,
+      type: 'number',
+      placeholder: 'تلقائي (التكلفة + هامش الربح)',
+      min: 0,
+      step: 0.01,
+      required: false,
+      show_if: ifNewProduct,
+    });
+
+    if (offers.length) {
+      formFields.push({
+        name: `item_${i}_supplier`,
+        label: `عروض الموردين لـ: ${bi.part_number} (الأرخص أولاً)`,
+        type: 'select',
+        options: [
+          { value: '', label: 'بدون مورد (تكلفة Odoo)' },
+          ...offers.map((o) => ({ value: o._id, label: supplierOffers.offerLabel(o, pricingConfig.currency) })),
+        ],
+        default: offers.some((o) => o._id === bi.supplier_price_id) ? bi.supplier_price_id : '',
+        required: false,
+      });
+    }
+
+    formFields.push({
+      name: `item_${i}_qty`,
+      label: 'الكمية',
+      type: 'number',
+      default: bi.qty || 1,
+      min: 1,
+      step: 1,
+      required: true,
+    }, {
+      name: `item_${i}_unit_price`,
+      label: `سعر الوحدة (${pricingConfig.currency})`,
+      type: 'number',
+      placeholder: 'تلقائي (التكلفة + هامش الربح)',
+      // A price the agent typed is kept when the chooser is reopened for a revision;
+      // an engine price is left blank so the product / offer / markup chosen now reprice it
+      default: bi.unit_price_manual ? bi.unit_price : undefined,
+      min: 0,
+      step: 0.01,
+      required: false,
+    }, {
+      name: `item_${i}_discount`,
+      label: 'خصم %',
+      type: 'number',
+      default: bi.discount_pct || 0,
+      min: 0,
+      max: 100,
+      step: 0.5,
+      required: false,
     });
 
     basketMeta.push({
       index: i,
       basket_item_id: bi._id,
       part_number: bi.part_number,
+      description: bi.description || null,
       products,
+      offers,
     });
   }
 
@@ -113,6 +268,15 @@ async function handleFinalize(chatId, item, state, correlationId, sender) {
     required: true,
   });
 
+  if (stockConfig.block_unavailable) {
+    formFields.push({
+      name: 'allow_unavailable',
+      label: 'إرسال العرض حتى لو فيه قطع غير متوفرة',
+      type: 'checkbox',
+      required: false,
+    });
+  }
+
   // Set CHOOSE_PRODUCT pending action
   await setPendingAction(chatId, PENDING_ACTIONS.CHOOSE_PRODUCT, {
     quote_id: quote._id,
@@ -124,7 +288,7 @@ async function handleFinalize(chatId, item, state, correlationId, sender) {
   await s.sendMessage(JSON.stringify({
     type: 'form',
     action: 'CHOOSE_PRODUCT',
-    message: 'اختر المنتج المناسب لكل قطعة وأدخل تكلفة العمالة:',
+    message: 'اختر المنتج المناسب لكل قطعة (والكمية والسعر والخصم) وأدخل تكلفة العمالة:',
     fields: formFields,
     submit_to: '/api/chat/submit-form',
   }));
@@ -132,15 +296,155 @@ async function handleFinalize(chatId, item, state, correlationId, sender) {
   log.info('finalize.flow: CHOOSE_PRODUCT form sent', { partCount: uniqueItems.length });
 }
 
+function chosenValue(meta, formData) {
+  return String(formData[`item_${meta.index}_product`] ?? '');
+}
+
+/** The searched Odoo product picked for a CHOOSE_PRODUCT line (null if none / "create product"). */
+function chosenProductOf(meta, formData) {
+  const value = chosenValue(meta, formData);
+  if (value === NEW_PRODUCT) return null;
+  const products = Array.isArray(meta.products) ? meta.products : [];
+  return products.find((p) => String(p.id) === value) || products[0] || null;
+}
+
+/** The supplier offer picked for a CHOOSE_PRODUCT line (null = none, Odoo cost). */
+function chosenOfferOf(meta, formData) {
+  const value = String(formData[`item_${meta.index}_supplier`] ?? '');
+  if (!value) return null;
+  return (Array.isArray(meta.offers) ? meta.offers : []).find((o) => String(o._id) === value) || null;
+}
+
+/**
+ * Part numbers whose chosen product is not available in the submitted quantity
+ * under the tenant's block_unavailable rule (none when the rule is off). Lines
+ * sourced from a supplier offer are ordered from the supplier, so they are never blocked.
+ */
+function unavailableParts(basketMeta, formData, stockConfig) {
+  if (!stockConfig.block_unavailable) return [];
+  return basketMeta
+    .filter((meta) => {
+      if (chosenOfferOf(meta, formData)) return false;
+      // A product created from the chooser has no stock yet
+      if (chosenValue(meta, formData) === NEW_PRODUCT) return true;
+      const chosen = chosenProductOf(meta, formData);
+      return !chosen || !stock.isAvailable(chosen, stockConfig, formData[`item_${meta.index}_qty`]);
+    })
+    .map((meta) => meta.part_number);
+}
+
+/**
+ * Lines set to "create product", with the entered name / cost / sale price.
+ * Throws AppError 400 on a missing / invalid cost.
+ */
+function newProductsOf(basketMeta, formData) {
+  return basketMeta
+    .filter((meta) => chosenValue(meta, formData) === NEW_PRODUCT)
+    .map((meta) => {
+      const cost = parseFloat(formData[`item_${meta.index}_new_cost`]);
+      const price = parseFloat(formData[`item_${meta.index}_new_price`]);
+      if (!Number.isFinite(cost) || cost < 0) {
+        throw new AppError(`أدخل تكلفة المنتج الجديد لـ: ${meta.part_number}`, 400);
+      }
+      return {
+        meta,
+        partNumber: meta.part_number,
+        name: String(formData[`item_${meta.index}_new_name`] || '').trim() || meta.description || meta.part_number,
+        cost,
+        price: Number.isFinite(price) && price >= 0 ? price : null,
+      };
+    });
+}
+
+/**
+ * Create the Odoo products of newProductsOf.
+ * @returns {Promise<Map<number, object>>} basket_meta index → product (searchProduct shape)
+ */
+async function createChosenProducts(newProducts, tenant, correlationId) {
+  const created = new Map();
+  for (const { meta, ...product } of newProducts) {
+    created.set(meta.index, await odoo.findOrCreateProduct(product, correlationId, tenant));
+  }
+  return created;
+}
+
+/**
+ * Price the submitted lines (no writes).
+ * @param {Map<number, object>} newProducts - basket_meta index → product for "create product" lines
+ * @returns {{ lines: object[], breakdown: object, basketText: string }}
+ */
+function priceChoices(basketMeta, formData, newProducts, laborCost, tenant) {
+  const lines = basketMeta.map((meta) => {
+    const created = newProducts.get(meta.index) || null;
+    const searched = Array.isArray(meta.products) ? meta.products : [];
+    // The created product is linked to the basket item with the searched ones
+    const products = created ? [created, ...searched] : searched;
+    const chosenProduct = created || chosenProductOf(meta, formData);
+    const offer = chosenOfferOf(meta, formData);
+    // Typed unit price, else a new product's sale price, else the pricing engine's
+    const enteredPrice = [
+      formData[`item_${meta.index}_unit_price`],
+      created ? formData[`item_${meta.index}_new_price`] : null,
+    ].map((v) => parseFloat(v)).find((v) => Number.isFinite(v) && v >= 0);
+    return {
+      part_number: meta.part_number,
+      name: chosenProduct?.name || meta.part_number,
+      product_id: chosenProduct?.id ?? null,
+      category: chosenProduct?.categ_id,
+      unit_cost: offer?.landed_price ?? (Number(chosenProduct?.standard_price) || 0),
+      unit_price: enteredPrice ?? null,
+      qty: formData[`item_${meta.index}_qty`],
+      discount_pct: parseFloat(formData[`item_${meta.index}_discount`]) || 0,
+      products,
+      offer,
+    };
+  });
+
+  const pricingConfig = pricing.getPricingConfig(tenant);
+  const breakdown = pricing.withValidity(
+    pricing.buildBreakdown({ lines, labor_cost: laborCost }, pricingConfig),
+    pricingConfig
+  );
+  return {
+    lines,
+    breakdown,
+    basketText: [
+      ...breakdown.lines.map((l) => pricing.lineText(l, breakdown.currency)),
+      ...pricing.totalsText(breakdown),
+    ].join('\n'),
+  };
+}
+
+/** WA quote request template and params. Throws AppError 400 (template registry validation). */
+function quoteRequestTemplate(quote, breakdown, basketText, tenant) {
+  const carDetails = quote.vehicle_details || {};
+  return waTemplates.build('quote_request', {
+    customer_name: quote.customer_name,
+    car: `${carDetails.series || ''} ${carDetails.model || ''}`.trim(),
+    vin: quote.vin,
+    items: basketText,
+    total: String(breakdown.total),
+    tenant_name: tenant?.name || '',
+    labor_cost: String(breakdown.labor_cost),
+  }, tenant);
+}
+
 /**
  * Called from POST /api/chat/submit-form when action === CHOOSE_PRODUCT.
  * Completes the finalize pipeline: update basket → WA template → Message doc → SSE notify.
  *
  * @param {string} chatId
- * @param {object} formData   - { item_0_product, item_1_product, ..., labor_cost }
+ * @param {object} formData   - { item_0_product, item_0_qty, item_0_unit_price, item_0_discount, ..., labor_cost }
+ *                              (blank unit price = pricing engine price for the chosen product;
+ *                              item_0_product "new" + item_0_new_name / _new_cost / _new_price
+ *                              creates the product in Odoo; item_0_supplier = supplier offer id,
+ *                              whose landed price is the line cost)
  * @param {object} payload    - pending_action payload { quote_id, basket_meta, tenant_id }
  * @param {string} correlationId
  * @param {object} sender     - { sendMessage }
+ * Throws AppError 409 when a line has no product, or the tenant blocks unavailable lines
+ * and the agent didn't override; 400 on an invalid new product or quote template values
+ * (both checked before anything is written to Odoo or the DB).
  */
 async function handleChooseProductSubmit(chatId, formData, payload, correlationId, sender) {
   const log = logger.child(correlationId);
@@ -157,105 +461,145 @@ async function handleChooseProductSubmit(chatId, formData, payload, correlationI
 
   const laborCost = parseFloat(formData.labor_cost) || 0;
 
-  // Process basket selections and update DB records
-  const { partsTotalCost, chosenLines, basketText } = await trace.step('finalize_choose_product', async () => {
-    let _partsTotalCost = 0;
-    const _chosenLines = [];
-
-    for (const meta of basket_meta) {
-      const chosenProductId = formData[`item_${meta.index}_product`];
-      const products = Array.isArray(meta.products) ? meta.products : [];
-      const chosenProduct =
-        products.find((p) => String(p.id) === String(chosenProductId)) ||
-        products[0] ||
-        null;
-      const price = Number(chosenProduct?.standard_price) || 0;
-      _partsTotalCost += price;
-
-      // Update basket item with chosen product
+  const tenant = tenant_id
+    ? await stateRepo.getTenant(tenant_id, correlationId).catch(() => null)
+    : null;
+  const tenantName = tenant?.name || '';
+
+  // Every line needs an Odoo product — a searched one or one created below
+  const missing = basket_meta.filter(
+    (meta) => chosenValue(meta, formData) !== NEW_PRODUCT && !chosenProductOf(meta, formData)
+  );
+  if (missing.length) {
+    throw new AppError(`اختار منتج أو أنشئ منتج جديد لـ: ${missing.map((m) => m.part_number).join('، ')}`, 409);
+  }
+
+  // Block quotes with unavailable lines (tenant rule) unless the agent overrode it
+  const unavailable = unavailableParts(basket_meta, formData, stock.getStockConfig(tenant));
+  if (unavailable.length) {
+    const override = formData.allow_unavailable === true || formData.allow_unavailable === 'true';
+    if (!override) {
+      throw new AppError(
+        `القطع دي مش متوفرة في المخزن: ${unavailable.join('، ')} — اختار منتج متوفر أو علّم "إرسال العرض حتى لو فيه قطع غير متوفرة".`,
+        409
+      );
+    }
+    log.warn('finalize.flow: quote sent with unavailable lines (agent override)', { quote_id, unavailable });
+  }
+
+  const newProducts = newProductsOf(basket_meta, formData);
+  const recipientPhone = quote.customer_phone;
+
+  // Validate the template before anything is written to Odoo or the DB, on the prices
+  // about to be sent (new products at their entered name / cost)
+  if (recipientPhone) {
+    const planned = new Map(newProducts.map(({ meta, partNumber, name, cost, price }) => [
+      meta.index,
+      { id: null, name, standard_price: cost, list_price: price ?? cost, x_studio_oen: partNumber },
+    ]));
+    const preview = priceChoices(basket_meta, formData, planned, laborCost, tenant);
+    quoteRequestTemplate(quote, preview.breakdown, preview.basketText, tenant);
+  }
+
+  const createdProducts = await trace.step('finalize_create_products', async () =>
+    createChosenProducts(newProducts, tenant, correlationId),
+    { domain: 'finalize', input: { quote_id }, replaySafe: false }
+  );
+
+  // Price basket selections, update DB records and store the breakdown
+  const { breakdown, basketText } = await trace.step('finalize_choose_product', async () => {
+    const { lines, breakdown: _breakdown, basketText: _basketText } =
+      priceChoices(basket_meta, formData, createdProducts, laborCost, tenant);
+
+    for (let i = 0; i < lines.length; i++) {
+      const priced = _breakdown.lines[i];
+      // Update basket item with chosen product, supplier and customer line pricing
+      const { offer } = lines[i];
       await quotesRepo.addToBasket(quote_id, {
-        part_number: meta.part_number,
-        products,
-        chosen_product_id: chosenProductId ? String(chosenProductId) : null,
-        total_cost: price,
+        part_number: priced.part_number,
+        products: lines[i].products,
+        chosen_product_id: Number(priced.product_id) || null,
+        supplier_price_id: offer?._id ?? null,
+        supplier: offer?.supplier ?? null,
+        supplier_landed_cost: offer?.landed_price ?? null,
+        qty: priced.qty,
+        unit_price: priced.unit_price,
+        unit_price_manual: priced.markup_rule === 'manual',
+        discount_pct: priced.discount_pct,
       }, correlationId).catch((err) => {
         log.warn('finalize.flow: addToBasket update failed', { error: err.message });
       });
-
-      _chosenLines.push(
-        `${meta.part_number}: ${chosenProduct?.name || meta.part_number} | ${price} EGP`
-      );
     }
 
-    return {
-      partsTotalCost: _partsTotalCost,
-      chosenLines: _chosenLines,
-      basketText: _chosenLines.join('\n'),
-    };
+    await quotesRepo.setPriceBreakdown(quote_id, _breakdown, correlationId).catch((err) => {
+      log.warn('finalize.flow: setPriceBreakdown failed', { error: err.message });
+    });
+
+    return { breakdown: _breakdown, basketText: _basketText };
   }, { domain: 'finalize', input: { quote_id, itemCount: basket_meta.length, laborCost }, replaySafe: false });
 
-  const totalCost = partsTotalCost + laborCost;
+  const totalCost = breakdown.total;
 
-  const tenant = tenant_id
-    ? await stateRepo.getTenant(tenant_id, correlationId).catch(() => null)
-    : null;
-  const tenantName = tenant?.name || '';
-
-  // Send WA quote request template to customer's phone
-  const recipientPhone = quote.customer_phone;
-  let waMessageId = null;
+  // Queue the WA quote request template and the quotation PDF for the customer
+  // (jobs retry with backoff; see domain/jobs.js)
+  const jobOptions = { tenantId: tenant_id, quoteId: quote_id };
 
   if (recipientPhone) {
-    try {
-      const carDetails = quote.vehicle_details || {};
-      const template = process.env.WA_TEMPLATE_QUOTE_REQUEST || 'car_quot_request|ar_EG';
-      const params = [
-        quote.customer_name || '',
-        `${carDetails.series || ''} ${carDetails.model || ''}`.trim(),
-        quote.vin || '',
-        basketText,
-        String(totalCost),
-        tenantName,
-        String(laborCost),
-      ];
-      const waResp = await whatsapp.sendTemplate(recipientPhone, template, params, correlationId);
-      waMessageId = waResp?.messages?.[0]?.id || null;
-      log.info('finalize.flow: WA template sent', { waMessageId });
-    } catch (err) {
-      log.error('finalize.flow: WA send failed', { error: err.message });
+    const { template, params } = quoteRequestTemplate(quote, breakdown, basketText, tenant);
+    await enqueue(JOB_TYPES.WA_QUOTE_TEMPLATE, {
+      quote_id,
+      phone: recipientPhone,
+      template,
+      params,
+    }, jobOptions, correlationId);
+
+    // PDF next to the template (WA only delivers documents inside the customer's
+    // 24h window — a failure shows up as a message_status event)
+    if (process.env.WA_SEND_QUOTE_PDF !== 'false') {
+      await enqueue(JOB_TYPES.WA_QUOTE_PDF, {
+        quote_id,
+        phone: recipientPhone,
+        tenant_id,
+        caption: tenantName ? `عرض سعر - ${tenantName}` : 'عرض سعر',
+      }, { ...jobOptions, runAt: new Date(Date.now() + 1000) }, correlationId);
     }
+    log.info('finalize.flow: WA quote queued', { quote_id });
   } else {
     log.warn('finalize.flow: no customer phone — skipping WA template');
   }
 
-  // Save Message document (WA msg id → quoteId) for button tracking
-  if (waMessageId) {
-    await messageRepo.createMessage(waMessageId, { quote_id }, correlationId).catch((err) => {
-      log.warn('finalize.flow: createMessage failed', { error: err.message });
-    });
-  }
-
   // SSE notify agent
-  await pushToTenant(tenant_id, 'quote_sent', {
-    quote_id,
-    chat_id: quote.chat_id,
-    vin: quote.vin,
-    customer_name: quote.customer_name,
-    total_cost: totalCost,
-    labor_cost: laborCost,
-    basket_text: basketText,
-  }, correlationId);
+  await enqueue(JOB_TYPES.SSE_PUSH, {
+    tenant_id,
+    event: 'quote_sent',
+    data: {
+      quote_id,
+      version: quote.version,
+      chat_id: quote.chat_id,
+      vin: quote.vin,
+      customer_name: quote.customer_name,
+      total_cost: totalCost,
+      labor_cost: breakdown.labor_cost,
+      vat_amount: breakdown.vat_amount,
+      basket_text: basketText,
+      price_breakdown: breakdown,
+      pdf_url: quotePdf.quotePdfLink(quote_id),
+    },
+  }, jobOptions, correlationId);
 
   // Clear CHOOSE_PRODUCT pending action
   await clearPendingAction(chatId, correlationId);
 
   // Send summary to agent
   await s.sendMessage([
-    '✅ تم إرسال عرض السعر للعميل على واتساب.',
+    quote.version > 1
+      ? `✅ تم إرسال النسخة ${quote.version} من عرض السعر للعميل على واتساب.`
+      : '✅ تم إرسال عرض السعر للعميل على واتساب.',
     '',
-    `الإجمالي: ${totalCost} EGP`,
-    `  • قطع الغيار: ${partsTotalCost} EGP`,
-    `  • عمالة: ${laborCost} EGP`,
+    `الإجمالي: ${totalCost} ${breakdown.currency}`,
+    `  • قطع الغيار: ${breakdown.parts_subtotal} ${breakdown.currency}`,
+    `  • عمالة: ${breakdown.labor_cost} ${breakdown.currency}`,
+    `  • ضريبة القيمة المضافة ${breakdown.vat_pct}%: ${breakdown.vat_amount} ${breakdown.currency}`,
     '',
     'انتظر رد العميل على واتساب (تأكيد / إلغاء).',
   ].join('\n'));
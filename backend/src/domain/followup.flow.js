@@ -0,0 +1,142 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const quotesRepo = require('../db/quotes.repo');
+const stateRepo = require('../db/state.repo');
+const followup = require('../services/followup.service');
+const waTemplates = require('../services/waTemplates');
+const { enqueue } = require('../services/jobQueue');
+const { JOB_TYPES } = require('./jobs');
+const logger = require('../utils/logger');
+
+const INTERVAL_MS = parseInt(process.env.FOLLOWUP_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const PAGE_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+/**
+ * Follow-up flow — quotes sent on WhatsApp that the customer never answered.
+ *
+ * Every FOLLOWUP_INTERVAL_MS, for each OPEN quote with a sent template:
+ *  1. Past the tenant's expire_after_days → EXPIRED (QuoteStatusHistory, channel SYSTEM)
+ *     and SSE-notify the agent (quote_expired; the agent can reopen it as a new version)
+ *  2. Else, a reminder is due → queue the reminder template (job) and
+ *     SSE-notify the agent (quote_reminder_sent)
+ *
+ * Intervals and templates: services/followup.service.js (per tenant).
+ */
+async function run(correlationId = uuidv4()) {
+  const log = logger.child(correlationId);
+  if (running) return { skipped: true };
+  running = true;
+
+  const stats = { checked: 0, reminded: 0, expired: 0 };
+  try {
+    const sessions = new Map();
+    const tenants = new Map();
+    const now = new Date();
+
+    // Every OPEN quote, a page at a time: quotes that never become due (follow-up
+    // off, no expiry) must not hold back the ones behind them
+    let after = null;
+    for (;;) {
+      const quotes = await quotesRepo.listQuotesAwaitingReply({ limit: PAGE_SIZE, after }, correlationId);
+      for (const quote of quotes) {
+        stats.checked += 1;
+        try {
+          if (!sessions.has(quote.chat_id)) {
+            sessions.set(quote.chat_id, await stateRepo.getSession(quote.chat_id, correlationId).catch(() => null));
+          }
+          const tenantId = sessions.get(quote.chat_id)?.tenant_id || null;
+          if (tenantId && !tenants.has(tenantId)) {
+            tenants.set(tenantId, await stateRepo.getTenant(tenantId, correlationId).catch(() => null));
+          }
+          const tenant = tenantId ? tenants.get(tenantId) : null;
+
+          const due = followup.dueFollowup(quote, followup.getFollowupConfig(tenant), now);
+          if (!due) continue;
+
+          const event = {
+            quote_id: quote._id,
+            customer_chat_id: sessions.get(quote.chat_id)?._id ?? quote.chat_id,
+            customer_name: quote.customer_name,
+            vin: quote.vin,
+            version: quote.version,
+          };
+          const jobOptions = { tenantId, quoteId: quote._id };
+
+          if (due.action === 'expire') {
+            if (!(await quotesRepo.expireQuote(quote._id, correlationId))) continue;
+            stats.expired += 1;
+            await enqueue(JOB_TYPES.SSE_PUSH, {
+              tenant_id: tenantId,
+              event: 'quote_expired',
+              data: { ...event, status: 'expired', revisable: true },
+            }, jobOptions, correlationId);
+            continue;
+          }
+
+          // No number to remind (the quote still expires): leave the reminder unclaimed
+          if (!quote.customer_phone) continue;
+
+          // Validated before the claim: an invalid template must not use up the reminder
+          const car = quote.vehicle_details || {};
+          const { template, params } = waTemplates.build('reminder', {
+            customer_name: quote.customer_name,
+            car: `${car.series || ''} ${car.model || ''}`.trim(),
+            total: String(quote.total ?? ''),
+            tenant_name: tenant?.name,
+          }, tenant, { template: due.template });
+
+          // Claim the reminder first: a reminder is sent at most once
+          const claimed = await quotesRepo.markReminderSent(
+            quote._id,
+            quote.reminders_sent,
+            due.index + 1,
+            correlationId
+          );
+          if (!claimed) continue;
+          stats.reminded += 1;
+
+          await enqueue(JOB_TYPES.WA_QUOTE_REMINDER, {
+            quote_id: quote._id,
+            phone: quote.customer_phone,
+            template,
+            params,
+          }, jobOptions, correlationId);
+          await enqueue(JOB_TYPES.SSE_PUSH, {
+            tenant_id: tenantId,
+            event: 'quote_reminder_sent',
+            data: { ...event, reminder: due.index + 1 },
+          }, jobOptions, correlationId);
+        } catch (err) {
+          log.error('followup.flow: quote failed', { quoteId: quote._id, error: err.message });
+        }
+      }
+      if (quotes.length < PAGE_SIZE) break;
+      after = quotes[quotes.length - 1];
+    }
+
+    if (stats.reminded || stats.expired) log.info('followup.flow: complete', stats);
+    return stats;
+  } finally {
+    running = false;
+  }
+}
+
+function startScheduler() {
+  if (timer) return;
+  timer = setInterval(() => {
+    run().catch((err) => logger.error('followup.flow: run failed', { error: err.message }));
+  }, INTERVAL_MS);
+  if (timer.unref) timer.unref();
+  logger.info('followup.flow: scheduler started', { intervalMs: INTERVAL_MS });
+}
+
+function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { run, startScheduler, stopScheduler };
@@ -0,0 +1,272 @@
+'use strict';
+
+const { registerJobHandler, enqueue } = require('../services/jobQueue');
+const whatsapp = require('../services/whatsapp.service');
+const odoo = require('../services/odoo.service');
+const quotePdf = require('../services/quotePdf.service');
+const catalogCache = require('../services/catalogCache.service');
+const { pushToTenant } = require('../services/sseNotifications');
+const quotesRepo = require('../db/quotes.repo');
+const messageRepo = require('../db/message.repo');
+const stateRepo = require('../db/state.repo');
+const jobRepo = require('../db/job.repo');
+const { NonRetryableError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Job handlers for the outbound side effects of finalize.flow, confirmation.flow
+ * (incl. the optional Odoo order / invoice pipeline) and followup.flow, and for the
+ * background catalog cache refresh of part.flow. Each handler throws to have the job retried
+ * (services/jobQueue.js); the return value is stored as the job result.
+ */
+
+const JOB_TYPES = {
+  WA_QUOTE_TEMPLATE: 'whatsapp.quote_template',
+  WA_QUOTE_PDF: 'whatsapp.quote_pdf',
+  WA_QUOTE_REMINDER: 'whatsapp.quote_reminder',
+  WA_CONFIRMATION: 'whatsapp.confirmation',
+  ODOO_ORDER_LINE: 'odoo.order_line',
+  ODOO_CONFIRM_ORDER: 'odoo.confirm_order',
+  ODOO_CREATE_INVOICE: 'odoo.create_invoice',
+  SSE_PUSH: 'sse.push',
+  CATALOG_REFRESH: 'catalog.refresh',
+};
+
+/** Tenant the job belongs to — its WhatsApp number / Odoo credentials (env when null). */
+async function loadTenant(tenantId, correlationId) {
+  return tenantId ? stateRepo.getTenant(tenantId, correlationId) : null;
+}
+
+async function loadQuote(quoteId, correlationId) {
+  const quote = await quotesRepo.getQuote(quoteId, correlationId);
+  if (!quote) throw new Error(`Quote ${quoteId} not found`);
+  return quote;
+}
+
+/**
+ * Send a WhatsApp message at most once per job: the WA id is stored on the job as soon
+ * as it is sent, and a retry (the bookkeeping after the send failed) reuses it.
+ * Returns { wa_message_id } or { skipped: true }.
+ */
+async function sendOnce(job, send, correlationId) {
+  if (job.result?.wa_message_id) {
+    logger.child(correlationId).info('jobs.sendOnce: already sent, not resending', { jobId: job._id });
+    return { wa_message_id: job.result.wa_message_id };
+  }
+  const resp = await send();
+  if (resp?.skipped) return { skipped: true };
+
+  const waMessageId = resp?.messages?.[0]?.id || null;
+  if (waMessageId) {
+    await jobRepo.saveJobResult(job._id, { wa_message_id: waMessageId }, correlationId).catch((err) => {
+      logger.child(correlationId).warn('jobs.sendOnce: could not store the WA id', { jobId: job._id, error: err.message });
+    });
+  }
+  return { wa_message_id: waMessageId };
+}
+
+/**
+ * Quote template with the confirm / modify / cancel buttons.
+ * payload: { quote_id, phone, template, params }
+ */
+registerJobHandler(JOB_TYPES.WA_QUOTE_TEMPLATE, async (payload, { job, correlationId }) => {
+  const log = logger.child(correlationId);
+  const tenant = await loadTenant(job.tenant_id, correlationId);
+  const sent = await sendOnce(job, () =>
+    whatsapp.sendTemplate(payload.phone, payload.template, payload.params, correlationId, tenant), correlationId);
+  if (sent.skipped) return sent;
+
+  const waMessageId = sent.wa_message_id;
+  if (waMessageId) {
+    // WA msg id → quote, for button replies and delivery status
+    await messageRepo.createMessage(waMessageId, { quote_id: payload.quote_id, kind: 'template' }, correlationId);
+    await quotesRepo.setQuoteMessageId(payload.quote_id, waMessageId, correlationId);
+  }
+  log.info('jobs.quoteTemplate: sent', { quoteId: payload.quote_id, waMessageId });
+  return { wa_message_id: waMessageId };
+});
+
+/**
+ * Quotation PDF (rendered from the quote's stored price breakdown).
+ * payload: { quote_id, phone, tenant_id, caption }
+ */
+registerJobHandler(JOB_TYPES.WA_QUOTE_PDF, async (payload, { job, correlationId }) => {
+  const quote = await loadQuote(payload.quote_id, correlationId);
+  const tenant = await loadTenant(payload.tenant_id, correlationId);
+
+  const sent = await sendOnce(job, async () => {
+    const buffer = await quotePdf.renderQuotePdf(quote, { tenant, correlationId });
+    return whatsapp.sendDocument(payload.phone, {
+      buffer,
+      filename: quotePdf.quotePdfFilename(quote),
+      caption: payload.caption,
+    }, correlationId, tenant);
+  }, correlationId);
+  if (sent.skipped) return sent;
+
+  const waMessageId = sent.wa_message_id;
+  if (waMessageId) {
+    await messageRepo.createMessage(waMessageId, { quote_id: quote._id, kind: 'document' }, correlationId);
+  }
+  return { wa_message_id: waMessageId };
+});
+
+/**
+ * Follow-up reminder for an unanswered quote (followup.flow). Its buttons
+ * answer the quote like the original template's.
+ * payload: { quote_id, phone, template, params }
+ */
+registerJobHandler(JOB_TYPES.WA_QUOTE_REMINDER, async (payload, { job, correlationId }) => {
+  const quote = await loadQuote(payload.quote_id, correlationId);
+  if (quote.status !== 'open') return { skipped: true, status: quote.status };
+
+  const tenant = await loadTenant(job.tenant_id, correlationId);
+  const sent = await sendOnce(job, () =>
+    whatsapp.sendTemplate(payload.phone, payload.template, payload.params, correlationId, tenant), correlationId);
+  if (sent.skipped) return sent;
+
+  const waMessageId = sent.wa_message_id;
+  if (waMessageId) {
+    await messageRepo.createMessage(waMessageId, { quote_id: quote._id, kind: 'reminder' }, correlationId);
+  }
+  return { wa_message_id: waMessageId };
+});
+
+/**
+ * Order confirmation template.
+ * payload: { quote_id, phone, total_cost, tenant_name }
+ */
+registerJobHandler(JOB_TYPES.WA_CONFIRMATION, async (payload, { job, correlationId }) => {
+  const quote = await loadQuote(payload.quote_id, correlationId);
+  const tenant = await loadTenant(job.tenant_id, correlationId);
+  const resp = await whatsapp.sendConfirmationTemplate(
+    payload.phone,
+    quote,
+    payload.total_cost,
+    payload.tenant_name,
+    correlationId,
+    tenant
+  );
+  return resp?.skipped ? { skipped: true } : { wa_message_id: resp?.messages?.[0]?.id || null };
+});
+
+/**
+ * One sale.order.line on the quote's Odoo quotation. Labor / VAT lines name their
+ * service product (odoo.SERVICE_PRODUCTS) instead of a product id.
+ * payload: { order_id, line: { productId | service, name, priceUnit, qty, discount, taxIds }, tenant_id }
+ */
+registerJobHandler(JOB_TYPES.ODOO_ORDER_LINE, async (payload, { correlationId }) => {
+  const tenant = await loadTenant(payload.tenant_id, correlationId);
+  const { service, ...line } = payload.line;
+  if (!line.productId && service) {
+    line.productId = await odoo.findOrCreateServiceProduct(service, correlationId, tenant);
+  }
+  const { id } = await odoo.createOrderLine(
+    { orderId: Number(payload.order_id), ...line },
+    correlationId,
+    tenant
+  );
+  return { line_id: id };
+});
+
+/**
+ * Confirm the quote's sale order once all its order lines are in Odoo, then
+ * queue the invoice (services/odooAutomation.service.js).
+ * payload: { quote_id, order_id, tenant_id, create_invoice, post_invoice }
+ */
+registerJobHandler(JOB_TYPES.ODOO_CONFIRM_ORDER, async (payload, { job, correlationId }) => {
+  const log = logger.child(correlationId);
+  // Order lines are separate jobs: retry until they are all added (a dead line
+  // keeps this job failing until the line is retried from the admin API)
+  const lineJobs = await jobRepo.listJobs(
+    { type: JOB_TYPES.ODOO_ORDER_LINE, quoteId: payload.quote_id, limit: 500 },
+    correlationId
+  );
+  const waiting = lineJobs.filter((j) => ['pending', 'running', 'dead'].includes(j.status));
+  if (waiting.length) {
+    throw new Error(`${waiting.length} order line job(s) not done yet (${[...new Set(waiting.map((j) => j.status))].join(', ')})`);
+  }
+
+  const tenant = await loadTenant(payload.tenant_id, correlationId);
+  const orderId = Number(payload.order_id);
+  let order = await odoo.getSaleOrder(orderId, correlationId, tenant);
+  if (!order) throw new NonRetryableError(`Sale order ${orderId} no longer exists in Odoo`);
+  if (['draft', 'sent'].includes(order.state)) {
+    order = await odoo.confirmSaleOrder(orderId, correlationId, tenant);
+  }
+  await quotesRepo.setOdooOrderState(payload.quote_id, { order_state: order?.state ?? null }, correlationId);
+  log.info('jobs.confirmOrder: done', { orderId, state: order?.state });
+
+  if (payload.create_invoice) {
+    await enqueue(JOB_TYPES.ODOO_CREATE_INVOICE, {
+      quote_id: payload.quote_id,
+      order_id: orderId,
+      tenant_id: payload.tenant_id,
+      post_invoice: payload.post_invoice,
+    }, {
+      tenantId: job.tenant_id,
+      quoteId: payload.quote_id,
+      dedupeKey: `odoo.create_invoice:${payload.quote_id}`,
+    }, correlationId);
+  }
+  return { order_state: order?.state ?? null };
+});
+
+/**
+ * Invoice the confirmed sale order and optionally post it.
+ * payload: { quote_id, order_id, tenant_id, post_invoice }
+ */
+registerJobHandler(JOB_TYPES.ODOO_CREATE_INVOICE, async (payload, { correlationId }) => {
+  const log = logger.child(correlationId);
+  const tenant = await loadTenant(payload.tenant_id, correlationId);
+  const orderId = Number(payload.order_id);
+  const order = await odoo.getSaleOrder(orderId, correlationId, tenant);
+  if (!order) throw new NonRetryableError(`Sale order ${orderId} no longer exists in Odoo`);
+  if (!['sale', 'done'].includes(order.state)) {
+    throw new Error(`Sale order ${order.name} is ${order.state}, not confirmed`);
+  }
+
+  // A retry after a partial run reuses the invoice already created
+  let invoiceIds = order.invoice_ids || [];
+  if (!invoiceIds.length) invoiceIds = await odoo.createInvoice(orderId, correlationId, tenant);
+  if (!invoiceIds.length) throw new Error(`Odoo created no invoice for ${order.name} (nothing to invoice?)`);
+
+  let invoices = await odoo.getInvoices(invoiceIds, correlationId, tenant);
+  const drafts = invoices.filter((inv) => inv.state === 'draft').map((inv) => inv.id);
+  if (payload.post_invoice && drafts.length) {
+    await odoo.postInvoices(drafts, correlationId, tenant);
+    invoices = await odoo.getInvoices(invoiceIds, correlationId, tenant);
+  }
+
+  const invoice = invoices[invoices.length - 1];
+  // Draft invoices are named "/" until posted
+  const invoiceNumber = invoice?.name && invoice.name !== '/' ? invoice.name : null;
+  await quotesRepo.setOdooOrderState(payload.quote_id, {
+    order_state: order.state,
+    invoice_id: invoice?.id ?? null,
+    invoice_number: invoiceNumber,
+    invoice_state: invoice?.state ?? null,
+  }, correlationId);
+  log.info('jobs.createInvoice: done', { orderId, invoiceId: invoice?.id, invoiceNumber, state: invoice?.state });
+  return { invoice_id: invoice?.id ?? null, invoice_number: invoiceNumber, invoice_state: invoice?.state ?? null };
+});
+
+/**
+ * SSE event to the tenant's agent (stored as a pending notification when offline).
+ * payload: { tenant_id, event, data }
+ */
+registerJobHandler(JOB_TYPES.SSE_PUSH, async (payload, { correlationId }) => {
+  const delivered = await pushToTenant(payload.tenant_id, payload.event, payload.data, correlationId);
+  return { delivered: Boolean(delivered) };
+});
+
+/**
+ * Re-scrape a stale catalog cache entry that was served as it is (services/catalogCache.service.js).
+ * payload: { vin, group, type_code, vehicle }
+ */
+registerJobHandler(JOB_TYPES.CATALOG_REFRESH, async (payload, { correlationId }) => {
+  const { subgroups } = await catalogCache.refreshGroup(payload, correlationId);
+  return { subgroups: subgroups.length };
+});
+
+module.exports = { JOB_TYPES };
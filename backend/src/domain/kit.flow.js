@@ -1,12 +1,65 @@
 'use strict';
 
-const sheets = require('../integrations/sheets.client');
 const ai = require('../ai/agent');
+const kitsRepo = require('../db/kits.repo');
 const quotesRepo = require('../db/quotes.repo');
 const { setPendingAction, PENDING_ACTIONS } = require('../services/stateMachine');
+const { partNameKey } = require('../utils/partName');
 const logger = require('../utils/logger');
 const trace = require('../services/trace.service');
 
+/**
+ * Match kit text against the kits table.
+ * An exact kit_code / name / alias match (by partNameKey) skips the LLM;
+ * otherwise ai.matchKit picks from all active kits. Parts are the kit lines
+ * that apply to the vehicle (series / engine).
+ *
+ * Returns: { available, matched, kit_code, kit_name, parts_array, suggestions, clarify_message }
+ *   available — false when there are no kits at all
+ */
+async function findKit(kitText, vehicle, correlationId) {
+  const kits = await trace.step('kit_db_load', async () =>
+    kitsRepo.getActiveKits(correlationId),
+    { domain: 'general', input: {}, replaySafe: true }
+  );
+  if (!kits.length) return { available: false, matched: false };
+
+  const key = partNameKey(kitText);
+  let kit = kits.find((k) =>
+    [k.kit_code, k.kit_name_ar, k.kit_name_en, ...k.aliases].some((name) => name && partNameKey(name) === key)
+  );
+
+  if (!kit) {
+    const matchResult = await trace.step('kit_ai_match', async () =>
+      ai.matchKit(kitText, kits.map(kitsRepo.toSheetRow), correlationId),
+      { domain: 'ai', input: { kitText, kitCount: kits.length }, replaySafe: true }
+    );
+    if (!matchResult.matched) {
+      return {
+        available: true, matched: false,
+        suggestions: matchResult.suggestions || [],
+        clarify_message: matchResult.clarify_message || '',
+      };
+    }
+    kit = kits.find((k) => k.kit_code === matchResult.kit_code);
+    if (!kit) {
+      // LLM returned a code we don't have — keep its parts list
+      return {
+        available: true, matched: true,
+        kit_code: matchResult.kit_code, kit_name: matchResult.kit_name_ar || matchResult.kit_code,
+        parts_array: matchResult.parts_array || [],
+      };
+    }
+  }
+
+  return {
+    available: true, matched: true,
+    kit_code: kit.kit_code,
+    kit_name: kit.kit_name_ar || kit.kit_name_en || kit.kit_code,
+    parts_array: kitsRepo.partsForVehicle(kit, vehicle),
+  };
+}
+
 /**
  * Kit flow — sets CONFIRM_KIT wait state instead of auto-proceeding.
  */
@@ -24,28 +77,20 @@ async function handleKit(chatId, item, state, correlationId, sender) {
 
   const quote = await quotesRepo.getLatestOpenQuote(chatId, correlationId).catch(() => null);
 
-  let kits = [];
+  let matchResult;
   try {
-    kits = await trace.step('kit_sheets_load', async () =>
-      sheets.getAllKits(correlationId),
-      { domain: 'sheets', input: {}, replaySafe: true }
-    );
+    matchResult = await findKit(kitText, quote?.vehicle_details, correlationId);
   } catch (err) {
-    log.error('kit.flow: kits sheet failed', { error: err.message });
+    log.error('kit.flow: kits load failed', { error: err.message });
     await s.sendMessage('حصل مشكلة في تحميل بيانات الطقم. حاول تاني.');
     return;
   }
 
-  if (!kits.length) {
+  if (!matchResult.available) {
     await s.sendMessage('مفيش بيانات طقم متاحة حالياً.');
     return;
   }
 
-  const matchResult = await trace.step('kit_ai_match', async () =>
-    ai.matchKit(kitText, kits, correlationId),
-    { domain: 'ai', input: { kitText, kitCount: kits.length }, replaySafe: true }
-  );
-
   if (!matchResult.matched) {
     log.info('kit.flow: no match, setting AWAIT_KIT_CLARIFICATION');
     await setPendingAction(chatId, PENDING_ACTIONS.AWAIT_KIT_CLARIFICATION, {
@@ -62,14 +107,14 @@ async function handleKit(chatId, item, state, correlationId, sender) {
   log.info('kit.flow: matched', { kit_code: matchResult.kit_code, partsCount: partsArray.length });
 
   if (!partsArray.length) {
-    await s.sendMessage('الطقم موجود بس مفيش قطع مسجلة فيه.');
+    await s.sendMessage('الطقم موجود بس مفيش قطع مسجلة فيه للعربية دي.');
     return;
   }
 
   // Set CONFIRM_KIT wait
   await setPendingAction(chatId, PENDING_ACTIONS.CONFIRM_KIT, {
     kit_code: matchResult.kit_code,
-    kit_name: kitText,
+    kit_name: matchResult.kit_name || kitText,
     parts_list: partsArray,
     quote_id: quote?._id || null,
   }, 60, correlationId);
@@ -80,4 +125,4 @@ async function handleKit(chatId, item, state, correlationId, sender) {
   log.info('kit.flow: waiting for kit confirmation');
 }
 
-module.exports = { handleKit };
+module.exports = { handleKit, findKit };
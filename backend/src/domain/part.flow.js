@@ -3,14 +3,21 @@
 const scraper = require('../integrations/scraper.client');
 const sheets = require('../integrations/sheets.client');
 const catalogRepo = require('../db/catalog.repo');
+const learnedAliasRepo = require('../db/learnedAlias.repo');
 const quotesRepo = require('../db/quotes.repo');
 const stateRepo = require('../db/state.repo');
 const ai = require('../ai/agent');
+const odoo = require('../services/odoo.service');
+const catalogCache = require('../services/catalogCache.service');
 const { setPendingAction, PENDING_ACTIONS } = require('../services/stateMachine');
+const { enqueue } = require('../services/jobQueue');
+const { JOB_TYPES } = require('./jobs');
+const { extractPartNumberGroups, isPartNumberMessage, formatPartNumber } = require('../utils/partNumber');
+const { normalizePartName, translatePartName, partNameKey, stemToken } = require('../utils/partName');
 const logger = require('../utils/logger');
 const trace = require('../services/trace.service');
 
-/* ─── Scoring helpers (unchanged from original) ──────────────────────────── */
+/* ─── Scoring helpers ───────────────────────────────────────────────────── */
 
 function getLevenshtein(a, b) {
   if (!a.length) return b.length;
@@ -36,36 +43,197 @@ function getTokenSetRatio(a, b) {
   return union.size === 0 ? 0 : (inter.length / union.size) * 100;
 }
 
-function porterStem(w) { return w.replace(/(ing|ed|s)$/i, ''); }
-function stemSentence(s) { return s.toLowerCase().split(/\s+/).map(porterStem).join(' '); }
+function stemSentence(s) { return s.split(/\s+/).map(stemToken).join(' '); }
 
-function scoreParts(query, subgroups) {
-  const queryStemmed = stemSentence(query.toLowerCase());
+/** How many scored parts the CHOOSE_PART_CANDIDATE picker lists. */
+const CANDIDATE_LIMIT = 5;
+
+/** Learned-alias weight at which the learned part is offered directly, without scraping. */
+const LEARNED_DIRECT_WEIGHT = 3;
+
+/** Score bonus for a learned part number: 0.1 per net confirmation, capped at 0.3. */
+function learnedBoosts(learned) {
+  const boosts = {};
+  for (const a of learned || []) {
+    boosts[a.part_number] = Math.max(boosts[a.part_number] || 0, Math.min(0.3, 0.1 * a.weight));
+  }
+  return boosts;
+}
+
+/**
+ * The query goes through partNameKey (Arabic / Arabizi → RealOEM English) and
+ * descriptions through normalizePartName before comparing.
+ * @param {object} [boosts] - part_number → score bonus (learned aliases); capped at 1
+ */
+function scoreParts(query, subgroups, boosts = {}) {
+  const q = partNameKey(query);
+  const queryStemmed = stemSentence(q);
   const uniqueParts = new Map();
   for (const subgroup of subgroups) {
     if (!Array.isArray(subgroup.parts)) continue;
     const diagramUrl = subgroup.diagram_image ?? null;
+    const subgroupName = subgroup.subgroup ?? null;
+    const groupName = subgroup.group_name ?? null;
     for (const part of subgroup.parts) {
       if (!part.description || !part.part_number) continue;
-      const desc = part.description.toLowerCase();
+      const desc = normalizePartName(part.description);
       const descStemmed = stemSentence(desc);
-      const maxLen = Math.max(query.length, desc.length);
+      const maxLen = Math.max(q.length, desc.length);
       if (!maxLen) continue;
-      const leven = (maxLen - getLevenshtein(query.toLowerCase(), desc)) / maxLen;
-      const fuzzy = getTokenSetRatio(query.toLowerCase(), desc) / 100;
+      const leven = (maxLen - getLevenshtein(q, desc)) / maxLen;
+      const fuzzy = getTokenSetRatio(q, desc) / 100;
       const lemma = getTokenSetRatio(queryStemmed, descStemmed) / 100;
-      const score = 0.6 * fuzzy + 0.25 * lemma + 0.15 * leven;
+      const score = Math.min(1, 0.6 * fuzzy + 0.25 * lemma + 0.15 * leven + (boosts[part.part_number] || 0));
       const existing = uniqueParts.get(part.part_number);
       if (!existing || score > existing.score) {
         uniqueParts.set(part.part_number, {
           part_number: part.part_number, description: part.description,
-          score, original_part: part, diagram_url: diagramUrl,
+          score, original_part: part, diagram_url: diagramUrl, subgroup: subgroupName, group_name: groupName,
         });
       }
     }
   }
   const ranked = [...uniqueParts.values()].sort((a, b) => b.score - a.score);
-  return { best_match: ranked[0] ?? { score: 0 }, second_match: ranked[1] ?? { score: 0 } };
+  return {
+    best_match: ranked[0] ?? { score: 0 },
+    second_match: ranked[1] ?? { score: 0 },
+    candidates: ranked.filter((p) => p.score > 0).slice(0, CANDIDATE_LIMIT),
+  };
+}
+
+/* ─── Direct part-number lookup ─────────────────────────────────────────── */
+
+/**
+ * Resolve one part by OEM number: cached CatalogResult lines for the vehicle's
+ * type_code plus Odoo searchProduct, then CONFIRM_PART_MATCH with that exact line.
+ * @param {string[]} partNumbers - one part's numbers, old → new when superseded
+ * @param {object} [learned] - { alias, main_group } when offering a learned alias;
+ *   returns false without replying if the number is found nowhere
+ */
+async function processPartNumber(chatId, partNumbers, vin, quote, state, correlationId, sender, remainingParts, learned = null) {
+  const log = logger.child(correlationId);
+  const typeCode = quote.vehicle_details?.type_code || '';
+  log.info('part.flow.processPartNumber', { partNumbers, typeCode });
+
+  const catalogHits = await trace.step('part_number_catalog_lookup', async () =>
+    catalogRepo.findPartNumbers(partNumbers, typeCode, correlationId),
+    { domain: 'general', input: { partNumbers, typeCode }, replaySafe: true }
+  ).catch(() => []);
+
+  // Newest number first — a superseding number is what stock is kept under
+  const tenant = state.tenant_id ? await stateRepo.getTenant(state.tenant_id, correlationId) : null;
+  const odooHit = await trace.step('part_number_odoo_lookup', async () => {
+    for (const pn of [...partNumbers].reverse()) {
+      for (const term of [pn, formatPartNumber(pn)]) {
+        const products = await odoo.searchProduct(term, correlationId, tenant);
+        if (products && products.length) return { part_number: pn, products };
+      }
+    }
+    return null;
+  }, { domain: 'odoo', input: { partNumbers }, replaySafe: true }).catch((err) => {
+    log.warn('part.flow: part-number Odoo lookup failed', { error: err.message });
+    return null;
+  });
+
+  const partNumber = odooHit?.part_number || catalogHits[0]?.part_number || null;
+  if (!partNumber) {
+    if (learned) return false;
+    await sender.sendMessage(`مش لاقي رقم القطعة ${partNumbers.map(formatPartNumber).join(' / ')} في الكتالوج أو المخزون. ابعت اسم القطعة بدل الرقم.`);
+    return;
+  }
+
+  const line = catalogHits.find((h) => h.part_number === partNumber) || catalogHits[0] || null;
+  const description = line?.description || odooHit?.products?.[0]?.name || formatPartNumber(partNumber);
+  const bestMatch = {
+    part_number: partNumber,
+    description,
+    score: 1,
+    original_part: line?.original_part || null,
+    diagram_url: line?.diagram_url || null,
+    subgroup: line?.subgroup || null,
+    products: odooHit?.products || [],
+  };
+
+  if (bestMatch.diagram_url) {
+    try {
+      const img = await scraper.downloadDiagramImage(bestMatch.diagram_url, correlationId);
+      if (img) await sender.sendPhotoBuffer(img.data, `Diagram: ${description}`);
+    } catch {}
+  }
+
+  const typed = partNumbers[0];
+  await sender.sendMessage([
+    learned ? 'لقيت القطعة دي (اتأكدت قبل كده للعربية دي):' : 'لقيت القطعة بالرقم:',
+    '',
+    `*القطعة:* ${description}`,
+    `*رقم القطعة:* ${formatPartNumber(partNumber)}`,
+    typed !== partNumber ? `(الرقم ${formatPartNumber(typed)} اتغير لـ ${formatPartNumber(partNumber)})` : '',
+    line?.item_no ? `*رقم الصنف:* ${line.item_no}` : '',
+    line ? '' : '(مش موجودة في الكتالوج المحفوظ للعربية دي)',
+    odooHit ? `*في المخزون:* ${odooHit.products[0].name}` : '⚠️ مش موجودة في المخزون',
+    '',
+    'هل دي القطعة المطلوبة؟ (نعم / لا)',
+  ].filter(Boolean).join('\n'));
+
+  await setPendingAction(chatId, PENDING_ACTIONS.CONFIRM_PART_MATCH, {
+    best_match: bestMatch,
+    second_match: null,
+    quote_id: quote._id,
+    part_name: learned ? learned.alias : description,
+    alias: learned ? learned.alias : null,
+    type_code: typeCode,
+    main_group: line?.group_name || learned?.main_group || null,
+    vin: vin,
+    remaining_parts: remainingParts || [],
+    tenant_id: state.tenant_id,
+  }, 60, correlationId);
+
+  log.info('part.flow: waiting for part-number confirmation', { partNumber, inCatalog: !!line, inOdoo: !!odooHit, learned: !!learned });
+  return true;
+}
+
+/* ─── Candidate picker ───────────────────────────────────────────────────── */
+
+/** Compact candidate kept in the CHOOSE_PART_CANDIDATE payload. */
+function toCandidate(part) {
+  return {
+    part_number: part.part_number,
+    description: part.description || null,
+    item_no: part.original_part?.item_no || part.item_no || null,
+    subgroup: part.subgroup || null,
+    group_name: part.group_name || null,
+    diagram_url: part.diagram_url || part.original_part?.diagram_url || null,
+    score: typeof part.score === 'number' ? Math.round(part.score * 100) / 100 : null,
+  };
+}
+
+/**
+ * CHOOSE_PART_CANDIDATE form — one multi-select field listing the candidates.
+ * Diagram thumbnails go through GET /api/chat/diagram (RealOEM blocks hotlinking).
+ */
+function buildCandidateForm(partName, parts, preselected) {
+  const candidates = parts.map(toCandidate);
+  return {
+    type: 'form',
+    action: 'CHOOSE_PART_CANDIDATE',
+    message: `لقيت ${candidates.length} قطع ممكن تكون "${partName}". اختار واحدة أو أكتر:\n(أو ابعت أرقامها زي 1,3 — أو اكتب اسم تاني للبحث من جديد)`,
+    fields: [{
+      name: 'part_numbers',
+      label: 'القطع المقترحة',
+      type: 'multiselect',
+      required: true,
+      default: preselected ? [preselected] : [],
+      options: candidates.map((c, i) => ({
+        value: c.part_number,
+        label: `${i + 1}. ${c.description || c.part_number}`,
+        part_number: c.part_number,
+        item_no: c.item_no,
+        subgroup: c.subgroup,
+        thumbnail_url: c.diagram_url ? `/api/chat/diagram?url=${encodeURIComponent(c.diagram_url)}` : null,
+      })),
+    }],
+    submit_to: '/api/chat/submit-form',
+  };
 }
 
 /* ─── Public: handlePart ─────────────────────────────────────────────────── */
@@ -97,7 +265,8 @@ async function handlePart(chatId, item, state, correlationId, sender) {
 }
 
 /**
- * Core: scrape, score, and set CONFIRM_PART_MATCH wait state.
+ * Core: scrape, score, and set the wait state — CHOOSE_PART_CANDIDATE when several
+ * parts scored, CONFIRM_PART_MATCH (yes/no) for a single match.
  * @param {string[]} remainingParts - parts to process after this one is confirmed
  */
 async function processOnePart(chatId, partName, vin, quote, state, correlationId, sender, remainingParts) {
@@ -105,8 +274,41 @@ async function processOnePart(chatId, partName, vin, quote, state, correlationId
   const s = sender || { sendMessage: () => Promise.resolve(), sendPhotoBuffer: () => Promise.resolve() };
   log.info('part.flow.processOnePart', { partName, remainingParts });
 
-  // second_match declared at outer scope so it's accessible by setPendingAction below
+  // OEM part number(s) instead of a name → exact lookup, no fuzzy scoring.
+  // Further numbers in the same message are queued like remaining part names.
+  if (isPartNumberMessage(partName)) {
+    const groups = extractPartNumberGroups(partName);
+    const queued = groups.slice(1).map((g) => g.join(' → '));
+    return processPartNumber(
+      chatId, groups[0], vin, quote, state, correlationId, s, [...queued, ...(remainingParts || [])]
+    );
+  }
+
+  // second_match / candidates / mainGroup declared at outer scope so they're accessible below
   let second_match = null;
+  let candidates = [];
+  let mainGroup = null;
+  const typeCode = quote.vehicle_details?.type_code || '';
+
+  // Step 0: Learned aliases (agent-confirmed before, scoped per type_code)
+  const learned = await trace.step('part_learned_lookup', async () =>
+    learnedAliasRepo.lookup(partName, typeCode, correlationId),
+    { domain: 'general', input: { partName, typeCode }, replaySafe: true }
+  ).catch(() => []);
+
+  if (learned.length && learned[0].weight >= LEARNED_DIRECT_WEIGHT) {
+    const offered = await processPartNumber(
+      chatId, [learned[0].part_number], vin, quote, state, correlationId, s, remainingParts,
+      { alias: partName, main_group: learned[0].main_group }
+    );
+    if (offered) return;
+  }
+
+  // Dictionary translation (Arabic / Arabizi → RealOEM English). When every word
+  // is known, its groups stand in for the LLM group calls below.
+  const synonym = translatePartName(partName);
+  const synonymGroups = synonym.complete ? synonym.main_groups : [];
+  log.info('part.flow: synonym lookup', { partName, text: synonym.text, groups: synonymGroups });
 
   // Step 1: Hot Items
   const hotItem = await trace.step('part_hot_lookup', async () =>
@@ -118,28 +320,40 @@ async function processOnePart(chatId, partName, vin, quote, state, correlationId
 
   if (hotItem && hotItem['Item Desc']) {
     try {
-      const groupName = await ai.resolvePartGroup(partName, correlationId);
+      const groupName = synonymGroups[0] || await ai.resolvePartGroup(partName, correlationId);
+      mainGroup = groupName;
+      const searchName = synonym.complete ? synonym.text : partName;
       const res = await trace.step('part_hot_scrape', async () =>
-        scraper.findPart(vin, partName, correlationId, groupName),
-        { domain: 'scraper', input: { vin, partName, groupName }, replaySafe: true }
+        scraper.findPart(vin, searchName, correlationId, groupName),
+        { domain: 'scraper', input: { vin, partName: searchName, groupName }, replaySafe: true }
       );
       if (res && res.part_number) chosenPart = res;
     } catch (err) { log.warn('part.flow: hot-item find-part failed', { error: err.message }); }
   }
 
   if (!chosenPart) {
-    // Step 2: Alias map or LLM categorize
-    const aliasResult = await trace.step('part_alias_lookup', async () =>
+    // Step 2: Learned alias groups, else alias map, dictionary or LLM categorize
+    const learnedGroups = [...new Set(learned.map((a) => a.main_group).filter(Boolean))];
+    const aliasResult = learnedGroups.length ? null : await trace.step('part_alias_lookup', async () =>
       sheets.lookupAliasMap(partName, correlationId),
       { domain: 'sheets', input: { partName }, replaySafe: true }
     ).catch(() => null);
 
-    let mainGroup = null, otherGroups = [], mainKeyword = partName;
+    let otherGroups = [], mainKeyword = partName;
+    mainGroup = null;
 
-    if (aliasResult && aliasResult['Main Group']) {
+    if (learnedGroups.length) {
+      mainGroup = learnedGroups[0];
+      otherGroups = learnedGroups.slice(1);
+      mainKeyword = learned[0].description || partName;
+    } else if (aliasResult && aliasResult['Main Group']) {
       mainGroup = aliasResult['Main Group'];
       mainKeyword = aliasResult['Main Keyword'] || partName;
       otherGroups = (aliasResult['Other Main Groups'] || '').split(',').map(s => s.trim()).filter(Boolean);
+    } else if (synonymGroups.length) {
+      mainGroup = synonymGroups[0];
+      otherGroups = synonymGroups.slice(1);
+      mainKeyword = synonym.text;
     } else {
       const cat = await trace.step('part_ai_categorize', async () =>
         ai.categorizePart(partName, correlationId),
@@ -152,52 +366,30 @@ async function processOnePart(chatId, partName, vin, quote, state, correlationId
 
     const allGroups = [...new Set([mainGroup, ...otherGroups].filter(Boolean))];
     let allSubgroups = [];
-    const typeCode = quote.vehicle_details?.type_code || '';
+
+    const tenant = state.tenant_id ? await stateRepo.getTenant(state.tenant_id, correlationId).catch(() => null) : null;
+    const vehicle = quote.vehicle_details || {};
 
     await trace.step('part_scrape', async () => {
+      const cache = {};
       for (const group of allGroups) {
-        let cachedResults = [];
-        try { cachedResults = await catalogRepo.queryCatalogResults(group, typeCode, correlationId); } catch {}
-
-        if (cachedResults.length > 0) {
-          for (const c of cachedResults) { if (c.subgroups) allSubgroups.push(...c.subgroups); }
-        } else {
-          try {
-            const subgroupsList = await scraper.getSubgroups(vin, group, correlationId);
-            const subgroupNames = subgroupsList?.subgroups || [];
-            const collected = [];
-            for (const sgName of Array.isArray(subgroupNames) ? subgroupNames : []) {
-              const sgId = typeof sgName === 'string' ? sgName : (sgName?.name ?? sgName?.subgroup ?? String(sgName));
-              try {
-                const sgData = await scraper.querySubgroup(vin, group, sgId, correlationId);
-                if (sgData) collected.push(sgData);
-              } catch {}
-            }
-            if (!collected.length) {
-              try {
-                const gData = await scraper.queryGroup(vin, group, correlationId);
-                if (gData?.subgroups?.length) collected.push(...gData.subgroups);
-              } catch {}
-            }
-            if (collected.length) {
-              allSubgroups.push(...collected);
-              await catalogRepo.saveCatalogResult({
-                type_code: typeCode, series: quote.vehicle_details?.series || null,
-                model: quote.vehicle_details?.model || null, engine: quote.vehicle_details?.engine || null,
-                group_name: group,
-                subgroups: collected.map(sg => ({
-                  subgroup: sg.subgroup ?? null, diagram_image: sg.diagram_image ?? null,
-                  parts: Array.isArray(sg.parts) ? sg.parts.map(p => ({
-                    item_no: p.item_no || null, description: p.description || null,
-                    part_number: p.part_number || null, price: p.price || null,
-                  })) : [],
-                })),
-              }, correlationId).catch(() => {});
-            }
-          } catch (err) { log.warn('part.flow: scraper failed', { group, error: err.message }); }
+        const target = {
+          vin, group, type_code: typeCode,
+          vehicle: { series: vehicle.series || null, model: vehicle.model || null, engine: vehicle.engine || null },
+        };
+        const result = await catalogCache.lookupGroup(target, tenant, correlationId);
+        cache[group] = result.status;
+        allSubgroups.push(...result.subgroups.map((sg) => ({ ...sg, group_name: group })));
+        if (result.refresh) {
+          // Stale entry: answer from it now, re-scrape in the background (once per entry version)
+          await enqueue(JOB_TYPES.CATALOG_REFRESH, target, {
+            dedupeKey: catalogCache.refreshJobKey(result.entry),
+            maxAttempts: 3,
+            tenantId: state.tenant_id || null,
+          }, correlationId).catch((err) => log.warn('part.flow: catalog refresh enqueue failed', { group, error: err.message }));
         }
       }
-      return { subgroupCount: allSubgroups.length, groupCount: allGroups.length };
+      return { subgroupCount: allSubgroups.length, groupCount: allGroups.length, cache };
     }, { domain: 'scraper', input: { vin, groups: allGroups, typeCode }, replaySafe: true });
 
     if (!allSubgroups.length) {
@@ -207,11 +399,12 @@ async function processOnePart(chatId, partName, vin, quote, state, correlationId
 
     // Destructure second_match from part_score step result (assigned to outer-scope variable)
     const scoreResult = await trace.step('part_score', async () =>
-      scoreParts(mainKeyword, allSubgroups),
+      scoreParts(mainKeyword, allSubgroups, learnedBoosts(learned)),
       { domain: 'general', input: { mainKeyword, subgroupCount: allSubgroups.length }, replaySafe: true }
     );
     const { best_match } = scoreResult;
     second_match = scoreResult.second_match;
+    candidates = scoreResult.candidates || [];
 
     if (!best_match || best_match.score === 0) {
       await s.sendMessage(`مش لاقي نتايج للقطعة "${partName}". جرب اسم تاني.`);
@@ -235,6 +428,26 @@ async function processOnePart(chatId, partName, vin, quote, state, correlationId
     return;
   }
 
+  // Several plausible matches → let the agent pick one or more from the top N
+  const picker = [chosenPart, ...candidates.filter((c) => c.part_number !== chosenPart.part_number)]
+    .slice(0, CANDIDATE_LIMIT);
+  if (candidates.length > 1) {
+    await s.sendMessage(JSON.stringify(buildCandidateForm(partName, picker, chosenPart.part_number)));
+    await setPendingAction(chatId, PENDING_ACTIONS.CHOOSE_PART_CANDIDATE, {
+      candidates: picker.map(toCandidate),
+      quote_id: quote._id,
+      part_name: partName,
+      alias: partName,
+      type_code: typeCode,
+      main_group: mainGroup,
+      vin: vin,
+      remaining_parts: remainingParts || [],
+      tenant_id: state.tenant_id,
+    }, 60, correlationId);
+    log.info('part.flow: waiting for candidate choice', { count: picker.length, remaining: (remainingParts || []).length });
+    return;
+  }
+
   // Send diagram if available
   const diagramUrl = chosenPart.diagram_url || chosenPart.original_part?.diagram_url;
   if (diagramUrl) {
@@ -266,6 +479,9 @@ async function processOnePart(chatId, partName, vin, quote, state, correlationId
     second_match: second_match || null,
     quote_id: quote._id,
     part_name: partName,
+    alias: partName,
+    type_code: typeCode,
+    main_group: mainGroup,
     vin: vin,
     remaining_parts: remainingParts || [],
     tenant_id: state.tenant_id,
@@ -274,4 +490,7 @@ async function processOnePart(chatId, partName, vin, quote, state, correlationId
   log.info('part.flow: waiting for part confirmation', { partNumber, remaining: (remainingParts || []).length });
 }
 
-module.exports = { handlePart, processOnePart, scoreParts, getLevenshtein, getTokenSetRatio, stemSentence };
+module.exports = {
+  handlePart, processOnePart, scoreParts, learnedBoosts, buildCandidateForm,
+  getLevenshtein, getTokenSetRatio, stemSentence, CANDIDATE_LIMIT,
+};
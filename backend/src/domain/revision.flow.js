@@ -0,0 +1,101 @@
+'use strict';
+
+const quotesRepo = require('../db/quotes.repo');
+const stateRepo = require('../db/state.repo');
+const whatsapp = require('../services/whatsapp.service');
+const { pushToTenant } = require('../services/sseNotifications');
+const logger = require('../utils/logger');
+
+const REASON_PROMPT = 'تمام، إيه التعديل اللي حضرتك محتاجه على عرض السعر؟ اكتب لنا في رسالة وهنبعتلك عرض معدّل.';
+const REASON_THANKS = 'شكراً، وصلنا طلب التعديل وهنبعتلك العرض المعدّل قريب.';
+
+function revisionEvent(quote, chatId, reason) {
+  return {
+    quote_id: quote._id,
+    customer_chat_id: chatId,
+    status: 'needs_revision',
+    customer_name: quote.customer_name,
+    vin: quote.vin,
+    version: quote.version,
+    reason,
+    revisable: true,
+  };
+}
+
+/**
+ * Revision flow — "modify" button (WhatsApp interactive reply).
+ *
+ *  1. Ask the customer (free text, inside the 24h window) what they want changed
+ *  2. SSE-notify the agent (revision_requested, reason still null)
+ *
+ * Note: the quote was already set to NEEDS_REVISION in waba.js
+ * (quotesRepo.recordButtonResponse). The answer arrives as a normal text message
+ * and is handled by recordReason below.
+ *
+ * @param {object} ctx - {
+ *   recipientPhone, quote, chatId, correlationId, tenantId, tenant
+ * }
+ */
+async function run(ctx) {
+  const { recipientPhone, quote, chatId, correlationId, tenantId, tenant } = ctx;
+  const log = logger.child(correlationId);
+
+  log.info('revision.flow: start', { quoteId: quote._id });
+
+  // Step 1: Ask for the reason
+  try {
+    await whatsapp.sendText(recipientPhone, REASON_PROMPT, correlationId, tenant);
+  } catch (err) {
+    log.error('revision.flow: WhatsApp reason prompt failed', { error: err.message });
+  }
+
+  // Step 2: SSE-notify the agent right away; the reason follows in a second event
+  const tid = tenantId || tenant?.id || null;
+  try {
+    await pushToTenant(tid, 'revision_requested', revisionEvent(quote, chatId, null), correlationId);
+  } catch (err) {
+    log.error('revision.flow: SSE push failed', { error: err.message });
+  }
+
+  log.info('revision.flow: complete', { quoteId: quote._id });
+}
+
+/**
+ * Free-text WhatsApp message: if this customer owes us a modify reason, store it
+ * and push revision_requested with the reason to the agent.
+ * tenant: owner of the WhatsApp number the customer wrote to (null = env number).
+ *
+ * @returns {Promise<boolean>} true when the message was consumed as a reason
+ */
+async function recordReason(waId, text, correlationId, tenant = null) {
+  const log = logger.child(correlationId);
+  const reason = String(text || '').trim();
+  if (!waId || !reason) return false;
+
+  const pending = await quotesRepo.getQuoteAwaitingRevisionReason(waId, correlationId, {
+    tenantId: tenant?.id,
+  });
+  if (!pending) return false;
+
+  const quote = await quotesRepo.setRevisionReason(pending._id, reason.slice(0, 1000), correlationId);
+  log.info('revision.flow: reason received', { quoteId: quote._id });
+
+  const session = await stateRepo.getSession(quote.chat_id, correlationId).catch(() => null);
+  if (session) {
+    await pushToTenant(
+      session.tenant_id,
+      'revision_requested',
+      revisionEvent(quote, session._id, quote.revision_reason),
+      correlationId
+    ).catch((err) => log.error('revision.flow: SSE push failed', { error: err.message }));
+  } else {
+    log.warn('revision.flow: session not found', { chatId: quote.chat_id });
+  }
+
+  await whatsapp.sendText(`+${waId}`, REASON_THANKS, correlationId, tenant).catch((err) => {
+    log.warn('revision.flow: WhatsApp thanks failed', { error: err.message });
+  });
+  return true;
+}
+
+module.exports = { run, recordReason };
@@ -4,17 +4,40 @@ const scraper = require('../integrations/scraper.client');
 const odoo = require('../services/odoo.service');
 const quotesRepo = require('../db/quotes.repo');
 const stateRepo = require('../db/state.repo');
-const { normalizeVin } = require('../workflows/router');
+const { normalizeVin, parseVin } = require('../workflows/router');
+const { formatMakeYear } = require('../utils/vinDecoder');
+const { VinValidationError } = require('../utils/errors');
 const { setPendingAction, PENDING_ACTIONS } = require('../services/stateMachine');
 const logger = require('../utils/logger');
 const trace = require('../services/trace.service');
 
+const INVALID_VIN_MESSAGE = 'رقم الـ VIN غير صحيح (خانة التحقق لا تطابق). راجع الرقم وابعته تاني.';
+
+/**
+ * Decoded VIN fields kept in vehicle_details.vin_decoded (null for 7-char input).
+ */
+function vinDecodedDetails(decoded) {
+  if (!decoded) return null;
+  const { wmi, manufacturer, region, model_year, plant_code, plant } = decoded;
+  return { wmi, manufacturer, region, model_year, plant_code, plant };
+}
+
 async function handleVin(chatId, item, state, correlationId, sender) {
   const log = logger.child(correlationId);
   const s = sender || { sendMessage: () => Promise.resolve(), sendPhotoBuffer: () => Promise.resolve() };
   const rawVin = item.vin;
-  const vin = normalizeVin(rawVin) || rawVin;
-  log.info('vin.flow: start', { chatId, rawVin, normalizedVin: vin });
+  let parsed = null;
+  try {
+    parsed = parseVin(rawVin);
+  } catch (err) {
+    if (!(err instanceof VinValidationError)) throw err;
+    log.warn('vin.flow: VIN rejected', { rawVin, ...err.details });
+    await s.sendMessage(INVALID_VIN_MESSAGE);
+    return;
+  }
+  const vin = (parsed && parsed.vin) || normalizeVin(rawVin) || rawVin;
+  const fullVin = parsed ? parsed.full_vin : null;
+  log.info('vin.flow: start', { chatId, rawVin, normalizedVin: vin, fullVin });
 
   if (!vin) {
     await s.sendMessage('لم يتم العثور على VIN صالح. من فضلك أدخل VIN صحيح.');
@@ -35,9 +58,11 @@ async function handleVin(chatId, item, state, correlationId, sender) {
       );
       if (d && !d.error && !(d.status >= 400)) newCarDetails = d;
     } catch {}
+    if (newCarDetails) newCarDetails = { ...newCarDetails, vin_decoded: vinDecodedDetails(parsed?.decoded) };
     await setPendingAction(chatId, PENDING_ACTIONS.CONFIRM_VIN_CHANGE, {
       old_vin: existingQuote.vin,
       new_vin: vin,
+      new_full_vin: fullVin,
       old_quote_id: existingQuote._id,
       new_car_details: newCarDetails || { vin },
       tenant_id: state.tenant_id,
@@ -69,6 +94,7 @@ async function handleVin(chatId, item, state, correlationId, sender) {
     await s.sendMessage('من فضلك أدخل VIN صحيح.');
     return;
   }
+  carDetails = { ...carDetails, vin_decoded: vinDecodedDetails(parsed?.decoded) };
   log.info('vin.flow: car details ok', { series: carDetails.series, model: carDetails.model });
 
   const tenant = state.tenant_id ? await stateRepo.getTenant(state.tenant_id, correlationId) : null;
@@ -97,12 +123,12 @@ async function handleVin(chatId, item, state, correlationId, sender) {
   const hasCustomerData = !!(state.customer_name && state.customer_phone);
   if (!hasCustomerData) {
     await setPendingAction(chatId, PENDING_ACTIONS.COLLECT_CUSTOMER_DATA, {
-      vin, car_id: carId, car_details: carDetails, partner_id: partnerId, tenant_id: state.tenant_id,
+      vin, full_vin: fullVin, car_id: carId, car_details: carDetails, partner_id: partnerId, tenant_id: state.tenant_id,
     }, 60, correlationId);
     await s.sendMessage(JSON.stringify({
       type: 'form',
       action: 'COLLECT_CUSTOMER_DATA',
-      message: `تم التعرف على السيارة: ${carDetails.series || ''} ${carDetails.model || ''}\nمن فضلك أدخل بيانات العميل:`,
+      message: `تم التعرف على السيارة: ${[formatMakeYear(carDetails.vin_decoded), carDetails.series, carDetails.model].filter(Boolean).join(' ')}\nمن فضلك أدخل بيانات العميل:`,
       fields: [
         { name: 'customer_name', label: 'اسم العميل', type: 'text', required: true },
         { name: 'customer_phone', label: 'رقم الهاتف', type: 'tel', required: true },
@@ -112,7 +138,7 @@ async function handleVin(chatId, item, state, correlationId, sender) {
   } else {
     await _createQuotation(
       chatId,
-      { vin, car_id: carId, car_details: carDetails, partner_id: partnerId, tenant_id: state.tenant_id },
+      { vin, full_vin: fullVin, car_id: carId, car_details: carDetails, partner_id: partnerId, tenant_id: state.tenant_id },
       state.customer_name, state.customer_phone, s, correlationId
     );
   }
@@ -121,7 +147,7 @@ async function handleVin(chatId, item, state, correlationId, sender) {
 /** Create Odoo quotation + DB quote when customer data is already known. */
 async function _createQuotation(chatId, payload, customerName, customerPhone, sender, correlationId) {
   const log = logger.child(correlationId);
-  const { vin, car_id, car_details, partner_id, tenant_id } = payload;
+  const { vin, full_vin, car_id, car_details, partner_id, tenant_id } = payload;
   const tenant = tenant_id ? await stateRepo.getTenant(tenant_id, correlationId) : null;
 
   let partnerId = partner_id || 3;
@@ -153,20 +179,22 @@ async function _createQuotation(chatId, payload, customerName, customerPhone, se
   try {
     await quotesRepo.createQuote({
       quotation_id: quotationId, customer_name: customerName, customer_phone: customerPhone,
-      vin, vehicle_details: car_details, x_car_id: car_id, chat_id: String(chatId), status: 'open',
+      vin, full_vin: full_vin || null, vehicle_details: car_details, x_car_id: car_id, chat_id: String(chatId), status: 'open',
     }, correlationId);
   } catch (err) { log.warn('_createQuotation: createQuote failed', { error: err.message }); }
 
   try {
     await stateRepo.saveState(chatId, {
-      vin, quotation_id: quotationId, vehicle_details: car_details, x_car_id: car_id,
+      vin, full_vin: full_vin || null, quotation_id: quotationId, vehicle_details: car_details, x_car_id: car_id,
       customer_name: customerName, customer_phone: customerPhone, status: 'open',
     }, correlationId);
   } catch (err) { log.warn('_createQuotation: saveState failed', { error: err.message }); }
 
+  const makeYear = formatMakeYear(car_details?.vin_decoded);
   await sender.sendMessage([
     `🧾 تم إنشاء عرض السعر رقم: ${quotationId || 'N/A'}`,
-    `VIN: ${vin}`,
+    `VIN: ${full_vin || vin}`,
+    ...(makeYear ? [`🏷️ ${makeYear}`] : []),
     `🚗 ${car_details?.series || ''} ${car_details?.model || ''}`,
     `⚙️ ${car_details?.engine || ''}`,
     '',
@@ -175,4 +203,4 @@ async function _createQuotation(chatId, payload, customerName, customerPhone, se
   log.info('vin.flow: complete', { quotationId });
 }
 
-module.exports = { handleVin, _createQuotation };
+module.exports = { handleVin, _createQuotation, INVALID_VIN_MESSAGE };
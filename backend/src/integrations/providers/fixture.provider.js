@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Local fixture catalog provider — serves recorded JSON responses from disk,
+ * so development and demos run without the RealOEM scraper.
+ *
+ * Selected with CATALOG_PROVIDER=fixture. Files live under CATALOG_FIXTURES_DIR
+ * (default: backend/fixtures/catalog):
+ *
+ *   car-details/<vin>.json
+ *   find-part/<vin>/<group>__<part>.json      (group segment is "_" when absent)
+ *   query-group/<vin>/<group>.json
+ *   subgroups/<vin>/<group>.json
+ *   query-subgroup/<vin>/<group>/<subgroup>.json
+ *
+ * Every segment is slugified (see fixtureSlug). When no directory exists for a
+ * VIN, the "_default" VIN directory is used instead.
+ */
+
+const DEFAULT_VIN = '_default';
+
+function fixturesDir() {
+  return process.env.CATALOG_FIXTURES_DIR || path.join(__dirname, '..', '..', '..', 'fixtures', 'catalog');
+}
+
+/** Lowercase, collapse anything non-alphanumeric to "-". */
+function fixtureSlug(value) {
+  const slug = String(value == null ? '' : value)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || '_';
+}
+
+/**
+ * Relative fixture path for an operation, without the VIN fallback applied.
+ * Shared with the recorder in scraper.client so both sides agree on layout.
+ */
+function fixturePath(operation, vin, args = {}) {
+  const v = vin === DEFAULT_VIN ? DEFAULT_VIN : fixtureSlug(vin);
+  switch (operation) {
+    case 'getCarDetails':
+      return path.join('car-details', `${v}.json`);
+    case 'findPart':
+      return path.join('find-part', v, `${fixtureSlug(args.group || '')}__${fixtureSlug(args.part)}.json`);
+    case 'queryGroup':
+      return path.join('query-group', v, `${fixtureSlug(args.group)}.json`);
+    case 'getSubgroups':
+      return path.join('subgroups', v, `${fixtureSlug(args.group)}.json`);
+    case 'querySubgroup':
+      return path.join('query-subgroup', v, fixtureSlug(args.group), `${fixtureSlug(args.subgroup)}.json`);
+    default:
+      throw new Error(`Unknown catalog operation: ${operation}`);
+  }
+}
+
+function readFixture(operation, vin, args, correlationId) {
+  const root = fixturesDir();
+  const candidates = [fixturePath(operation, vin, args), fixturePath(operation, DEFAULT_VIN, args)];
+  for (const rel of candidates) {
+    const file = path.join(root, rel);
+    if (fs.existsSync(file)) {
+      logger.child(correlationId).info('fixture.read', { operation, file: rel });
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  }
+  const err = new Error(`No catalog fixture for ${operation} (${candidates[0]})`);
+  err.code = 'FIXTURE_NOT_FOUND';
+  err.response = { status: 404 };
+  throw err;
+}
+
+/** Write a response into the fixture layout under `root` (used for recording). */
+function writeFixture(root, operation, vin, args, data) {
+  const file = path.join(root, fixturePath(operation, vin, args));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+async function getCarDetails(vin, correlationId) {
+  return readFixture('getCarDetails', vin, {}, correlationId);
+}
+
+async function findPart(vin, part, correlationId, groupName = null) {
+  return readFixture('findPart', vin, { group: groupName, part }, correlationId);
+}
+
+async function queryGroup(vin, group, correlationId) {
+  return readFixture('queryGroup', vin, { group }, correlationId);
+}
+
+async function getSubgroups(vin, group, correlationId) {
+  return readFixture('getSubgroups', vin, { group }, correlationId);
+}
+
+async function querySubgroup(vin, group, subgroup, correlationId) {
+  return readFixture('querySubgroup', vin, { group, subgroup }, correlationId);
+}
+
+/**
+ * Diagrams are served from <fixtures>/diagrams/<basename of the URL> when present.
+ * Returns null otherwise (same contract as the RealOEM provider without a proxy key).
+ */
+async function downloadDiagramImage(diagramUrl, correlationId) {
+  const name = path.basename(String(diagramUrl || '').split('?')[0]);
+  if (!name) return null;
+  const file = path.join(fixturesDir(), 'diagrams', name);
+  if (!fs.existsSync(file)) {
+    logger.child(correlationId).info('fixture.diagram_missing', { name });
+    return null;
+  }
+  const ext = path.extname(name).toLowerCase();
+  return {
+    data: fs.readFileSync(file),
+    contentType: ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' : ext === '.gif' ? 'image/gif' : 'image/png',
+  };
+}
+
+module.exports = {
+  name: 'fixture',
+  getCarDetails,
+  findPart,
+  queryGroup,
+  getSubgroups,
+  querySubgroup,
+  downloadDiagramImage,
+  fixturePath,
+  fixtureSlug,
+  writeFixture,
+};
@@ -1,141 +1,147 @@
 'use strict';
 
-const axios = require('axios');
-const { withRetry } = require('../utils/retry');
 const logger = require('../utils/logger');
 const integrationLog = require('../services/integrationLog.service');
+const realoemProvider = require('./providers/realoem.provider');
+const fixtureProvider = require('./providers/fixture.provider');
+
+/**
+ * Catalog client. Every catalog lookup in the flows goes through this module;
+ * the actual source is a pluggable provider.
+ *
+ * A provider is an object with:
+ *   name
+ *   getCarDetails(vin, correlationId)
+ *   findPart(vin, part, correlationId, groupName?)
+ *   queryGroup(vin, group, correlationId)
+ *   getSubgroups(vin, group, correlationId)
+ *   querySubgroup(vin, group, subgroup, correlationId)
+ *   downloadDiagramImage(diagramUrl, correlationId)
+ *
+ * Response shapes are those of the RealOEM scraper (see realoem.provider.js).
+ * CATALOG_PROVIDER picks the provider (default "realoem"). When
+ * CATALOG_RECORD_DIR is set, live responses are also written there in the
+ * fixture layout so they can be replayed with CATALOG_PROVIDER=fixture.
+ */
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider || !provider.name) throw new Error('Catalog provider must have a name');
+  providers.set(provider.name, provider);
+}
+
+registerProvider(realoemProvider);
+registerProvider(fixtureProvider);
+
+function getProvider() {
+  const name = (process.env.CATALOG_PROVIDER || 'realoem').trim().toLowerCase();
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown CATALOG_PROVIDER "${name}" (available: ${[...providers.keys()].join(', ')})`);
+  }
+  return provider;
+}
+
+function record(operation, vin, args, data, correlationId) {
+  const dir = process.env.CATALOG_RECORD_DIR;
+  if (!dir || data == null) return;
+  try {
+    const file = fixtureProvider.writeFixture(dir, operation, vin, args, data);
+    logger.child(correlationId).info('scraper.recorded', { operation, file });
+  } catch (err) {
+    logger.child(correlationId).warn('scraper.record_failed', { operation, error: err.message });
+  }
+}
 
 async function withScraperLog(operation, fn, correlationId) {
   const start = Date.now();
+  const provider = getProvider();
   try {
-    const result = await fn();
+    const result = await fn(provider);
     integrationLog.logCall(
-      { service: 'SCRAPER', operation, status: 'SUCCESS', duration_ms: Date.now() - start },
+      { service: 'SCRAPER', operation, status: 'SUCCESS', duration_ms: Date.now() - start, request_meta: { provider: provider.name } },
       correlationId
     ).catch(() => {});
     return result;
   } catch (err) {
     integrationLog.logCall(
-      { service: 'SCRAPER', operation, status: 'ERROR', duration_ms: Date.now() - start, response_meta: { error: err.message } },
+      { service: 'SCRAPER', operation, status: 'ERROR', duration_ms: Date.now() - start, request_meta: { provider: provider.name }, response_meta: { error: err.message } },
       correlationId
     ).catch(() => {});
     throw err;
   }
 }
 
-// RealOEM scraper (Cloud Run). Base URL for all v2 endpoints.
-const REALOEM_BASE = () =>
-  process.env.SCRAPER_BASE_URL ||
-  'https://scraper-api-207722784991.europe-west3.run.app';
-
-function base(path) {
-  const url = process.env.SCRAPER_BASE_URL || REALOEM_BASE();
-  return `${url.replace(/\/$/, '')}${path.startsWith('/') ? path : '/' + path}`;
+/** Call a provider operation with logging, and record the response when enabled. */
+function call(operation, vin, args, invoke, correlationId) {
+  return withScraperLog(
+    operation,
+    async (provider) => {
+      const data = await invoke(provider);
+      if (provider !== fixtureProvider) record(operation, vin, args, data, correlationId);
+      return data;
+    },
+    correlationId
+  );
 }
 
 /**
- * GET /realoem/v2-get-car-details/:vin
  * Returns: { series, model, body, market, prod_month, engine, type_code, ... }
  */
 async function getCarDetails(vin, correlationId) {
-  const url = base(`/realoem/v2-get-car-details/${encodeURIComponent(vin)}`);
-  const log = logger.child(correlationId);
-  log.info('scraper.getCarDetails', { vin, url });
-  return withScraperLog(
-    'getCarDetails',
-    () => withRetry(() => axios.get(url, { timeout: 30000 }), { retries: 2, label: 'scraper.getCarDetails', correlationId }).then((res) => res.data),
-    correlationId
-  );
+  return call('getCarDetails', vin, {}, (p) => p.getCarDetails(vin, correlationId), correlationId);
 }
 
 /**
- * POST /realoem/v2-find-part
  * Accepts two forms of input:
- *   Form 1: vin + partName  → body: { vin, part }
- *   Form 2: vin + groupName + partName  → body: { vin, group, part }
+ *   Form 1: vin + partName
+ *   Form 2: vin + groupName + partName
  * Returns: part result object
  */
 async function findPart(vin, part, correlationId, groupName = null) {
-  const url = base('/realoem/v2-find-part');
-  const log = logger.child(correlationId);
-  const body = groupName ? { vin, group: groupName, part } : { vin, part };
-  log.info('scraper.findPart', { vin, part, group: groupName || '(none)' });
-  return withScraperLog(
-    'findPart',
-    () => withRetry(() => axios.post(url, body, { timeout: 30000 }), { retries: 1, label: 'scraper.findPart', correlationId }).then((res) => res.data),
-    correlationId
-  );
+  return call('findPart', vin, { group: groupName, part }, (p) => p.findPart(vin, part, correlationId, groupName), correlationId);
 }
 
 /**
- * POST /realoem/v2-query-group
- * Body: { vin, group }
  * Returns: { subgroups: [{ subgroup, diagram_image, parts: [...] }] } (or similar)
  */
 async function queryGroup(vin, group, correlationId) {
-  const url = base('/realoem/v2-query-group');
-  const log = logger.child(correlationId);
-  log.info('scraper.queryGroup', { vin, group });
-  return withScraperLog(
-    'queryGroup',
-    () => withRetry(() => axios.post(url, { vin, group }, { timeout: 60000 }), { retries: 1, baseDelay: 2000, label: 'scraper.queryGroup', correlationId }).then((res) => res.data),
-    correlationId
-  );
+  return call('queryGroup', vin, { group }, (p) => p.queryGroup(vin, group, correlationId), correlationId);
 }
 
 /**
- * POST /realoem/v2-get-subgroups
- * Body: { vin, group }
  * Returns: { subgroups: ["subgroup1", "subgroup2", ...] } or array of subgroup identifiers
  */
 async function getSubgroups(vin, group, correlationId) {
-  const url = base('/realoem/v2-get-subgroups');
-  const log = logger.child(correlationId);
-  log.info('scraper.getSubgroups', { vin, group });
-  return withScraperLog(
-    'getSubgroups',
-    () => withRetry(() => axios.post(url, { vin, group }, { timeout: 60000 }), { retries: 1, baseDelay: 2000, label: 'scraper.getSubgroups', correlationId }).then((res) => res.data),
-    correlationId
-  );
+  return call('getSubgroups', vin, { group }, (p) => p.getSubgroups(vin, group, correlationId), correlationId);
 }
 
 /**
- * POST /realoem/v2-query-subgroup
- * Body: { vin, group, subgroup }
  * Returns: { subgroup, diagram_image, parts: [...] } for one subgroup
  */
 async function querySubgroup(vin, group, subgroup, correlationId) {
-  const url = base('/realoem/v2-query-subgroup');
-  const log = logger.child(correlationId);
-  log.info('scraper.querySubgroup', { vin, group, subgroup });
-  return withScraperLog(
-    'querySubgroup',
-    () => withRetry(() => axios.post(url, { vin, group, subgroup }, { timeout: 60000 }), { retries: 1, baseDelay: 2000, label: 'scraper.querySubgroup', correlationId }).then((res) => res.data),
-    correlationId
-  );
+  return call('querySubgroup', vin, { group, subgroup }, (p) => p.querySubgroup(vin, group, subgroup, correlationId), correlationId);
 }
 
 /**
- * Download a diagram image via ScraperAPI proxy.
- * Returns: { data: Buffer, contentType: string }
+ * Download a diagram image through the active provider.
+ * Returns: { data: Buffer, contentType: string } or null
  */
 async function downloadDiagramImage(diagramUrl, correlationId) {
-  const apiKey = process.env.SCRAPER_API_COM_KEY;
-  if (!apiKey) {
-    logger.child(correlationId).warn('SCRAPER_API_COM_KEY not set, skipping diagram download');
-    return null;
-  }
-  const safeUrl = (diagramUrl || '').replace('http://', 'https://');
-  const proxyUrl = `https://api.scraperapi.com/?api_key=${apiKey}&url=${encodeURIComponent(safeUrl)}`;
-
-  const res = await axios.get(proxyUrl, {
-    timeout: 30000,
-    responseType: 'arraybuffer',
-  });
-  return {
-    data: Buffer.from(res.data),
-    contentType: res.headers['content-type'] || 'image/png',
-  };
+  return getProvider().downloadDiagramImage(diagramUrl, correlationId);
+}
+
+/**
+ * True for diagram URLs served by the catalog (RealOEM hosts). Used to keep the
+ * diagram proxy route from fetching arbitrary URLs.
+ */
+function isDiagramUrl(value) {
+  let parsed;
+  try { parsed = new URL(value); } catch { return false; }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+  const host = parsed.hostname.toLowerCase();
+  return host === 'realoem.com' || host.endsWith('.realoem.com');
 }
 
 module.exports = {
@@ -145,4 +151,7 @@ module.exports = {
   getSubgroups,
   querySubgroup,
   downloadDiagramImage,
+  isDiagramUrl,
+  registerProvider,
+  getProvider,
 };
@@ -2,6 +2,8 @@
 
 const { google } = require('googleapis');
 const logger = require('../utils/logger');
+const { partNameKey } = require('../utils/partName');
+const { parseCsv } = require('../utils/csv');
 const trace = require('../services/trace.service');
 
 let _sheets = null;
@@ -52,73 +54,6 @@ async function getSheetsClient() {
 // For sheets shared "Anyone with the link can view".
 // Uses Node 18+ native fetch — no extra packages needed.
 
-/**
- * Parse a CSV string into an array of header-keyed objects.
- * Handles quoted fields, escaped quotes (""), and CRLF/LF line endings.
- */
-function _parseCsv(text) {
-  // Strip UTF-8 BOM if present
-  const cleaned = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
-
-  // Tokenise: split on CRLF or LF, respecting quoted fields with embedded newlines
-  const rows = [];
-  let currentRow = [];
-  let field = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < cleaned.length; i++) {
-    const ch = cleaned[i];
-    const next = cleaned[i + 1];
-
-    if (inQuotes) {
-      if (ch === '"' && next === '"') {
-        // Escaped quote inside quoted field
-        field += '"';
-        i++;
-      } else if (ch === '"') {
-        inQuotes = false;
-      } else {
-        field += ch;
-      }
-    } else {
-      if (ch === '"') {
-        inQuotes = true;
-      } else if (ch === ',') {
-        currentRow.push(field);
-        field = '';
-      } else if (ch === '\r' && next === '\n') {
-        // Windows CRLF
-        currentRow.push(field);
-        rows.push(currentRow);
-        currentRow = [];
-        field = '';
-        i++; // skip \n
-      } else if (ch === '\n') {
-        currentRow.push(field);
-        rows.push(currentRow);
-        currentRow = [];
-        field = '';
-      } else {
-        field += ch;
-      }
-    }
-  }
-
-  // Push the last field/row
-  if (field || currentRow.length) {
-    currentRow.push(field);
-    if (currentRow.some(f => f !== '')) rows.push(currentRow);
-  }
-
-  if (rows.length < 2) return [];
-  const headers = rows[0];
-  return rows.slice(1).map((cols) => {
-    const obj = {};
-    headers.forEach((h, i) => { obj[h] = cols[i] ?? ''; });
-    return obj;
-  });
-}
-
 /**
  * Fetch a publicly shared Google Sheet as CSV (no auth required).
  * URL: https://docs.google.com/spreadsheets/d/{id}/gviz/tq?tqx=out:csv&sheet={name}
@@ -141,7 +76,7 @@ async function _fetchPublicCsv(spreadsheetId, sheetName) {
   }
 
   const text = await response.text();
-  return _parseCsv(text);
+  return parseCsv(text);
 }
 
 // ── Core data accessor ────────────────────────────────────────────────────────
@@ -220,6 +155,7 @@ async function getAllRows(spreadsheetId, sheetName, correlationId) {
 
 /**
  * Check Hot Items sheet — lookup by "Item Desc" column.
+ * Names are compared by partNameKey (Arabic / Arabizi / English spellings meet).
  * Returns first matching row or null.
  */
 async function lookupHotItem(partName, correlationId) {
@@ -230,14 +166,15 @@ async function lookupHotItem(partName, correlationId) {
     return null;
   }
   const rows = await getAllRows(spreadsheetId, sheetName, correlationId);
-  const match = rows.find(
-    (r) => (r['Item Desc'] || '').toLowerCase().trim() === partName.toLowerCase().trim()
-  );
+  const key = partNameKey(partName);
+  if (!key) return null;
+  const match = rows.find((r) => partNameKey(r['Item Desc']) === key);
   return match || null;
 }
 
 /**
  * Search Alias Map sheet — lookup by "Aliases" column (comma-separated).
+ * Names are compared by partNameKey, like lookupHotItem.
  * Returns matched row or null.
  */
 async function lookupAliasMap(partName, correlationId) {
@@ -248,15 +185,16 @@ async function lookupAliasMap(partName, correlationId) {
     return null;
   }
   const rows = await getAllRows(spreadsheetId, sheetName, correlationId);
-  const query = partName.toLowerCase().trim();
+  const query = partNameKey(partName);
+  if (!query) return null;
 
   for (const row of rows) {
     const mainKeyword = (row['Main Keyword'] || '').trim();
     const aliasString = row['Aliases'] || '';
-    const aliasList = aliasString.split(',').map((s) => s.toLowerCase().trim());
+    const aliasList = aliasString.split(/[,،]/).map((s) => partNameKey(s));
 
     if (
-      mainKeyword.toLowerCase() === query ||
+      partNameKey(mainKeyword) === query ||
       aliasList.includes(query)
     ) {
       return {
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Admin API — Learned aliases
+ *
+ * GET    /api/admin/aliases             — list / review learned aliases
+ * POST   /api/admin/aliases/:id/promote — apply an alias to every vehicle type
+ * DELETE /api/admin/aliases/:id         — forget an alias
+ *
+ * Protected by x-admin-api-key header (env: ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const learnedAliasRepo = require('../db/learnedAlias.repo');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+// ── GET /api/admin/aliases ───────────────────────────────────────────────────
+// Query params:
+//   type_code — filter by vehicle type ("" = vehicle-independent rows)
+//   status    — learned | promoted
+//   q         — substring of the (normalized) alias
+//   limit     — max results (default 50, cap 200)
+//   offset    — pagination offset (default 0)
+
+router.get('/', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const { type_code, status, q, limit: limitStr, offset: offsetStr } = req.query;
+    const limit  = Math.min(parseInt(limitStr  || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(offsetStr || '0',  10) || 0, 0);
+    const { aliases, total } = await learnedAliasRepo.listAliases({ type_code, status, q, limit, offset });
+    res.json({ aliases, total, limit, offset });
+  } catch (err) {
+    log.error('adminAliasRoutes.list error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /api/admin/aliases/:id/promote ──────────────────────────────────────
+
+router.post('/:id/promote', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const existing = await learnedAliasRepo.getAlias(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Alias not found' });
+    const alias = await learnedAliasRepo.promoteAlias(req.params.id);
+    log.info('adminAliasRoutes.promote', { id: alias._id, alias: alias.alias, part_number: alias.part_number });
+    res.json({ alias });
+  } catch (err) {
+    log.error('adminAliasRoutes.promote error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── DELETE /api/admin/aliases/:id ────────────────────────────────────────────
+
+router.delete('/:id', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const existing = await learnedAliasRepo.getAlias(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Alias not found' });
+    await learnedAliasRepo.deleteAlias(req.params.id);
+    log.info('adminAliasRoutes.delete', { id: existing._id, alias: existing.alias });
+    res.json({ deleted: true, id: existing._id });
+  } catch (err) {
+    log.error('adminAliasRoutes.delete error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Admin API — Catalog cache (scraped RealOEM groups per type_code)
+ *
+ * GET    /api/admin/catalog/stats  — hit rate and coverage: ?days=30&tenant_id=...
+ * DELETE /api/admin/catalog        — drop entries (re-scraped on next use): ?type_code=...&group_name=...
+ *
+ * Stale entries are counted with the tenant's TTL (env defaults without tenant_id);
+ * freshness config and stale-while-revalidate: see services/catalogCache.service.js.
+ * Warm-up: scripts/warm-catalog-cache.js.
+ *
+ * Protected by x-admin-api-key header (env: ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const catalogRepo = require('../db/catalog.repo');
+const stateRepo = require('../db/state.repo');
+const catalogCache = require('../services/catalogCache.service');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+// ── GET /api/admin/catalog/stats ─────────────────────────────────────────────
+// Query params:
+//   days      — period in days, today included (default 30, cap 365)
+//   tenant_id — lookups of one tenant only (and its TTL for stale_entries)
+
+router.get('/stats', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days || '30', 10) || 30, 1), 365);
+    const tenantId = req.query.tenant_id ? String(req.query.tenant_id) : null;
+    const tenant = tenantId ? await stateRepo.getTenant(tenantId, correlationId) : null;
+    if (tenantId && !tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+    const config = catalogCache.getCatalogConfig(tenant);
+    const staleBefore = new Date(Date.now() - config.ttl_hours * 60 * 60 * 1000);
+
+    const [rows, coverage] = await Promise.all([
+      catalogRepo.getCacheStats({ since, tenantId }),
+      catalogRepo.getCacheCoverage(staleBefore),
+    ]);
+    res.json({
+      tenant_id: tenantId,
+      days,
+      since: since.toISOString().slice(0, 10),
+      ...catalogCache.summarizeStats(rows),
+      by_day: rows.map((r) => ({ ...r, hit_rate: catalogCache.summarizeStats([r]).hit_rate })),
+      coverage: { ...coverage, ttl_hours: config.ttl_hours },
+    });
+  } catch (err) {
+    log.error('adminCatalogRoutes.stats error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── DELETE /api/admin/catalog ────────────────────────────────────────────────
+
+router.delete('/', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const typeCode = req.query.type_code ? String(req.query.type_code).trim() : '';
+    const groupName = req.query.group_name ? String(req.query.group_name).trim() : '';
+    if (!typeCode && !groupName) {
+      return res.status(400).json({ error: 'type_code and / or group_name query param required' });
+    }
+    const deleted = await catalogRepo.deleteCatalogResults({ typeCode, groupName }, correlationId);
+    res.json({ deleted, type_code: typeCode || null, group_name: groupName || null });
+  } catch (err) {
+    log.error('adminCatalogRoutes.delete error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Admin API — Aftermarket cross-references (OEM number ↔ Bosch / Mann / Febi... numbers)
+ *
+ * POST   /api/admin/cross-references/import  — upload a CSV / XLSX file (multipart field "file")
+ * GET    /api/admin/cross-references         — list: ?q=<OEM / aftermarket number>&brand&source&limit&offset
+ * GET    /api/admin/cross-references/lookup  — equivalents of one number: ?part_number=...
+ * DELETE /api/admin/cross-references/:id     — delete one line
+ *
+ * Import form fields (optional): source — batch name (default: the file name);
+ * replace=true — also remove lines of that source missing from this file.
+ * File format: see services/crossRef.service.js.
+ *
+ * Protected by x-admin-api-key header (env: ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const crossRefRepo = require('../db/crossReferences.repo');
+const crossRef = require('../services/crossRef.service');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { partNumberKey } = require('../utils/partNumber');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+});
+
+router.use(requireAdminKey);
+
+function sendError(res, err) {
+  if (err.statusCode === 400) return res.status(400).json({ error: err.message });
+  return res.status(500).json({ error: err.message });
+}
+
+// ── POST /api/admin/cross-references/import ──────────────────────────────────
+
+router.post('/import', upload.single('file'), async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    if (!req.file) return res.status(400).json({ error: 'file is required (multipart field "file")' });
+    const source = String(req.body?.source || req.file.originalname || '').trim() || null;
+    const replace = req.body?.replace === 'true' || req.body?.replace === true;
+
+    const rows = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    const { items, errors } = crossRef.parseCrossRefRows(rows);
+    if (!items.length) return res.status(400).json({ error: 'no valid lines in the file', errors });
+
+    const result = await crossRefRepo.importCrossReferences(items, { source, replace }, correlationId);
+    log.info('adminCrossRefRoutes.import', { source, rows: rows.length, lines: items.length, errors: errors.length });
+    res.status(201).json({
+      source,
+      rows: rows.length,
+      lines: items.length,
+      skipped: errors.length,
+      errors: errors.slice(0, 200),
+      ...result,
+    });
+  } catch (err) {
+    log.error('adminCrossRefRoutes.import error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── GET /api/admin/cross-references ──────────────────────────────────────────
+
+router.get('/', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const { q, brand, source, limit: limitStr, offset: offsetStr } = req.query;
+    const limit  = Math.min(parseInt(limitStr  || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(offsetStr || '0',  10) || 0, 0);
+    const { cross_references, total } = await crossRefRepo.listCrossReferences({ q, brand, source, limit, offset });
+    res.json({ cross_references, total, limit, offset });
+  } catch (err) {
+    log.error('adminCrossRefRoutes.list error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── GET /api/admin/cross-references/lookup ───────────────────────────────────
+
+router.get('/lookup', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const partNumber = String(req.query.part_number || '').trim();
+    if (!partNumber) return res.status(400).json({ error: 'part_number query param required' });
+    const equivalents = (await crossRefRepo.findEquivalents([partNumber], correlationId)).get(partNumber);
+    res.json({ part_number: partNumberKey(partNumber), ...equivalents });
+  } catch (err) {
+    log.error('adminCrossRefRoutes.lookup error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── DELETE /api/admin/cross-references/:id ───────────────────────────────────
+
+router.delete('/:id', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const deleted = await crossRefRepo.deleteCrossReference(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Cross-reference not found' });
+    log.info('adminCrossRefRoutes.delete', { id: req.params.id });
+    res.json({ deleted: true, id: req.params.id });
+  } catch (err) {
+    log.error('adminCrossRefRoutes.delete error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Admin API — Job queue (outbound WhatsApp / Odoo / SSE side effects)
+ *
+ * GET  /api/admin/jobs             — list jobs + counts per status
+ * GET  /api/admin/jobs/:id         — one job (payload, attempts, last_error, result)
+ * POST /api/admin/jobs/:id/retry   — run a dead / cancelled job again (fresh attempts)
+ * POST /api/admin/jobs/:id/cancel  — cancel a pending or dead job
+ *
+ * Job types: see domain/jobs.js. Protected by x-admin-api-key header (env: ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const jobRepo = require('../db/job.repo');
+const jobQueue = require('../services/jobQueue');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+function sendError(res, err) {
+  if ([400, 404, 409].includes(err.statusCode)) return res.status(err.statusCode).json({ error: err.message });
+  return res.status(500).json({ error: err.message });
+}
+
+// ── GET /api/admin/jobs ──────────────────────────────────────────────────────
+// Query params:
+//   status   — pending | running | succeeded | dead | cancelled
+//   type     — job type (e.g. odoo.order_line)
+//   quote_id — jobs of one quote
+//   limit    — max results (default 50, cap 500)
+
+router.get('/', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const { status, type, quote_id: quoteId, limit } = req.query;
+    const [jobs, counts] = await Promise.all([
+      jobRepo.listJobs({ status, type, quoteId, limit }, correlationId),
+      jobRepo.countJobsByStatus(correlationId),
+    ]);
+    res.json({ jobs, counts });
+  } catch (err) {
+    log.error('adminJobRoutes.list error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── GET /api/admin/jobs/:id ──────────────────────────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const job = await jobRepo.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ job });
+  } catch (err) {
+    log.error('adminJobRoutes.get error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── POST /api/admin/jobs/:id/retry ───────────────────────────────────────────
+
+router.post('/:id/retry', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const job = await jobRepo.retryJob(req.params.id, correlationId);
+    jobQueue.wakeWorker();
+    res.json({ job });
+  } catch (err) {
+    log.error('adminJobRoutes.retry error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── POST /api/admin/jobs/:id/cancel ──────────────────────────────────────────
+
+router.post('/:id/cancel', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const job = await jobRepo.cancelJob(req.params.id, correlationId);
+    res.json({ job });
+  } catch (err) {
+    log.error('adminJobRoutes.cancel error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Admin API — Kits
+ *
+ * GET    /api/admin/kits               — list kits (with part lines)
+ * GET    /api/admin/kits/:id           — one kit
+ * POST   /api/admin/kits               — create a kit
+ * PATCH  /api/admin/kits/:id           — update a kit (parts, when sent, replace all lines)
+ * DELETE /api/admin/kits/:id           — delete a kit
+ * POST   /api/admin/kits/import-sheet  — one-shot import from the Kits Google Sheet
+ *
+ * Kit body:
+ *   { kit_code, kit_name_ar, kit_name_en, aliases: [..] | "a, b", category, notes, active,
+ *     parts: ["part name", { part_name, series: ["G30"], engines: ["B48"] }, ...] }
+ *
+ * Protected by x-admin-api-key header (env: ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const kitsRepo = require('../db/kits.repo');
+const sheets = require('../integrations/sheets.client');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+/** Map repo / Prisma errors to a response. */
+function sendError(res, err) {
+  if (err.statusCode === 400) return res.status(400).json({ error: err.message });
+  if (err.code === 'P2002') return res.status(409).json({ error: 'kit_code already exists' });
+  if (err.code === 'P2025') return res.status(404).json({ error: 'Kit not found' });
+  return res.status(500).json({ error: err.message });
+}
+
+// ── GET /api/admin/kits ──────────────────────────────────────────────────────
+// Query params:
+//   q        — kit_code / name substring or exact alias
+//   category — exact category
+//   active   — true | false
+//   limit    — max results (default 50, cap 200)
+//   offset   — pagination offset (default 0)
+
+router.get('/', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const { q, category, active, limit: limitStr, offset: offsetStr } = req.query;
+    const limit  = Math.min(parseInt(limitStr  || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(offsetStr || '0',  10) || 0, 0);
+    const activeFilter = active === 'true' ? true : active === 'false' ? false : null;
+    const { kits, total } = await kitsRepo.listKits({ q, category, active: activeFilter, limit, offset });
+    res.json({ kits, total, limit, offset });
+  } catch (err) {
+    log.error('adminKitRoutes.list error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── POST /api/admin/kits/import-sheet ────────────────────────────────────────
+// Reads SHEETS_KITS_SPREADSHEET_ID and upserts every row by kit_code.
+
+router.post('/import-sheet', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const rows = await sheets.getAllKits(correlationId);
+    const result = await kitsRepo.importSheetKits(rows, correlationId);
+    log.info('adminKitRoutes.import-sheet', { rows: rows.length, ...result });
+    res.json({ rows: rows.length, ...result });
+  } catch (err) {
+    log.error('adminKitRoutes.import-sheet error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── GET /api/admin/kits/:id ──────────────────────────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const kit = await kitsRepo.getKit(req.params.id);
+    if (!kit) return res.status(404).json({ error: 'Kit not found' });
+    res.json({ kit });
+  } catch (err) {
+    log.error('adminKitRoutes.get error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── POST /api/admin/kits ─────────────────────────────────────────────────────
+
+router.post('/', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const kit = await kitsRepo.createKit(req.body || {}, correlationId);
+    res.status(201).json({ kit });
+  } catch (err) {
+    log.error('adminKitRoutes.create error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── PATCH /api/admin/kits/:id ────────────────────────────────────────────────
+
+router.patch('/:id', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const kit = await kitsRepo.updateKit(req.params.id, req.body || {}, correlationId);
+    res.json({ kit });
+  } catch (err) {
+    log.error('adminKitRoutes.update error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── DELETE /api/admin/kits/:id ───────────────────────────────────────────────
+
+router.delete('/:id', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    await kitsRepo.deleteKit(req.params.id);
+    log.info('adminKitRoutes.delete', { id: req.params.id });
+    res.json({ deleted: true, id: req.params.id });
+  } catch (err) {
+    log.error('adminKitRoutes.delete error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Admin API — Supplier price lists
+ *
+ * POST /api/admin/price-lists/import        — upload a CSV / XLSX price list (multipart field "file")
+ * GET  /api/admin/price-lists               — versions, newest first (diff summary)
+ * GET  /api/admin/price-lists/offers        — ranked offers for a part: ?part_number=...&tenant_id=...
+ * GET  /api/admin/price-lists/:id           — one version with its diff against the previous one
+ * GET  /api/admin/price-lists/:id/prices    — its lines: ?q=<part number / brand>&limit&offset
+ * POST /api/admin/price-lists/:id/activate  — make this version the supplier's active list
+ *
+ * Import form fields (optional): supplier / currency — for files without those
+ * columns; dry_run=true — parse and diff without saving. A file with several
+ * suppliers is imported all or nothing (409 / 500: no supplier's list changed).
+ * File format and diff: see services/priceList.service.js; landed price and
+ * ranking: services/supplierOffers.service.js.
+ *
+ * Protected by x-admin-api-key header (env: ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const supplierPricesRepo = require('../db/supplierPrices.repo');
+const stateRepo = require('../db/state.repo');
+const priceList = require('../services/priceList.service');
+const supplierOffers = require('../services/supplierOffers.service');
+const pricing = require('../services/pricing.service');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { partNumberKey } = require('../utils/partNumber');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+});
+
+router.use(requireAdminKey);
+
+function sendError(res, err) {
+  if ([400, 404, 409].includes(err.statusCode)) return res.status(err.statusCode).json({ error: err.message });
+  return res.status(500).json({ error: err.message });
+}
+
+// ── POST /api/admin/price-lists/import ───────────────────────────────────────
+
+router.post('/import', upload.single('file'), async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    if (!req.file) return res.status(400).json({ error: 'file is required (multipart field "file")' });
+    const dryRun = req.body?.dry_run === 'true' || req.body?.dry_run === true;
+
+    const rows = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    const { items, errors } = priceList.parsePriceRows(rows, {
+      supplier: req.body?.supplier,
+      currency: req.body?.currency,
+    });
+    if (!items.length) return res.status(400).json({ error: 'no valid lines in the price list', errors });
+
+    const imports = await supplierPricesRepo.importPriceLists(
+      items,
+      { filename: req.file.originalname, dryRun },
+      correlationId
+    );
+    log.info('adminPriceListRoutes.import', {
+      filename: req.file.originalname, rows: rows.length, lines: items.length, errors: errors.length, dryRun,
+    });
+    res.status(dryRun ? 200 : 201).json({
+      dry_run: dryRun,
+      rows: rows.length,
+      imported: items.length,
+      skipped: errors.length,
+      errors: errors.slice(0, 200),
+      imports,
+    });
+  } catch (err) {
+    log.error('adminPriceListRoutes.import error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── GET /api/admin/price-lists ───────────────────────────────────────────────
+// Query params:
+//   supplier — exact supplier name
+//   active   — true | false
+//   limit    — max results (default 50, cap 200)
+//   offset   — pagination offset (default 0)
+
+router.get('/', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const { supplier, active, limit: limitStr, offset: offsetStr } = req.query;
+    const limit  = Math.min(parseInt(limitStr  || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(offsetStr || '0',  10) || 0, 0);
+    const activeFilter = active === 'true' ? true : active === 'false' ? false : null;
+    const { price_lists, total } = await supplierPricesRepo.listPriceLists({
+      supplier, active: activeFilter, limit, offset,
+    });
+    res.json({ price_lists, total, limit, offset });
+  } catch (err) {
+    log.error('adminPriceListRoutes.list error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── GET /api/admin/price-lists/offers ────────────────────────────────────────
+
+router.get('/offers', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const partNumber = String(req.query.part_number || '').trim();
+    if (!partNumber) return res.status(400).json({ error: 'part_number query param required' });
+    const tenant = req.query.tenant_id
+      ? await stateRepo.getTenant(String(req.query.tenant_id), correlationId)
+      : null;
+    const currency = pricing.getPricingConfig(tenant).currency;
+    const offers = (await supplierPricesRepo.findActiveOffers([partNumber], correlationId)).get(partNumber);
+    res.json({
+      part_number: partNumberKey(partNumber),
+      currency,
+      offers: supplierOffers.rankOffers(offers, supplierOffers.getSupplierConfig(tenant), currency),
+    });
+  } catch (err) {
+    log.error('adminPriceListRoutes.offers error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── GET /api/admin/price-lists/:id ───────────────────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const list = await supplierPricesRepo.getPriceList(req.params.id);
+    if (!list) return res.status(404).json({ error: 'Price list not found' });
+    res.json({ price_list: list });
+  } catch (err) {
+    log.error('adminPriceListRoutes.get error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── GET /api/admin/price-lists/:id/prices ────────────────────────────────────
+
+router.get('/:id/prices', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const limit  = Math.min(parseInt(req.query.limit  || '100', 10) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset || '0',   10) || 0, 0);
+    const list = await supplierPricesRepo.getPriceList(req.params.id);
+    if (!list) return res.status(404).json({ error: 'Price list not found' });
+    const { prices, total } = await supplierPricesRepo.listPrices(req.params.id, { q: req.query.q, limit, offset });
+    res.json({ price_list_id: list._id, supplier: list.supplier, version: list.version, prices, total, limit, offset });
+  } catch (err) {
+    log.error('adminPriceListRoutes.prices error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ── POST /api/admin/price-lists/:id/activate ─────────────────────────────────
+
+router.post('/:id/activate', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const list = await supplierPricesRepo.activatePriceList(req.params.id, correlationId);
+    if (!list) return res.status(404).json({ error: 'Price list not found' });
+    res.json({ price_list: list });
+  } catch (err) {
+    log.error('adminPriceListRoutes.activate error', { error: err.message });
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Admin API — WhatsApp templates (registry: services/waTemplates.js)
+ *
+ * GET  /api/admin/templates                — registered templates (name, language, params, header, buttons)
+ * GET  /api/admin/templates/:name/preview  — final text rendered with sample data
+ *
+ * Query params (both): tenant_id — resolve the tenant's own template names.
+ * Preview also takes parameter values as query params (e.g. ?customer_name=Ahmed),
+ * overriding the sample data; invalid values return 400 like a real send would fail.
+ *
+ * Protected by x-admin-api-key header (env: ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const stateRepo = require('../db/state.repo');
+const waTemplates = require('../services/waTemplates');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+async function tenantFromQuery(req, correlationId) {
+  if (!req.query.tenant_id) return null;
+  return stateRepo.getTenant(String(req.query.tenant_id), correlationId);
+}
+
+// ── GET /api/admin/templates ─────────────────────────────────────────────────
+
+router.get('/', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const tenant = await tenantFromQuery(req, correlationId);
+    const templates = Object.entries(waTemplates.TEMPLATES).map(([key, def]) => {
+      const [name, language] = waTemplates.templateFor(key, tenant).split('|');
+      return { key, name, language, header: def.header, params: def.params, buttons: def.buttons };
+    });
+    res.json({ templates });
+  } catch (err) {
+    log.error('adminTemplateRoutes.list error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /api/admin/templates/:name/preview ───────────────────────────────────
+
+router.get('/:name/preview', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const values = { ...req.query };
+    delete values.tenant_id;
+    const tenant = await tenantFromQuery(req, correlationId);
+    res.json(waTemplates.preview(req.params.name, values, tenant));
+  } catch (err) {
+    if ([400, 404].includes(err.statusCode)) return res.status(err.statusCode).json({ error: err.message });
+    log.error('adminTemplateRoutes.preview error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
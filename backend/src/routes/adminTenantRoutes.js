@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * Admin API — Tenant settings
+ *
+ * GET  /api/admin/tenants/:id/pricing          — stored + effective pricing config
+ * PUT  /api/admin/tenants/:id/pricing          — replace pricing config (body: config object, or null to reset)
+ * POST /api/admin/tenants/:id/pricing/preview  — price sample lines: { lines: [...], labor_cost }
+ * PUT  /api/admin/tenants/:id/logo             — quotation PDF logo: { logo_url } (PNG/JPEG, null to clear)
+ * GET  /api/admin/tenants/:id/followup         — stored + effective follow-up config
+ * PUT  /api/admin/tenants/:id/followup         — replace follow-up config (reminder intervals / templates, expiry)
+ * GET  /api/admin/tenants/:id/odoo-automation  — stored + effective Odoo order / invoice automation
+ * PUT  /api/admin/tenants/:id/odoo-automation  — replace it: { confirm_order, create_invoice, post_invoice }
+ * GET  /api/admin/tenants/:id/stock            — stored + effective stock rules (product chooser)
+ * PUT  /api/admin/tenants/:id/stock            — replace them: { block_unavailable, count_incoming }
+ * GET  /api/admin/tenants/:id/suppliers        — stored + effective supplier offers config (landed price)
+ * PUT  /api/admin/tenants/:id/suppliers        — replace it: { fx_rates, landed_cost_pct, suppliers }
+ * GET  /api/admin/tenants/:id/catalog          — stored + effective catalog cache freshness
+ * PUT  /api/admin/tenants/:id/catalog          — replace it: { ttl_hours, max_stale_hours }
+ * GET  /api/admin/tenants/:id/whatsapp         — WhatsApp number, templates per event (token / secret masked)
+ * PUT  /api/admin/tenants/:id/whatsapp         — update: { phone_number_id, access_token, app_secret, templates }
+ *
+ * Config formats: see services/pricing.service.js, services/followup.service.js,
+ * services/odooAutomation.service.js, services/stock.service.js, services/supplierOffers.service.js,
+ * services/catalogCache.service.js and services/whatsapp.service.js.
+ * Protected by x-admin-api-key header (env: ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const stateRepo = require('../db/state.repo');
+const pricing = require('../services/pricing.service');
+const followup = require('../services/followup.service');
+const odooAutomation = require('../services/odooAutomation.service');
+const stock = require('../services/stock.service');
+const supplierOffers = require('../services/supplierOffers.service');
+const catalogCache = require('../services/catalogCache.service');
+const whatsapp = require('../services/whatsapp.service');
+const waTemplates = require('../services/waTemplates');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+/** WhatsApp settings without the secrets (only whether they are set). */
+function whatsappView(tenant) {
+  const c = whatsapp.cfg(tenant);
+  return {
+    tenant_id: tenant.id,
+    whatsapp: {
+      phone_number_id: tenant.wa_phone_number_id ?? null,
+      access_token_set: Boolean(tenant.wa_access_token),
+      app_secret_set: Boolean(tenant.wa_app_secret),
+      templates: tenant.wa_templates ?? null,
+    },
+    effective: {
+      source: c.key,
+      phone_number_id: c.phoneNumberId,
+      templates: Object.fromEntries(
+        Object.keys(waTemplates.TEMPLATES).map((key) => [key, waTemplates.templateFor(key, tenant)])
+      ),
+    },
+  };
+}
+
+/** Stored and effective value of a per-tenant config (utils/tenantConfig.js). */
+function configView(tenant, column, effective) {
+  return { tenant_id: tenant.id, [column]: tenant[column] ?? null, effective: effective(tenant) };
+}
+
+/**
+ * GET / PUT /api/admin/tenants/:id/<path> for the tenant config in `column`:
+ * GET returns it stored and effective, PUT checks the body with `validate`
+ * (AppError 400) and replaces it — an empty body or null resets it to env defaults.
+ */
+function configRoutes(path, column, { validate, effective }) {
+  router.get(`/:id/${path}`, async (req, res) => {
+    const log = logger.child(uuidv4());
+    try {
+      const tenant = await stateRepo.getTenant(req.params.id);
+      if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+      res.json(configView(tenant, column, effective));
+    } catch (err) {
+      log.error('adminTenantRoutes.getConfig error', { path, error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.put(`/:id/${path}`, async (req, res) => {
+    const correlationId = uuidv4();
+    const log = logger.child(correlationId);
+    try {
+      const body = req.body && Object.keys(req.body).length ? req.body : null;
+      const config = body ? validate(body) : null;
+      const tenant = await stateRepo.updateTenantConfig(req.params.id, column, config, correlationId);
+      if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+      res.json(configView(tenant, column, effective));
+    } catch (err) {
+      if (err.statusCode === 400) return res.status(400).json({ error: err.message });
+      log.error('adminTenantRoutes.putConfig error', { path, error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+// ── GET / PUT /api/admin/tenants/:id/<config> ────────────────────────────────
+
+configRoutes('pricing', 'pricing_config', {
+  validate: pricing.validatePricingConfig,
+  effective: pricing.getPricingConfig,
+});
+configRoutes('followup', 'followup_config', {
+  validate: followup.validateFollowupConfig,
+  effective: followup.getFollowupConfig,
+});
+configRoutes('odoo-automation', 'odoo_automation', {
+  validate: odooAutomation.validateOdooAutomationConfig,
+  effective: odooAutomation.getOdooAutomationConfig,
+});
+configRoutes('stock', 'stock_config', {
+  validate: stock.validateStockConfig,
+  effective: stock.getStockConfig,
+});
+configRoutes('suppliers', 'supplier_config', {
+  validate: supplierOffers.validateSupplierConfig,
+  effective: supplierOffers.getSupplierConfig,
+});
+configRoutes('catalog', 'catalog_config', {
+  validate: catalogCache.validateCatalogConfig,
+  effective: catalogCache.getCatalogConfig,
+});
+
+// ── POST /api/admin/tenants/:id/pricing/preview ──────────────────────────────
+// lines: [{ part_number, name, unit_cost, category?, qty?, discount_pct?, unit_price? }]
+
+router.post('/:id/pricing/preview', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const tenant = await stateRepo.getTenant(req.params.id);
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+    const { lines, labor_cost } = req.body || {};
+    if (!Array.isArray(lines)) return res.status(400).json({ error: 'lines must be an array' });
+    res.json({ breakdown: pricing.buildBreakdown({ lines, labor_cost }, pricing.getPricingConfig(tenant)) });
+  } catch (err) {
+    log.error('adminTenantRoutes.previewPricing error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── PUT /api/admin/tenants/:id/logo ──────────────────────────────────────────
+
+router.put('/:id/logo', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const logoUrl = req.body?.logo_url ? String(req.body.logo_url).trim() : null;
+    if (logoUrl && !/^https?:\/\//i.test(logoUrl)) {
+      return res.status(400).json({ error: 'logo_url must be an http(s) URL' });
+    }
+    const tenant = await stateRepo.updateTenantLogo(req.params.id, logoUrl, correlationId);
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+    res.json({ tenant_id: tenant.id, logo_url: tenant.logo_url ?? null });
+  } catch (err) {
+    log.error('adminTenantRoutes.putLogo error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /api/admin/tenants/:id/whatsapp ──────────────────────────────────────
+
+router.get('/:id/whatsapp', async (req, res) => {
+  const log = logger.child(uuidv4());
+  try {
+    const tenant = await stateRepo.getTenant(req.params.id);
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+    res.json(whatsappView(tenant));
+  } catch (err) {
+    log.error('adminTenantRoutes.getWhatsapp error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── PUT /api/admin/tenants/:id/whatsapp ──────────────────────────────────────
+// Only the fields sent are changed; null clears one (the tenant then uses env WHATSAPP_*).
+// Sending uses the tenant's number once both phone_number_id and access_token are set.
+
+router.put('/:id/whatsapp', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const data = whatsapp.validateWhatsappConfig(req.body);
+    const tenant = await stateRepo.updateTenantWhatsapp(req.params.id, data, correlationId);
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+    res.json(whatsappView(tenant));
+  } catch (err) {
+    if ([400, 409].includes(err.statusCode)) return res.status(err.statusCode).json({ error: err.message });
+    log.error('adminTenantRoutes.putWhatsapp error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
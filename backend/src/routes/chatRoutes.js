@@ -6,6 +6,7 @@ const { v4: uuidv4 } = require('uuid');
 const chatService = require('../services/chatService');
 const sessionStore = require('../services/sessionStore');
 const stateRepo = require('../db/state.repo');
+const scraper = require('../integrations/scraper.client');
 const { getPendingAction, clearPendingAction } = require('../services/stateMachine');
 const { subscribe, getPendingNotifications } = require('../services/sseNotifications');
 const logger = require('../utils/logger');
@@ -148,6 +149,7 @@ router.get('/notifications', express.json(), async (req, res) => {
 
    Handles structured-form submissions from the Frontend:
      • COLLECT_CUSTOMER_DATA  → resume handler (creates quotation)
+     • CHOOSE_PART_CANDIDATE  → resume handler (adds picked parts to basket)
      • CHOOSE_PRODUCT         → finalize handler (sends WA quote, SSE)
 
    Returns: { session_id, reply, meta? }
@@ -223,6 +225,20 @@ router.post('/submit-form', express.json(), async (req, res) => {
         sender,
         correlationId
       );
+    } else if (
+      effectiveAction === 'CHOOSE_PART_CANDIDATE' &&
+      pending.action === 'CHOOSE_PART_CANDIDATE'
+    ) {
+      const { handleResume } = require('../workflows/resumeHandlers');
+      await handleResume(
+        chatId,
+        'CHOOSE_PART_CANDIDATE',
+        pending.payload,
+        formData || {},   // { part_numbers: [...] }
+        state,
+        sender,
+        correlationId
+      );
     } else {
       return res.status(400).json({
         error: `Unhandled pending action: ${pending.action}`,
@@ -232,11 +248,37 @@ router.post('/submit-form', express.json(), async (req, res) => {
     const reply = replies.join('\n\n');
     res.json({ session_id, reply, meta: {} });
   } catch (err) {
+    // e.g. CHOOSE_PRODUCT refused (unavailable lines, invalid new product) — the form stays open
+    if ([400, 409].includes(err.statusCode)) return res.status(err.statusCode).json({ error: err.message });
     log.error('chatRoutes.submit-form error', { error: err.message, stack: err.stack });
     res.status(500).json({ error: err.message });
   }
 });
 
+/* ─────────────────────────────────────────────────────────────
+   GET /api/chat/diagram?url=<catalog diagram url>
+   Proxies a catalog diagram image for form thumbnails
+   (CHOOSE_PART_CANDIDATE). Only catalog diagram hosts are allowed.
+   ───────────────────────────────────────────────────────────── */
+router.get('/diagram', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const url = String(req.query.url || '');
+    if (!scraper.isDiagramUrl(url)) {
+      return res.status(400).json({ error: 'url must be a catalog diagram URL' });
+    }
+    const img = await scraper.downloadDiagramImage(url, correlationId);
+    if (!img) return res.status(404).json({ error: 'Diagram not available' });
+    res.set('Content-Type', img.contentType);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(img.data);
+  } catch (err) {
+    log.warn('chatRoutes.diagram error', { error: err.message });
+    res.status(502).json({ error: err.message });
+  }
+});
+
 /* ─────────────────────────────────────────────────────────────
    GET /api/debug/session/:chatId?key=DEBUG_KEY
    Returns full session state + pending action for debugging.
@@ -0,0 +1,251 @@
+'use strict';
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const quotesRepo = require('../db/quotes.repo');
+const stateRepo = require('../db/state.repo');
+const customerMessageRepo = require('../db/customerMessage.repo');
+const messageRepo = require('../db/message.repo');
+const customerChatFlow = require('../domain/customerChat.flow');
+const whatsapp = require('../services/whatsapp.service');
+const quotePdf = require('../services/quotePdf.service');
+const { setPendingAction, PENDING_ACTIONS } = require('../services/stateMachine');
+const { requireAdminKey } = require('../utils/requireAdminKey');
+const { verifySignedLink } = require('../utils/signedLink');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Signed link to this exact path (utils/signedLink: the agent UI's pdf_url,
+ * media_url, thread_url), else the admin key.
+ */
+function requireSignedLink(req, res, next) {
+  if (verifySignedLink(req.baseUrl + req.path, req.query.expires, req.query.sig)) return next();
+  return requireAdminKey(req, res, next);
+}
+
+/* ─────────────────────────────────────────────────────────────
+   GET /api/quotes/:id/pdf?expires=...&sig=...&lang=ar|en&download=1
+   Returns the quotation PDF (same document the customer gets on WhatsApp).
+   The customer's details are on it: needs the signed, expiring link sent to
+   the agent UI (quote_sent pdf_url) or the x-admin-api-key header.
+   409 until the quote has been priced (CHOOSE_PRODUCT submitted).
+   ───────────────────────────────────────────────────────────── */
+router.get('/:id/pdf', requireSignedLink, async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const quote = await quotesRepo.getQuote(req.params.id, correlationId);
+    if (!quote) return res.status(404).json({ error: 'Quote not found' });
+
+    const session = await stateRepo.getSession(quote.chat_id, correlationId).catch(() => null);
+    const tenant = session?.tenant_id
+      ? await stateRepo.getTenant(session.tenant_id, correlationId).catch(() => null)
+      : null;
+
+    const lang = quotePdf.pdfLanguage(req.query.lang);
+    const pdf = await quotePdf.renderQuotePdf(quote, { tenant, lang, correlationId });
+    const filename = quotePdf.quotePdfFilename(quote, lang);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.download ? 'attachment' : 'inline'}; filename="${filename}"`
+    );
+    res.setHeader('Content-Length', pdf.length);
+    res.end(pdf);
+  } catch (err) {
+    if (err.statusCode === 409) return res.status(409).json({ error: err.message });
+    log.error('quoteRoutes.pdf error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   POST /api/quotes/:id/revise
+   Body: { reason?: string }  (defaults to the customer's WhatsApp reason)
+   Reopens a NEEDS_REVISION quote as the next version (same VIN, customer and
+   basket), makes it the active quote of the agent's chat session and
+   asks the agent whether to add parts (ADD_MORE_ITEMS).
+   Returns: { quote, message }
+   ───────────────────────────────────────────────────────────── */
+router.post('/:id/revise', express.json(), async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const reason = req.body?.reason ? String(req.body.reason).slice(0, 500) : null;
+    const revision = await quotesRepo.reviseQuote(req.params.id, { channel: 'FRONTEND', reason }, correlationId);
+
+    await stateRepo.saveState(revision.chat_id, {
+      vin: revision.vin,
+      full_vin: revision.full_vin,
+      quotation_id: revision.quotation_id,
+      vehicle_details: revision.vehicle_details,
+      x_car_id: revision.x_car_id,
+      customer_name: revision.customer_name,
+      customer_phone: revision.customer_phone,
+      status: 'open',
+    }, correlationId).catch((err) => {
+      log.warn('quoteRoutes.revise: saveState failed', { error: err.message });
+    });
+    // Same prompt as after adding a part: "yes" → next part name, "no" → CHOOSE_PRODUCT form
+    await setPendingAction(revision.chat_id, PENDING_ACTIONS.ADD_MORE_ITEMS, {
+      quote_id: revision._id,
+    }, 60, correlationId).catch((err) => {
+      log.warn('quoteRoutes.revise: setPendingAction failed', { error: err.message });
+    });
+
+    const basketItems = await quotesRepo.getBasketItems(revision._id, correlationId);
+    res.json({
+      quote: revision,
+      message: [
+        `✏️ تم فتح النسخة ${revision.version} من عرض السعر (VIN: ${revision.full_vin || revision.vin}).`,
+        ...(basketItems.length ? ['', 'السلة الحالية:', ...basketItems.map((bi) => `• ${bi.part_number} × ${bi.qty}`)] : []),
+        '',
+        'هل تريد إضافة قطعة أخرى؟ رد بـ *نعم* أو *لا* (لا = تعديل الكميات والأسعار وإرسال العرض من جديد)',
+      ].join('\n'),
+    });
+  } catch (err) {
+    if (err.statusCode === 404 || err.statusCode === 409) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    log.error('quoteRoutes.revise error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   GET /api/quotes/:id/versions
+   All versions of the quote (v1 → v2 → ...), each with basket, total,
+   WA message id and its delivery status (delivery_status / read_at) and
+   status history. :id may be any version.
+   ───────────────────────────────────────────────────────────── */
+router.get('/:id/versions', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const versions = await quotesRepo.getQuoteVersions(req.params.id, correlationId);
+    if (!versions) return res.status(404).json({ error: 'Quote not found' });
+    res.json({ versions });
+  } catch (err) {
+    log.error('quoteRoutes.versions error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   GET /api/quotes/:id/delivery
+   WhatsApp delivery of the messages sent for this quote (template, PDF):
+   status sent | delivered | read | failed, timestamps and Meta error.
+   read = the customer has opened the quote.
+   ───────────────────────────────────────────────────────────── */
+router.get('/:id/delivery', async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const quote = await quotesRepo.getQuote(req.params.id, correlationId);
+    if (!quote) return res.status(404).json({ error: 'Quote not found' });
+
+    const messages = await messageRepo.getQuoteMessages(quote._id, correlationId);
+    const template = messages.find((m) => m._id === quote.wa_message_id) || null;
+    res.json({
+      quote_id: quote._id,
+      status: template?.status ?? null,
+      read: Boolean(template?.read_at),
+      messages,
+    });
+  } catch (err) {
+    log.error('quoteRoutes.delivery error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   GET /api/quotes/:id/messages?expires=...&sig=...
+   WhatsApp conversation with the quote's customer (oldest first):
+   inbound text / images / voice notes and the agent's replies.
+   Needs the signed link from the customer_message event (thread_url)
+   or the x-admin-api-key header.
+   ───────────────────────────────────────────────────────────── */
+router.get('/:id/messages', requireSignedLink, async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const messages = await customerChatFlow.listThread(req.params.id, correlationId);
+    if (!messages) return res.status(404).json({ error: 'Quote not found' });
+    res.json({ messages });
+  } catch (err) {
+    log.error('quoteRoutes.messages error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   POST /api/quotes/:id/messages
+   Body: { text: string, session_id: string }  (session_id = agent chat)
+   Sends the agent's reply to the customer as a WhatsApp session message.
+   400 without session_id; 403 when the session is not of the quote's tenant;
+   409 outside the 24h window (customer hasn't written in the last 24h).
+   Returns: { message }
+   ───────────────────────────────────────────────────────────── */
+router.post('/:id/messages', express.json(), async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const text = req.body?.text ? String(req.body.text).slice(0, 4096) : '';
+    const message = await customerChatFlow.reply(
+      req.params.id,
+      text,
+      req.body?.session_id ? String(req.body.session_id) : null,
+      correlationId
+    );
+    res.status(201).json({ message });
+  } catch (err) {
+    if ([400, 403, 404, 409].includes(err.statusCode)) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    log.error('quoteRoutes.reply error', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   GET /api/quotes/:id/messages/:messageId/media?expires=...&sig=...
+   Streams a customer image / voice note from WhatsApp (media ids are
+   only downloadable with the access token of the number that received them).
+   Needs the signed media_url of the message or the x-admin-api-key header.
+   404 for an unknown message, one without media, or media WhatsApp no longer
+   has (ids expire); 502 when the WhatsApp API fails otherwise.
+   ───────────────────────────────────────────────────────────── */
+router.get('/:id/messages/:messageId/media', requireSignedLink, async (req, res) => {
+  const correlationId = uuidv4();
+  const log = logger.child(correlationId);
+  try {
+    const message = await customerMessageRepo.getCustomerMessage(req.params.messageId, correlationId);
+    if (!message || message.quote_id !== req.params.id || !message.media_id) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const quote = await quotesRepo.getQuote(message.quote_id, correlationId);
+    const session = quote ? await stateRepo.getSession(quote.chat_id, correlationId).catch(() => null) : null;
+    const tenant = session?.tenant_id
+      ? await stateRepo.getTenant(session.tenant_id, correlationId)
+      : null;
+
+    const { buffer, mimeType } = await whatsapp.downloadMedia(message.media_id, correlationId, tenant);
+    res.setHeader('Content-Type', message.mime_type || mimeType);
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.end(buffer);
+  } catch (err) {
+    log.error('quoteRoutes.media error', { error: err.message });
+    const graphStatus = err.response?.status;
+    if (graphStatus === 400 || graphStatus === 404) {
+      return res.status(404).json({ error: 'Media no longer available on WhatsApp' });
+    }
+    res.status(graphStatus ? 502 : 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
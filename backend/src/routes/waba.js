@@ -7,11 +7,36 @@ const { verifyMetaSignature } = require('../utils/verifyMetaSignature');
 const messageRepo = require('../db/message.repo');
 const quotesRepo = require('../db/quotes.repo');
 const stateRepo = require('../db/state.repo');
-const { logInboundEvent } = require('../db/inboundEvent.repo');
+const { logInboundEvent, claimInboundMessage, releaseInboundMessage } = require('../db/inboundEvent.repo');
+const whatsapp = require('../services/whatsapp.service');
 const cancellationFlow = require('../domain/cancellation.flow');
 const confirmationFlow = require('../domain/confirmation.flow');
+const revisionFlow = require('../domain/revision.flow');
+const customerChatFlow = require('../domain/customerChat.flow');
+const deliveryStatusFlow = require('../domain/deliveryStatus.flow');
+const { QUOTE_BUTTONS: BUTTONS } = require('../services/waTemplates');
 const router = express.Router();
 
+// Quote template button payloads: services/waTemplates.js (must match Meta Business Manager).
+// Single modify-or-cancel button on templates sent before the two were split
+const LEGACY_CANCEL_BUTTON = 'تعديل / إلغاء';
+
+const ALREADY_ANSWERED_TEXT = 'تم تسجيل ردك على عرض السعر ده قبل كده. لو محتاج أي تعديل ابعتلنا رسالة.';
+const EXPIRED_TEXT = 'عرض السعر ده انتهت صلاحيته. ابعتلنا رسالة وهنبعتلك عرض سعر جديد.';
+
+const STATUS_BY_OUTCOME = {
+  confirm: 'confirmed',
+  modify: 'needs_revision',
+  cancel: 'cancelled',
+};
+
+function buttonOutcome(payload) {
+  if (payload === BUTTONS.confirm) return 'confirm';
+  if (payload === BUTTONS.modify) return 'modify';
+  if (payload === BUTTONS.cancel || payload === LEGACY_CANCEL_BUTTON) return 'cancel';
+  return null;
+}
+
 /* ────────────────────────────────────────────
    GET /webhooks/waba — Meta webhook verification
    Matches n8n flow: "Whatsapp Response" GET method
@@ -35,12 +60,14 @@ router.get('/', (req, res) => {
 /* ────────────────────────────────────────────
    POST /webhooks/waba — Incoming WhatsApp events
    Matches n8n: "Whatsapp Response" POST → full pipeline
+   Answered once processed: a failure releases the message claim and returns
+   500, so Meta redelivers the message instead of it being dropped.
    ──────────────────────────────────────────── */
 router.post('/', async (req, res) => {
-  res.sendStatus(200);
-
   const correlationId = uuidv4();
   const log = logger.child(correlationId);
+  let claimedId = null;
+  let status = 200;
 
   try {
     const body = req.body;
@@ -56,28 +83,38 @@ router.post('/', async (req, res) => {
           channel: 'WHATSAPP',
           external_id: first?.id ?? value?.metadata?.phone_number_id?.toString?.() ?? null,
           chat_id: value?.contacts?.[0]?.wa_id ? String(value.contacts[0].wa_id) : '',
-          event_type: first?.type ?? (first?.button ? 'interactive' : 'unknown'),
+          event_type: first?.type ?? (first?.button ? 'interactive' : value?.statuses ? 'status' : 'unknown'),
           payload: body,
         },
         correlationId
       ).catch(() => {});
     } catch (_) {}
 
-    if (process.env.META_APP_SECRET && req.rawBody) {
+    const entry = body.entry?.[0];
+    const change = entry?.changes?.[0];
+    const value = change?.value;
+    const messages = value?.messages;
+
+    // Which tenant's WhatsApp number received this (null = the env number)
+    const phoneNumberId = value?.metadata?.phone_number_id;
+    const numberTenant = await stateRepo.getTenantByPhoneNumberId(phoneNumberId, correlationId);
+
+    const appSecret = whatsapp.appSecret(numberTenant);
+    if (appSecret && req.rawBody) {
       const sig = req.headers['x-hub-signature-256'];
-      if (!verifyMetaSignature(req.rawBody, sig)) {
-        log.warn('waba.post: invalid signature');
+      if (!verifyMetaSignature(req.rawBody, sig, appSecret)) {
+        log.warn('waba.post: invalid signature', { phoneNumberId });
         return;
       }
     }
 
-    const entry = body.entry?.[0];
-    const change = entry?.changes?.[0];
-    const value = change?.value;
-    const messages = value?.messages;
+    // Delivery / read receipts for the quote messages we sent
+    if (value?.statuses?.length) {
+      await deliveryStatusFlow.handleStatuses(value.statuses, correlationId);
+    }
 
     if (!messages || !messages.length) {
-      log.debug('waba.post: no messages in payload (likely a status update)');
+      log.debug('waba.post: no messages in payload', { statuses: value?.statuses?.length || 0 });
       return;
     }
 
@@ -86,6 +123,23 @@ router.post('/', async (req, res) => {
     const contextId = message.context?.id;
     const waId = value.contacts?.[0]?.wa_id;
 
+    // Meta redelivers webhooks — process each WhatsApp message id once
+    if (message.id && !(await claimInboundMessage('WHATSAPP', message.id, correlationId))) {
+      log.info('waba.post: duplicate delivery, skipping', { messageId: message.id });
+      return;
+    }
+    claimedId = message.id || null;
+
+    // Free text / images / voice notes: thread them to the customer's quote
+    // (a text right after "modify" is the revision reason — see customerChat.flow)
+    if (!buttonPayload) {
+      const handled = await customerChatFlow.handleInbound({ waId, message, tenant: numberTenant }, correlationId);
+      if (handled) {
+        log.info('waba.post: customer message handled', { type: message.type });
+        return;
+      }
+    }
+
     if (!buttonPayload || !contextId) {
       log.debug('waba.post: not a button reply or missing context', {
         hasButton: Boolean(buttonPayload),
@@ -110,12 +164,39 @@ router.post('/', async (req, res) => {
 
     const quoteId = messageDoc.quoteId;
 
-    const statusValue = buttonPayload === 'تأكيد العمل' ? 'confirmed' : 'cancelled';
+    const outcome = buttonOutcome(buttonPayload);
+    if (!outcome) {
+      log.info('waba.post: unknown button payload, ignoring', { buttonPayload });
+      return;
+    }
+
+    // Refused for quotes already confirmed / closed (e.g. "confirm" tapped twice):
+    // a second confirmation would add the order lines to Odoo again. A redelivery
+    // of the reply that applied (its flow failed below) resumes instead.
+    const response = await quotesRepo.recordButtonResponse(
+      quoteId,
+      STATUS_BY_OUTCOME[outcome],
+      { waId, waMessageId: message.id },
+      correlationId
+    );
+    if (!response.applied) {
+      log.warn('waba.post: quote already answered or expired, ignoring button', {
+        quoteId,
+        outcome,
+        status: response.status,
+      });
+      if (response.status) {
+        // An expired quote was never answered: ask them to request a new one
+        const text = response.status === 'expired' ? EXPIRED_TEXT : ALREADY_ANSWERED_TEXT;
+        await whatsapp.sendText(recipientPhone, text, correlationId, numberTenant).catch((err) => {
+          log.warn('waba.post: already-answered / expired reply failed', { error: err.message });
+        });
+      }
+      return;
+    }
+    if (response.resumed) log.info('waba.post: resuming flow of a redelivered button reply', { quoteId, outcome });
 
-    const [, basketItems] = await Promise.all([
-      quotesRepo.updateQuoteStatus(quoteId, statusValue, correlationId),
-      quotesRepo.getBasketItems(quoteId, correlationId),
-    ]);
+    const basketItems = await quotesRepo.getBasketItems(quoteId, correlationId);
 
     const quote = await quotesRepo.getQuote(quoteId, correlationId);
     if (!quote) {
@@ -123,10 +204,12 @@ router.post('/', async (req, res) => {
       return;
     }
 
+    // Confirmed and cancelled quotes are closed; NEEDS_REVISION stays open for
+    // the agent to reopen as a new version (POST /api/quotes/:id/revise)
     const chatId = quote.chat_id;
     const [session] = await Promise.all([
       stateRepo.getSession(chatId, correlationId),
-      quotesRepo.closeQuote(quoteId, correlationId),
+      outcome !== 'modify' && quote.status !== 'closed' ? quotesRepo.closeQuote(quoteId, correlationId) : null,
     ]);
 
     if (!session) {
@@ -149,19 +232,24 @@ router.post('/', async (req, res) => {
       correlationId,
     };
 
-    if (buttonPayload === 'تعديل / إلغاء') {
+    if (outcome === 'cancel') {
       log.info('waba.post: routing to cancellation flow');
       await cancellationFlow.run(ctx);
-    } else if (buttonPayload === 'تأكيد العمل') {
+    } else if (outcome === 'modify') {
+      log.info('waba.post: routing to revision flow');
+      await revisionFlow.run(ctx);
+    } else {
       log.info('waba.post: routing to confirmation flow');
       await confirmationFlow.run(ctx);
-    } else {
-      log.info('waba.post: unknown button payload, ignoring', { buttonPayload });
     }
 
     log.info('waba.post: complete');
   } catch (err) {
     log.error('waba.post: unhandled error', { error: err.message, stack: err.stack });
+    if (claimedId) await releaseInboundMessage('WHATSAPP', claimedId, correlationId);
+    status = 500;
+  } finally {
+    res.sendStatus(status);
   }
 });
 
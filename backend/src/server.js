@@ -10,6 +10,7 @@ if (process.env.DATABASE_URL_PUBLIC) {
 const logger = require('./utils/logger');
 const { ensureWebUser } = require('./ensureWebUser');
 const { cleanupOldTraces } = require('./services/trace.service');
+const jobQueue = require('./services/jobQueue');
 
 const PORT = parseInt(process.env.PORT, 10) || 4000;
 
@@ -57,6 +58,14 @@ async function start() {
       // Retention cleanup — prune old traces asynchronously on startup
       cleanupOldTraces().catch(() => {});
 
+      // Outbound side-effect worker (WhatsApp / Odoo / SSE jobs)
+      if (process.env.DATABASE_URL && process.env.JOB_WORKER_ENABLED !== 'false') {
+        require('./domain/jobs');
+        jobQueue.startWorker();
+        // Reminders / auto-expiry for unanswered quotes (sent through the job queue)
+        require('./domain/followup.flow').startScheduler();
+      }
+
       resolve(server);
     });
   });
@@ -73,12 +82,14 @@ start()
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  jobQueue.stopWorker();
   if (server) server.close(() => { logger.info('Server closed'); process.exit(0); });
   else process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  jobQueue.stopWorker();
   if (server) server.close(() => { logger.info('Server closed'); process.exit(0); });
   else process.exit(0);
 });
@@ -0,0 +1,234 @@
+'use strict';
+
+const scraper = require('../integrations/scraper.client');
+const catalogRepo = require('../db/catalog.repo');
+const jobRepo = require('../db/job.repo');
+const { AppError } = require('../utils/errors');
+const { assertConfigObject, mergeTenantConfig } = require('../utils/tenantConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Catalog cache — scraped RealOEM groups per type_code (storage: db/catalog.repo.js).
+ *
+ * Per-tenant config (Tenant.catalog_config, utils/tenantConfig.js):
+ *   {
+ *     ttl_hours: 720,        // entries scraped less than this ago are served as they are
+ *     max_stale_hours: 0     // past the TTL, an entry is still served while a catalog.refresh
+ *                            // job re-scrapes it in the background (domain/jobs.js), for this
+ *                            // many more hours (0 = no limit); after that it is re-scraped
+ *                            // before answering
+ *   }
+ * An entry whose background refresh died (or was cancelled) is re-scraped before answering too.
+ *
+ * Every lookup is counted (hit / stale / miss) for GET /api/admin/catalog/stats.
+ * scripts/warm-catalog-cache.js pre-scrapes the main groups of popular type_codes.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+// Subgroups of one group scraped at the same time (each call may take up to 60 s)
+const SCRAPE_CONCURRENCY = parseInt(process.env.CATALOG_SCRAPE_CONCURRENCY, 10) || 4;
+
+function defaultConfig() {
+  const ttl = parseFloat(process.env.CATALOG_CACHE_TTL_HOURS);
+  const maxStale = parseFloat(process.env.CATALOG_CACHE_MAX_STALE_HOURS);
+  return {
+    ttl_hours: Number.isFinite(ttl) && ttl > 0 ? ttl : 720,
+    max_stale_hours: Number.isFinite(maxStale) && maxStale >= 0 ? maxStale : 0,
+  };
+}
+
+/**
+ * Validate a catalog_config object (admin API). Throws AppError 400.
+ * Returns the config with the hours coerced to numbers.
+ */
+function validateCatalogConfig(config) {
+  assertConfigObject(config, 'catalog_config', ['ttl_hours', 'max_stale_hours']);
+  const out = {};
+  if (config.ttl_hours !== undefined) {
+    const ttl = Number(config.ttl_hours);
+    if (!Number.isFinite(ttl) || ttl <= 0) throw new AppError('ttl_hours must be a number > 0', 400);
+    out.ttl_hours = ttl;
+  }
+  if (config.max_stale_hours !== undefined) {
+    const maxStale = Number(config.max_stale_hours);
+    if (!Number.isFinite(maxStale) || maxStale < 0) throw new AppError('max_stale_hours must be a number >= 0', 400);
+    out.max_stale_hours = maxStale;
+  }
+  return out;
+}
+
+function getCatalogConfig(tenant) {
+  return mergeTenantConfig(defaultConfig(), tenant, 'catalog_config');
+}
+
+/**
+ * Dedupe key of an entry's catalog.refresh job. Refreshing replaces the entry
+ * (new _id), so each version of an entry is refreshed in the background once.
+ */
+function refreshJobKey(entry) {
+  return `catalog.refresh:${entry._id}`;
+}
+
+/** True when the entry's background refresh ended DEAD / CANCELLED. */
+async function refreshFailed(entry, log) {
+  try {
+    const job = await jobRepo.getJobByDedupeKey(refreshJobKey(entry));
+    return job?.status === 'dead' || job?.status === 'cancelled';
+  } catch (err) {
+    log.warn('catalogCache: refresh job lookup failed', { error: err.message });
+    return false;
+  }
+}
+
+/** fresh | stale (serve and refresh in the background) | expired (re-scrape first) */
+function entryFreshness(entry, config, now = Date.now()) {
+  const scrapedAt = new Date(entry.scraped_at || entry.created_at).getTime();
+  const age = now - (Number.isFinite(scrapedAt) ? scrapedAt : 0);
+  if (age < config.ttl_hours * HOUR_MS) return 'fresh';
+  if (!config.max_stale_hours || age < (config.ttl_hours + config.max_stale_hours) * HOUR_MS) return 'stale';
+  return 'expired';
+}
+
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Scrape one main group for a VIN: its subgroups (SCRAPE_CONCURRENCY at a
+ * time), else the whole group in one call. Returns the subgroups in the cached
+ * shape: [{ subgroup, diagram_image, parts: [{ item_no, description, part_number, price }] }].
+ */
+async function scrapeGroup(vin, group, correlationId) {
+  const subgroupsList = await scraper.getSubgroups(vin, group, correlationId);
+  const subgroupNames = Array.isArray(subgroupsList?.subgroups) ? subgroupsList.subgroups : [];
+  const scraped = await mapConcurrent(subgroupNames, SCRAPE_CONCURRENCY, async (sgName) => {
+    const sgId = typeof sgName === 'string' ? sgName : (sgName?.name ?? sgName?.subgroup ?? String(sgName));
+    try {
+      return await scraper.querySubgroup(vin, group, sgId, correlationId);
+    } catch {
+      return null;
+    }
+  });
+  const collected = scraped.filter(Boolean);
+  if (!collected.length) {
+    try {
+      const gData = await scraper.queryGroup(vin, group, correlationId);
+      if (gData?.subgroups?.length) collected.push(...gData.subgroups);
+    } catch {}
+  }
+  return collected.map((sg) => ({
+    subgroup: sg.subgroup ?? null,
+    diagram_image: sg.diagram_image ?? null,
+    parts: Array.isArray(sg.parts) ? sg.parts.map((p) => ({
+      item_no: p.item_no || null,
+      description: p.description || null,
+      part_number: p.part_number || null,
+      price: p.price || null,
+    })) : [],
+  }));
+}
+
+/**
+ * Scrape a group and replace its cache entry. Throws when nothing was scraped
+ * (so a catalog.refresh job is retried).
+ * @param {object} target - { vin, group, type_code, vehicle: { series, model, engine } }
+ * @returns {Promise<{ subgroups: object[], entry: object }>}
+ */
+async function refreshGroup({ vin, group, type_code: typeCode, vehicle }, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const subgroups = await scrapeGroup(vin, group, correlationId);
+  if (!subgroups.length) throw new Error(`No subgroups scraped for ${group} (${typeCode || 'no type code'})`);
+  const entry = await catalogRepo.saveCatalogResult({
+    type_code: typeCode ?? null,
+    series: vehicle?.series || null,
+    model: vehicle?.model || null,
+    engine: vehicle?.engine || null,
+    group_name: group,
+    subgroups,
+  }, correlationId);
+  log.info('catalogCache.refreshGroup', { group, typeCode, subgroups: subgroups.length });
+  return { subgroups, entry };
+}
+
+/**
+ * Subgroups of one main group for the part search, from the cache when fresh
+ * enough. A stale entry is returned as it is with refresh: true — the caller
+ * enqueues a catalog.refresh job (refreshJobKey); a missing or expired one, or a
+ * stale one whose refresh job died, is scraped now (the old copy is still
+ * returned if scraping finds nothing).
+ *
+ * @param {object} target - { vin, group, type_code, vehicle }
+ * @param {object|null} tenant - for its catalog_config and the stats
+ * @returns {Promise<{ subgroups: object[], status: 'hit' | 'stale' | 'miss', refresh: boolean, entry: object|null }>}
+ */
+async function lookupGroup(target, tenant, correlationId) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const config = getCatalogConfig(tenant);
+  const count = (status) => catalogRepo.recordCacheLookup(status, tenant?.id).catch((err) => {
+    log.warn('catalogCache: stats update failed', { error: err.message });
+  });
+
+  let entry = null;
+  try {
+    [entry = null] = await catalogRepo.queryCatalogResults(target.group, target.type_code, correlationId);
+  } catch (err) {
+    log.warn('catalogCache: cache read failed', { group: target.group, error: err.message });
+  }
+  let freshness = entry ? entryFreshness(entry, config) : null;
+  if (freshness === 'stale' && await refreshFailed(entry, log)) freshness = 'expired';
+  const cached = Array.isArray(entry?.subgroups) ? entry.subgroups : [];
+
+  if (freshness === 'fresh' || freshness === 'stale') {
+    await count(freshness === 'fresh' ? 'hit' : 'stale');
+    return { subgroups: cached, status: freshness === 'fresh' ? 'hit' : 'stale', refresh: freshness === 'stale', entry };
+  }
+
+  await count('miss');
+  try {
+    const refreshed = await refreshGroup(target, correlationId);
+    return { subgroups: refreshed.subgroups, status: 'miss', refresh: false, entry: refreshed.entry };
+  } catch (err) {
+    log.warn('catalogCache: scrape failed', { group: target.group, expired: Boolean(entry), error: err.message });
+    return { subgroups: cached, status: 'miss', refresh: false, entry };
+  }
+}
+
+/**
+ * Hit rate of a stats period (catalog.repo getCacheStats rows). Stale entries
+ * served count as hits; hit_rate is null without lookups.
+ */
+function summarizeStats(rows) {
+  const totals = (rows || []).reduce((acc, r) => ({
+    hits: acc.hits + r.hits,
+    stale_hits: acc.stale_hits + r.stale_hits,
+    misses: acc.misses + r.misses,
+  }), { hits: 0, stale_hits: 0, misses: 0 });
+  const lookups = totals.hits + totals.stale_hits + totals.misses;
+  const rate = (n) => (lookups ? Math.round((n / lookups) * 10000) / 10000 : null);
+  return {
+    ...totals,
+    lookups,
+    hit_rate: rate(totals.hits + totals.stale_hits),
+    fresh_hit_rate: rate(totals.hits),
+  };
+}
+
+module.exports = {
+  validateCatalogConfig,
+  getCatalogConfig,
+  entryFreshness,
+  refreshJobKey,
+  scrapeGroup,
+  refreshGroup,
+  lookupGroup,
+  summarizeStats,
+};
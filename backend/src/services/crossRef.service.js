@@ -0,0 +1,129 @@
+'use strict';
+
+const { AppError } = require('../utils/errors');
+const { mapColumns, hasValues } = require('../utils/spreadsheet');
+const { partNumberKey } = require('../utils/partNumber');
+
+/**
+ * Aftermarket cross-references — OEM part numbers and their equivalents from
+ * other brands (storage: db/crossReferences.repo.js).
+ *
+ * A cross-reference file is a CSV or XLSX (utils/spreadsheet.js), one
+ * equivalent per line, with a header row (case-insensitive; English or Arabic):
+ *   oe_number    — the OEM number ("11 42 7 953 129")
+ *   brand        — aftermarket brand (Bosch, Mann, Febi...), stored upper-case (BOSCH)
+ *   part_number  — that brand's number ("HU 816 x"), as written on the part
+ *
+ * In the CHOOSE_PRODUCT chooser (finalize.flow) Odoo is searched under every
+ * equivalent number and the products are grouped OEM vs aftermarket.
+ */
+
+const MAX_ROWS = 100000;
+
+const COLUMNS = {
+  oe_number: ['oe_number', 'oe number', 'oe', 'oem', 'oem number', 'oem_number', 'original number', 'رقم الوكالة', 'رقم الأصلي'],
+  brand: ['brand', 'make', 'manufacturer', 'aftermarket brand', 'الماركة', 'ماركة'],
+  part_number: [
+    'part_number', 'part number', 'aftermarket number', 'aftermarket_number', 'cross number',
+    'cross_number', 'equivalent', 'رقم البديل',
+  ],
+};
+
+const GROUP_LABELS = {
+  oem: 'أصلي (OEM)',
+  aftermarket: 'بديل (Aftermarket)',
+};
+
+/** Stored brand: spaces collapsed, upper-case ("Mann  filter" → "MANN FILTER"), like the unique key expects. */
+function brandName(brand) {
+  return String(brand ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Validate and normalize cross-reference rows.
+ * @param {object[]} rows - from utils/spreadsheet readSpreadsheet
+ * @returns {{ items: { oe_number, brand, part_number, part_number_key }[], errors: { row, error }[] }}
+ */
+function parseCrossRefRows(rows) {
+  if (!rows.length) throw new AppError('cross-reference file is empty', 400);
+  if (rows.length > MAX_ROWS) throw new AppError(`cross-reference file has more than ${MAX_ROWS} rows`, 400);
+
+  const columns = mapColumns(rows[0], COLUMNS);
+  const missing = Object.keys(COLUMNS).filter((key) => !columns[key]);
+  if (missing.length) throw new AppError(`missing column(s): ${missing.join(', ')}`, 400);
+
+  const cell = (row, key) => String(row[columns[key]] ?? '').trim();
+  const byKey = new Map();
+  const errors = [];
+
+  for (const row of rows) {
+    if (!hasValues(row)) continue;
+    const fail = (error) => errors.push({ row: row._row, error });
+    const oeNumber = partNumberKey(cell(row, 'oe_number'));
+    const brand = brandName(cell(row, 'brand'));
+    const partNumber = cell(row, 'part_number').replace(/\s+/g, ' ');
+    const key = partNumberKey(partNumber);
+    if (!oeNumber) { fail('oe_number is required'); continue; }
+    if (!brand) { fail('brand is required'); continue; }
+    if (!key) { fail('part_number is required'); continue; }
+    if (key === oeNumber) { fail('part_number is the OEM number itself'); continue; }
+    byKey.set(`${oeNumber}|${brand}|${key}`, { oe_number: oeNumber, brand, part_number: partNumber, part_number_key: key });
+  }
+  return { items: [...byKey.values()], errors };
+}
+
+/**
+ * Which equivalent (if any) an Odoo product is: its internal references and
+ * OEN(s) (one field, may list several numbers) vs the cross-reference keys.
+ */
+function matchEquivalent(product, equivalents) {
+  const refs = [
+    product.default_code,
+    product.x_studio_internal_reference,
+    ...String(product.x_studio_oen || '').split(/[,;|\n]/),
+  ].map(partNumberKey).filter(Boolean);
+  return equivalents.find((e) => refs.includes(e.key)) || null;
+}
+
+/**
+ * Products for one basket part, grouped OEM first then aftermarket.
+ *
+ * @param {object[]} oemProducts - found under the basket part number
+ * @param {object[]} alternateProducts - found under its equivalent numbers (odoo.searchAlternateProducts)
+ * @param {{ oe_numbers: string[], aftermarket: { brand, part_number }[] }} equivalents - crossReferences.repo findEquivalents
+ * @returns {object[]} products, each with xref: { group: 'oem' | 'aftermarket', brand, part_number }
+ */
+function groupProducts(oemProducts, alternateProducts, equivalents) {
+  const candidates = [
+    ...(equivalents?.oe_numbers || []).map((n) => ({ group: 'oem', brand: null, part_number: n, key: partNumberKey(n) })),
+    ...(equivalents?.aftermarket || []).map((a) => ({
+      group: 'aftermarket', brand: a.brand, part_number: a.part_number, key: partNumberKey(a.part_number),
+    })),
+  ];
+  const seen = new Set();
+  const out = [];
+  for (const p of oemProducts || []) {
+    seen.add(p.id);
+    out.push({ ...p, xref: { group: 'oem', brand: p.x_studio_product_brand || null, part_number: null } });
+  }
+  for (const p of alternateProducts || []) {
+    if (seen.has(p.id)) continue;
+    seen.add(p.id);
+    const match = matchEquivalent(p, candidates);
+    // Found by a like-search on the number but no exact equivalent: not offered
+    if (!match) continue;
+    out.push({
+      ...p,
+      xref: { group: match.group, brand: match.brand || p.x_studio_product_brand || null, part_number: match.part_number },
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  MAX_ROWS,
+  GROUP_LABELS,
+  brandName,
+  parseCrossRefRows,
+  groupProducts,
+};
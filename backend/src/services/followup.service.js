@@ -0,0 +1,110 @@
+'use strict';
+
+const { AppError } = require('../utils/errors');
+const { assertConfigObject, mergeTenantConfig } = require('../utils/tenantConfig');
+const { templateFor, TEMPLATE_RE } = require('./waTemplates');
+
+/**
+ * Follow-ups for quotes the customer hasn't answered (still OPEN after the
+ * quote template went out — Quote.sent_at).
+ *
+ * Per-tenant config (Tenant.followup_config, utils/tenantConfig.js):
+ *   {
+ *     enabled: true,
+ *     reminders: [                                   // hours after the quote was sent
+ *       { after_hours: 24, template: "quote_reminder|ar_EG" },
+ *       { after_hours: 72, template: "quote_reminder|ar_EG" }
+ *     ],
+ *     expire_after_days: 7                           // then EXPIRED (0 = never)
+ *   }
+ *
+ * Reminder template body params: {{1}} customer name, {{2}} car, {{3}} total,
+ * {{4}} tenant name; default template: the tenant's WhatsApp reminder template
+ * (Tenant.wa_templates.reminder), else env. Reminders missed while the server was down are not
+ * replayed one by one — only the latest due reminder is sent.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function defaultConfig(tenant) {
+  const template = templateFor('reminder', tenant);
+  const hours = String(process.env.FOLLOWUP_REMINDER_HOURS ?? '24,72')
+    .split(',')
+    .map((h) => parseFloat(h))
+    .filter((h) => Number.isFinite(h) && h > 0);
+  return {
+    enabled: process.env.FOLLOWUP_ENABLED !== 'false',
+    reminders: hours.sort((a, b) => a - b).map((h) => ({ after_hours: h, template })),
+    expire_after_days: envNumber('QUOTE_EXPIRE_DAYS', 7),
+  };
+}
+
+/**
+ * Validate a followup_config object (admin API). Throws AppError 400.
+ * Returns the config with numbers coerced and reminders sorted.
+ */
+function validateFollowupConfig(config) {
+  assertConfigObject(config, 'followup_config');
+  const out = {};
+  if (config.enabled !== undefined) out.enabled = config.enabled !== false && config.enabled !== 'false';
+  if (config.reminders !== undefined) {
+    if (!Array.isArray(config.reminders)) throw new AppError('reminders must be an array', 400);
+    if (config.reminders.length > 5) throw new AppError('at most 5 reminders', 400);
+    out.reminders = config.reminders.map((r, i) => {
+      const hours = Number(r?.after_hours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 90) {
+        throw new AppError(`reminders[${i}].after_hours must be a number between 0 and ${24 * 90}`, 400);
+      }
+      const template = String(r.template || '').trim();
+      if (!TEMPLATE_RE.test(template)) {
+        throw new AppError(`reminders[${i}].template must look like "template_name|ar_EG"`, 400);
+      }
+      return { after_hours: hours, template };
+    }).sort((a, b) => a.after_hours - b.after_hours);
+  }
+  if (config.expire_after_days !== undefined) {
+    const days = Number(config.expire_after_days);
+    if (!Number.isFinite(days) || days < 0 || days > 365) {
+      throw new AppError('expire_after_days must be a number between 0 and 365', 400);
+    }
+    out.expire_after_days = days;
+  }
+  return out;
+}
+
+function getFollowupConfig(tenant) {
+  return mergeTenantConfig(defaultConfig(tenant), tenant, 'followup_config');
+}
+
+/**
+ * What to do now with an unanswered quote.
+ * Returns { action: 'expire' } | { action: 'remind', index, template } | null.
+ */
+function dueFollowup(quote, config, now = new Date()) {
+  if (!config.enabled || !quote.sent_at) return null;
+  const age = now.getTime() - new Date(quote.sent_at).getTime();
+
+  if (config.expire_after_days > 0 && age >= config.expire_after_days * DAY_MS) {
+    return { action: 'expire' };
+  }
+
+  const sent = quote.reminders_sent || 0;
+  let index = -1;
+  config.reminders.forEach((r, i) => {
+    if (i >= sent && age >= r.after_hours * HOUR_MS) index = i;
+  });
+  return index >= 0 ? { action: 'remind', index, template: config.reminders[index].template } : null;
+}
+
+module.exports = {
+  defaultConfig,
+  validateFollowupConfig,
+  getFollowupConfig,
+  dueFollowup,
+};
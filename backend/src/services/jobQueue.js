@@ -0,0 +1,136 @@
+'use strict';
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const jobRepo = require('../db/job.repo');
+const { NonRetryableError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Postgres-backed job queue for outbound side effects.
+ *
+ * Flows call enqueue(type, payload) instead of calling WhatsApp / Odoo / SSE
+ * inline; the worker started in server.js runs the handler registered for the
+ * type (domain/jobs.js). A failed attempt is retried with exponential backoff
+ * (JOB_BACKOFF_BASE_MS × 2^(attempt−1), capped at JOB_BACKOFF_MAX_MS); after
+ * max_attempts (or at once on a NonRetryableError) the job is DEAD and shows up in
+ * GET /api/admin/jobs?status=dead.
+ */
+
+const handlers = new Map();
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_MS = parseInt(process.env.JOB_POLL_MS, 10) || 2000;
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 5000;
+const BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS, 10) || 30 * 60 * 1000;
+// A RUNNING job locked longer than this belonged to a worker that died
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const STALE_CHECK_MS = 60 * 1000;
+
+let timer = null;
+let staleTimer = null;
+let draining = false;
+let stopped = true;
+
+/** @param {Function} handler - async (payload, { job, correlationId }) => result (JSON) */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+/**
+ * Enqueue a side effect and wake the worker.
+ * @param {object} options - { dedupeKey, maxAttempts, runAt, tenantId, quoteId }
+ */
+async function enqueue(type, payload, options = {}, correlationId) {
+  if (!handlers.has(type)) {
+    logger.child(correlationId).warn('jobQueue.enqueue: no handler registered yet', { type });
+  }
+  const job = await jobRepo.enqueueJob(type, payload, options, correlationId);
+  wakeWorker();
+  return job;
+}
+
+/** Process due jobs now instead of at the next poll (e.g. after an admin retry). */
+function wakeWorker() {
+  if (!stopped) setImmediate(drain);
+}
+
+async function runJob(job) {
+  const correlationId = job.correlation_id || uuidv4();
+  const log = logger.child(correlationId);
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) throw new Error(`No handler for job type ${job.type}`);
+    const result = await handler(job.payload, { job, correlationId });
+    await jobRepo.completeJob(job._id, result ?? undefined, correlationId);
+    log.info('jobQueue: job succeeded', { jobId: job._id, type: job.type, attempt: job.attempts });
+  } catch (err) {
+    const retryAt = job.attempts < job.max_attempts && !(err instanceof NonRetryableError)
+      ? new Date(Date.now() + backoffDelay(job.attempts))
+      : null;
+    await jobRepo.failJob(job._id, err.message, retryAt, correlationId).catch((e) => {
+      log.error('jobQueue: failed to record job failure', { jobId: job._id, error: e.message });
+    });
+    if (retryAt) {
+      log.warn('jobQueue: job failed, will retry', {
+        jobId: job._id, type: job.type, attempt: job.attempts, retryAt, error: err.message,
+      });
+    } else {
+      log.error('jobQueue: job dead', {
+        jobId: job._id, type: job.type, attempts: job.attempts, error: err.message,
+      });
+    }
+  }
+}
+
+/** Run due jobs one at a time until none is left. */
+async function drain() {
+  if (draining || stopped) return;
+  draining = true;
+  try {
+    for (;;) {
+      if (stopped) break;
+      const job = await jobRepo.claimNextJob(WORKER_ID);
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (err) {
+    logger.error('jobQueue: worker error', { error: err.message });
+  } finally {
+    draining = false;
+  }
+}
+
+/** Requeue jobs of a worker that died mid-job (another process's too, when several share the queue). */
+function releaseStale() {
+  jobRepo.releaseStaleJobs(new Date(Date.now() - STALE_LOCK_MS)).catch((err) => {
+    logger.warn('jobQueue: stale job release failed', { error: err.message });
+  });
+}
+
+function startWorker() {
+  if (!stopped) return;
+  stopped = false;
+  releaseStale();
+  timer = setInterval(drain, POLL_MS);
+  if (timer.unref) timer.unref();
+  staleTimer = setInterval(releaseStale, STALE_CHECK_MS);
+  if (staleTimer.unref) staleTimer.unref();
+  logger.info('jobQueue: worker started', { workerId: WORKER_ID, pollMs: POLL_MS, types: [...handlers.keys()] });
+  setImmediate(drain);
+}
+
+function stopWorker() {
+  stopped = true;
+  if (timer) clearInterval(timer);
+  if (staleTimer) clearInterval(staleTimer);
+  timer = null;
+  staleTimer = null;
+}
+
+module.exports = { registerJobHandler, enqueue, wakeWorker, startWorker, stopWorker, backoffDelay };
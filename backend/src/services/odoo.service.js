@@ -50,7 +50,9 @@ async function jsonRpc(url, service, method, args) {
     { timeout: 30000 }
   );
   if (res.data.error) {
-    throw new Error(`Odoo RPC error: ${JSON.stringify(res.data.error)}`);
+    const err = new Error(`Odoo RPC error: ${JSON.stringify(res.data.error)}`);
+    err.odooError = res.data.error;
+    throw err;
   }
   return res.data.result;
 }
@@ -145,41 +147,264 @@ async function createQuotation(data, correlationId, odooConfig) {
   return { id };
 }
 
+const PRODUCT_FIELDS = [
+  'id', 'active', 'name', 'standard_price', 'default_code',
+  'x_studio_product_brand', 'qty_available', 'virtual_available', 'sale_delay',
+  'categ_id', 'x_studio_internal_reference', 'x_studio_oen',
+];
+
+/**
+ * Products matching an OEN, with stock: qty_available (on hand), forecast_qty
+ * (incl. incoming / outgoing moves), lead_time_days (customer lead time) and
+ * warehouses: [{ name, qty }] on hand per warehouse.
+ */
 async function searchProduct(partNumber, correlationId, odooConfig) {
-  return execute(
+  const products = await execute(
     'product.template',
     'search_read',
     [[['x_studio_oen', 'like', partNumber]]],
-    {
-      fields: [
-        'id', 'active', 'name', 'standard_price',
-        'x_studio_product_brand', 'qty_available',
-        'categ_id', 'x_studio_internal_reference', 'x_studio_oen',
-      ],
-    },
+    { fields: PRODUCT_FIELDS },
+    correlationId,
+    odooConfig
+  );
+  return withStock(products, correlationId, odooConfig);
+}
+
+/**
+ * Products under any of several equivalent numbers (cross-references: other OEM
+ * numbers, aftermarket brand numbers) — by OEN, internal reference or default code.
+ * Same shape as searchProduct.
+ */
+async function searchAlternateProducts(partNumbers, correlationId, odooConfig) {
+  const conditions = (partNumbers || []).filter(Boolean).flatMap((pn) => [
+    ['x_studio_oen', 'like', pn],
+    ['x_studio_internal_reference', '=ilike', pn],
+    ['default_code', '=ilike', pn],
+  ]);
+  if (!conditions.length) return [];
+  const products = await execute(
+    'product.template',
+    'search_read',
+    [[...Array(conditions.length - 1).fill('|'), ...conditions]],
+    { fields: PRODUCT_FIELDS, limit: 50 },
     correlationId,
     odooConfig
   );
+  return withStock(products, correlationId, odooConfig);
+}
+
+/** searchProduct results with forecast_qty, lead_time_days and stock per warehouse. */
+async function withStock(products, correlationId, odooConfig) {
+  if (!Array.isArray(products) || !products.length) return products;
+
+  const warehouses = await stockByWarehouse(products.map((p) => p.id), correlationId, odooConfig)
+    .catch((err) => {
+      logger.child(correlationId).warn('odoo.withStock: stock per warehouse unavailable', { error: err.message });
+      return null;
+    });
+  return products.map((p) => ({
+    ...p,
+    forecast_qty: p.virtual_available ?? null,
+    lead_time_days: p.sale_delay ?? null,
+    warehouses: warehouses?.get(p.id) || [],
+  }));
+}
+
+/** On-hand quantity per warehouse for product templates: Map<templateId, [{ name, qty }]>. */
+async function stockByWarehouse(templateIds, correlationId, odooConfig) {
+  const quants = await execute(
+    'stock.quant',
+    'search_read',
+    [[['product_tmpl_id', 'in', templateIds], ['location_id.usage', '=', 'internal']]],
+    { fields: ['product_tmpl_id', 'warehouse_id', 'quantity', 'reserved_quantity'] },
+    correlationId,
+    odooConfig
+  );
+  const byTemplate = new Map();
+  for (const q of quants || []) {
+    const templateId = Array.isArray(q.product_tmpl_id) ? q.product_tmpl_id[0] : q.product_tmpl_id;
+    const name = Array.isArray(q.warehouse_id) ? q.warehouse_id[1] : 'غير محدد';
+    const list = byTemplate.get(templateId) || [];
+    const entry = list.find((w) => w.name === name);
+    const qty = (Number(q.quantity) || 0) - (Number(q.reserved_quantity) || 0);
+    if (entry) entry.qty += qty;
+    else list.push({ name, qty });
+    byTemplate.set(templateId, list);
+  }
+  return byTemplate;
+}
+
+/**
+ * Product for a catalog part that isn't in Odoo yet (CHOOSE_PRODUCT "create product").
+ * Reuses the product.product with that internal reference if one was created
+ * before (e.g. a resubmitted form). Returns it in searchProduct's shape (+ created).
+ */
+async function findOrCreateProduct({ partNumber, name, cost, price }, correlationId, odooConfig) {
+  const log = logger.child(correlationId);
+  const fields = ['id', 'name', 'standard_price', 'list_price', 'categ_id', 'default_code'];
+  const existing = await execute(
+    'product.product',
+    'search_read',
+    [[['default_code', '=', partNumber]]],
+    { fields, limit: 1 },
+    correlationId,
+    odooConfig
+  );
+  if (existing?.[0]) {
+    log.info('odoo.findOrCreateProduct: exists', { partNumber, productId: existing[0].id });
+    return { ...existing[0], x_studio_oen: partNumber, created: false };
+  }
+
+  const data = {
+    name: name || partNumber,
+    default_code: partNumber,
+    x_studio_oen: partNumber,
+    standard_price: Number(cost) || 0,
+    list_price: Number(price ?? cost) || 0,
+    sale_ok: true,
+  };
+  const id = await execute('product.product', 'create', [data], {}, correlationId, odooConfig);
+  log.info('odoo.findOrCreateProduct: created', { partNumber, productId: id });
+  return {
+    id,
+    name: data.name,
+    standard_price: data.standard_price,
+    list_price: data.list_price,
+    x_studio_oen: partNumber,
+    created: true,
+  };
+}
+
+// Service products for the labor and VAT lines of confirmed orders, found (or created) by default_code
+const SERVICE_PRODUCTS = {
+  labor: { code: 'LABOR', name: 'عمالة / Labor' },
+  vat: { code: 'VAT', name: 'ضريبة القيمة المضافة / VAT' },
+};
+
+/** Product id of a SERVICE_PRODUCTS entry in this Odoo, created on first use. */
+async function findOrCreateServiceProduct(kind, correlationId, odooConfig) {
+  const log = logger.child(correlationId);
+  const service = SERVICE_PRODUCTS[kind];
+  if (!service) throw new Error(`Unknown service product: ${kind}`);
+  const existing = await execute(
+    'product.product',
+    'search_read',
+    [[['default_code', '=', service.code]]],
+    { fields: ['id'], limit: 1 },
+    correlationId,
+    odooConfig
+  );
+  if (existing?.[0]) return existing[0].id;
+
+  const id = await execute('product.product', 'create', [{
+    name: service.name,
+    default_code: service.code,
+    type: 'service',
+    list_price: 0,
+    sale_ok: true,
+  }], {}, correlationId, odooConfig);
+  log.info('odoo.findOrCreateServiceProduct: created', { kind, productId: id });
+  return id;
 }
 
 async function createOrderLine(params, correlationId, odooConfig) {
   const log = logger.child(correlationId);
-  const { orderId, productId, name, priceUnit, qty = 1 } = params;
-  log.info('odoo.createOrderLine', { orderId, productId, name, priceUnit, qty });
+  const { orderId, productId, name, priceUnit, qty = 1, discount = 0, taxIds } = params;
+  log.info('odoo.createOrderLine', { orderId, productId, name, priceUnit, qty, discount });
+  // Odoo requires a product on order lines — no placeholder product
+  if (!productId) {
+    throw new Error(`No Odoo product for order line "${name}"`);
+  }
   const data = {
     customer_lead: 1,
     name: name || 'Part',
     order_id: orderId,
     price_unit: priceUnit || 0,
     product_uom_qty: qty,
-    product_id: productId || 12,
+    discount: discount || 0,
+    product_id: productId,
     product_uom: 1,
   };
+  // taxIds: [] clears the product's default taxes (VAT is sent as its own line)
+  if (Array.isArray(taxIds)) data.tax_id = [[6, 0, taxIds]];
   const id = await execute('sale.order.line', 'create', [data], {}, correlationId, odooConfig);
   log.info('odoo.createOrderLine: created', { lineId: id });
   return { id };
 }
 
+/**
+ * sale.order state / invoices — null when the order no longer exists
+ * (Odoo's read raises MissingError for deleted ids).
+ */
+async function getSaleOrder(orderId, correlationId, odooConfig) {
+  try {
+    const rows = await execute(
+      'sale.order',
+      'read',
+      [[orderId]],
+      { fields: ['id', 'name', 'state', 'invoice_status', 'invoice_ids'] },
+      correlationId,
+      odooConfig
+    );
+    return rows?.[0] || null;
+  } catch (err) {
+    if (err.odooError?.data?.name === 'odoo.exceptions.MissingError') return null;
+    throw err;
+  }
+}
+
+/** Confirm a quotation (draft / sent → sale). */
+async function confirmSaleOrder(orderId, correlationId, odooConfig) {
+  return trace.step('odoo_confirm_sale_order', async () => {
+    logger.child(correlationId).info('odoo.confirmSaleOrder', { orderId });
+    await execute('sale.order', 'action_confirm', [[orderId]], {}, correlationId, odooConfig);
+    return getSaleOrder(orderId, correlationId, odooConfig);
+  }, { domain: 'odoo', input: { orderId }, replaySafe: false });
+}
+
+/**
+ * Invoice a confirmed order through the "Create invoice" wizard
+ * (sale.advance.payment.inv — regular invoice of the invoiceable lines).
+ * Returns the order's invoice ids afterwards.
+ */
+async function createInvoice(orderId, correlationId, odooConfig) {
+  return trace.step('odoo_create_invoice', async () => {
+    logger.child(correlationId).info('odoo.createInvoice', { orderId });
+    const context = { active_model: 'sale.order', active_ids: [orderId], active_id: orderId };
+    const wizardId = await execute(
+      'sale.advance.payment.inv',
+      'create',
+      [{ advance_payment_method: 'delivered' }],
+      { context },
+      correlationId,
+      odooConfig
+    );
+    await execute('sale.advance.payment.inv', 'create_invoices', [[wizardId]], { context }, correlationId, odooConfig);
+    const order = await getSaleOrder(orderId, correlationId, odooConfig);
+    return order?.invoice_ids || [];
+  }, { domain: 'odoo', input: { orderId }, replaySafe: false });
+}
+
+/** Post (validate) draft invoices. */
+async function postInvoices(invoiceIds, correlationId, odooConfig) {
+  return trace.step('odoo_post_invoices', async () => {
+    logger.child(correlationId).info('odoo.postInvoices', { invoiceIds });
+    await execute('account.move', 'action_post', [invoiceIds], {}, correlationId, odooConfig);
+  }, { domain: 'odoo', input: { invoiceIds }, replaySafe: false });
+}
+
+async function getInvoices(invoiceIds, correlationId, odooConfig) {
+  if (!invoiceIds?.length) return [];
+  return execute(
+    'account.move',
+    'read',
+    [invoiceIds],
+    { fields: ['id', 'name', 'state', 'payment_state', 'amount_total'] },
+    correlationId,
+    odooConfig
+  );
+}
+
 module.exports = {
   cfg,
   authenticate,
@@ -191,5 +416,14 @@ module.exports = {
   createCustomer,
   createQuotation,
   searchProduct,
+  searchAlternateProducts,
+  findOrCreateProduct,
+  SERVICE_PRODUCTS,
+  findOrCreateServiceProduct,
   createOrderLine,
+  getSaleOrder,
+  confirmSaleOrder,
+  createInvoice,
+  postInvoices,
+  getInvoices,
 };
@@ -0,0 +1,60 @@
+'use strict';
+
+const { AppError } = require('../utils/errors');
+const { assertConfigObject, mergeTenantConfig } = require('../utils/tenantConfig');
+
+/**
+ * Odoo pipeline after the customer confirms a quote (confirmation.flow).
+ *
+ * By default the order lines are only added to the draft quotation and staff
+ * confirm it in Odoo. Per-tenant config (Tenant.odoo_automation, utils/tenantConfig.js):
+ *   {
+ *     confirm_order: true,    // sale.order action_confirm once all lines are added
+ *     create_invoice: true,   // then invoice it (requires confirm_order)
+ *     post_invoice: true      // and post the invoice (else it stays a draft)
+ *   }
+ *
+ * Each step is a job (domain/jobs.js: odoo.confirm_order, odoo.create_invoice),
+ * retried with backoff; the resulting order state and invoice number are stored
+ * on the Quote (odoo_order_state, odoo_invoice_number...).
+ */
+
+const FLAGS = ['confirm_order', 'create_invoice', 'post_invoice'];
+
+function defaultConfig() {
+  return {
+    confirm_order: process.env.ODOO_AUTO_CONFIRM_ORDER === 'true',
+    create_invoice: process.env.ODOO_AUTO_CREATE_INVOICE === 'true',
+    post_invoice: process.env.ODOO_AUTO_POST_INVOICE !== 'false',
+  };
+}
+
+/**
+ * Validate an odoo_automation object (admin API). Throws AppError 400.
+ * Returns the config with the flags coerced to booleans.
+ */
+function validateOdooAutomationConfig(config) {
+  assertConfigObject(config, 'odoo_automation', FLAGS);
+
+  const out = {};
+  for (const key of FLAGS) {
+    if (config[key] !== undefined) out[key] = config[key] === true || config[key] === 'true';
+  }
+  if (out.create_invoice && out.confirm_order === false) {
+    throw new AppError('create_invoice requires confirm_order', 400);
+  }
+  return out;
+}
+
+function getOdooAutomationConfig(tenant) {
+  const config = mergeTenantConfig(defaultConfig(), tenant, 'odoo_automation');
+  // An invoice needs a confirmed order
+  if (!config.confirm_order) config.create_invoice = false;
+  return config;
+}
+
+module.exports = {
+  defaultConfig,
+  validateOdooAutomationConfig,
+  getOdooAutomationConfig,
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+const { AppError } = require('../utils/errors');
+const { mapColumns, hasValues } = require('../utils/spreadsheet');
+const { partNumberKey } = require('../utils/partNumber');
+
+/**
+ * Supplier price lists — file parsing and version diffs (import: db/supplierPrices.repo.js).
+ *
+ * A price list is a CSV or XLSX file (utils/spreadsheet.js), one line per part, with a header row.
+ * Columns (case-insensitive; English or Arabic headers):
+ *   supplier        — distributor name (or given once for the whole file)
+ *   part_number     — OE number ("11 42 7 953 129") or the aftermarket brand's own number
+ *                     (stored as utils/partNumber partNumberKey)
+ *   brand           — e.g. BMW, Mann, Bosch
+ *   type            — OE / aftermarket (OE, OEM, original, أصلي | AM, aftermarket, تجاري, بديل)
+ *   price           — unit price, > 0 ("1,250.50" accepted)
+ *   currency        — ISO code, default EGP
+ *   lead_time_days  — supply lead time in days (optional)
+ *
+ * Invalid lines are skipped and reported with their row number; a part listed
+ * twice for the same supplier and brand keeps the last line.
+ */
+
+const MAX_ROWS = 50000;
+const MAX_DIFF_DETAILS = 500;
+
+const COLUMNS = {
+  supplier: ['supplier', 'vendor', 'distributor', 'المورد', 'مورد'],
+  part_number: ['part_number', 'part number', 'part no', 'part_no', 'pn', 'oe_number', 'oe number', 'رقم القطعة'],
+  brand: ['brand', 'make', 'manufacturer', 'الماركة', 'ماركة'],
+  type: ['type', 'oe_aftermarket', 'oe/aftermarket', 'is_oe', 'oe', 'النوع'],
+  price: ['price', 'unit_price', 'unit price', 'cost', 'السعر', 'سعر'],
+  currency: ['currency', 'العملة', 'عملة'],
+  lead_time_days: ['lead_time_days', 'lead_time', 'lead time', 'lead time (days)', 'delivery_days', 'مدة التوريد'],
+};
+
+const OE_VALUES = ['oe', 'oem', 'original', 'genuine', 'true', 'yes', '1', 'أصلي', 'اصلي', 'وكالة'];
+const AFTERMARKET_VALUES = ['am', 'aftermarket', 'after market', 'false', 'no', '0', 'تجاري', 'بديل'];
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function parseOe(value) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (!v || AFTERMARKET_VALUES.includes(v)) return false;
+  if (OE_VALUES.includes(v)) return true;
+  return null;
+}
+
+/**
+ * Validate and normalize price-list rows.
+ *
+ * @param {object[]} rows - from utils/spreadsheet readSpreadsheet
+ * @param {object} [defaults] - { supplier, currency } for files without those columns
+ * @returns {{ items: object[], errors: { row: number, error: string }[] }}
+ *   items: { supplier, part_number, brand, is_oe, price, currency, lead_time_days }
+ */
+function parsePriceRows(rows, { supplier: defaultSupplier, currency: defaultCurrency } = {}) {
+  if (!rows.length) throw new AppError('price list is empty', 400);
+  if (rows.length > MAX_ROWS) throw new AppError(`price list has more than ${MAX_ROWS} rows`, 400);
+
+  const columns = mapColumns(rows[0], COLUMNS);
+  const missing = ['part_number', 'price'].filter((key) => !columns[key]);
+  if (!columns.supplier && !defaultSupplier) missing.push('supplier');
+  if (missing.length) throw new AppError(`missing column(s): ${missing.join(', ')}`, 400);
+
+  const cell = (row, key) => (columns[key] ? String(row[columns[key]] ?? '').trim() : '');
+  const byKey = new Map();
+  const errors = [];
+
+  for (const row of rows) {
+    const fail = (error) => errors.push({ row: row._row, error });
+    const partNumber = partNumberKey(cell(row, 'part_number'));
+    if (!partNumber) {
+      if (hasValues(row)) fail('part_number is required');
+      continue;
+    }
+    const supplier = cell(row, 'supplier') || String(defaultSupplier || '').trim();
+    if (!supplier) { fail('supplier is required'); continue; }
+
+    const price = parseFloat(cell(row, 'price').replace(/,/g, ''));
+    if (!Number.isFinite(price) || price <= 0) { fail(`invalid price "${cell(row, 'price')}"`); continue; }
+
+    const currency = (cell(row, 'currency') || defaultCurrency || 'EGP').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) { fail(`invalid currency "${currency}"`); continue; }
+
+    const isOe = parseOe(cell(row, 'type'));
+    if (isOe === null) { fail(`invalid type "${cell(row, 'type')}" (OE / aftermarket)`); continue; }
+
+    const leadTimeText = cell(row, 'lead_time_days');
+    const leadTime = leadTimeText ? parseInt(leadTimeText, 10) : null;
+    if (leadTimeText && (!Number.isFinite(leadTime) || leadTime < 0)) {
+      fail(`invalid lead time "${leadTimeText}"`);
+      continue;
+    }
+
+    const item = {
+      supplier,
+      part_number: partNumber,
+      brand: cell(row, 'brand'),
+      is_oe: isOe,
+      price: round2(price),
+      currency,
+      lead_time_days: leadTime,
+    };
+    byKey.set(`${supplier}|${offerKey(item)}`, item);
+  }
+
+  return { items: [...byKey.values()], errors };
+}
+
+/** Identity of a line across versions of one supplier's list. */
+function offerKey(item) {
+  return `${item.part_number}|${String(item.brand || '').toLowerCase()}`;
+}
+
+/**
+ * Changes between two versions of a supplier's price list.
+ * Detail lists are capped at MAX_DIFF_DETAILS entries each (counts are exact).
+ *
+ * @returns {{ added, removed, changed, unchanged, increased, decreased, truncated,
+ *             details: { added: [], removed: [], changed: [{ ..., old_price, new_price, change_pct }] } }}
+ */
+function diffPriceLists(previous, next) {
+  const before = new Map((previous || []).map((item) => [offerKey(item), item]));
+  const details = { added: [], removed: [], changed: [] };
+  const counts = { added: 0, removed: 0, changed: 0, unchanged: 0, increased: 0, decreased: 0 };
+  const push = (list, entry) => { if (details[list].length < MAX_DIFF_DETAILS) details[list].push(entry); };
+  const line = (item) => ({
+    part_number: item.part_number,
+    brand: item.brand || '',
+    is_oe: item.is_oe,
+    price: item.price,
+    currency: item.currency,
+    lead_time_days: item.lead_time_days ?? null,
+  });
+
+  for (const item of next) {
+    const old = before.get(offerKey(item));
+    before.delete(offerKey(item));
+    if (!old) {
+      counts.added += 1;
+      push('added', line(item));
+      continue;
+    }
+    const priceChanged = old.price !== item.price || old.currency !== item.currency;
+    if (!priceChanged && (old.lead_time_days ?? null) === (item.lead_time_days ?? null) && old.is_oe === item.is_oe) {
+      counts.unchanged += 1;
+      continue;
+    }
+    counts.changed += 1;
+    const sameCurrency = old.currency === item.currency;
+    if (sameCurrency && item.price > old.price) counts.increased += 1;
+    if (sameCurrency && item.price < old.price) counts.decreased += 1;
+    push('changed', {
+      ...line(item),
+      old_price: old.price,
+      old_currency: old.currency,
+      new_price: item.price,
+      change_pct: sameCurrency ? round2(((item.price - old.price) / old.price) * 100) : null,
+      old_lead_time_days: old.lead_time_days ?? null,
+    });
+  }
+  for (const old of before.values()) {
+    counts.removed += 1;
+    push('removed', line(old));
+  }
+
+  const truncated = counts.added > details.added.length ||
+    counts.removed > details.removed.length ||
+    counts.changed > details.changed.length;
+  return { ...counts, truncated, details };
+}
+
+module.exports = {
+  MAX_ROWS,
+  parsePriceRows,
+  offerKey,
+  diffPriceLists,
+};
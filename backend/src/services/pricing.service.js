@@ -0,0 +1,243 @@
+'use strict';
+
+const { AppError } = require('../utils/errors');
+const { assertConfigObject, mergeTenantConfig } = require('../utils/tenantConfig');
+
+/**
+ * Pricing engine — turns Odoo cost prices (standard_price) into customer prices.
+ *
+ * Per-tenant config (Tenant.pricing_config, utils/tenantConfig.js):
+ *   {
+ *     markup: {
+ *       default_pct: 0,
+ *       categories: [{ match: "Brakes", pct: 30 }],          // substring of the Odoo category name
+ *       bands: [{ up_to: 500, pct: 40 }, { up_to: 2000, pct: 25 }, { pct: 15 }]  // by unit cost
+ *     },
+ *     vat_pct: 14,            // Egyptian VAT, shown as its own line
+ *     vat_on_labor: true,
+ *     rounding: { increment: 5, mode: "nearest" | "up" | "down" },  // applied to unit prices
+ *     currency: "EGP",
+ *     quote_validity_days: 7  // "valid until" date on the quotation (PDF)
+ *   }
+ *
+ * Markup precedence: category rule → price band → default_pct.
+ * A unit price typed by the agent is used as-is (no markup, no rounding).
+ *
+ * The breakdown built here is stored on the quote (Quote.price_breakdown) and is
+ * the single source for the agent summary, the WhatsApp quote and the Odoo lines.
+ */
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function defaultConfig() {
+  return {
+    markup: { default_pct: envNumber('PRICING_MARKUP_PCT', 0), categories: [], bands: [] },
+    vat_pct: envNumber('PRICING_VAT_PCT', 14),
+    vat_on_labor: process.env.PRICING_VAT_ON_LABOR !== 'false',
+    rounding: {
+      increment: envNumber('PRICING_ROUNDING_INCREMENT', 0),
+      mode: process.env.PRICING_ROUNDING_MODE || 'nearest',
+    },
+    currency: 'EGP',
+    quote_validity_days: envNumber('QUOTE_VALIDITY_DAYS', 7),
+  };
+}
+
+/**
+ * Validate a pricing_config object (admin API). Throws AppError 400.
+ * Returns the config with numbers coerced.
+ */
+function validatePricingConfig(config) {
+  assertConfigObject(config, 'pricing_config');
+  const num = (value, field, { min = 0, max = Infinity } = {}) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) {
+      throw new AppError(`${field} must be a number between ${min} and ${max}`, 400);
+    }
+    return n;
+  };
+  const out = {};
+  if (config.markup !== undefined) {
+    const m = config.markup || {};
+    out.markup = {};
+    if (m.default_pct !== undefined) out.markup.default_pct = num(m.default_pct, 'markup.default_pct', { max: 1000 });
+    if (m.categories !== undefined) {
+      if (!Array.isArray(m.categories)) throw new AppError('markup.categories must be an array', 400);
+      out.markup.categories = m.categories.map((c, i) => {
+        if (!c || !String(c.match || '').trim()) throw new AppError(`markup.categories[${i}].match is required`, 400);
+        return { match: String(c.match).trim(), pct: num(c.pct, `markup.categories[${i}].pct`, { max: 1000 }) };
+      });
+    }
+    if (m.bands !== undefined) {
+      if (!Array.isArray(m.bands)) throw new AppError('markup.bands must be an array', 400);
+      out.markup.bands = m.bands.map((b, i) => ({
+        ...(b?.up_to != null ? { up_to: num(b.up_to, `markup.bands[${i}].up_to`) } : {}),
+        pct: num(b?.pct, `markup.bands[${i}].pct`, { max: 1000 }),
+      }));
+    }
+  }
+  if (config.vat_pct !== undefined) out.vat_pct = num(config.vat_pct, 'vat_pct', { max: 100 });
+  if (config.vat_on_labor !== undefined) out.vat_on_labor = Boolean(config.vat_on_labor);
+  if (config.rounding !== undefined) {
+    const r = config.rounding || {};
+    out.rounding = {};
+    if (r.increment !== undefined) out.rounding.increment = num(r.increment, 'rounding.increment');
+    if (r.mode !== undefined) {
+      if (!ROUNDING_MODES.includes(r.mode)) throw new AppError(`rounding.mode must be one of ${ROUNDING_MODES.join(', ')}`, 400);
+      out.rounding.mode = r.mode;
+    }
+  }
+  if (config.currency !== undefined) out.currency = String(config.currency || 'EGP');
+  if (config.quote_validity_days !== undefined) {
+    out.quote_validity_days = num(config.quote_validity_days, 'quote_validity_days', { min: 1, max: 365 });
+  }
+  return out;
+}
+
+/** Effective pricing config for a tenant (tenant.pricing_config over env defaults). */
+function getPricingConfig(tenant) {
+  return mergeTenantConfig(defaultConfig(), tenant, 'pricing_config', ['markup', 'rounding']);
+}
+
+/** Odoo categ_id is [id, "All / Saleable / Brakes"]; accept that or a plain string. */
+function categoryName(category) {
+  if (Array.isArray(category)) return String(category[1] || '');
+  return String(category || '');
+}
+
+/** Markup percentage for one unit cost. Returns { pct, rule }. */
+function markupFor(unitCost, category, config) {
+  const markup = config.markup || {};
+  const name = categoryName(category).toLowerCase();
+  if (name) {
+    const rule = (markup.categories || []).find((c) => name.includes(String(c.match).toLowerCase()));
+    if (rule) return { pct: Number(rule.pct) || 0, rule: `category:${rule.match}` };
+  }
+  const bands = [...(markup.bands || [])].sort((a, b) => (a.up_to ?? Infinity) - (b.up_to ?? Infinity));
+  const band = bands.find((b) => b.up_to == null || unitCost <= b.up_to);
+  if (band) return { pct: Number(band.pct) || 0, rule: band.up_to == null ? 'band:rest' : `band:<=${band.up_to}` };
+  return { pct: Number(markup.default_pct) || 0, rule: 'default' };
+}
+
+function roundPrice(value, rounding) {
+  const increment = Number(rounding?.increment) || 0;
+  if (increment <= 0) return round2(value);
+  const steps = value / increment;
+  const mode = rounding.mode || 'nearest';
+  const rounded = mode === 'up' ? Math.ceil(steps - 1e-9) : mode === 'down' ? Math.floor(steps + 1e-9) : Math.round(steps);
+  return round2(rounded * increment);
+}
+
+/**
+ * Customer unit price for a cost price.
+ * Returns { unit_cost, markup_pct, markup_rule, unit_price }.
+ */
+function sellingPrice(unitCost, category, config) {
+  const cost = Number(unitCost) || 0;
+  const { pct, rule } = markupFor(cost, category, config);
+  return {
+    unit_cost: round2(cost),
+    markup_pct: pct,
+    markup_rule: rule,
+    unit_price: roundPrice(cost * (1 + pct / 100), config.rounding),
+  };
+}
+
+/**
+ * Full price breakdown for a quote.
+ *
+ * @param {object} input
+ * @param {Array} input.lines - [{ part_number, name, product_id, category, unit_cost, qty, discount_pct,
+ *                                 unit_price? (agent override) }]
+ * @param {number} [input.labor_cost]
+ * @param {object} config - from getPricingConfig
+ * @returns {{ currency, lines, parts_subtotal, labor_cost, subtotal, vat_pct, vat_base, vat_amount, total }}
+ */
+function buildBreakdown({ lines, labor_cost: laborCost = 0 }, config) {
+  const priced = (lines || []).map((line) => {
+    const qty = Math.max(1, parseInt(line.qty, 10) || 1);
+    const discountPct = Math.min(Math.max(Number(line.discount_pct) || 0, 0), 100);
+    const manual = line.unit_price != null && Number.isFinite(Number(line.unit_price));
+    const price = manual
+      ? { unit_cost: round2(line.unit_cost), markup_pct: null, markup_rule: 'manual', unit_price: round2(line.unit_price) }
+      : sellingPrice(line.unit_cost, line.category, config);
+    return {
+      part_number: line.part_number,
+      name: line.name,
+      product_id: line.product_id ?? null,
+      qty,
+      ...price,
+      discount_pct: discountPct,
+      line_total: round2(qty * price.unit_price * (1 - discountPct / 100)),
+    };
+  });
+
+  const partsSubtotal = round2(priced.reduce((sum, l) => sum + l.line_total, 0));
+  const labor = round2(Math.max(Number(laborCost) || 0, 0));
+  const subtotal = round2(partsSubtotal + labor);
+  const vatPct = Number(config.vat_pct) || 0;
+  const vatBase = config.vat_on_labor ? subtotal : partsSubtotal;
+  const vatAmount = round2(vatBase * vatPct / 100);
+
+  return {
+    currency: config.currency || 'EGP',
+    lines: priced,
+    parts_subtotal: partsSubtotal,
+    labor_cost: labor,
+    subtotal,
+    vat_pct: vatPct,
+    vat_base: vatBase,
+    vat_amount: vatAmount,
+    total: round2(subtotal + vatAmount),
+  };
+}
+
+/**
+ * Stamp a breakdown with when it was priced and how long the quote is valid.
+ * Called once when the quote is sent, so the PDF shows stable dates.
+ */
+function withValidity(breakdown, config, now = new Date()) {
+  const days = Number(config.quote_validity_days) || 0;
+  return {
+    ...breakdown,
+    priced_at: now.toISOString(),
+    valid_until: days > 0 ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+  };
+}
+
+/** One text line per part, as shown to the agent and in the WhatsApp quote. */
+function lineText(line, currency = 'EGP') {
+  const discount = line.discount_pct ? ` - ${line.discount_pct}%` : '';
+  return `${line.part_number}: ${line.name || line.part_number} | ${line.qty} × ${line.unit_price} ${currency}${discount} = ${line.line_total} ${currency}`;
+}
+
+/** Summary lines after the part lines: labor, subtotal, VAT. */
+function totalsText(breakdown) {
+  const c = breakdown.currency;
+  return [
+    `عمالة: ${breakdown.labor_cost} ${c}`,
+    `الإجمالي قبل الضريبة: ${breakdown.subtotal} ${c}`,
+    `ضريبة القيمة المضافة ${breakdown.vat_pct}%: ${breakdown.vat_amount} ${c}`,
+  ];
+}
+
+module.exports = {
+  getPricingConfig,
+  validatePricingConfig,
+  markupFor,
+  roundPrice,
+  sellingPrice,
+  buildBreakdown,
+  withValidity,
+  lineText,
+  totalsText,
+};
@@ -0,0 +1,403 @@
+'use strict';
+
+const path = require('path');
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+const { AppError } = require('../utils/errors');
+const { signedLink } = require('../utils/signedLink');
+const logger = require('../utils/logger');
+
+/**
+ * Quotation PDF — rendered from the stored price breakdown (Quote.price_breakdown),
+ * so the PDF always shows what the customer was quoted on WhatsApp.
+ *
+ * lang 'ar' lays the page out right-to-left, 'en' left-to-right.
+ *
+ * PDFKit shapes Arabic (joining forms) but does not reorder words, so Arabic text
+ * is split into words and placed right-to-left here. Latin runs inside Arabic text
+ * (part numbers, amounts, "BMW X5") keep their own left-to-right order.
+ */
+
+const FONT_DIR = path.dirname(require.resolve('@fontsource/noto-naskh-arabic/package.json'));
+const FONTS = {
+  ar: path.join(FONT_DIR, 'files', 'noto-naskh-arabic-arabic-400-normal.woff'),
+  arBold: path.join(FONT_DIR, 'files', 'noto-naskh-arabic-arabic-700-normal.woff'),
+  latin: 'Helvetica',
+  latinBold: 'Helvetica-Bold',
+};
+
+const ARABIC = '\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF';
+const ARABIC_RE = new RegExp(`[${ARABIC}]`);
+const SCRIPT_CHUNK_RE = new RegExp(`[${ARABIC}]+|[^${ARABIC}]+`, 'g');
+
+const PAGE_MARGIN = 40;
+const LOGO_MAX = { width: 140, height: 60 };
+
+const LABELS = {
+  ar: {
+    title: 'عرض سعر',
+    quote_no: 'رقم العرض',
+    date: 'التاريخ',
+    valid_until: 'صالح حتى',
+    customer: 'العميل',
+    phone: 'الموبايل',
+    vehicle: 'العربية',
+    engine: 'الموتور',
+    production: 'تاريخ الإنتاج',
+    vin: 'رقم الشاسيه',
+    col_index: '#',
+    col_part: 'رقم القطعة',
+    col_name: 'الوصف',
+    col_qty: 'الكمية',
+    col_unit: 'سعر الوحدة',
+    col_discount: 'خصم',
+    col_total: 'الإجمالي',
+    parts_subtotal: 'قطع الغيار',
+    labor: 'عمالة',
+    subtotal: 'الإجمالي قبل الضريبة',
+    vat: 'ضريبة القيمة المضافة',
+    total: 'الإجمالي المستحق',
+    validity_note: 'الأسعار سارية حتى التاريخ المذكور وحسب توفر القطع.',
+  },
+  en: {
+    title: 'Quotation',
+    quote_no: 'Quote no.',
+    date: 'Date',
+    valid_until: 'Valid until',
+    customer: 'Customer',
+    phone: 'Phone',
+    vehicle: 'Vehicle',
+    engine: 'Engine',
+    production: 'Production',
+    vin: 'VIN',
+    col_index: '#',
+    col_part: 'Part number',
+    col_name: 'Description',
+    col_qty: 'Qty',
+    col_unit: 'Unit price',
+    col_discount: 'Disc.',
+    col_total: 'Total',
+    parts_subtotal: 'Parts',
+    labor: 'Labor',
+    subtotal: 'Subtotal',
+    vat: 'VAT',
+    total: 'Total due',
+    validity_note: 'Prices are valid until the date above, subject to parts availability.',
+  },
+};
+
+// Table columns in reading order; widths are fractions of the content width
+const COLUMNS = [
+  { key: 'index', label: 'col_index', width: 0.05, numeric: true },
+  { key: 'part_number', label: 'col_part', width: 0.17 },
+  { key: 'name', label: 'col_name', width: 0.32 },
+  { key: 'qty', label: 'col_qty', width: 0.07, numeric: true },
+  { key: 'unit_price', label: 'col_unit', width: 0.14, numeric: true },
+  { key: 'discount', label: 'col_discount', width: 0.09, numeric: true },
+  { key: 'line_total', label: 'col_total', width: 0.16, numeric: true },
+];
+
+function formatMoney(value) {
+  return (Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(value) {
+  const d = value ? new Date(value) : null;
+  if (!d || Number.isNaN(d.getTime())) return '';
+  return d.toISOString().slice(0, 10);
+}
+
+/** Normalized language code: 'ar' (default) or 'en'. */
+function pdfLanguage(lang) {
+  return String(lang || process.env.QUOTE_PDF_LANG || 'ar').toLowerCase().startsWith('en') ? 'en' : 'ar';
+}
+
+/** Quote reference shown to the customer: Odoo quotation id (or our id), plus the version from v2 on. */
+function quoteReference(quote) {
+  const ref = String(quote.quotation_id || quote._id);
+  return quote.version > 1 ? `${ref}-v${quote.version}` : ref;
+}
+
+function quotePdfFilename(quote, lang) {
+  return `quotation-${quoteReference(quote)}${pdfLanguage(lang) === 'en' ? '-en' : ''}.pdf`;
+}
+
+// ── Bidi-lite text layout ────────────────────────────────────────────────────
+
+/**
+ * Split text into words, each made of script chunks: { text, rtl }.
+ * A word is RTL when it contains Arabic; its chunks are then laid out right-to-left.
+ */
+function toWords(text) {
+  return String(text ?? '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => {
+      const chunks = (word.match(SCRIPT_CHUNK_RE) || []).map((c) => ({ text: c, rtl: ARABIC_RE.test(c) }));
+      return { chunks, rtl: chunks.some((c) => c.rtl) };
+    });
+}
+
+function fontFor(chunk, bold) {
+  if (chunk.rtl) return bold ? 'ar-bold' : 'ar';
+  return bold ? FONTS.latinBold : FONTS.latin;
+}
+
+function wordWidth(doc, word, bold) {
+  return word.chunks.reduce((sum, c) => sum + doc.font(fontFor(c, bold)).widthOfString(c.text), 0);
+}
+
+/** Visual (left-to-right) order of the words of one line. */
+function visualOrder(words, baseRtl) {
+  if (!baseRtl) return words;
+  // Runs of consecutive LTR words keep their order; the runs themselves are reversed
+  const runs = [];
+  for (const word of words) {
+    const last = runs[runs.length - 1];
+    if (last && !word.rtl && !last.rtl) last.words.push(word);
+    else runs.push({ rtl: word.rtl, words: [word] });
+  }
+  return runs.reverse().flatMap((run) => run.words);
+}
+
+/**
+ * Wrap text on words into lines that fit width. Sets the font size on doc.
+ * Returns { lines: [{ words, width }], baseRtl, space, lineHeight }.
+ */
+function layoutText(doc, text, { width, size = 10, bold = false }) {
+  const words = toWords(text);
+  doc.fontSize(size);
+  const space = doc.font(FONTS.latin).widthOfString(' ');
+  const lines = [];
+  let current = [];
+  let currentWidth = 0;
+  for (const word of words) {
+    const w = wordWidth(doc, word, bold);
+    const next = current.length ? currentWidth + space + w : w;
+    if (current.length && next > width) {
+      lines.push({ words: current, width: currentWidth });
+      current = [word];
+      currentWidth = w;
+    } else {
+      current.push(word);
+      currentWidth = next;
+    }
+  }
+  if (current.length) lines.push({ words: current, width: currentWidth });
+  // Paragraph direction from the first letter, as in the Unicode bidi algorithm
+  const firstStrong = words.flatMap((w) => w.chunks).find((c) => c.rtl || /[A-Za-z]/.test(c.text));
+  return { lines, baseRtl: Boolean(firstStrong?.rtl), space, lineHeight: size * 1.5 };
+}
+
+function textHeight(doc, text, opts) {
+  const { lines, lineHeight } = layoutText(doc, text, opts);
+  return lines.length * lineHeight;
+}
+
+/**
+ * Draw text inside a box, wrapping on words.
+ * Returns the height used.
+ *
+ * @param {PDFDocument} doc
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {object} opts - { width, align: 'left'|'right'|'center', size, bold, color }
+ */
+function drawText(doc, text, x, y, { width, align = 'left', size = 10, bold = false, color = '#111111' } = {}) {
+  const { lines, baseRtl, space, lineHeight } = layoutText(doc, text, { width, size, bold });
+  doc.fillColor(color);
+  // Both fonts are drawn on a shared alphabetic baseline (their ascenders differ)
+  const baseline = y + size * 1.1;
+  lines.forEach((line, i) => {
+    let cx = align === 'right' ? x + width - line.width : align === 'center' ? x + (width - line.width) / 2 : x;
+    for (const word of visualOrder(line.words, baseRtl)) {
+      const chunks = word.rtl ? [...word.chunks].reverse() : word.chunks;
+      for (const chunk of chunks) {
+        doc.font(fontFor(chunk, bold));
+        doc.text(chunk.text, cx, baseline + i * lineHeight, { lineBreak: false, baseline: 'alphabetic' });
+        cx += doc.widthOfString(chunk.text);
+      }
+      cx += space;
+    }
+  });
+  return lines.length * lineHeight;
+}
+
+// ── Page sections ────────────────────────────────────────────────────────────
+
+async function fetchLogo(url, log) {
+  if (!url) return null;
+  try {
+    const res = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000, maxContentLength: 2 * 1024 * 1024 });
+    return Buffer.from(res.data);
+  } catch (err) {
+    log.warn('quotePdf: logo fetch failed', { error: err.message });
+    return null;
+  }
+}
+
+function vehicleText(vehicle) {
+  return [vehicle.series, vehicle.model, vehicle.body].filter(Boolean).join(' ');
+}
+
+/**
+ * Render a quotation PDF.
+ *
+ * @param {object} quote  - quotes.repo shape; must have price_breakdown
+ * @param {object} [options] - { tenant, lang: 'ar'|'en', correlationId }
+ * @returns {Promise<Buffer>}
+ */
+async function renderQuotePdf(quote, { tenant = null, lang, correlationId } = {}) {
+  const log = correlationId ? logger.child(correlationId) : logger;
+  const breakdown = quote?.price_breakdown;
+  if (!breakdown || !Array.isArray(breakdown.lines)) {
+    throw new AppError('Quote has no price breakdown yet', 409);
+  }
+  const language = pdfLanguage(lang);
+  const rtl = language === 'ar';
+  const L = LABELS[language];
+  const currency = breakdown.currency || 'EGP';
+  const vehicle = quote.vehicle_details || {};
+
+  const logo = await fetchLogo(tenant?.logo_url, log);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: `${L.title} ${quoteReference(quote)}`, Author: tenant?.name || '' },
+  });
+  doc.registerFont('ar', FONTS.ar);
+  doc.registerFont('ar-bold', FONTS.arBold);
+
+  const done = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = PAGE_MARGIN;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const start = rtl ? 'right' : 'left';
+  const end = rtl ? 'left' : 'right';
+  let y = PAGE_MARGIN;
+
+  // Header: logo on the reading-start side, tenant name + title on the other
+  if (logo) {
+    try {
+      doc.image(logo, rtl ? left + width - LOGO_MAX.width : left, y, { fit: [LOGO_MAX.width, LOGO_MAX.height], align: start });
+    } catch (err) {
+      log.warn('quotePdf: logo is not a PNG/JPEG image', { error: err.message });
+    }
+  }
+  const headerX = rtl ? left : left + width / 2;
+  drawText(doc, tenant?.name || '', headerX, y, { width: width / 2, align: end, size: 14, bold: true });
+  drawText(doc, L.title, headerX, y + 24, { width: width / 2, align: end, size: 18, bold: true, color: '#1f4e79' });
+  y += LOGO_MAX.height + 20;
+
+  // Quote meta + customer / vehicle block (label: value rows)
+  const validUntil = formatDate(breakdown.valid_until);
+  const rows = [
+    [L.quote_no, quoteReference(quote)],
+    [L.date, formatDate(breakdown.priced_at || quote.updated_at)],
+    validUntil ? [L.valid_until, validUntil] : null,
+    [L.customer, quote.customer_name || ''],
+    quote.customer_phone ? [L.phone, quote.customer_phone] : null,
+    [L.vehicle, vehicleText(vehicle)],
+    vehicle.engine ? [L.engine, vehicle.engine] : null,
+    vehicle.prod_month ? [L.production, vehicle.prod_month] : null,
+    [L.vin, quote.full_vin || quote.vin || ''],
+  ].filter(Boolean);
+
+  const labelWidth = 110;
+  for (const [label, value] of rows) {
+    const labelX = rtl ? left + width - labelWidth : left;
+    const valueX = rtl ? left : left + labelWidth;
+    drawText(doc, label, labelX, y, { width: labelWidth, align: start, bold: true, color: '#555555' });
+    const h = drawText(doc, value, valueX, y, { width: width - labelWidth - 10, align: start });
+    y += Math.max(h, 15);
+  }
+  y += 12;
+
+  // Line items table — columns mirrored for RTL
+  const cols = [];
+  let offset = 0;
+  for (const col of COLUMNS) {
+    const w = col.width * width;
+    cols.push({ ...col, w, x: rtl ? left + width - offset - w : left + offset });
+    offset += w;
+  }
+  const cellAlign = (col) => (col.numeric ? 'center' : start);
+  const padding = 4;
+
+  const drawHeaderRow = () => {
+    doc.rect(left, y, width, 22).fill('#1f4e79');
+    for (const col of cols) {
+      drawText(doc, L[col.label], col.x + padding, y + 5, { width: col.w - padding * 2, align: cellAlign(col), size: 9, bold: true, color: '#ffffff' });
+    }
+    y += 22;
+  };
+  drawHeaderRow();
+
+  breakdown.lines.forEach((line, i) => {
+    const cells = {
+      index: String(i + 1),
+      part_number: line.part_number || '',
+      name: line.name || line.part_number || '',
+      qty: String(line.qty || 1),
+      unit_price: formatMoney(line.unit_price),
+      discount: line.discount_pct ? `${line.discount_pct}%` : '-',
+      line_total: formatMoney(line.line_total),
+    };
+    const rowHeight = Math.max(
+      ...cols.map((col) => textHeight(doc, cells[col.key], { width: col.w - padding * 2, size: 9 }))
+    ) + 8;
+    if (y + rowHeight > doc.page.height - PAGE_MARGIN - 140) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+      drawHeaderRow();
+    }
+    if (i % 2 === 1) doc.rect(left, y, width, rowHeight).fill('#f2f5f9');
+    for (const col of cols) {
+      drawText(doc, cells[col.key], col.x + padding, y + 4, { width: col.w - padding * 2, align: cellAlign(col), size: 9 });
+    }
+    y += rowHeight;
+  });
+  doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#1f4e79').lineWidth(1).stroke();
+  y += 12;
+
+  // Totals block on the reading-end side
+  const totals = [
+    [L.parts_subtotal, breakdown.parts_subtotal],
+    [L.labor, breakdown.labor_cost],
+    [L.subtotal, breakdown.subtotal],
+    [`${L.vat} ${breakdown.vat_pct}%`, breakdown.vat_amount],
+  ];
+  const totalsWidth = width * 0.45;
+  const totalsX = rtl ? left : left + width - totalsWidth;
+  const half = totalsWidth / 2;
+  const labelCellX = rtl ? totalsX + half : totalsX;
+  const amountCellX = rtl ? totalsX : totalsX + half;
+  for (const [label, amount] of totals) {
+    drawText(doc, label, labelCellX, y, { width: half, align: start, color: '#555555' });
+    drawText(doc, `${formatMoney(amount)} ${currency}`, amountCellX, y, { width: half, align: end });
+    y += 16;
+  }
+  doc.rect(totalsX, y, totalsWidth, 24).fill('#1f4e79');
+  drawText(doc, L.total, labelCellX + 4, y + 5, { width: half - 8, align: start, bold: true, color: '#ffffff' });
+  drawText(doc, `${formatMoney(breakdown.total)} ${currency}`, amountCellX + 4, y + 5, { width: half - 8, align: end, bold: true, color: '#ffffff' });
+  y += 40;
+
+  drawText(doc, L.validity_note, left, y, { width, align: start, size: 9, color: '#555555' });
+
+  doc.end();
+  return done;
+}
+
+/** Signed, expiring link to a quote's PDF for the agent UI (see utils/signedLink). */
+function quotePdfLink(quoteId, now = Date.now()) {
+  return signedLink(`/api/quotes/${encodeURIComponent(quoteId)}/pdf`, now);
+}
+
+module.exports = { renderQuotePdf, quotePdfFilename, pdfLanguage, quotePdfLink };
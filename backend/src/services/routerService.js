@@ -1,9 +1,9 @@
 'use strict';
 
-const { routeScenario, normalizeVin } = require('../workflows/router');
+const { routeScenario, normalizeVin, parseVin } = require('../workflows/router');
 
 /**
  * Routes scenarios to existing workflow/scraper logic.
  * Re-exports from workflows/router for service-layer use.
  */
-module.exports = { routeScenario, normalizeVin };
+module.exports = { routeScenario, normalizeVin, parseVin };
@@ -7,6 +7,7 @@ const trace = require('./trace.service');
 /** All pending_action values */
 const PENDING_ACTIONS = {
   CONFIRM_PART_MATCH:      'CONFIRM_PART_MATCH',
+  CHOOSE_PART_CANDIDATE:   'CHOOSE_PART_CANDIDATE',
   CONFIRM_KIT:             'CONFIRM_KIT',
   AWAIT_KIT_CLARIFICATION: 'AWAIT_KIT_CLARIFICATION',
   COLLECT_CUSTOMER_DATA:   'COLLECT_CUSTOMER_DATA',
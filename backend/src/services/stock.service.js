@@ -0,0 +1,110 @@
+'use strict';
+
+const { assertConfigObject, mergeTenantConfig } = require('../utils/tenantConfig');
+
+/**
+ * Stock availability of Odoo products in the CHOOSE_PRODUCT chooser
+ * (odoo.searchProduct: qty_available, forecast_qty, warehouses, lead_time_days).
+ *
+ * Per-tenant config (Tenant.stock_config, utils/tenantConfig.js):
+ *   {
+ *     block_unavailable: false,   // refuse to send a quote with unavailable lines
+ *                                 // unless the agent ticks the override in the form
+ *     count_incoming: true        // forecasted (incoming) stock counts as available
+ *   }
+ */
+
+const STATUS_ORDER = { in_stock: 0, incoming: 1, unknown: 2, out_of_stock: 3 };
+
+function defaultConfig() {
+  return {
+    block_unavailable: process.env.STOCK_BLOCK_UNAVAILABLE === 'true',
+    count_incoming: process.env.STOCK_COUNT_INCOMING !== 'false',
+  };
+}
+
+/**
+ * Validate a stock_config object (admin API). Throws AppError 400.
+ * Returns the config with the flags coerced to booleans.
+ */
+function validateStockConfig(config) {
+  const flags = ['block_unavailable', 'count_incoming'];
+  assertConfigObject(config, 'stock_config', flags);
+  const out = {};
+  for (const key of flags) {
+    if (config[key] !== undefined) out[key] = config[key] === true || config[key] === 'true';
+  }
+  return out;
+}
+
+function getStockConfig(tenant) {
+  return mergeTenantConfig(defaultConfig(), tenant, 'stock_config');
+}
+
+/** in_stock | incoming (none on hand, some forecasted) | out_of_stock | unknown (no stock data) */
+function stockStatus(product) {
+  if (!product || product.qty_available == null) return 'unknown';
+  if (Number(product.qty_available) > 0) return 'in_stock';
+  if (Number(product.forecast_qty) > 0) return 'incoming';
+  return 'out_of_stock';
+}
+
+/** Quoted quantity as the pricing engine reads it (whole units, at least 1). */
+function requiredQty(qty) {
+  return Math.max(1, parseInt(qty, 10) || 1);
+}
+
+/**
+ * Whether `qty` of a chosen product may be quoted under the tenant's stock config:
+ * enough on hand, or enough forecasted (on hand + incoming) when count_incoming is on.
+ */
+function isAvailable(product, config, qty = 1) {
+  if (stockStatus(product) === 'unknown') return true;
+  const need = requiredQty(qty);
+  if (Number(product.qty_available) >= need) return true;
+  return Boolean(config.count_incoming) && Number(product.forecast_qty) >= need;
+}
+
+/** In-stock products first, then incoming, then out of stock last (stable otherwise). */
+function sortByAvailability(products) {
+  return products
+    .map((p, i) => ({ p, i }))
+    .sort((a, b) =>
+      STATUS_ORDER[stockStatus(a.p)] - STATUS_ORDER[stockStatus(b.p)] || a.i - b.i
+    )
+    .map(({ p }) => p);
+}
+
+/**
+ * Short Arabic stock label for chooser options, e.g. "✅ متوفر 4 (المخزن الرئيسي)";
+ * less than the quoted qty in stock / incoming shows the shortfall ("⚠️ متوفر 2 — ناقص 2").
+ */
+function stockLabel(product, quotedQty = 1) {
+  const qty = (n) => Number(n).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  const leadTime = product.lead_time_days ? ` — توريد ${qty(product.lead_time_days)} يوم` : '';
+  const need = requiredQty(quotedQty);
+  const shortfall = (have) => (have < need ? ` — ناقص ${qty(need - have)}` : '');
+  switch (stockStatus(product)) {
+    case 'in_stock': {
+      const onHand = Number(product.qty_available);
+      const where = (product.warehouses || []).filter((w) => w.qty > 0).map((w) => w.name);
+      return `${onHand < need ? '⚠️' : '✅'} متوفر ${qty(onHand)}${where.length ? ` (${where.join('، ')})` : ''}${shortfall(onHand)}`;
+    }
+    case 'incoming':
+      return `🕓 وارد ${qty(product.forecast_qty)}${shortfall(Number(product.forecast_qty))}${leadTime}`;
+    case 'out_of_stock':
+      return `❌ غير متوفر${leadTime}`;
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  defaultConfig,
+  validateStockConfig,
+  getStockConfig,
+  stockStatus,
+  isAvailable,
+  sortByAvailability,
+  stockLabel,
+};
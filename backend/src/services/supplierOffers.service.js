@@ -0,0 +1,136 @@
+'use strict';
+
+const { AppError } = require('../utils/errors');
+const { assertConfigObject, mergeTenantConfig } = require('../utils/tenantConfig');
+
+/**
+ * Supplier offers in the CHOOSE_PRODUCT chooser — active supplier price-list lines
+ * (db/supplierPrices.repo.js) ranked by landed price in the quote currency.
+ *
+ *   landed = price × fx_rate × (1 + landed_cost_pct / 100) + fixed_cost
+ *
+ * Per-tenant config (Tenant.supplier_config, utils/tenantConfig.js):
+ *   {
+ *     fx_rates: { USD: 48.5, EUR: 52.7 },   // quote-currency units per 1 unit (env SUPPLIER_FX_RATES="USD:48.5,EUR:52.7")
+ *     landed_cost_pct: 0,                   // freight / customs / handling on top of the price
+ *     suppliers: { "Al Mansour": { landed_cost_pct: 2, fixed_cost: 50 } }   // per-supplier overrides
+ *   }
+ *
+ * Offers in a currency without a rate have no landed price and are listed last.
+ */
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function envFxRates() {
+  const rates = {};
+  for (const pair of String(process.env.SUPPLIER_FX_RATES || '').split(',')) {
+    const [currency, rate] = pair.split(':').map((s) => s.trim());
+    if (/^[A-Z]{3}$/.test(currency || '') && Number(rate) > 0) rates[currency] = Number(rate);
+  }
+  return rates;
+}
+
+function defaultConfig() {
+  const pct = parseFloat(process.env.SUPPLIER_LANDED_COST_PCT);
+  return {
+    fx_rates: envFxRates(),
+    landed_cost_pct: Number.isFinite(pct) ? pct : 0,
+    suppliers: {},
+  };
+}
+
+/**
+ * Validate a supplier_config object (admin API). Throws AppError 400.
+ * Returns the config with numbers coerced.
+ */
+function validateSupplierConfig(config) {
+  assertConfigObject(config, 'supplier_config', ['fx_rates', 'landed_cost_pct', 'suppliers']);
+  const num = (value, field, { min = 0, max = Infinity } = {}) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) {
+      throw new AppError(`${field} must be a number between ${min} and ${max}`, 400);
+    }
+    return n;
+  };
+  const object = (value, field) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new AppError(`${field} must be an object`, 400);
+    return value;
+  };
+
+  const out = {};
+  if (config.fx_rates !== undefined) {
+    out.fx_rates = {};
+    for (const [currency, rate] of Object.entries(object(config.fx_rates, 'fx_rates'))) {
+      const code = currency.toUpperCase();
+      if (!/^[A-Z]{3}$/.test(code)) throw new AppError(`fx_rates: invalid currency "${currency}"`, 400);
+      out.fx_rates[code] = num(rate, `fx_rates.${code}`, { min: 0.000001 });
+    }
+  }
+  if (config.landed_cost_pct !== undefined) {
+    out.landed_cost_pct = num(config.landed_cost_pct, 'landed_cost_pct', { max: 1000 });
+  }
+  if (config.suppliers !== undefined) {
+    out.suppliers = {};
+    for (const [name, rule] of Object.entries(object(config.suppliers, 'suppliers'))) {
+      const r = object(rule, `suppliers.${name}`);
+      out.suppliers[name] = {};
+      if (r.landed_cost_pct !== undefined) {
+        out.suppliers[name].landed_cost_pct = num(r.landed_cost_pct, `suppliers.${name}.landed_cost_pct`, { max: 1000 });
+      }
+      if (r.fixed_cost !== undefined) out.suppliers[name].fixed_cost = num(r.fixed_cost, `suppliers.${name}.fixed_cost`);
+    }
+  }
+  return out;
+}
+
+function getSupplierConfig(tenant) {
+  return mergeTenantConfig(defaultConfig(), tenant, 'supplier_config', ['fx_rates']);
+}
+
+/** Landed unit price of an offer in `currency`, or null without an FX rate. */
+function landedPrice(offer, config, currency) {
+  const rate = offer.currency === currency ? 1 : Number(config.fx_rates?.[offer.currency]);
+  if (!(rate > 0)) return null;
+  const rule = config.suppliers?.[offer.supplier] || {};
+  const pct = rule.landed_cost_pct ?? config.landed_cost_pct ?? 0;
+  return round2(offer.price * rate * (1 + pct / 100) + (Number(rule.fixed_cost) || 0));
+}
+
+/**
+ * Offers with landed_price and rank (1 = cheapest), sorted by landed price
+ * then lead time; offers without a landed price last and unranked.
+ */
+function rankOffers(offers, config, currency) {
+  const ranked = (offers || [])
+    .map((offer) => ({ ...offer, landed_price: landedPrice(offer, config, currency) }))
+    .sort((a, b) =>
+      (a.landed_price ?? Infinity) - (b.landed_price ?? Infinity) ||
+      (a.lead_time_days ?? Infinity) - (b.lead_time_days ?? Infinity)
+    );
+  return ranked.map((offer, i) => ({ ...offer, rank: offer.landed_price != null ? i + 1 : null }));
+}
+
+/** Chooser option label, e.g. "1. Al Mansour — Mann (بديل) — 1,250 EGP — توريد 3 يوم". */
+function offerLabel(offer, currency) {
+  const amount = (n) => Number(n).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  const price = offer.landed_price != null
+    ? `${amount(offer.landed_price)} ${currency}`
+    : `${amount(offer.price)} ${offer.currency} (بدون سعر صرف)`;
+  return [
+    `${offer.rank ? `${offer.rank}. ` : ''}${offer.supplier}`,
+    `${offer.brand || '-'} (${offer.is_oe ? 'أصلي' : 'بديل'})`,
+    price,
+    offer.lead_time_days != null ? `توريد ${offer.lead_time_days} يوم` : '',
+  ].filter(Boolean).join(' — ');
+}
+
+module.exports = {
+  defaultConfig,
+  validateSupplierConfig,
+  getSupplierConfig,
+  landedPrice,
+  rankOffers,
+  offerLabel,
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+const { AppError } = require('../utils/errors');
+
+/**
+ * WhatsApp template registry — one entry per template we send.
+ *
+ * Each entry mirrors the template approved in Meta Business Manager: default
+ * name / language (env override, then per tenant: Tenant.wa_templates), named
+ * body parameters in {{n}} order with max lengths, header type and buttons.
+ * Senders build the positional params with build(), which validates them
+ * first — a mismatch fails when the quote is finalized, not at send time.
+ *
+ * `body` is the approved template text, used for previews only
+ * (GET /api/admin/templates/:name/preview) — keep it in sync with Meta.
+ */
+
+// Quick-reply buttons of the quote template (payload = button text)
+const QUOTE_BUTTONS = {
+  confirm: process.env.WA_BUTTON_CONFIRM || 'تأكيد العمل',
+  modify: process.env.WA_BUTTON_MODIFY || 'تعديل',
+  cancel: process.env.WA_BUTTON_CANCEL || 'إلغاء',
+};
+
+const quoteButtons = () => [
+  { type: 'quick_reply', text: QUOTE_BUTTONS.confirm },
+  { type: 'quick_reply', text: QUOTE_BUTTONS.modify },
+  { type: 'quick_reply', text: QUOTE_BUTTONS.cancel },
+];
+
+const TEMPLATES = {
+  quote_request: {
+    env: 'WA_TEMPLATE_QUOTE_REQUEST',
+    fallback: 'car_quot_request|ar_EG',
+    header: 'none',
+    params: [
+      { name: 'customer_name', max: 60 },
+      { name: 'car', max: 60 },
+      { name: 'vin', max: 17 },
+      { name: 'items', max: 700, required: true, truncate: true },
+      { name: 'total', max: 20, required: true },
+      { name: 'tenant_name', max: 60 },
+      { name: 'labor_cost', max: 20 },
+    ],
+    buttons: quoteButtons(),
+    body: 'أهلاً {{1}}، ده عرض السعر لعربيتك {{2}} (رقم الشاسيه {{3}}):\n{{4}}\nالمصنعية: {{7}}\nالإجمالي: {{5}}\n{{6}}',
+    sample: {
+      customer_name: 'أحمد محمد',
+      car: 'X5 E70',
+      vin: 'WBAFE41070LZ12345',
+      items: 'فلتر زيت × 1 — 350 EGP | تيل فرامل أمامي × 1 — 1,800 EGP',
+      total: '2,650',
+      tenant_name: 'PartPilot',
+      labor_cost: '500',
+    },
+  },
+  confirmation: {
+    env: 'WA_TEMPLATE_CONFIRMATION',
+    fallback: 'partpilot_order_cancelled|en',
+    header: 'none',
+    params: [
+      { name: 'customer_name', max: 60 },
+      { name: 'car', max: 60 },
+      { name: 'total', max: 20, required: true },
+      { name: 'tenant_name', max: 60 },
+    ],
+    buttons: [],
+    body: 'Hi {{1}}, your order for {{2}} is confirmed. Total: {{3}}. Thank you for choosing {{4}}.',
+    sample: { customer_name: 'Ahmed', car: 'X5', total: '2650', tenant_name: 'PartPilot' },
+  },
+  cancellation: {
+    env: 'WA_TEMPLATE_CANCELLATION',
+    fallback: 'partpilot_order_cancelled|en',
+    header: 'none',
+    params: [
+      { name: 'customer_name', max: 60 },
+      { name: 'car', max: 60 },
+      { name: 'tenant_name', max: 60 },
+    ],
+    buttons: [],
+    body: 'Hi {{1}}, your order for {{2}} has been cancelled. {{3}}',
+    sample: { customer_name: 'Ahmed', car: 'X5E70', tenant_name: 'PartPilot' },
+  },
+  reminder: {
+    env: 'WA_TEMPLATE_QUOTE_REMINDER',
+    fallback: 'quote_reminder|ar_EG',
+    header: 'none',
+    params: [
+      { name: 'customer_name', max: 60 },
+      { name: 'car', max: 60 },
+      { name: 'total', max: 20, required: true },
+      { name: 'tenant_name', max: 60 },
+    ],
+    buttons: quoteButtons(),
+    body: 'أهلاً {{1}}، لسه مستنيين ردك على عرض السعر لعربيتك {{2}} بإجمالي {{3}}. {{4}}',
+    sample: { customer_name: 'أحمد محمد', car: 'X5 E70', total: '2,650', tenant_name: 'PartPilot' },
+  },
+};
+
+const TEMPLATE_RE = /^[a-z0-9_]+\|[A-Za-z_]+$/;
+
+function getTemplate(key) {
+  return TEMPLATES[key] || null;
+}
+
+/** "name|language" for a template: Tenant.wa_templates[key] → env → default. */
+function templateFor(key, waConfig) {
+  const def = TEMPLATES[key];
+  if (!def) throw new Error(`Unknown WhatsApp template: ${key}`);
+  const own = waConfig?.wa_templates && typeof waConfig.wa_templates === 'object'
+    ? waConfig.wa_templates[key]
+    : null;
+  return own || process.env[def.env] || def.fallback;
+}
+
+/**
+ * Meta rejects body parameters that are empty or contain newlines, tabs or
+ * more than 4 consecutive spaces — flatten line breaks to " | ".
+ */
+function paramText(value) {
+  return String(value ?? '')
+    .replace(/\s*[\r\n\t]+\s*/g, ' | ')
+    .replace(/ {4,}/g, '   ')
+    .trim();
+}
+
+/**
+ * Validated positional body params for a template.
+ * Throws AppError 400 on unknown / missing required / too long values.
+ * @param {object} values - { [param name]: value }
+ * @returns {string[]}
+ */
+function buildParams(key, values = {}) {
+  const def = TEMPLATES[key];
+  if (!def) throw new AppError(`Unknown WhatsApp template: ${key}`, 400);
+
+  const known = new Set(def.params.map((p) => p.name));
+  const unknown = Object.keys(values).filter((name) => !known.has(name));
+  if (unknown.length) throw new AppError(`${key}: unknown parameter(s) ${unknown.join(', ')}`, 400);
+
+  return def.params.map((p) => {
+    let text = paramText(values[p.name]);
+    if (!text) {
+      if (p.required) throw new AppError(`${key}: ${p.name} is required`, 400);
+      text = '-';
+    }
+    if (text.length > p.max) {
+      if (!p.truncate) throw new AppError(`${key}: ${p.name} is longer than ${p.max} characters`, 400);
+      text = `${text.slice(0, p.max - 1)}…`;
+    }
+    return text;
+  });
+}
+
+/**
+ * Template string + validated params, ready for whatsapp.sendTemplate.
+ * @param {object} [options] - { template } to send another approved template with the same parameters
+ *   (e.g. a per-reminder template from the follow-up config)
+ * @returns {{ template: string, params: string[] }}
+ */
+function build(key, values, waConfig, { template } = {}) {
+  const templateStr = template || templateFor(key, waConfig);
+  if (!TEMPLATE_RE.test(templateStr)) {
+    throw new AppError(`${key}: template must look like "template_name|ar_EG" (got "${templateStr}")`, 400);
+  }
+  return { template: templateStr, params: buildParams(key, values) };
+}
+
+/** Final text of a template with sample values (overridden by `values`). */
+function preview(key, values = {}, waConfig) {
+  const def = TEMPLATES[key];
+  if (!def) throw new AppError(`Unknown WhatsApp template: ${key}`, 404);
+  const { template, params } = build(key, { ...def.sample, ...values }, waConfig);
+  const [name, language] = template.split('|');
+  return {
+    key,
+    name,
+    language,
+    header: def.header,
+    params: def.params.map((p, i) => ({ ...p, value: params[i] })),
+    buttons: def.buttons,
+    text: def.body.replace(/\{\{(\d+)\}\}/g, (m, n) => params[Number(n) - 1] ?? m),
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  QUOTE_BUTTONS,
+  TEMPLATE_RE,
+  getTemplate,
+  templateFor,
+  buildParams,
+  build,
+  preview,
+};
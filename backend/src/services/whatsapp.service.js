@@ -1,18 +1,78 @@
 'use strict';
 
 const axios = require('axios');
+const FormData = require('form-data');
 const { withRetry } = require('../utils/retry');
 const logger = require('../utils/logger');
 const trace = require('./trace.service');
+const { AppError } = require('../utils/errors');
+const waTemplates = require('./waTemplates');
 
 const GRAPH_API = 'https://graph.facebook.com/v21.0';
 
-function phoneNumberId() {
-  return process.env.WHATSAPP_PHONE_NUMBER_ID || '804877562714688';
+/**
+ * WhatsApp Business number to send from.
+ * - SaaS: pass the Tenant (wa_phone_number_id, wa_access_token) to use that client's number.
+ * - Single-tenant: omit it to use env WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_ACCESS_TOKEN.
+ */
+function cfg(waConfig) {
+  if (waConfig && waConfig.wa_phone_number_id && waConfig.wa_access_token) {
+    return {
+      phoneNumberId: String(waConfig.wa_phone_number_id),
+      accessToken: waConfig.wa_access_token,
+      key: 'tenant',
+    };
+  }
+  return {
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID || null,
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN || null,
+    key: 'env',
+  };
 }
 
-function accessToken() {
-  return process.env.WHATSAPP_ACCESS_TOKEN;
+/** Meta app secret for webhook signatures: the tenant's, else env META_APP_SECRET. */
+function appSecret(waConfig) {
+  return waConfig?.wa_app_secret || process.env.META_APP_SECRET || null;
+}
+
+/**
+ * Validate a tenant WhatsApp config (admin API). Throws AppError 400.
+ * Body: { phone_number_id, access_token, app_secret, templates: { quote_request, ... } }
+ * (template keys: services/waTemplates.js)
+ * Only the fields sent are returned (null clears a field).
+ */
+function validateWhatsappConfig(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new AppError('WhatsApp config must be an object', 400);
+  }
+  const str = (value) => (value === null || value === '' ? null : String(value).trim());
+  const out = {};
+  if (body.phone_number_id !== undefined) {
+    out.wa_phone_number_id = str(body.phone_number_id);
+    if (out.wa_phone_number_id && !/^\d+$/.test(out.wa_phone_number_id)) {
+      throw new AppError('phone_number_id must be numeric', 400);
+    }
+  }
+  if (body.access_token !== undefined) out.wa_access_token = str(body.access_token);
+  if (body.app_secret !== undefined) out.wa_app_secret = str(body.app_secret);
+  if (body.templates !== undefined) {
+    if (body.templates !== null && (typeof body.templates !== 'object' || Array.isArray(body.templates))) {
+      throw new AppError('templates must be an object', 400);
+    }
+    const templates = {};
+    for (const [event, value] of Object.entries(body.templates || {})) {
+      if (!waTemplates.getTemplate(event)) {
+        throw new AppError(`templates.${event}: unknown template (${Object.keys(waTemplates.TEMPLATES).join(', ')})`, 400);
+      }
+      if (value == null || value === '') continue;
+      if (!waTemplates.TEMPLATE_RE.test(String(value))) {
+        throw new AppError(`templates.${event} must look like "template_name|ar_EG"`, 400);
+      }
+      templates[event] = String(value);
+    }
+    out.wa_templates = Object.keys(templates).length ? templates : null;
+  }
+  return out;
 }
 
 /**
@@ -24,20 +84,20 @@ function accessToken() {
  * @param {string[]} bodyParams    - template body parameter values
  * @param {string} correlationId
  */
-async function sendTemplate(recipientPhone, templateStr, bodyParams, correlationId) {
+async function sendTemplate(recipientPhone, templateStr, bodyParams, correlationId, waConfig) {
   return trace.step('whatsapp_send_template', async () => {
     const log = logger.child(correlationId);
-    const token = accessToken();
+    const c = cfg(waConfig);
 
-    if (!token) {
-      log.warn('whatsapp.sendTemplate: WHATSAPP_ACCESS_TOKEN not set — skipping');
+    if (!c.accessToken || !c.phoneNumberId) {
+      log.warn('whatsapp.sendTemplate: WhatsApp not configured (access token / phone number id) — skipping');
       return { skipped: true };
     }
 
     // Parse template string "name|language"
     const [templateName, language] = templateStr.split('|');
 
-    const url = `${GRAPH_API}/${phoneNumberId()}/messages`;
+    const url = `${GRAPH_API}/${c.phoneNumberId}/messages`;
 
     const payload = {
       messaging_product: 'whatsapp',
@@ -65,7 +125,7 @@ async function sendTemplate(recipientPhone, templateStr, bodyParams, correlation
       () =>
         axios.post(url, payload, {
           headers: {
-            Authorization: `Bearer ${token}`,
+            Authorization: `Bearer ${c.accessToken}`,
             'Content-Type': 'application/json',
           },
           timeout: 15000,
@@ -86,22 +146,194 @@ async function sendTemplate(recipientPhone, templateStr, bodyParams, correlation
   });
 }
 
+/**
+ * Send a plain text message. Only delivered inside the customer's 24h service
+ * window (e.g. right after they pressed a template button).
+ *
+ * @param {string} recipientPhone
+ * @param {string} text
+ * @param {string} correlationId
+ */
+async function sendText(recipientPhone, text, correlationId, waConfig) {
+  return trace.step('whatsapp_send_text', async () => {
+    const log = logger.child(correlationId);
+    const c = cfg(waConfig);
+
+    if (!c.accessToken || !c.phoneNumberId) {
+      log.warn('whatsapp.sendText: WhatsApp not configured (access token / phone number id) — skipping');
+      return { skipped: true };
+    }
+
+    const payload = {
+      messaging_product: 'whatsapp',
+      to: recipientPhone.replace(/^\+/, ''),
+      type: 'text',
+      text: { body: String(text) },
+    };
+
+    const res = await withRetry(
+      () =>
+        axios.post(`${GRAPH_API}/${c.phoneNumberId}/messages`, payload, {
+          headers: {
+            Authorization: `Bearer ${c.accessToken}`,
+            'Content-Type': 'application/json',
+          },
+          timeout: 15000,
+        }),
+      { retries: 2, label: 'whatsapp.sendText', correlationId }
+    );
+
+    log.info('whatsapp.sendText: sent', { messageId: res.data?.messages?.[0]?.id });
+    return res.data;
+  }, {
+    domain: 'whatsapp',
+    input: { phone_suffix: recipientPhone?.slice(-4), length: String(text || '').length },
+    replaySafe: false,
+  });
+}
+
+/**
+ * Upload a file to WhatsApp media storage. Returns the media id.
+ *
+ * @param {Buffer} buffer
+ * @param {string} filename
+ * @param {string} mimeType  - e.g. "application/pdf"
+ * @param {string} correlationId
+ */
+async function uploadMedia(buffer, filename, mimeType, correlationId, waConfig) {
+  return trace.step('whatsapp_upload_media', async () => {
+    const log = logger.child(correlationId);
+    const c = cfg(waConfig);
+
+    if (!c.accessToken || !c.phoneNumberId) {
+      log.warn('whatsapp.uploadMedia: WhatsApp not configured (access token / phone number id) — skipping');
+      return null;
+    }
+
+    const res = await withRetry(
+      () => {
+        // A fresh form per attempt — a consumed stream can't be re-sent
+        const form = new FormData();
+        form.append('messaging_product', 'whatsapp');
+        form.append('type', mimeType);
+        form.append('file', buffer, { filename, contentType: mimeType });
+        return axios.post(`${GRAPH_API}/${c.phoneNumberId}/media`, form, {
+          headers: {
+            ...form.getHeaders(),
+            Authorization: `Bearer ${c.accessToken}`,
+          },
+          timeout: 30000,
+        });
+      },
+      { retries: 2, label: 'whatsapp.uploadMedia', correlationId }
+    );
+
+    log.info('whatsapp.uploadMedia: uploaded', { mediaId: res.data?.id, bytes: buffer.length });
+    return res.data?.id || null;
+  }, {
+    domain: 'whatsapp',
+    input: { filename, mimeType, bytes: buffer?.length },
+    replaySafe: false,
+  });
+}
+
+/**
+ * Download inbound media (customer image / voice note) by WhatsApp media id.
+ * Returns { buffer, mimeType }.
+ */
+async function downloadMedia(mediaId, correlationId, waConfig) {
+  return trace.step('whatsapp_download_media', async () => {
+    const log = logger.child(correlationId);
+    const { accessToken: token } = cfg(waConfig);
+    if (!token) throw new Error('WhatsApp access token not configured');
+
+    // Step 1: media id → short-lived download URL
+    const meta = await withRetry(
+      () => axios.get(`${GRAPH_API}/${mediaId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 15000,
+      }),
+      { retries: 2, label: 'whatsapp.mediaUrl', correlationId }
+    );
+
+    // Step 2: the URL needs the same bearer token
+    const file = await axios.get(meta.data.url, {
+      headers: { Authorization: `Bearer ${token}` },
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: 16 * 1024 * 1024,
+    });
+
+    log.info('whatsapp.downloadMedia: downloaded', { mediaId, bytes: file.data?.byteLength });
+    return {
+      buffer: Buffer.from(file.data),
+      mimeType: meta.data.mime_type || file.headers['content-type'] || 'application/octet-stream',
+    };
+  }, {
+    domain: 'whatsapp',
+    input: { mediaId },
+    replaySafe: true,
+  });
+}
+
+/**
+ * Send a document (e.g. the quotation PDF) as a WhatsApp document message.
+ * Non-template messages are only delivered inside the customer's 24h service window.
+ *
+ * @param {string} recipientPhone
+ * @param {object} doc - { buffer, filename, mimeType?, caption? }
+ * @param {string} correlationId
+ */
+async function sendDocument(recipientPhone, { buffer, filename, mimeType = 'application/pdf', caption }, correlationId, waConfig) {
+  const mediaId = await uploadMedia(buffer, filename, mimeType, correlationId, waConfig);
+  if (!mediaId) return { skipped: true };
+
+  return trace.step('whatsapp_send_document', async () => {
+    const log = logger.child(correlationId);
+    const c = cfg(waConfig);
+    const payload = {
+      messaging_product: 'whatsapp',
+      to: recipientPhone.replace(/^\+/, ''),
+      type: 'document',
+      document: { id: mediaId, filename, ...(caption ? { caption } : {}) },
+    };
+
+    const res = await withRetry(
+      () =>
+        axios.post(`${GRAPH_API}/${c.phoneNumberId}/messages`, payload, {
+          headers: {
+            Authorization: `Bearer ${c.accessToken}`,
+            'Content-Type': 'application/json',
+          },
+          timeout: 15000,
+        }),
+      { retries: 2, label: 'whatsapp.sendDocument', correlationId }
+    );
+
+    log.info('whatsapp.sendDocument: sent', { messageId: res.data?.messages?.[0]?.id, filename });
+    return res.data;
+  }, {
+    domain: 'whatsapp',
+    input: { phone_suffix: recipientPhone?.slice(-4), filename },
+    replaySafe: false,
+  });
+}
+
 /**
  * Send cancellation template.
  * Matches n8n: "send order cancellation"
  * Template: partpilot_order_cancelled|en
  * Params: customer_name, series+model, tenant_name
  */
-async function sendCancellationTemplate(recipientPhone, quote, tenantName, correlationId) {
-  const template = process.env.WA_TEMPLATE_CANCELLATION || 'partpilot_order_cancelled|en';
+async function sendCancellationTemplate(recipientPhone, quote, tenantName, correlationId, waConfig) {
   const series = quote.vehicle_details?.series || '';
   const model = quote.vehicle_details?.model || '';
-  const params = [
-    quote.customer_name || '',
-    `${series}${model}`,
-    tenantName || '',
-  ];
-  return sendTemplate(recipientPhone, template, params, correlationId);
+  const { template, params } = waTemplates.build('cancellation', {
+    customer_name: quote.customer_name,
+    car: `${series}${model}`,
+    tenant_name: tenantName,
+  }, waConfig);
+  return sendTemplate(recipientPhone, template, params, correlationId, waConfig);
 }
 
 /**
@@ -110,16 +342,25 @@ async function sendCancellationTemplate(recipientPhone, quote, tenantName, corre
  * Template: partpilot_order_cancelled|en (as per n8n JSON)
  * Params: customer_name, series, total_cost, tenant_name
  */
-async function sendConfirmationTemplate(recipientPhone, quote, totalCost, tenantName, correlationId) {
-  const template = process.env.WA_TEMPLATE_CONFIRMATION || 'partpilot_order_cancelled|en';
-  const series = quote.vehicle_details?.series || '';
-  const params = [
-    quote.customer_name || '',
-    series,
-    String(totalCost || 0),
-    tenantName || '',
-  ];
-  return sendTemplate(recipientPhone, template, params, correlationId);
+async function sendConfirmationTemplate(recipientPhone, quote, totalCost, tenantName, correlationId, waConfig) {
+  const { template, params } = waTemplates.build('confirmation', {
+    customer_name: quote.customer_name,
+    car: quote.vehicle_details?.series,
+    total: String(totalCost || 0),
+    tenant_name: tenantName,
+  }, waConfig);
+  return sendTemplate(recipientPhone, template, params, correlationId, waConfig);
 }
 
-module.exports = { sendTemplate, sendCancellationTemplate, sendConfirmationTemplate };
+module.exports = {
+  cfg,
+  appSecret,
+  validateWhatsappConfig,
+  sendTemplate,
+  sendText,
+  uploadMedia,
+  downloadMedia,
+  sendDocument,
+  sendCancellationTemplate,
+  sendConfirmationTemplate,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Parse a CSV string into an array of header-keyed objects.
+ * Handles quoted fields, escaped quotes (""), and CRLF/LF line endings.
+ * `delimiter` is "," by default (";" for CSV saved by Excel in some locales).
+ */
+function parseCsv(text, { delimiter = ',' } = {}) {
+  // Strip UTF-8 BOM if present
+  const cleaned = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  // Tokenise: split on CRLF or LF, respecting quoted fields with embedded newlines
+  const rows = [];
+  let currentRow = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < cleaned.length; i++) {
+    const ch = cleaned[i];
+    const next = cleaned[i + 1];
+
+    if (inQuotes) {
+      if (ch === '"' && next === '"') {
+        // Escaped quote inside quoted field
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else {
+      if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        currentRow.push(field);
+        field = '';
+      } else if (ch === '\r' && next === '\n') {
+        // Windows CRLF
+        currentRow.push(field);
+        rows.push(currentRow);
+        currentRow = [];
+        field = '';
+        i++; // skip \n
+      } else if (ch === '\n') {
+        currentRow.push(field);
+        rows.push(currentRow);
+        currentRow = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+  }
+
+  // Push the last field/row
+  if (field || currentRow.length) {
+    currentRow.push(field);
+    if (currentRow.some(f => f !== '')) rows.push(currentRow);
+  }
+
+  if (rows.length < 2) return [];
+  const headers = rows[0];
+  return rows.slice(1).map((cols) => {
+    const obj = {};
+    headers.forEach((h, i) => { obj[h] = cols[i] ?? ''; });
+    return obj;
+  });
+}
+
+module.exports = { parseCsv };
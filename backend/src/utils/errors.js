@@ -31,9 +31,18 @@ class ScenarioNotFoundError extends AppError {
   }
 }
 
+/** Job handler failure a retry cannot fix: services/jobQueue.js marks the job DEAD at once. */
+class NonRetryableError extends AppError {
+  constructor(message, details = {}) {
+    super(message, 500, details);
+    this.name = 'NonRetryableError';
+  }
+}
+
 module.exports = {
   AppError,
   ExternalServiceError,
   VinValidationError,
   ScenarioNotFoundError,
+  NonRetryableError,
 };
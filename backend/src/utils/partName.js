@@ -0,0 +1,160 @@
+'use strict';
+
+const { PART_SYNONYMS, ENGLISH_WORDS } = require('./partSynonyms');
+
+/**
+ * Part-name normalization shared by hot-item lookup, alias lookup and scoring.
+ *
+ * Agents type part names in Egyptian Arabic, Arabizi ("fanoos amami") or
+ * English; RealOEM descriptions are English. Everything goes through:
+ *   1. normalizePartName — lowercase, Arabic letter normalization, digits, punctuation
+ *   2. translatePartName — longest-match against the bilingual dictionary
+ *      (partSynonyms.js); English words match exactly, Arabizi by consonant skeleton
+ *   3. partNameKey       — the translated text; equal keys mean "same part name"
+ *
+ * Example: "فانوس أمامي", "fanoos amami" and "Headlight" all key to "headlight".
+ */
+
+const ARABIC_DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const ARABIC_LETTER = /[\u0600-\u06FF]/;
+const MAX_PHRASE_TOKENS = 3;
+
+/** Fold Arabic spelling variants: alef/ya/ta-marbuta forms, tatweel, diacritics, digits. */
+function normalizeArabic(text) {
+  return String(text || '')
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/ک/g, 'ك')
+    .replace(/ی/g, 'ي')
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x6F0));
+}
+
+/**
+ * Lowercase, Arabic-normalized, punctuation stripped, single-spaced.
+ * In-word hyphens stay: RealOEM's "Brake-pad sensor" is not a brake pad.
+ */
+function normalizePartName(text) {
+  return normalizeArabic(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}-]+/gu, ' ')
+    .replace(/(^|\s)-+|-+(?=\s|$)/g, '$1')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Light bilingual stemmer: English -ing/-ed/-es/-s, Arabic definite article
+ * (with و/ب/ف/ك prefixes) and the -ات plural.
+ */
+function stemToken(token) {
+  if (ARABIC_LETTER.test(token)) {
+    let t = token.replace(/^(وال|بال|فال|كال|لل|ال)(?=..)/, '');
+    if (t.length > 4) t = t.replace(/ات$/, '');
+    return t;
+  }
+  if (token.length <= 3 || token.endsWith('ss') || /\d/.test(token)) return token;
+  // Only after a consonant, so Arabizi endings ("mosaed", "fanoos") survive
+  return token.replace(/([^aeiouy])(ing|ed|es|s)$/, '$1');
+}
+
+/**
+ * Arabizi transliteration to a consonant skeleton, so spelling variants meet:
+ * "fanoos" / "fanous" / "fanos" → "fns", "mosa3ed" / "mosaed" → "msd".
+ * Chat-alphabet digits map to their letters (5 → kh, 7 → h, 8 → gh, 9 → q);
+ * 2 (hamza) and 3 (ain) are dropped like vowels.
+ */
+function arabiziSkeleton(token) {
+  const t = String(token || '').toLowerCase()
+    .replace(/5/g, 'kh').replace(/7/g, 'h').replace(/8/g, 'gh').replace(/9/g, 'q').replace(/6/g, 't')
+    .replace(/[23]/g, '');
+  if (!t) return '';
+  const head = /[aeiouy]/.test(t[0]) ? 'a' : t[0];
+  return (head + t.slice(1).replace(/[aeiouy]/g, '')).replace(/(.)\1+/g, '$1');
+}
+
+// Known English words: the dictionary's English terms and ENGLISH_WORDS, stemmed
+const ENGLISH_VOCABULARY = new Set(
+  [...PART_SYNONYMS.map((entry) => entry.en), ...ENGLISH_WORDS]
+    .flatMap((phrase) => normalizePartName(phrase).split(' '))
+    .filter(Boolean)
+    .map(stemToken)
+);
+
+/** Latin-letter token to read as Arabizi: chat-alphabet digits, or not a known English word. */
+function isArabizi(token) {
+  if (!/[a-z]/.test(token)) return false;
+  if (/[2-9]/.test(token)) return true;
+  return !ENGLISH_VOCABULARY.has(stemToken(token));
+}
+
+/** Dictionary match form of one normalized token (skeletons are prefixed so they never equal a word). */
+function matchForm(token) {
+  if (ARABIC_LETTER.test(token) || !isArabizi(token)) return stemToken(token);
+  return `~${arabiziSkeleton(stemToken(token))}`;
+}
+
+function phraseKey(phrase) {
+  return normalizePartName(phrase).split(' ').filter(Boolean).map(matchForm).join(' ');
+}
+
+// phrase key → entry; first entry wins on collisions
+const SYNONYM_INDEX = new Map();
+for (const entry of PART_SYNONYMS) {
+  for (const phrase of [entry.en, ...entry.ar, ...entry.arabizi]) {
+    const key = phraseKey(phrase);
+    if (key && !SYNONYM_INDEX.has(key)) SYNONYM_INDEX.set(key, entry);
+  }
+}
+
+/**
+ * Translate a part name to RealOEM English where the dictionary knows it.
+ * Unknown tokens are kept as normalized.
+ * @returns {{ text: string, main_groups: string[], complete: boolean }}
+ *   complete — every token was recognised (main_groups can stand in for the LLM)
+ */
+function translatePartName(text) {
+  const tokens = normalizePartName(text).split(' ').filter(Boolean);
+  const forms = tokens.map(matchForm);
+  const out = [];
+  const groups = [];
+  let complete = tokens.length > 0;
+  for (let i = 0; i < tokens.length;) {
+    let matched = null;
+    let len = Math.min(MAX_PHRASE_TOKENS, tokens.length - i);
+    for (; len > 0; len--) {
+      matched = SYNONYM_INDEX.get(forms.slice(i, i + len).join(' '));
+      if (matched) break;
+    }
+    if (matched) {
+      out.push(matched.en);
+      for (const g of matched.groups) if (!groups.includes(g)) groups.push(g);
+      i += len;
+    } else {
+      out.push(tokens[i]);
+      complete = false;
+      i += 1;
+    }
+  }
+  return { text: out.join(' '), main_groups: groups, complete };
+}
+
+/** Canonical key for comparing part names across languages and spellings. */
+function partNameKey(text) {
+  return translatePartName(text).text;
+}
+
+module.exports = {
+  normalizeArabic,
+  normalizePartName,
+  stemToken,
+  arabiziSkeleton,
+  translatePartName,
+  partNameKey,
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * OEM part-number helpers (BMW-style 11-digit numbers).
+ *
+ * Accepted input formats for the same number:
+ *   11427953129   11-42-7-953-129   11 42 7 953 129   11.42.7.953.129
+ *
+ * Several numbers in one message are grouped: numbers joined by a supersession
+ * marker ("→", "->", "/", "replaced by", "بدل", ...) are treated as old/new
+ * numbers of the same part; anything else starts a new part.
+ */
+
+const PART_NUMBER_REGEX = /(?<!\d)(\d{2})[\s.-]?(\d{2})[\s.-]?(\d)[\s.-]?(\d{3})[\s.-]?(\d{3})(?!\d)/g;
+
+const SUPERSESSION_REGEX = /->|=>|→|>|\/|\breplaced\s+by\b|\bsuperseded(\s+by)?\b|\bnew\b|\bold\b|بدل|بديل|الجديد|القديم|اتغير|حل\s+محل/i;
+
+// Labels allowed before a part number ("P/N: 11427953129", "part no. 1142...", "رقم القطعة 1142...")
+// and "and" between numbers. A bare "no" is not one: "no 11427953129" answers a question.
+const FILLER_REGEX = /\b(p\/?n|part\s+(no|number)|parts?|oem|oe|ref|and)\b|رقم\s+القطع[ةه]|رقم|القطع[ةه]|قطع[ةه]?|(?<![\u0600-\u06FF])و(?![\u0600-\u06FF])|[#:,،;()[\]\s.\-/>=→]/gi;
+
+/** Convert Arabic-Indic digits to ASCII. */
+function toAsciiDigits(text) {
+  return String(text || '').replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x660));
+}
+
+/** Strip separators from a single part number. Returns 11 digits or null. */
+function normalizePartNumber(value) {
+  const digits = toAsciiDigits(value).replace(/[\s.-]/g, '');
+  return /^\d{11}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Matching key for any part number (price lists, cross-references): the BMW
+ * 11-digit form, else upper case without separators ("W 712/94" → "W71294").
+ */
+function partNumberKey(value) {
+  const raw = String(value ?? '').trim();
+  return normalizePartNumber(raw) || toAsciiDigits(raw).toUpperCase().replace(/[\s.\-/]/g, '');
+}
+
+/** "11427953129" → "11 42 7 953 129" (the RealOEM / ETK display format). */
+function formatPartNumber(partNumber) {
+  const pn = normalizePartNumber(partNumber);
+  if (!pn) return partNumber;
+  return `${pn.slice(0, 2)} ${pn.slice(2, 4)} ${pn.slice(4, 5)} ${pn.slice(5, 8)} ${pn.slice(8)}`;
+}
+
+/**
+ * Extract part numbers grouped by supersession.
+ * "11427953129 → 11428575211, 34106888459" → [["11427953129", "11428575211"], ["34106888459"]]
+ */
+function extractPartNumberGroups(text) {
+  const input = toAsciiDigits(text);
+  const groups = [];
+  let lastEnd = null;
+  for (const m of input.matchAll(PART_NUMBER_REGEX)) {
+    const pn = m.slice(1).join('');
+    const gap = lastEnd == null ? '' : input.slice(lastEnd, m.index);
+    if (groups.length && SUPERSESSION_REGEX.test(gap)) {
+      const group = groups[groups.length - 1];
+      if (!group.includes(pn)) group.push(pn);
+    } else if (!groups.some((g) => g.includes(pn))) {
+      groups.push([pn]);
+    }
+    lastEnd = m.index + m[0].length;
+  }
+  return groups;
+}
+
+/**
+ * True when the message is nothing but part numbers (plus filler words and
+ * supersession markers) — safe to route directly, bypassing the classifier.
+ */
+function isPartNumberMessage(text) {
+  if (typeof text !== 'string') return false;
+  const input = toAsciiDigits(text);
+  if (!extractPartNumberGroups(input).length) return false;
+  const rest = input
+    .replace(PART_NUMBER_REGEX, ' ')
+    .replace(FILLER_REGEX, ' ')
+    .replace(new RegExp(SUPERSESSION_REGEX.source, 'gi'), ' ');
+  return rest.trim() === '';
+}
+
+module.exports = {
+  normalizePartNumber,
+  partNumberKey,
+  formatPartNumber,
+  extractPartNumberGroups,
+  isPartNumberMessage,
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Bilingual part-name dictionary used by utils/partName.js.
+ *
+ * Each entry maps Egyptian Arabic (ar) and Arabizi (arabizi) spellings to the
+ * English term as it appears in RealOEM descriptions (en). `groups` are
+ * MAIN_GROUPS (ai/prompts.js) to search, most likely first; modifiers such as
+ * "front" / "left" have none.
+ *
+ * Spellings don't need every variant: Arabic keys go through letter
+ * normalization (أ/إ/آ → ا, ة → ه, ى → ي, no diacritics, no "ال"), and
+ * Arabizi keys are reduced to a consonant skeleton ("fanoos" = "fanous" = "fanos").
+ * English words (the en terms and ENGLISH_WORDS below) are matched as they are,
+ * never by skeleton — an Arabizi spelling that is an English word ("motor")
+ * would translate English part names too.
+ */
+const PART_SYNONYMS = [
+  // ── Brakes ──
+  { en: 'brake pad', groups: ['BRAKES'], ar: ['تيل فرامل', 'تيل'], arabizi: ['til faramel', 'teel framel', 'til'] },
+  { en: 'brake disc', groups: ['BRAKES'], ar: ['طنبوره', 'طنابير', 'ديسك فرامل', 'طنبوره فرامل'], arabizi: ['tanbora', 'tanabeer', 'disk faramel'] },
+  { en: 'brake-pad sensor', groups: ['BRAKES'], ar: ['حساس تيل', 'فيشه تيل'], arabizi: ['hassas til', '7assas til'] },
+  { en: 'brake fluid', groups: ['BRAKES'], ar: ['زيت فرامل'], arabizi: ['zeit faramel'] },
+  { en: 'brake caliper', groups: ['BRAKES'], ar: ['كاليبر', 'فك فرامل'], arabizi: ['caliper'] },
+  { en: 'brake', groups: ['BRAKES'], ar: ['فرامل', 'فرمله'], arabizi: ['faramel', 'farmala'] },
+
+  // ── Lighting ──
+  { en: 'headlight', groups: ['LIGHTING'], ar: ['فانوس امامي', 'فانوس قدام', 'فانوس', 'كشاف'], arabizi: ['fanoos amami', 'fanoos odam', 'fanoos', 'kashaf'] },
+  { en: 'rear light', groups: ['LIGHTING'], ar: ['فانوس خلفي', 'فانوس ورا', 'اسطب', 'استوب'], arabizi: ['fanoos khalfi', 'fanoos wara', 'stop'] },
+  { en: 'fog light', groups: ['LIGHTING'], ar: ['كشاف ضباب', 'فوج', 'فوج لامب'], arabizi: ['kashaf dabab', 'fog'] },
+  { en: 'turn indicator', groups: ['LIGHTING'], ar: ['اشاره', 'فلاشر'], arabizi: ['eshara', 'flasher'] },
+  { en: 'bulb', groups: ['LIGHTING'], ar: ['لمبه', 'لمبات'], arabizi: ['lamba'] },
+
+  // ── Engine & engine electrics ──
+  { en: 'oil filter', groups: ['ENGINE'], ar: ['فلتر زيت'], arabizi: ['filter zeit', 'filtar zeit'] },
+  { en: 'air filter', groups: ['FUEL PREPARATION SYSTEM'], ar: ['فلتر هوا', 'فلتر هواء'], arabizi: ['filter hawa', 'filtar hawa'] },
+  { en: 'fuel filter', groups: ['FUEL SUPPLY'], ar: ['فلتر بنزين', 'فلتر سولار'], arabizi: ['filter benzin', 'filter solar'] },
+  { en: 'microfilter', groups: ['HEATER AND AIR CONDITIONING'], ar: ['فلتر تكييف', 'فلتر مكيف'], arabizi: ['filter takyeef'] },
+  { en: 'spark plug', groups: ['ENGINE ELECTRICAL SYSTEM'], ar: ['بوجيه', 'بوجيهات', 'بواجي'], arabizi: ['bogeh', 'boujie', 'bougie'] },
+  { en: 'ignition coil', groups: ['ENGINE ELECTRICAL SYSTEM'], ar: ['موبينه', 'كويل'], arabizi: ['mobina', 'coil'] },
+  { en: 'alternator', groups: ['ENGINE ELECTRICAL SYSTEM'], ar: ['دينامو'], arabizi: ['dynamo', 'dinamo'] },
+  { en: 'starter', groups: ['ENGINE ELECTRICAL SYSTEM'], ar: ['مارش'], arabizi: ['marsh'] },
+  { en: 'timing chain', groups: ['ENGINE'], ar: ['كاتينه', 'جنزير'], arabizi: ['katina', 'ganzeer'] },
+  { en: 'ribbed v-belt', groups: ['ENGINE'], ar: ['سير مجموعه', 'سير'], arabizi: ['seer magmo3a', 'seer'] },
+  { en: 'gasket', groups: ['ENGINE'], ar: ['جوان', 'جوانات'], arabizi: ['gowan', 'guan'] },
+  { en: 'engine mount', groups: ['ENGINE AND TRANSMISSION SUSPENSION'], ar: ['كرسي موتور', 'كراسي موتور'], arabizi: ['korsy motor', 'karasy motor'] },
+  { en: 'engine', groups: ['ENGINE'], ar: ['موتور'], arabizi: [] },
+  { en: 'battery', groups: ['VEHICLE ELECTRICAL SYSTEM'], ar: ['بطاريه'], arabizi: ['battaria', 'batarya'] },
+
+  // ── Cooling, fuel, exhaust ──
+  { en: 'radiator', groups: ['RADIATOR'], ar: ['رادياتير', 'ردياتير', 'رادياتير مايه'], arabizi: ['radiator', 'radyateer'] },
+  { en: 'water pump', groups: ['RADIATOR'], ar: ['طرمبه مايه', 'طلمبه مايه', 'طلمبه مياه'], arabizi: ['tromba maya', 'tolomba maya'] },
+  { en: 'thermostat', groups: ['RADIATOR'], ar: ['ثرموستات', 'بلف حراره'], arabizi: ['thermostat', 'termostat'] },
+  { en: 'fan', groups: ['RADIATOR'], ar: ['مروحه', 'مراوح'], arabizi: ['marwa7a', 'marwaha'] },
+  { en: 'fuel pump', groups: ['FUEL SUPPLY'], ar: ['طرمبه بنزين', 'طلمبه بنزين'], arabizi: ['tromba benzin', 'tolomba benzin'] },
+  { en: 'lambda probe', groups: ['EXHAUST SYSTEM'], ar: ['حساس اكسجين', 'حساس شكمان'], arabizi: ['7assas oxygen', 'hassas oxygen'] },
+  { en: 'silencer', groups: ['EXHAUST SYSTEM'], ar: ['شكمان', 'علبه شكمان'], arabizi: ['shakman'] },
+  { en: 'compressor', groups: ['HEATER AND AIR CONDITIONING'], ar: ['كمبروسر', 'كومبريسور تكييف', 'كمبروسر تكييف'], arabizi: ['compressor', 'kombresor'] },
+
+  // ── Clutch, suspension, steering, wheels ──
+  { en: 'clutch', groups: ['CLUTCH'], ar: ['دبرياج', 'ديسك دبرياج'], arabizi: ['debriag', 'dobreyaj'] },
+  { en: 'shock absorber', groups: ['FRONT AXLE', 'REAR AXLE'], ar: ['مساعد', 'مساعدين'], arabizi: ['mosa3ed', 'mosaed'] },
+  { en: 'wishbone', groups: ['FRONT AXLE'], ar: ['مقص', 'مقصات'], arabizi: ['ma2as', 'maas'] },
+  { en: 'wheel bearing', groups: ['FRONT AXLE', 'REAR AXLE'], ar: ['بلي عجل', 'رولمان بلي', 'بلي'], arabizi: ['bely', 'romman bely'] },
+  { en: 'tie rod end', groups: ['STEERING'], ar: ['طرف دركسيون', 'بيضه دركسيون'], arabizi: ['taraf direksyon'] },
+  { en: 'steering', groups: ['STEERING'], ar: ['دركسيون'], arabizi: ['direksyon', 'dereksion'] },
+  { en: 'light alloy rim', groups: ['WHEELS'], ar: ['جنط', 'جنوط'], arabizi: ['gant', 'gonot'] },
+
+  // ── Body & trim ──
+  { en: 'bumper', groups: ['VEHICLE TRIM'], ar: ['اكصدام', 'اكسدام', 'اصدام'], arabizi: ['ekseddam', 'eksedam'] },
+  { en: 'bonnet', groups: ['BODYWORK'], ar: ['كبوت', 'كابوت'], arabizi: ['kaboot', 'kabbot'] },
+  { en: 'side panel', groups: ['BODYWORK'], ar: ['رفرف'], arabizi: ['rafraf'] },
+  { en: 'door', groups: ['BODYWORK'], ar: ['باب', 'ابواب'], arabizi: ['bab'] },
+  { en: 'outside mirror', groups: ['VEHICLE TRIM'], ar: ['مرايه', 'مرايات', 'مرايه جانبيه'], arabizi: ['mraya', 'meraya'] },
+  { en: 'kidney grille', groups: ['VEHICLE TRIM'], ar: ['شبكه امامي', 'كلاوي', 'كليه'], arabizi: ['shabaka', 'kalawy'] },
+  { en: 'window lifter', groups: ['VEHICLE TRIM'], ar: ['ماكينه زجاج', 'ماكينه ازاز'], arabizi: ['makanet ezaz'] },
+  { en: 'door handle', groups: ['VEHICLE TRIM'], ar: ['اوكره', 'اكره'], arabizi: ['okra'] },
+  { en: 'wiper blade', groups: ['VEHICLE ELECTRICAL SYSTEM'], ar: ['مساحه', 'مساحات'], arabizi: ['masa7a', 'massaha'] },
+
+  // ── Generic nouns ──
+  { en: 'filter', groups: [], ar: ['فلتر'], arabizi: ['filtar'] },
+  { en: 'oil', groups: [], ar: ['زيت'], arabizi: ['zeit', 'zet'] },
+  { en: 'sensor', groups: [], ar: ['حساس'], arabizi: ['hassas', '7assas'] },
+  { en: 'pump', groups: [], ar: ['طرمبه', 'طلمبه'], arabizi: ['tromba', 'tolomba'] },
+  { en: 'light', groups: ['LIGHTING'], ar: ['نور', 'انوار'], arabizi: ['nour'] },
+
+  // ── Modifiers ──
+  { en: 'front', groups: [], ar: ['امامي', 'اماميه', 'قدام', 'قدامي'], arabizi: ['amami', 'odam', 'oddamy'] },
+  { en: 'rear', groups: [], ar: ['خلفي', 'خلفيه', 'ورا', 'وراني'], arabizi: ['khalfi', 'wara', 'warany'] },
+  { en: 'left', groups: [], ar: ['شمال', 'يسار'], arabizi: ['shemal', 'yasar'] },
+  { en: 'right', groups: [], ar: ['يمين'], arabizi: ['yemeen', 'yamin'] },
+  { en: 'set', groups: [], ar: ['طقم'], arabizi: ['ta2m', 'takm'] },
+];
+
+/**
+ * English words that are never read as Arabizi (besides the `en` terms above):
+ * their consonant skeleton would meet an Arabizi spelling ("tail" / "toll" →
+ * "til", "wire" → "wara", "motor" in "wiper motor"), so they only match exactly.
+ */
+const ENGLISH_WORDS = [
+  // RealOEM description words
+  'arm', 'axle', 'ball', 'belt', 'boot', 'bolt', 'bracket', 'bush', 'cable', 'cap', 'cover', 'gear',
+  'hose', 'housing', 'hub', 'joint', 'kit', 'lamp', 'lever', 'line', 'link', 'lock', 'lower', 'motor',
+  'nut', 'pedal', 'pipe', 'relay', 'repair', 'ring', 'roof', 'screw', 'seal', 'seat', 'shaft', 'spring',
+  'strut', 'support', 'switch', 'tail', 'tank', 'tire', 'tool', 'trim', 'tyre', 'unit', 'upper', 'valve',
+  'washer', 'wire',
+  // everyday words with an Arabizi-looking skeleton
+  'bell', 'gain', 'gun', 'mass', 'more', 'near', 'sure', 'tale', 'team', 'tell', 'tile', 'till', 'time',
+  'toll', 'wear',
+];
+
+module.exports = { PART_SYNONYMS, ENGLISH_WORDS };
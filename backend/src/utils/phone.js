@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Phone number matching between WhatsApp ids and what agents type in the
+ * customer form ("+20 100 120 2986", "01001202986", "201001202986").
+ */
+
+/** Digits only. */
+function phoneDigits(phone) {
+  return String(phone ?? '').replace(/\D/g, '');
+}
+
+/**
+ * Comparable key: the last 10 digits (Egyptian mobile numbers without the
+ * country code or trunk 0). Shorter input is returned as-is.
+ */
+function phoneKey(phone) {
+  return phoneDigits(phone).slice(-10);
+}
+
+function samePhone(a, b) {
+  const ka = phoneKey(a);
+  return ka.length >= 7 && ka === phoneKey(b);
+}
+
+module.exports = { phoneDigits, phoneKey, samePhone };
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Express middleware guarding /api/admin/* routes.
+ *
+ * Requires the x-admin-api-key header to match env ADMIN_API_KEY.
+ * If ADMIN_API_KEY is not set, requests are allowed (dev mode) — same
+ * convention as DEBUG_API_KEY for /api/debug.
+ */
+function requireAdminKey(req, res, next) {
+  const expectedKey = process.env.ADMIN_API_KEY;
+  if (!expectedKey) {
+    // No key configured — allow access (dev environment)
+    return next();
+  }
+  const provided = req.headers['x-admin-api-key'];
+  if (!provided || provided !== expectedKey) {
+    return res.status(403).json({ error: 'Forbidden: missing or invalid x-admin-api-key header' });
+  }
+  next();
+}
+
+module.exports = { requireAdminKey };
@@ -0,0 +1,35 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Expiring links to agent-UI resources that carry customer data (quote PDF,
+ * WhatsApp thread and media), signed with QUOTE_LINK_SECRET and valid
+ * QUOTE_LINK_TTL_HOURS (default 72): <path>?expires=<unix s>&sig=<hmac>.
+ * The HMAC covers the path, so a link opens only the resource it was issued for.
+ */
+
+function linkSignature(secret, path, expires) {
+  return crypto.createHmac('sha256', secret).update(`${path}:${expires}`).digest('hex');
+}
+
+/** Signed link to path. Without the secret, the plain path (the route then needs the admin key). */
+function signedLink(path, now = Date.now()) {
+  const secret = process.env.QUOTE_LINK_SECRET;
+  if (!secret) return path;
+  const hours = parseFloat(process.env.QUOTE_LINK_TTL_HOURS) || 72;
+  const expires = Math.floor(now / 1000 + hours * 3600);
+  return `${path}?expires=${expires}&sig=${linkSignature(secret, path, expires)}`;
+}
+
+/** True when expires / sig come from signedLink for this path and have not expired. */
+function verifySignedLink(path, expires, sig, now = Date.now()) {
+  const secret = process.env.QUOTE_LINK_SECRET;
+  const exp = parseInt(expires, 10);
+  if (!secret || !sig || !Number.isFinite(exp) || exp * 1000 < now) return false;
+  const expected = Buffer.from(linkSignature(secret, path, exp), 'hex');
+  const provided = Buffer.from(String(sig), 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = { signedLink, verifySignedLink };
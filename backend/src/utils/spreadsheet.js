@@ -0,0 +1,84 @@
+'use strict';
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { AppError } = require('./errors');
+const { parseCsv } = require('./csv');
+
+/**
+ * Uploaded spreadsheets (admin imports: supplier price lists, cross-references).
+ * CSV (",", ";" or tab separated) or XLSX (first sheet); the first row is the header.
+ */
+
+/** "," or ";" or tab — whichever splits the header line into the most columns. */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return [',', ';', '\t']
+    .map((d) => ({ d, n: firstLine.split(d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new AppError(`Could not read the XLSX file: ${err.message}`, 400);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  let headers = null;
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let c = 1; c <= row.cellCount; c++) cells.push(row.getCell(c).text);
+    if (!headers) {
+      headers = cells;
+      return;
+    }
+    const obj = { _row: row.number };
+    headers.forEach((h, i) => { obj[h] = cells[i] ?? ''; });
+    rows.push(obj);
+  });
+  return rows;
+}
+
+/**
+ * Header-keyed rows of an uploaded file (CSV / XLSX by file extension).
+ * Each row carries _row (spreadsheet row number, for error reports).
+ * Throws AppError 400 on an unsupported / unreadable file.
+ */
+async function readSpreadsheet(buffer, filename) {
+  const ext = path.extname(String(filename || '')).toLowerCase();
+  if (ext === '.xlsx') return readXlsx(buffer);
+  if (ext === '.csv' || ext === '.txt') {
+    const text = buffer.toString('utf8');
+    // Row numbers assume no line breaks inside quoted fields
+    return parseCsv(text, { delimiter: detectDelimiter(text) }).map((row, i) => ({ _row: i + 2, ...row }));
+  }
+  throw new AppError('file must be a .csv or .xlsx file', 400);
+}
+
+/**
+ * Map file headers to known columns.
+ * @param {object} row - any row (its keys are the headers)
+ * @param {object} aliases - { column: ['header', 'other header', ...] } (lower case)
+ * @returns {object} { column: header as in the file } for the columns found
+ */
+function mapColumns(row, aliases) {
+  const columns = {};
+  for (const header of Object.keys(row || {})) {
+    const h = String(header).trim().toLowerCase().replace(/\s+/g, ' ');
+    const key = Object.keys(aliases).find((k) => aliases[k].includes(h));
+    if (key && !columns[key]) columns[key] = header;
+  }
+  return columns;
+}
+
+/** True when a row has any non-blank cell (besides _row). */
+function hasValues(row) {
+  return Object.keys(row).some((k) => k !== '_row' && String(row[k] ?? '').trim());
+}
+
+module.exports = { readSpreadsheet, mapColumns, hasValues };
@@ -0,0 +1,47 @@
+'use strict';
+
+const { AppError } = require('./errors');
+
+/**
+ * Per-tenant settings stored as JSON columns on Tenant. Each service owns one
+ * (defaultConfig from env, validate*Config, get*Config); the stored object is
+ * merged over the env defaults, replaced as a whole from the admin API
+ * (routes/adminTenantRoutes.js → state.repo updateTenantConfig), and null resets it.
+ */
+
+const TENANT_CONFIG_COLUMNS = [
+  'pricing_config',    // services/pricing.service.js
+  'followup_config',   // services/followup.service.js
+  'odoo_automation',   // services/odooAutomation.service.js
+  'stock_config',      // services/stock.service.js
+  'supplier_config',   // services/supplierOffers.service.js
+  'catalog_config',    // services/catalogCache.service.js
+];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Effective config: the tenant's stored column over `defaults`. Keys listed in
+ * `nested` are objects merged one level deeper (e.g. pricing markup / rounding).
+ */
+function mergeTenantConfig(defaults, tenant, column, nested = []) {
+  const own = isPlainObject(tenant?.[column]) ? tenant[column] : {};
+  const config = { ...defaults, ...own };
+  for (const key of nested) config[key] = { ...defaults[key], ...(own[key] || {}) };
+  return config;
+}
+
+/**
+ * Shared checks of a validate*Config (admin API): throws AppError 400 unless
+ * `config` is an object and, with `fields`, has no other keys.
+ */
+function assertConfigObject(config, column, fields = null) {
+  if (!isPlainObject(config)) throw new AppError(`${column} must be an object`, 400);
+  if (!fields) return;
+  const unknown = Object.keys(config).filter((key) => !fields.includes(key));
+  if (unknown.length) throw new AppError(`unknown field(s): ${unknown.join(', ')}`, 400);
+}
+
+module.exports = { TENANT_CONFIG_COLUMNS, mergeTenantConfig, assertConfigObject };
@@ -6,11 +6,11 @@ const crypto = require('crypto');
  * Verify the X-Hub-Signature-256 header from Meta webhook payloads.
  * Returns true if signature is valid, false otherwise.
  *
- * If META_APP_SECRET is not configured, logs a warning and returns true
+ * appSecret: the tenant's Meta app secret (multi-number setups); defaults to
+ * env META_APP_SECRET. If none is configured, returns true
  * (allows development without signature validation).
  */
-function verifyMetaSignature(rawBody, signatureHeader) {
-  const appSecret = process.env.META_APP_SECRET;
+function verifyMetaSignature(rawBody, signatureHeader, appSecret = process.env.META_APP_SECRET) {
 
   if (!appSecret) {
     return true; // skip validation when not configured
@@ -0,0 +1,188 @@
+'use strict';
+
+const { VinValidationError } = require('./errors');
+
+/**
+ * VIN decoder (ISO 3779 / ISO 3780).
+ *
+ * Layout of a 17-character VIN:
+ *   1-3   WMI  (world manufacturer identifier)
+ *   4-8   VDS  (vehicle descriptor)
+ *   9     check digit (mandatory in North America, used by BMW group worldwide)
+ *   10    model year code
+ *   11    plant code
+ *   12-17 serial number — the last 7 characters (11-17) are the chassis number
+ *         RealOEM and Odoo are keyed on.
+ *
+ * VIN_CHECK_DIGIT_MODE controls enforcement of position 9:
+ *   auto   (default) — enforce for North American WMIs and manufacturers listed
+ *                      with checkDigit: true below
+ *   strict — enforce for every VIN
+ *   off    — never enforce (still reported as check_digit_valid)
+ */
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+const VIN_17_REGEX = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Model year codes repeat every 30 years (I, O, Q, U, Z and 0 are never used).
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+const MANUFACTURERS = {
+  WBA: { make: 'BMW', checkDigit: true },
+  WBS: { make: 'BMW M', checkDigit: true },
+  WBY: { make: 'BMW i', checkDigit: true },
+  WBX: { make: 'BMW', checkDigit: true },
+  WB1: { make: 'BMW Motorrad', checkDigit: true },
+  WMW: { make: 'MINI', checkDigit: true },
+  '4US': { make: 'BMW', checkDigit: true },
+  '5UX': { make: 'BMW', checkDigit: true },
+  '5UM': { make: 'BMW M', checkDigit: true },
+  '5YM': { make: 'BMW M', checkDigit: true },
+  SCA: { make: 'Rolls-Royce', checkDigit: true },
+  WDB: { make: 'Mercedes-Benz' },
+  WDC: { make: 'Mercedes-Benz' },
+  WDD: { make: 'Mercedes-Benz' },
+  W1K: { make: 'Mercedes-Benz' },
+  W1N: { make: 'Mercedes-Benz' },
+  WAU: { make: 'Audi' },
+  WUA: { make: 'Audi' },
+  WVW: { make: 'Volkswagen' },
+  WVG: { make: 'Volkswagen' },
+  WP0: { make: 'Porsche' },
+  WP1: { make: 'Porsche' },
+  VF1: { make: 'Renault' },
+  VF3: { make: 'Peugeot' },
+  VF7: { make: 'Citroën' },
+  ZFA: { make: 'Fiat' },
+  TMB: { make: 'Škoda' },
+  VSS: { make: 'SEAT' },
+  SAL: { make: 'Land Rover' },
+  SAJ: { make: 'Jaguar' },
+  YV1: { make: 'Volvo' },
+  JTD: { make: 'Toyota' },
+  JTE: { make: 'Toyota' },
+  JHM: { make: 'Honda' },
+  JN1: { make: 'Nissan' },
+  KMH: { make: 'Hyundai' },
+  KNA: { make: 'Kia' },
+};
+
+// Plant codes (position 11) are manufacturer-specific; only BMW group is mapped.
+const BMW_PLANTS = {
+  A: 'Munich',
+  B: 'Dingolfing', C: 'Dingolfing', D: 'Dingolfing', F: 'Dingolfing', G: 'Dingolfing',
+  E: 'Regensburg', J: 'Regensburg', P: 'Regensburg',
+  K: 'Rosslyn', N: 'Rosslyn',
+  L: 'Spartanburg', Y: 'Spartanburg',
+  V: 'Leipzig',
+  W: 'Graz (Magna Steyr)',
+  R: 'Oxford (MINI)',
+};
+
+function regionForWmi(wmi) {
+  const c = wmi[0];
+  if (/[A-H]/.test(c)) return 'Africa';
+  if (/[J-R]/.test(c)) return 'Asia';
+  if (/[S-Z]/.test(c)) return 'Europe';
+  if (/[1-5]/.test(c)) return 'North America';
+  if (/[6-7]/.test(c)) return 'Oceania';
+  return 'South America';
+}
+
+/** Expected check digit ('0'-'9' or 'X') for a 17-char VIN. */
+function computeCheckDigit(vin) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const ch = vin[i];
+    const value = /\d/.test(ch) ? Number(ch) : TRANSLITERATION[ch];
+    sum += value * WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Model year from position 10. Codes repeat every 30 years; North American
+ * VINs use a letter at position 7 for 2010+ models. Elsewhere the most recent
+ * year not later than next year is assumed.
+ */
+function decodeModelYear(vin, region) {
+  const idx = YEAR_CODES.indexOf(vin[9]);
+  if (idx === -1) return null;
+  const early = 1980 + idx;
+  const late = early + 30;
+  if (region === 'North America') return /[A-Z]/.test(vin[6]) ? late : early;
+  const maxYear = new Date().getFullYear() + 1;
+  return late <= maxYear ? late : early;
+}
+
+function checkDigitRequired(wmi, manufacturer) {
+  const mode = (process.env.VIN_CHECK_DIGIT_MODE || 'auto').toLowerCase();
+  if (mode === 'off') return false;
+  if (mode === 'strict') return true;
+  return /^[1-5]/.test(wmi) || !!(manufacturer && manufacturer.checkDigit);
+}
+
+/**
+ * Decode a 17-character VIN (already uppercased, no separators).
+ * Throws VinValidationError (details.reason: 'format' | 'check_digit').
+ *
+ * @returns {{ vin, chassis, wmi, vds, vis, manufacturer, region, model_year,
+ *             plant_code, plant, serial, check_digit, check_digit_valid }}
+ */
+function decodeVin(vin) {
+  if (typeof vin !== 'string' || !VIN_17_REGEX.test(vin)) {
+    const err = new VinValidationError(`VIN must be 17 characters (A-Z except I/O/Q, 0-9): ${vin}`);
+    err.details = { reason: 'format', vin };
+    throw err;
+  }
+
+  const wmi = vin.slice(0, 3);
+  const manufacturer = MANUFACTURERS[wmi] || null;
+  const region = regionForWmi(wmi);
+  const expected = computeCheckDigit(vin);
+  const checkDigitValid = vin[8] === expected;
+
+  if (!checkDigitValid && checkDigitRequired(wmi, manufacturer)) {
+    const err = new VinValidationError(`VIN check digit mismatch: got ${vin[8]}, expected ${expected}`);
+    err.details = { reason: 'check_digit', vin, got: vin[8], expected };
+    throw err;
+  }
+
+  const plantCode = vin[10];
+  const isBmwGroup = !!(manufacturer && manufacturer.checkDigit);
+
+  return {
+    vin,
+    chassis: vin.slice(-7),
+    wmi,
+    vds: vin.slice(3, 9),
+    vis: vin.slice(9),
+    manufacturer: manufacturer ? manufacturer.make : null,
+    region,
+    model_year: decodeModelYear(vin, region),
+    plant_code: plantCode,
+    plant: isBmwGroup ? BMW_PLANTS[plantCode] || null : null,
+    serial: vin.slice(11),
+    check_digit: vin[8],
+    check_digit_valid: checkDigitValid,
+  };
+}
+
+/**
+ * "BMW 2019"-style label for quote headers, from decodeVin() output (or the
+ * vin_decoded block stored in vehicle_details). Returns '' when unknown.
+ */
+function formatMakeYear(decoded) {
+  if (!decoded) return '';
+  return [decoded.manufacturer, decoded.model_year].filter(Boolean).join(' ');
+}
+
+module.exports = { decodeVin, computeCheckDigit, formatMakeYear };
@@ -6,8 +6,10 @@ const stateRepo = require('../db/state.repo');
 const { classifyWithFallback } = require('../services/agentService');
 const { getPendingAction, clearPendingAction, PENDING_ACTIONS } = require('../services/stateMachine');
 const { handleResume } = require('./resumeHandlers');
-const { routeScenario, normalizeVin } = require('./router');
-const { handleVin } = require('../domain/vin.flow');
+const { routeScenario, parseVin } = require('./router');
+const { handleVin, INVALID_VIN_MESSAGE } = require('../domain/vin.flow');
+const { VinValidationError } = require('../utils/errors');
+const { isPartNumberMessage } = require('../utils/partNumber');
 const { handlePart } = require('../domain/part.flow');
 const { handleKit } = require('../domain/kit.flow');
 const { handleFinalize } = require('../domain/finalize.flow');
@@ -106,7 +108,18 @@ async function processUserMessage(chatId, userMessage, correlationId, sender) {
       if (typeof textForAI === 'string') {
         const strippedInput = textForAI.trim().replace(/[\W_]/g, '');
         if (strippedInput.length === 7 || strippedInput.length === 17) {
-          const vinCandidate = normalizeVin(textForAI);
+          let parsedVin = null;
+          try {
+            parsedVin = parseVin(textForAI);
+          } catch (err) {
+            if (!(err instanceof VinValidationError)) throw err;
+            // Full VIN with a bad check digit — reject before spending a scraper call
+            log.info('processUserMessage: standalone VIN rejected', err.details);
+            await s.sendMessage(INVALID_VIN_MESSAGE);
+            await finalizeRun('SUCCESS');
+            return;
+          }
+          const vinCandidate = parsedVin && (parsedVin.full_vin || parsedVin.vin);
           if (vinCandidate) {
             log.info('processUserMessage: standalone VIN detected, routing direct', { vinCandidate });
             await handleVin(chatId, { scenario: 'vin', vin: vinCandidate, part_name: [], human_text: '' }, state, corrId, s);
@@ -123,6 +136,30 @@ async function processUserMessage(chatId, userMessage, correlationId, sender) {
         }
       }
 
+      // ── Part-number pre-detection (mirrors VIN pre-detection above) ─────────
+      // A message that is only OEM part number(s) ("11427953129", "11-42-7-953-129",
+      // "old → new") skips the classifier and fuzzy scoring; part.flow looks the
+      // number up in the catalog cache and Odoo directly.
+      if (typeof textForAI === 'string' && isPartNumberMessage(textForAI)) {
+        log.info('processUserMessage: part number detected, routing direct', { text: textForAI.slice(0, 100) });
+        await trace.step('part_number_predetect', async () => {
+          await handlePart(
+            chatId,
+            { scenario: 'part', vin: '', part_name: [textForAI], human_text: '' },
+            state, corrId, s
+          );
+        }, { domain: 'routing', input: { text: textForAI.slice(0, 200) }, replaySafe: false });
+        await stateRepo.saveState(chatId, {
+          history: [
+            ...(state.history || []).slice(-18),
+            { role: 'user', content: textForAI },
+            { role: 'system', content: `part_number_direct: ${textForAI.slice(0, 100)}` },
+          ],
+        }, corrId).catch(() => {});
+        await finalizeRun('SUCCESS');
+        return;
+      }
+
       // ── Kit pre-detection (mirrors VIN pre-detection above) ──────────────────
       // "طقم" (Arabic) or "kit" (English whole-word) triggers kit flow directly,
       // bypassing the LLM classifier which doesn't reliably enforce the kit rule.
@@ -8,6 +8,7 @@
  *
  * Routing:
  *   CONFIRM_PART_MATCH      → resumeConfirmPartMatch
+ *   CHOOSE_PART_CANDIDATE   → resumeChoosePartCandidate (also via POST /api/chat/submit-form)
  *   CONFIRM_KIT             → resumeConfirmKit
  *   AWAIT_KIT_CLARIFICATION → resumeAwaitKitClarification
  *   COLLECT_CUSTOMER_DATA   → resumeCollectCustomerData
@@ -22,12 +23,13 @@ const stateMachine = require('../services/stateMachine');
 const { PENDING_ACTIONS, clearPendingAction, setPendingAction, parseYesNo } = stateMachine;
 const stateRepo = require('../db/state.repo');
 const quotesRepo = require('../db/quotes.repo');
+const learnedAliasRepo = require('../db/learnedAlias.repo');
 const odoo = require('../services/odoo.service');
-const ai = require('../ai/agent');
-const sheets = require('../integrations/sheets.client');
+const { formatMakeYear } = require('../utils/vinDecoder');
 
 // Lazy import to avoid circular dependency at module load time
 function getPartFlow() { return require('../domain/part.flow'); }
+function getKitFlow() { return require('../domain/kit.flow'); }
 function getFinalizeFlow() { return require('../domain/finalize.flow'); }
 
 /**
@@ -40,6 +42,8 @@ async function handleResume(chatId, pendingAction, payload, userMessage, state,
   switch (pendingAction) {
     case PENDING_ACTIONS.CONFIRM_PART_MATCH:
       return resumeConfirmPartMatch(chatId, payload, userMessage, state, sender, correlationId);
+    case PENDING_ACTIONS.CHOOSE_PART_CANDIDATE:
+      return resumeChoosePartCandidate(chatId, payload, userMessage, state, sender, correlationId);
     case PENDING_ACTIONS.CONFIRM_KIT:
       return resumeConfirmKit(chatId, payload, userMessage, state, sender, correlationId);
     case PENDING_ACTIONS.AWAIT_KIT_CLARIFICATION:
@@ -62,6 +66,94 @@ async function handleResume(chatId, pendingAction, payload, userMessage, state,
   }
 }
 
+// ─── Shared: basket add + continuation ───────────────────────────────────────
+
+/**
+ * Look up a confirmed catalog part in Odoo and add it to the quote basket.
+ * A part missing from Odoo is added too (with its catalog description): the
+ * agent creates the product in the CHOOSE_PRODUCT form (finalize.flow).
+ * Replies to the agent either way; returns true when the part was added.
+ */
+async function addPartToBasket(quoteId, part, partName, tenant, sender, correlationId) {
+  const log = logger.child(correlationId);
+  // Direct part-number matches arrive with their Odoo products already looked up
+  let products = Array.isArray(part.products) ? part.products : [];
+  if (!products.length) {
+    try {
+      products = await odoo.searchProduct(part.part_number, correlationId, tenant);
+    } catch (err) {
+      log.warn('addPartToBasket: odoo searchProduct failed', { error: err.message });
+    }
+  }
+
+  try {
+    await quotesRepo.addToBasket(quoteId, {
+      part_number: part.part_number,
+      description: part.description || partName || null,
+      products,
+    }, correlationId);
+    log.info('addPartToBasket: added to basket', { part_number: part.part_number, inOdoo: products.length > 0 });
+    await sender.sendMessage(products.length
+      ? `✅ تم إضافة "${partName}" للسلة.`
+      : `✅ تم إضافة "${partName}" للسلة — القطعة مش موجودة في Odoo، وتقدر تنشئها كمنتج جديد في خطوة اختيار المنتجات.`);
+    return true;
+  } catch (err) {
+    log.warn('addPartToBasket: addToBasket failed', { error: err.message });
+    await sender.sendMessage(`حصل مشكلة في الإضافة للسلة.`);
+    return false;
+  }
+}
+
+/** Process the next queued part name, or ask whether to add more items. */
+async function continueAfterPart(chatId, quoteId, vin, remainingParts, sender, correlationId) {
+  const remaining = Array.isArray(remainingParts) ? remainingParts : [];
+  if (remaining.length > 0) {
+    const freshState = await stateRepo.getState(chatId, correlationId);
+    const quote = await quotesRepo.getLatestOpenQuote(chatId, correlationId);
+    if (quote) {
+      await getPartFlow().processOnePart(chatId, remaining[0], vin || quote.vin, quote, freshState, correlationId, sender, remaining.slice(1));
+    }
+  } else {
+    await setPendingAction(chatId, PENDING_ACTIONS.ADD_MORE_ITEMS, { quote_id: quoteId }, 60, correlationId);
+    await sender.sendMessage('هل تريد إضافة قطعة أخرى؟\n\nرد بـ *نعم* أو *لا*');
+  }
+}
+
+/**
+ * Best-effort: store the agent's answer in the learned alias table.
+ * Only for searches that started from free text (payload.alias).
+ */
+function learnAlias(payload, part, confirmed, correlationId) {
+  if (!payload.alias || !part || !part.part_number) return;
+  const group = part.group_name || payload.main_group || null;
+  const data = {
+    alias: payload.alias,
+    type_code: payload.type_code || '',
+    part_number: part.part_number,
+    main_group: group && group !== 'UNKNOWN' ? group : null,
+    description: part.description || null,
+  };
+  const save = confirmed ? learnedAliasRepo.recordConfirmation : learnedAliasRepo.recordRejection;
+  save(data, correlationId).catch((err) =>
+    logger.child(correlationId).warn('learnAlias failed (best-effort)', { error: err.message })
+  );
+}
+
+/** Treat a free-text reply as a fresh search for the same slot in the part chain. */
+async function searchAgain(chatId, partName, vin, remainingParts, sender, correlationId) {
+  const freshState = await stateRepo.getState(chatId, correlationId);
+  const quote = await quotesRepo.getLatestOpenQuote(chatId, correlationId);
+  if (quote) {
+    await getPartFlow().processOnePart(
+      chatId, partName,
+      vin || quote.vin, quote, freshState, correlationId, sender,
+      Array.isArray(remainingParts) ? remainingParts : []
+    );
+  } else {
+    await sender.sendMessage('مفيش عرض سعر مفتوح. ابعت الـ VIN الأول.');
+  }
+}
+
 // ─── CONFIRM_PART_MATCH ─────────────────────────────────────────────────────
 
 async function resumeConfirmPartMatch(chatId, payload, userMessage, state, sender, correlationId) {
@@ -74,47 +166,19 @@ async function resumeConfirmPartMatch(chatId, payload, userMessage, state, sende
   if (decision === 'yes') {
     await clearPendingAction(chatId, correlationId);
 
+    learnAlias(payload, best_match, true, correlationId);
     const tenant = tenant_id ? await stateRepo.getTenant(tenant_id, correlationId) : null;
-    let products = [];
-    try {
-      products = await odoo.searchProduct(best_match.part_number, correlationId, tenant);
-    } catch (err) {
-      log.warn('resumeConfirmPartMatch: odoo searchProduct failed', { error: err.message });
-    }
-
-    if (!products.length) {
-      await sender.sendMessage(`آسف، القطعة "${part_name}" مش متوفرة حالياً في المخزون.`);
-    } else {
-      try {
-        await quotesRepo.addToBasket(quote_id, { part_number: best_match.part_number, products }, correlationId);
-        log.info('resumeConfirmPartMatch: added to basket', { part_number: best_match.part_number });
-        await sender.sendMessage(`✅ تم إضافة "${part_name}" للسلة.`);
-      } catch (err) {
-        log.warn('resumeConfirmPartMatch: addToBasket failed', { error: err.message });
-        await sender.sendMessage(`حصل مشكلة في الإضافة للسلة.`);
-      }
-    }
-
-    // Process remaining parts or ask about more
-    const remaining = Array.isArray(remaining_parts) ? remaining_parts : [];
-    if (remaining.length > 0) {
-      const freshState = await stateRepo.getState(chatId, correlationId);
-      const quote = await quotesRepo.getLatestOpenQuote(chatId, correlationId);
-      if (quote) {
-        await getPartFlow().processOnePart(chatId, remaining[0], vin || quote.vin, quote, freshState, correlationId, sender, remaining.slice(1));
-      }
-    } else {
-      await setPendingAction(chatId, PENDING_ACTIONS.ADD_MORE_ITEMS, { quote_id }, 60, correlationId);
-      await sender.sendMessage('هل تريد إضافة قطعة أخرى؟\n\nرد بـ *نعم* أو *لا*');
-    }
+    await addPartToBasket(quote_id, best_match, part_name, tenant, sender, correlationId);
+    await continueAfterPart(chatId, quote_id, vin, remaining_parts, sender, correlationId);
 
   } else if (decision === 'no') {
+    learnAlias(payload, best_match, false, correlationId);
     if (second_match && second_match.part_number) {
       // Show second match and stay in CONFIRM_PART_MATCH
       const newPayload = {
+        ...payload,
         best_match: second_match,
         second_match: null,
-        quote_id, part_name, vin, remaining_parts, tenant_id,
       };
       await setPendingAction(chatId, PENDING_ACTIONS.CONFIRM_PART_MATCH, newPayload, 60, correlationId);
       const msg = [
@@ -135,18 +199,67 @@ async function resumeConfirmPartMatch(chatId, payload, userMessage, state, sende
   } else {
     // UNCLEAR — treat as new part search description
     await clearPendingAction(chatId, correlationId);
-    const freshState = await stateRepo.getState(chatId, correlationId);
-    const quote = await quotesRepo.getLatestOpenQuote(chatId, correlationId);
-    if (quote) {
-      await getPartFlow().processOnePart(
-        chatId, userMessage,
-        vin || quote.vin, quote, freshState, correlationId, sender,
-        Array.isArray(remaining_parts) ? remaining_parts : []
-      );
-    } else {
-      await sender.sendMessage('مفيش عرض سعر مفتوح. ابعت الـ VIN الأول.');
+    await searchAgain(chatId, userMessage, vin, remaining_parts, sender, correlationId);
+  }
+}
+
+// ─── CHOOSE_PART_CANDIDATE ───────────────────────────────────────────────────
+
+/**
+ * Resolve the agent's selection against the offered candidates.
+ * Accepts the submitted form ({ part_numbers: [...] }) or a text reply with
+ * 1-based positions ("1,3") or part numbers. Returns null when the reply is
+ * not a selection at all.
+ */
+function pickCandidates(candidates, userMessage) {
+  const list = Array.isArray(candidates) ? candidates : [];
+  if (typeof userMessage === 'object' && userMessage !== null) {
+    const raw = userMessage.part_numbers;
+    const wanted = (Array.isArray(raw) ? raw : String(raw || '').split(',')).map((v) => String(v).trim());
+    return list.filter((c) => wanted.includes(String(c.part_number)));
+  }
+  const text = String(userMessage || '').trim().replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x660));
+  if (/^\d{1,2}(\s*[,،\s]\s*\d{1,2})*$/.test(text)) {
+    const positions = text.split(/[,،\s]+/).map(Number);
+    return list.filter((c, i) => positions.includes(i + 1));
+  }
+  const digits = text.replace(/[^\d\s,،]/g, ' ');
+  const byNumber = list.filter((c) => c.part_number && digits.replace(/\s/g, '').includes(String(c.part_number)));
+  return byNumber.length ? byNumber : null;
+}
+
+async function resumeChoosePartCandidate(chatId, payload, userMessage, state, sender, correlationId) {
+  const log = logger.child(correlationId);
+  const { candidates, quote_id, part_name, vin, remaining_parts, tenant_id } = payload;
+  const picked = pickCandidates(candidates, userMessage);
+
+  log.info('resumeChoosePartCandidate', { chatId, part_name, picked: picked ? picked.map((c) => c.part_number) : null });
+
+  if (picked === null) {
+    await clearPendingAction(chatId, correlationId);
+    if (parseYesNo(userMessage) === 'no') {
+      await sender.sendMessage('تمام، آسف جداً. من فضلك حاول توصف القطعة المطلوبة تاني بكلمات أوضح، أو باسم مختلف، وهحاول أبحث مرة تانية.');
+      return;
     }
+    // Anything else — treat as a new description for the same part slot
+    await searchAgain(chatId, userMessage, vin, remaining_parts, sender, correlationId);
+    return;
+  }
+
+  if (!picked.length) {
+    // Keep the picker open
+    await sender.sendMessage('اختار قطعة واحدة على الأقل من القائمة.');
+    return;
+  }
+
+  await clearPendingAction(chatId, correlationId);
+  for (const part of picked) learnAlias(payload, part, true, correlationId);
+  const tenant = tenant_id ? await stateRepo.getTenant(tenant_id, correlationId) : null;
+  for (const part of picked) {
+    const label = picked.length > 1 ? (part.description || part.part_number) : part_name;
+    await addPartToBasket(quote_id, part, label, tenant, sender, correlationId);
   }
+  await continueAfterPart(chatId, quote_id, vin, remaining_parts, sender, correlationId);
 }
 
 // ─── CONFIRM_KIT ─────────────────────────────────────────────────────────────
@@ -189,13 +302,14 @@ async function resumeConfirmKit(chatId, payload, userMessage, state, sender, cor
   } else {
     // Any other text → treat as clarification of kit
     await clearPendingAction(chatId, correlationId);
-    const kits = await sheets.getAllKits(correlationId).catch(() => []);
-    if (kits.length) {
-      const matchResult = await ai.matchKit(userMessage, kits, correlationId);
+    const quote = await quotesRepo.getLatestOpenQuote(chatId, correlationId).catch(() => null);
+    const matchResult = await getKitFlow().findKit(userMessage, quote?.vehicle_details, correlationId)
+      .catch(() => ({ available: false }));
+    if (matchResult.available) {
       if (matchResult.matched) {
         await setPendingAction(chatId, PENDING_ACTIONS.CONFIRM_KIT, {
           kit_code: matchResult.kit_code,
-          kit_name: matchResult.kit_code,
+          kit_name: matchResult.kit_name,
           parts_list: matchResult.parts_array,
           quote_id,
         }, 60, correlationId);
@@ -221,17 +335,18 @@ async function resumeAwaitKitClarification(chatId, payload, userMessage, state,
 
   await clearPendingAction(chatId, correlationId);
 
-  const kits = await sheets.getAllKits(correlationId).catch(() => []);
-  if (!kits.length) {
+  const quote = await quotesRepo.getLatestOpenQuote(chatId, correlationId).catch(() => null);
+  const matchResult = await getKitFlow().findKit(userMessage, quote?.vehicle_details, correlationId)
+    .catch(() => ({ available: false }));
+  if (!matchResult.available) {
     await sender.sendMessage('مفيش بيانات طقم متاحة حالياً.');
     return;
   }
 
-  const matchResult = await ai.matchKit(userMessage, kits, correlationId);
   if (matchResult.matched) {
     await setPendingAction(chatId, PENDING_ACTIONS.CONFIRM_KIT, {
       kit_code: matchResult.kit_code,
-      kit_name: matchResult.kit_code,
+      kit_name: matchResult.kit_name,
       parts_list: matchResult.parts_array,
       quote_id,
     }, 60, correlationId);
@@ -254,7 +369,7 @@ async function resumeAwaitKitClarification(chatId, payload, userMessage, state,
 
 async function resumeCollectCustomerData(chatId, payload, userMessage, state, sender, correlationId) {
   const log = logger.child(correlationId);
-  const { vin, car_id, car_details, partner_id: existingPartnerId, tenant_id } = payload;
+  const { vin, full_vin, car_id, car_details, partner_id: existingPartnerId, tenant_id } = payload;
   log.info('resumeCollectCustomerData', { chatId });
 
   // Try to parse structured JSON (from /api/chat/submit-form)
@@ -342,6 +457,7 @@ async function resumeCollectCustomerData(chatId, payload, userMessage, state, se
       customer_name: customerName,
       customer_phone: customerPhone,
       vin,
+      full_vin: full_vin || null,
       vehicle_details: car_details,
       x_car_id: car_id,
       chat_id: String(chatId),
@@ -355,6 +471,7 @@ async function resumeCollectCustomerData(chatId, payload, userMessage, state, se
   try {
     await stateRepo.saveState(chatId, {
       vin,
+      full_vin: full_vin || null,
       quotation_id: quotationId,
       vehicle_details: car_details,
       x_car_id: car_id,
@@ -367,15 +484,17 @@ async function resumeCollectCustomerData(chatId, payload, userMessage, state, se
   }
 
   // Reply with vehicle summary
+  const makeYear = formatMakeYear(car_details?.vin_decoded);
   const replyText = [
     `✅ تم تسجيل بيانات العميل وإنشاء عرض السعر!`,
     ``,
     `🧾 عرض السعر رقم: ${quotationId || 'N/A'}`,
     `👤 العميل: ${customerName}`,
     `📱 الهاتف: ${customerPhone}`,
-    `VIN: ${vin}`,
+    `VIN: ${full_vin || vin}`,
     ``,
     `تفاصيل السيارة:`,
+    ...(makeYear ? [`🏷️ ${makeYear}`] : []),
     `🚗 ${car_details?.series || ''} ${car_details?.model || ''}`,
     `🚙 الهيكل: ${car_details?.body || ''}`,
     `⚙️ المحرك: ${car_details?.engine || ''}`,
@@ -391,7 +510,7 @@ async function resumeCollectCustomerData(chatId, payload, userMessage, state, se
 
 async function resumeConfirmVinChange(chatId, payload, userMessage, state, sender, correlationId) {
   const log = logger.child(correlationId);
-  const { old_vin, new_vin, old_quote_id, new_car_details, tenant_id } = payload;
+  const { old_vin, new_vin, new_full_vin, old_quote_id, new_car_details, tenant_id } = payload;
   const decision = parseYesNo(userMessage);
 
   log.info('resumeConfirmVinChange', { chatId, decision, old_vin, new_vin });
@@ -419,6 +538,7 @@ async function resumeConfirmVinChange(chatId, payload, userMessage, state, sende
 
       await setPendingAction(chatId, PENDING_ACTIONS.COLLECT_CUSTOMER_DATA, {
         vin: new_vin,
+        full_vin: new_full_vin || null,
         car_id: new_car_details?.car_id || null,
         car_details: new_car_details,
         partner_id: null,
@@ -443,6 +563,7 @@ async function resumeConfirmVinChange(chatId, payload, userMessage, state, sende
       };
       await resumeCollectCustomerData(chatId, {
         vin: new_vin,
+        full_vin: new_full_vin || null,
         car_id: new_car_details?.car_id || null,
         car_details: new_car_details,
         partner_id: null,
@@ -3,6 +3,7 @@
 const logger = require('../utils/logger');
 const { ScenarioNotFoundError } = require('../utils/errors');
 const trace = require('../services/trace.service');
+const { decodeVin } = require('../utils/vinDecoder');
 
 /**
  * Route a parsed AI output item to the correct domain flow.
@@ -38,14 +39,13 @@ function routeScenario(item) {
 }
 
 /**
- * Normalize a VIN — replicated exactly from the n8n "get_vehicle_info" tool code.
+ * Extract a VIN token from free text.
  *
  * Steps:
  * 1. Uppercase, remove non-alphanum, replace O→0, I→1, Q→0
  * 2. Match 17-char VIN first, then 7-char
- * 3. If 17-char, take last 7
  */
-function normalizeVin(inputText) {
+function extractVin(inputText) {
   if (!inputText || typeof inputText !== 'string') return null;
 
   const cleanedInput = inputText
@@ -57,25 +57,36 @@ function normalizeVin(inputText) {
 
   // Try 17-character VIN first
   const match17 = cleanedInput.match(/[A-HJ-NPR-Z0-9]{17}/);
+  if (match17) return match17[0];
   // If not found, try 7-character VIN
   const match7 = cleanedInput.match(/[A-HJ-NPR-Z0-9]{7}/);
+  return match7 ? match7[0] : null;
+}
 
-  let extractedVin = null;
-  if (match17) {
-    extractedVin = match17[0];
-  } else if (match7) {
-    extractedVin = match7[0];
-  }
-
+/**
+ * Normalize a VIN — replicated from the n8n "get_vehicle_info" tool code.
+ * Returns the 7-character chassis number (last 7 of a full VIN).
+ */
+function normalizeVin(inputText) {
+  const extractedVin = extractVin(inputText);
   if (!extractedVin) return null;
+  return extractedVin.length === 17 ? extractedVin.slice(-7) : extractedVin;
+}
 
-  // Normalize to last 7
-  if (extractedVin.length === 17) {
-    return extractedVin.slice(-7);
-  } else if (extractedVin.length === 7) {
-    return extractedVin;
-  }
-  return null;
+/**
+ * Parse a VIN from free text, keeping the full VIN when one was sent.
+ *
+ * Returns { vin, full_vin, decoded } — vin is the 7-char chassis number,
+ * full_vin / decoded are null for short input — or null when nothing
+ * VIN-shaped is found. Throws VinValidationError when a 17-char VIN fails
+ * decoding (bad check digit), before any scraper call is made.
+ */
+function parseVin(inputText) {
+  const extractedVin = extractVin(inputText);
+  if (!extractedVin) return null;
+  if (extractedVin.length === 7) return { vin: extractedVin, full_vin: null, decoded: null };
+  const decoded = decodeVin(extractedVin);
+  return { vin: decoded.chassis, full_vin: decoded.vin, decoded };
 }
 
-module.exports = { routeScenario, normalizeVin };
+module.exports = { routeScenario, normalizeVin, parseVin };
@@ -0,0 +1,58 @@
+'use strict';
+
+const path = require('path');
+
+process.env.CATALOG_PROVIDER = 'fixture';
+process.env.CATALOG_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'catalog');
+
+// Offline: no database (the integration log writes are best-effort)
+jest.mock('@prisma/client', () => ({
+  Prisma: {},
+  PrismaClient: class {
+    constructor() { throw new Error('no database in tests'); }
+  },
+}));
+
+const scraper = require('../src/integrations/scraper.client');
+const catalogCache = require('../src/services/catalogCache.service');
+const { scoreParts } = require('../src/domain/part.flow');
+
+const VIN = 'WBAJA11010WC12345';
+
+describe('fixture catalog provider', () => {
+  test('is the active provider', () => {
+    expect(scraper.getProvider().name).toBe('fixture');
+  });
+
+  test('getCarDetails: the fields vin.flow reads', async () => {
+    const car = await scraper.getCarDetails(VIN, 'test');
+    expect(car).toMatchObject({ series: 'G30', model: '520i', type_code: 'JA11' });
+    expect(car.error).toBeUndefined();
+  });
+
+  test('findPart: a part number for the hot-item search', async () => {
+    const part = await scraper.findPart(VIN, 'brake pad sensor', 'test', 'Brakes');
+    expect(part).toMatchObject({ part_number: '34356890788', description: expect.any(String) });
+  });
+
+  test('querySubgroup: parts with descriptions and part numbers', async () => {
+    const sg = await scraper.querySubgroup(VIN, 'Brakes', '34_2341', 'test');
+    expect(sg.subgroup).toBe('34_2341');
+    for (const part of sg.parts) {
+      expect(part).toMatchObject({ description: expect.any(String), part_number: expect.stringMatching(/^\d{11}$/) });
+    }
+  });
+
+  test('unknown fixtures are a 404', async () => {
+    await expect(scraper.querySubgroup(VIN, 'Brakes', '99_9999', 'test'))
+      .rejects.toMatchObject({ code: 'FIXTURE_NOT_FOUND', response: { status: 404 } });
+  });
+
+  test('part search: a scraped group scores the requested part first', async () => {
+    const subgroups = await catalogCache.scrapeGroup(VIN, 'Brakes', 'test');
+    expect(subgroups.map((sg) => sg.subgroup)).toEqual(['34_2341', '34_2342']);
+
+    const { best_match } = scoreParts('brake pad sensor front', subgroups.map((sg) => ({ ...sg, group_name: 'Brakes' })));
+    expect(best_match).toMatchObject({ part_number: '34356890788', subgroup: '34_2341', group_name: 'Brakes' });
+  });
+});
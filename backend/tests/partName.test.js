@@ -0,0 +1,50 @@
+'use strict';
+
+const { translatePartName, partNameKey } = require('../src/utils/partName');
+
+describe('translatePartName', () => {
+  test.each([
+    ['Headlight', 'headlight'],
+    ['فانوس أمامي', 'headlight'],
+    ['fanoos amami', 'headlight'],
+    ['fanous', 'headlight'],
+    ['til faramel', 'brake pad'],
+    ['7assas til', 'brake-pad sensor'],
+    ['mosaed', 'shock absorber'],
+    ['korsy motor', 'engine mount'],
+    ['filter zeit', 'oil filter'],
+    ['brake pads', 'brake pad'],
+  ])('%s → %s', (text, en) => {
+    expect(translatePartName(text)).toMatchObject({ text: en, complete: true });
+  });
+
+  // English words whose consonant skeleton equals an Arabizi spelling
+  test.each([
+    ['tail light', 'tail light'],
+    ['hose', 'hose'],
+    ['seat', 'seat'],
+    ['wiper motor', 'wiper motor'],
+    ['timing belt', 'timing belt'],
+    ['toll', 'toll'],
+  ])('English %s is not read as Arabizi', (text, kept) => {
+    const result = translatePartName(text);
+    expect(result.text).toBe(kept);
+    expect(result.complete).toBe(false);
+  });
+
+  test('tail light searches lighting only', () => {
+    expect(translatePartName('tail light').main_groups).toEqual(['LIGHTING']);
+  });
+});
+
+describe('partNameKey', () => {
+  test('different parts get different keys', () => {
+    expect(partNameKey('hose')).not.toBe(partNameKey('sensor'));
+    expect(partNameKey('seat')).not.toBe(partNameKey('set'));
+    expect(partNameKey('toll')).not.toBe(partNameKey('brake pad'));
+  });
+
+  test('spellings of one part share a key', () => {
+    expect(partNameKey('fanoos')).toBe(partNameKey('فانوس'));
+  });
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const { isPartNumberMessage, extractPartNumberGroups } = require('../src/utils/partNumber');
+
+describe('isPartNumberMessage', () => {
+  test.each([
+    '11427953129',
+    '11-42-7-953-129',
+    'part no. 11427953129',
+    'Part number: 11 42 7 953 129',
+    'P/N 11427953129',
+    'OEM 11427953129 and 34106888459',
+    'رقم 11427953129',
+    'رقم القطعة ١١٤٢٧٩٥٣١٢٩',
+    '11427953129 و 34106888459',
+    '11427953129 → 11428575211',
+  ])('part numbers only: %s', (text) => {
+    expect(isPartNumberMessage(text)).toBe(true);
+  });
+
+  test.each([
+    'no 11427953129',
+    'No, 11427953129',
+    'number 11427953129',
+    'need 11427953129',
+    'ولا 11427953129',
+    'فلتر زيت 11427953129',
+  ])('other words around the number: %s', (text) => {
+    expect(isPartNumberMessage(text)).toBe(false);
+  });
+});
+
+describe('extractPartNumberGroups', () => {
+  test('groups superseded numbers, splits the rest', () => {
+    expect(extractPartNumberGroups('11427953129 → 11428575211, 34106888459'))
+      .toEqual([['11427953129', '11428575211'], ['34106888459']]);
+  });
+});
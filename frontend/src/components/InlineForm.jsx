@@ -1,12 +1,46 @@
 import { useState } from 'react';
+import { apiUrl } from '../lib/api';
+
+const STOCK_OPTION_CLASS = {
+  incoming: 'text-amber-300',
+  out_of_stock: 'text-red-300',
+};
+
+/** Consecutive options with the same `group` → [{ group, options }] (group null = no optgroup). */
+function optionRuns(options) {
+  const runs = [];
+  for (const opt of options || []) {
+    const group = opt.group || null;
+    const last = runs[runs.length - 1];
+    if (last && last.group === group) last.options.push(opt);
+    else runs.push({ group, options: [opt] });
+  }
+  return runs;
+}
+
+function SelectOption({ opt }) {
+  return (
+    <option value={String(opt.value)} className={STOCK_OPTION_CLASS[opt.stock_status] || ''}>
+      {opt.label}
+    </option>
+  );
+}
 
 /**
  * InlineForm
  *
  * Renders a structured form inside a chat bubble when the backend sends:
- *   { type: 'form', action: 'COLLECT_CUSTOMER_DATA' | 'CHOOSE_PRODUCT', fields: [...] }
+ *   { type: 'form', action: 'COLLECT_CUSTOMER_DATA' | 'CHOOSE_PART_CANDIDATE' | 'CHOOSE_PRODUCT', fields: [...] }
  *
- * Supported field types: text, tel, number, select
+ * Supported field types: text, tel, number, select, multiselect, checkbox
+ * (multiselect submits an array of option values; options may carry
+ * part_number, item_no, subgroup and thumbnail_url for card rendering;
+ * checkbox submits a boolean; select options may carry a stock_status —
+ * out_of_stock / incoming options are tinted — and a group, rendered as an
+ * optgroup, e.g. OEM vs aftermarket products).
+ * Any field may carry a `default`; number fields may carry min / max / step.
+ * A field with `show_if: { field, equals }` is shown (and required) only while
+ * that other field has that value.
  *
  * After submission it shows a ✅ confirmation and disables all inputs.
  */
@@ -14,6 +48,18 @@ export default function InlineForm({ form, onSubmit, disabled: outerDisabled })
   const [values, setValues] = useState(() => {
     const init = {};
     for (const f of form.fields || []) {
+      if (f.type === 'multiselect') {
+        init[f.name] = Array.isArray(f.default) ? f.default.map(String) : [];
+        continue;
+      }
+      if (f.type === 'checkbox') {
+        init[f.name] = f.default === true;
+        continue;
+      }
+      if (f.default !== undefined && f.default !== null) {
+        init[f.name] = String(f.default);
+        continue;
+      }
       // Pre-select first option for select fields
       init[f.name] =
         f.type === 'select' && f.options?.length ? String(f.options[0].value) : '';
@@ -24,13 +70,34 @@ export default function InlineForm({ form, onSubmit, disabled: outerDisabled })
   const [loading, setLoading] = useState(false);
   const [localError, setLocalError] = useState(null);
 
+  const visibleFields = (form.fields || []).filter(
+    (f) => !f.show_if || values[f.show_if.field] === String(f.show_if.equals)
+  );
+
   const handleChange = (name, value) => {
     setValues((prev) => ({ ...prev, [name]: value }));
   };
 
+  const toggleOption = (name, value) => {
+    setValues((prev) => {
+      const current = prev[name] || [];
+      return {
+        ...prev,
+        [name]: current.includes(value) ? current.filter((v) => v !== value) : [...current, value],
+      };
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (submitted || loading || outerDisabled) return;
+    const emptyMulti = visibleFields.find(
+      (f) => f.type === 'multiselect' && f.required && !(values[f.name] || []).length
+    );
+    if (emptyMulti) {
+      setLocalError('اختار عنصر واحد على الأقل');
+      return;
+    }
     setLocalError(null);
     setLoading(true);
     try {
@@ -58,14 +125,65 @@ export default function InlineForm({ form, onSubmit, disabled: outerDisabled })
         <p className="text-sm text-slate-300 leading-relaxed">{form.message}</p>
       )}
 
-      {(form.fields || []).map((field) => (
+      {visibleFields.map((field) => (
         <div key={field.name} className="flex flex-col gap-1">
           <label className="text-xs font-semibold text-slate-400 tracking-wide">
             {field.label}
             {field.required && <span className="text-amber-400 ml-1">*</span>}
           </label>
 
-          {field.type === 'select' ? (
+          {field.type === 'multiselect' ? (
+            <div className="flex flex-col gap-2">
+              {(field.options || []).map((opt) => {
+                const value = String(opt.value);
+                const checked = (values[field.name] || []).includes(value);
+                return (
+                  <label
+                    key={value}
+                    className={`flex items-start gap-3 rounded-lg px-3 py-2 border cursor-pointer transition-colors ${
+                      checked ? 'border-amber-500/70 bg-amber-500/10' : 'border-slate-600 bg-slate-700/60'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={checked}
+                      onChange={() => toggleOption(field.name, value)}
+                      disabled={loading || submitted}
+                      className="mt-1 accent-amber-500"
+                    />
+                    {opt.thumbnail_url && (
+                      <img
+                        src={apiUrl(opt.thumbnail_url)}
+                        alt=""
+                        loading="lazy"
+                        className="w-14 h-14 rounded bg-white object-contain shrink-0"
+                      />
+                    )}
+                    <span className="flex flex-col gap-0.5 min-w-0">
+                      <span className="text-sm text-white">{opt.label}</span>
+                      <span className="text-xs text-slate-400" dir="ltr">
+                        {[
+                          opt.part_number && `P/N ${opt.part_number}`,
+                          opt.item_no && `#${opt.item_no}`,
+                          opt.subgroup,
+                        ]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </span>
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          ) : field.type === 'checkbox' ? (
+            <input
+              type="checkbox"
+              checked={Boolean(values[field.name])}
+              onChange={(e) => handleChange(field.name, e.target.checked)}
+              disabled={loading || submitted}
+              className="w-4 h-4 accent-amber-500"
+            />
+          ) : field.type === 'select' ? (
             <select
               value={values[field.name] ?? ''}
               onChange={(e) => handleChange(field.name, e.target.value)}
@@ -73,11 +191,15 @@ export default function InlineForm({ form, onSubmit, disabled: outerDisabled })
               disabled={loading || submitted}
               className="rounded-lg px-3 py-2 text-sm bg-slate-700/80 text-white border border-slate-600 focus:outline-none focus:ring-2 focus:ring-amber-500/50 disabled:opacity-60"
             >
-              {(field.options || []).map((opt) => (
-                <option key={opt.value} value={String(opt.value)}>
-                  {opt.label}
-                </option>
-              ))}
+              {optionRuns(field.options).map((run, i) =>
+                run.group ? (
+                  <optgroup key={`${run.group}-${i}`} label={run.group}>
+                    {run.options.map((opt) => <SelectOption key={opt.value} opt={opt} />)}
+                  </optgroup>
+                ) : (
+                  run.options.map((opt) => <SelectOption key={opt.value} opt={opt} />)
+                )
+              )}
             </select>
           ) : (
             <input
@@ -87,6 +209,9 @@ export default function InlineForm({ form, onSubmit, disabled: outerDisabled })
               required={field.required}
               disabled={loading || submitted}
               placeholder={field.placeholder || ''}
+              min={field.min}
+              max={field.max}
+              step={field.step}
               dir={field.type === 'tel' || field.type === 'number' ? 'ltr' : 'auto'}
               className="rounded-lg px-3 py-2 text-sm bg-slate-700/80 text-white border border-slate-600 focus:outline-none focus:ring-2 focus:ring-amber-500/50 placeholder-slate-500 disabled:opacity-60"
             />
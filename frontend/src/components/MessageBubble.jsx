@@ -1,48 +1,148 @@
+import { useState } from 'react';
 import { formatTime } from '../lib/format';
+import { apiUrl } from '../lib/api';
 import InlineForm from './InlineForm';
 
 /**
  * Try to parse the message content as a structured form payload.
- * Returns the parsed object if it has { type: 'form' }, otherwise null.
+ * Returns { form, text } (text = any messages batched before the form) if it
+ * has { type: 'form' }, otherwise null.
  */
 function tryParseForm(content) {
   if (typeof content !== 'string') return null;
   const trimmed = content.trim();
-  if (!trimmed.startsWith('{')) return null;
+  // Replies may batch several messages joined by blank lines — a form is always last
+  const split = trimmed.startsWith('{') ? 0 : trimmed.lastIndexOf('\n\n{');
+  if (split < 0) return null;
   try {
-    const parsed = JSON.parse(trimmed);
-    if (parsed?.type === 'form' && Array.isArray(parsed?.fields)) return parsed;
+    const parsed = JSON.parse(trimmed.slice(split).trim());
+    if (parsed?.type === 'form' && Array.isArray(parsed?.fields)) {
+      return { form: parsed, text: trimmed.slice(0, split).trim() };
+    }
   } catch {
     // not JSON
   }
   return null;
 }
 
+// WhatsApp delivery status of a sent quote (message_status SSE events)
+const DELIVERY_LABELS = {
+  sent: { text: '✓ تم الإرسال', className: 'text-slate-400' },
+  delivered: { text: '✓✓ تم التوصيل', className: 'text-slate-400' },
+  read: { text: '✓✓ العميل قرأ العرض', className: 'text-sky-400' },
+  failed: { text: '⚠️ فشل التوصيل', className: 'text-red-400' },
+};
+
+/**
+ * Inline reply to a customer's WhatsApp message (sent as a session message).
+ */
+function CustomerReplyBox({ quoteId, onReplyCustomer, disabled }) {
+  const [text, setText] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const send = async (e) => {
+    e.preventDefault();
+    const value = text.trim();
+    if (!value || sending) return;
+    setSending(true);
+    try {
+      await onReplyCustomer(quoteId, value);
+      setText('');
+    } catch {
+      // error toast is shown by ChatPage; keep the text so it can be resent
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={send} className="mt-2 flex gap-2">
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="رد على العميل..."
+        disabled={disabled || sending}
+        className="flex-1 min-w-0 px-2 py-1 rounded-lg text-xs bg-slate-900/40 border border-slate-600 focus:outline-none focus:border-amber-500"
+      />
+      <button
+        type="submit"
+        disabled={disabled || sending || !text.trim()}
+        className="px-3 py-1 rounded-lg text-xs font-medium bg-amber-500/90 hover:bg-amber-500 text-slate-900 disabled:opacity-50"
+      >
+        {sending ? '...' : 'إرسال'}
+      </button>
+    </form>
+  );
+}
+
 /**
  * SSE push events arrive as assistant messages with sseEvent:true.
  * Render them with a subtle left border to distinguish from regular replies.
  */
-function SSEEventBubble({ message }) {
+function SSEEventBubble({ message, onReviseQuote, onReplyCustomer, disabled }) {
   return (
     <div className="flex justify-start message-bubble-wrap">
       <div className="max-w-[85%] rounded-2xl px-4 py-2.5 luxury-bubble-assistant rounded-bl-md border-l-2 border-amber-500/60">
         <p className="text-sm whitespace-pre-wrap break-words text-inherit">{message.content}</p>
+        {message.mediaUrl && message.mediaType === 'image' && (
+          <a href={apiUrl(message.mediaUrl)} target="_blank" rel="noopener noreferrer">
+            <img src={apiUrl(message.mediaUrl)} alt="" className="mt-2 max-h-64 rounded-lg" />
+          </a>
+        )}
+        {message.mediaUrl && message.mediaType === 'audio' && (
+          <audio controls src={apiUrl(message.mediaUrl)} className="mt-2 w-full" />
+        )}
+        {message.pdfUrl && (
+          <a
+            href={apiUrl(message.pdfUrl)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-block mt-1 text-xs text-amber-500 hover:text-amber-400 underline"
+          >
+            📄 عرض السعر (PDF)
+          </a>
+        )}
+        {DELIVERY_LABELS[message.deliveryStatus] && (
+          <p className={`text-xs mt-1 ${DELIVERY_LABELS[message.deliveryStatus].className}`}>
+            {DELIVERY_LABELS[message.deliveryStatus].text}
+          </p>
+        )}
+        {message.reviseQuoteId && onReviseQuote && (
+          <button
+            type="button"
+            onClick={() => onReviseQuote(message.id, message.reviseQuoteId)}
+            disabled={disabled}
+            className="mt-2 px-3 py-1 rounded-lg text-xs font-medium bg-amber-500/90 hover:bg-amber-500 text-slate-900 disabled:opacity-50"
+          >
+            ✏️ فتح نسخة معدلة من العرض
+          </button>
+        )}
+        {message.replyQuoteId && onReplyCustomer && (
+          <CustomerReplyBox quoteId={message.replyQuoteId} onReplyCustomer={onReplyCustomer} disabled={disabled} />
+        )}
         <p className="text-xs mt-1 text-slate-400">{formatTime(message.timestamp)}</p>
       </div>
     </div>
   );
 }
 
-export default function MessageBubble({ message, onFormSubmit, formDisabled }) {
+export default function MessageBubble({ message, onFormSubmit, onReviseQuote, onReplyCustomer, formDisabled }) {
   const isUser = message.role === 'user';
 
   // SSE push event — different visual style
   if (message.sseEvent) {
-    return <SSEEventBubble message={message} />;
+    return <SSEEventBubble
+        message={message}
+        onReviseQuote={onReviseQuote}
+        onReplyCustomer={onReplyCustomer}
+        disabled={formDisabled}
+      />;
   }
 
   // Try to parse assistant message as a structured form
-  const form = !isUser ? tryParseForm(message.content) : null;
+  const parsedForm = !isUser ? tryParseForm(message.content) : null;
+  const form = parsedForm?.form || null;
 
   return (
     <div className={`flex ${isUser ? 'justify-end' : 'justify-start'} message-bubble-wrap`}>
@@ -70,6 +170,9 @@ export default function MessageBubble({ message, onFormSubmit, formDisabled }) {
         )}
 
         {/* Structured form — render as interactive inputs */}
+        {parsedForm?.text && (
+          <p className="text-sm whitespace-pre-wrap break-words text-inherit mb-2">{parsedForm.text}</p>
+        )}
         {form ? (
           <InlineForm
             form={form}
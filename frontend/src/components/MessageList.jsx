@@ -1,7 +1,7 @@
 import { useEffect, useRef } from 'react';
 import MessageBubble from './MessageBubble';
 
-export default function MessageList({ messages, loading, onFormSubmit, formDisabled }) {
+export default function MessageList({ messages, loading, onFormSubmit, onReviseQuote, onReplyCustomer, formDisabled }) {
   const bottomRef = useRef(null);
 
   // Auto-scroll to bottom on new messages
@@ -34,6 +34,8 @@ export default function MessageList({ messages, loading, onFormSubmit, formDisab
           key={m.id}
           message={m}
           onFormSubmit={onFormSubmit}
+          onReviseQuote={onReviseQuote}
+          onReplyCustomer={onReplyCustomer}
           formDisabled={formDisabled}
         />
       ))}
@@ -1,6 +1,12 @@
 const BASE = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000').replace(/\/$/, '');
 const FETCH_TIMEOUT_MS = 60000;
 
+/** Absolute URL for a backend path (e.g. diagram thumbnails referenced by forms). */
+export function apiUrl(path) {
+  if (!path || /^https?:\/\//i.test(path)) return path;
+  return `${BASE}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
 function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOUT_MS) {
   const ctrl = new AbortController();
   const id = setTimeout(() => ctrl.abort(), timeout);
@@ -54,7 +60,7 @@ export async function sendPhoto(sessionId, file) {
 }
 
 /**
- * Submit a structured form (COLLECT_CUSTOMER_DATA or CHOOSE_PRODUCT).
+ * Submit a structured form (COLLECT_CUSTOMER_DATA, CHOOSE_PART_CANDIDATE or CHOOSE_PRODUCT).
  * Called when the user fills and submits an InlineForm rendered in the chat.
  */
 export async function submitForm(sessionId, action, formData) {
@@ -72,6 +78,45 @@ export async function submitForm(sessionId, action, formData) {
   return data;
 }
 
+/**
+ * Reopen a cancelled / expired quote as a new version (after the customer asked for changes).
+ * Returns { quote, message } — message is the chat prompt for the agent.
+ */
+export async function reviseQuote(quoteId, reason) {
+  const res = await fetchWithTimeout(`${BASE}/api/quotes/${encodeURIComponent(quoteId)}/revise`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reason: reason || undefined }),
+    credentials: 'include',
+  });
+  const text = await res.text();
+  const data = safeJson(text);
+  if (!res.ok) {
+    throw new Error(data.error || text || `Revise failed (${res.status})`);
+  }
+  return data;
+}
+
+/**
+ * Reply to the customer of a quote on WhatsApp (session message, 24h window).
+ * sessionId must be a session of the quote's tenant.
+ * Returns { message } — the stored outbound message.
+ */
+export async function replyToCustomer(quoteId, text, sessionId) {
+  const res = await fetchWithTimeout(`${BASE}/api/quotes/${encodeURIComponent(quoteId)}/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text, session_id: sessionId }),
+    credentials: 'include',
+  });
+  const body = await res.text();
+  const data = safeJson(body);
+  if (!res.ok) {
+    throw new Error(data.error || body || `Reply failed (${res.status})`);
+  }
+  return data;
+}
+
 /**
  * Poll for pending notifications (SSE fallback for disconnected clients).
  * Returns array of { type, data } objects.
@@ -98,8 +143,14 @@ export async function pollNotifications(sessionId) {
  * Events emitted by the backend:
  *   connected        — initial handshake { session_id }
  *   order_confirmed  — customer tapped "تأكيد العمل" on WhatsApp
- *   order_cancelled  — customer tapped "تعديل / إلغاء" on WhatsApp
- *   quote_sent       — WA quote template sent after CHOOSE_PRODUCT submit
+ *   order_cancelled  — customer tapped "إلغاء" on WhatsApp
+ *   revision_requested — customer tapped "تعديل" (then again with their reason); reopen as new version
+ *   quote_sent       — WA quote template (+ PDF) sent after CHOOSE_PRODUCT submit; pdf_url for download
+ *   quote_reminder_sent — follow-up reminder sent to a customer who hasn't answered the quote
+ *   quote_expired    — unanswered quote expired (revisable: reopen as new version)
+ *   message_status   — WA delivery of the quote template / PDF: sent | delivered | read | failed (+ Meta error)
+ *   customer_message — customer wrote to us on WhatsApp (text / image / voice); signed media_url for
+ *                      attachments, thread_url for the whole conversation
  */
 export function createSSEConnection(sessionId) {
   if (!sessionId) return null;
@@ -12,6 +12,8 @@ import {
   sendMessage,
   sendPhoto,
   submitForm,
+  reviseQuote,
+  replyToCustomer,
   createSSEConnection,
   healthCheck,
 } from '../lib/api';
@@ -31,19 +33,71 @@ function sseEventToText(type, data) {
         data.customer_name ? `العميل: ${data.customer_name}` : '',
         data.total_cost ? `الإجمالي: ${data.total_cost} EGP` : '',
         data.vin ? `VIN: ${data.vin}` : '',
+        data.odoo_error ? `⚠️ لم يتم تحديث أمر البيع في Odoo: ${data.odoo_error}` : '',
       ]
         .filter(Boolean)
         .join('\n');
 
     case 'order_cancelled':
       return [
-        '❌ تم إلغاء / تعديل الطلب من قبل العميل.',
+        '❌ تم إلغاء الطلب من قبل العميل.',
         data.customer_name ? `العميل: ${data.customer_name}` : '',
         data.vin ? `VIN: ${data.vin}` : '',
       ]
         .filter(Boolean)
         .join('\n');
 
+    case 'revision_requested':
+      return [
+        '✏️ العميل طلب تعديل على عرض السعر.',
+        data.customer_name ? `العميل: ${data.customer_name}` : '',
+        data.vin ? `VIN: ${data.vin}` : '',
+        data.reason ? `سبب التعديل: ${data.reason}` : 'في انتظار سبب التعديل من العميل...',
+      ]
+        .filter(Boolean)
+        .join('\n');
+
+    case 'quote_reminder_sent':
+      return [
+        `🔔 تم إرسال تذكير رقم ${data.reminder} للعميل بعرض السعر (لم يرد بعد).`,
+        data.customer_name ? `العميل: ${data.customer_name}` : '',
+        data.vin ? `VIN: ${data.vin}` : '',
+      ]
+        .filter(Boolean)
+        .join('\n');
+
+    case 'quote_expired':
+      return [
+        '⌛ انتهت صلاحية عرض السعر — العميل لم يرد.',
+        data.customer_name ? `العميل: ${data.customer_name}` : '',
+        data.vin ? `VIN: ${data.vin}` : '',
+      ]
+        .filter(Boolean)
+        .join('\n');
+
+    case 'customer_message':
+      return [
+        `💬 رسالة من العميل${data.customer_name ? ` (${data.customer_name})` : ''}:`,
+        data.body || (data.type === 'image' ? '📷 صورة' : data.type === 'audio' ? '🎤 رسالة صوتية' : ''),
+        data.vin ? `VIN: ${data.vin}` : '',
+      ]
+        .filter(Boolean)
+        .join('\n');
+
+    case 'message_status':
+      return [
+        data.kind === 'document'
+          ? '⚠️ فشل توصيل ملف عرض السعر (PDF) للعميل على واتساب.'
+          : data.kind === 'reminder'
+            ? '⚠️ فشل توصيل رسالة التذكير للعميل على واتساب.'
+            : '⚠️ فشل توصيل عرض السعر للعميل على واتساب.',
+        data.customer_name ? `العميل: ${data.customer_name}` : '',
+        data.error?.title ? `السبب: ${data.error.title}${data.error.code ? ` (${data.error.code})` : ''}` : '',
+        data.error?.detail && data.error.detail !== data.error.title ? data.error.detail : '',
+      ]
+        .filter(Boolean)
+        .join('\n');
+
     case 'quote_sent':
       return [
         '📤 تم إرسال عرض السعر للعميل على واتساب.',
@@ -145,6 +199,64 @@ export default function ChatPage() {
       } catch { /* ignore */ }
     });
 
+    // Push event: customer asked for changes (sent again once their reason arrives)
+    evtSource.addEventListener('revision_requested', (e) => {
+      try {
+        const data = JSON.parse(e.data);
+        setMessages((prev) => [
+          ...prev,
+          {
+            id: nextId(),
+            role: 'assistant',
+            content: sseEventToText('revision_requested', data),
+            reviseQuoteId: data.revisable ? data.quote_id : null,
+            timestamp: new Date(),
+            sseEvent: true,
+          },
+        ]);
+      } catch { /* ignore */ }
+    });
+
+    // Push events: follow-up reminder sent / unanswered quote expired (can be reopened as a new version)
+    for (const type of ['quote_reminder_sent', 'quote_expired']) {
+      evtSource.addEventListener(type, (e) => {
+        try {
+          const data = JSON.parse(e.data);
+          setMessages((prev) => [
+            ...prev,
+            {
+              id: nextId(),
+              role: 'assistant',
+              content: sseEventToText(type, data),
+              reviseQuoteId: data.revisable ? data.quote_id : null,
+              timestamp: new Date(),
+              sseEvent: true,
+            },
+          ]);
+        } catch { /* ignore */ }
+      });
+    }
+
+    // Push event: customer wrote on WhatsApp (free text, image or voice note)
+    evtSource.addEventListener('customer_message', (e) => {
+      try {
+        const data = JSON.parse(e.data);
+        setMessages((prev) => [
+          ...prev,
+          {
+            id: nextId(),
+            role: 'assistant',
+            content: sseEventToText('customer_message', data),
+            mediaUrl: data.media_url || null,
+            mediaType: data.type,
+            replyQuoteId: data.quote_id,
+            timestamp: new Date(),
+            sseEvent: true,
+          },
+        ]);
+      } catch { /* ignore */ }
+    });
+
     // Push event: WA quote template sent after CHOOSE_PRODUCT
     evtSource.addEventListener('quote_sent', (e) => {
       try {
@@ -155,6 +267,9 @@ export default function ChatPage() {
             id: nextId(),
             role: 'assistant',
             content: sseEventToText('quote_sent', data),
+            pdfUrl: data.pdf_url || null,
+            quoteId: data.quote_id,
+            deliveryStatus: null,
             timestamp: new Date(),
             sseEvent: true,
           },
@@ -162,6 +277,29 @@ export default function ChatPage() {
       } catch { /* ignore */ }
     });
 
+    // Push event: WA delivery status of the quote template / PDF (sent → delivered → read, or failed)
+    evtSource.addEventListener('message_status', (e) => {
+      try {
+        const data = JSON.parse(e.data);
+        setMessages((prev) => {
+          const next = data.kind === 'template'
+            ? prev.map((m) => (m.quoteId === data.quote_id ? { ...m, deliveryStatus: data.status } : m))
+            : prev;
+          if (data.status !== 'failed') return next;
+          return [
+            ...next,
+            {
+              id: nextId(),
+              role: 'assistant',
+              content: sseEventToText('message_status', data),
+              timestamp: new Date(),
+              sseEvent: true,
+            },
+          ];
+        });
+      } catch { /* ignore */ }
+    });
+
     evtSource.onerror = () => {
       setSseConnected(false);
       // EventSource auto-reconnects — no manual action needed
@@ -310,6 +448,49 @@ export default function ChatPage() {
     }
   }, [sessionId, updateSession]);
 
+  // ── Reopen a cancelled / expired quote as a new version ───────────────────
+  const handleReviseQuote = useCallback(async (_msgId, quoteId) => {
+    setError(null);
+    setLoading(true);
+    try {
+      const res = await reviseQuote(quoteId);
+      setMessages((prev) => [
+        // Single-use: the quote is closed once revised (hide it on every event for that quote)
+        ...prev.map((m) => (m.reviseQuoteId === quoteId ? { ...m, reviseQuoteId: null } : m)),
+        {
+          id: nextId(),
+          role: 'assistant',
+          content: res.message,
+          timestamp: new Date(),
+        },
+      ]);
+    } catch (e) {
+      setError(e?.message || 'Could not reopen the quote');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // ── Reply to a customer on WhatsApp ──────────────────────────────────────
+  const handleReplyCustomer = useCallback(async (quoteId, text) => {
+    setError(null);
+    try {
+      await replyToCustomer(quoteId, text, sessionId);
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: nextId(),
+          role: 'user',
+          content: `↩️ للعميل (واتساب): ${text}`,
+          timestamp: new Date(),
+        },
+      ]);
+    } catch (e) {
+      setError(e?.message || 'Could not send the reply');
+      throw e;
+    }
+  }, [sessionId]);
+
   // ── Render ─────────────────────────────────────────────────────────────────
   return (
     <div
@@ -336,6 +517,8 @@ export default function ChatPage() {
             messages={messages}
             loading={loading}
             onFormSubmit={handleFormSubmit}
+            onReviseQuote={handleReviseQuote}
+            onReplyCustomer={handleReplyCustomer}
             formDisabled={loading}
           />
 